@@ -0,0 +1,263 @@
+import { jest } from '@jest/globals'
+import { mkdtemp, rm, writeFile } from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { sha256 } from 'js-sha256'
+import {
+  parseApiKeys,
+  getRequiredScope,
+  createApiKeyStore,
+  listApiKeysHandler,
+  reloadApiKeysHandler,
+} from '../src/api-keys.mjs'
+
+// 2024-01-01T00:00:30.000Z, half a minute into the day
+const now = Date.UTC(2024, 0, 1, 0, 0, 30)
+const tenantKey = 'tenant-secret-key'
+const adminKey = 'admin-secret-key'
+
+describe('api-keys', () => {
+  let directory
+  let file
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(os.tmpdir(), 'api-keys-'))
+    file = path.join(directory, 'api-keys.json')
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true })
+    jest.restoreAllMocks()
+  })
+
+  /**
+   * Creates a key store with the key file of the test.
+   * @param {object[]} keys - The key entries written to the file.
+   * @returns {Promise<import('../src/api-keys.mjs').ApiKeyStore>} - The key store.
+   */
+  const createStore = async (keys) => {
+    await writeFile(file, JSON.stringify(keys))
+    return createApiKeyStore({ file })
+  }
+
+  describe('parseApiKeys', () => {
+    it('should normalize the hashes', () => {
+      expect(
+        parseApiKeys([
+          {
+            name: 'tenant',
+            hash: sha256(tenantKey).toUpperCase(),
+            scopes: ['predict'],
+          },
+        ])
+      ).toEqual([
+        { name: 'tenant', hash: sha256(tenantKey), scopes: ['predict'] },
+      ])
+    })
+
+    it('should throw an error listing the invalid entries', () => {
+      expect(() =>
+        parseApiKeys([
+          { name: 'tenant', hash: tenantKey, scopes: ['predict'] },
+          { name: 'admin', hash: sha256(adminKey), scopes: ['root'] },
+        ])
+      ).toThrow(
+        /^Invalid API keys: 0\.hash: Hash must be the SHA256 of the key .*, 1\.scopes\.0: Invalid option/
+      )
+    })
+
+    it('should reject duplicate names and hashes', () => {
+      expect(() =>
+        parseApiKeys([
+          { name: 'tenant', hash: sha256(tenantKey), scopes: ['predict'] },
+          { name: 'tenant', hash: sha256(tenantKey), scopes: ['admin'] },
+        ])
+      ).toThrow(
+        'Invalid API keys: 1.name: Duplicate name, 1.hash: Duplicate hash'
+      )
+    })
+  })
+
+  describe('getRequiredScope', () => {
+    it('should map the endpoints to their scope', () => {
+      expect(getRequiredScope('/predict')).toBe('predict')
+      expect(getRequiredScope('/predict_data')).toBe('predict_data')
+      expect(getRequiredScope('/predict_file')).toBe('predict_data')
+      expect(getRequiredScope('/jobs/123')).toBe('predict')
+      expect(getRequiredScope('/models')).toBeUndefined()
+      expect(getRequiredScope('/predictions')).toBeUndefined()
+    })
+
+    it('should match the paths case-insensitively and with a trailing slash, like Express', () => {
+      expect(getRequiredScope('/PREDICT_DATA')).toBe('predict_data')
+      expect(getRequiredScope('/Predict_Data/')).toBe('predict_data')
+      expect(getRequiredScope('/Censor//')).toBe('predict')
+      expect(getRequiredScope('/JOBS/123')).toBe('predict')
+      expect(getRequiredScope('/Models/')).toBeUndefined()
+    })
+  })
+
+  describe('createApiKeyStore', () => {
+    it('should resolve the keys by their hash and check their scopes', async () => {
+      const apiKeys = await createStore([
+        { name: 'tenant', hash: sha256(tenantKey), scopes: ['predict'] },
+      ])
+
+      expect(apiKeys.authorize(tenantKey, 'predict', now)).toEqual({
+        name: 'tenant',
+      })
+      expect(apiKeys.authorize(tenantKey, undefined, now)).toEqual({
+        name: 'tenant',
+      })
+      expect(apiKeys.authorize(sha256(tenantKey), 'predict', now)).toBeNull()
+      expect(() => apiKeys.authorize(tenantKey, 'predict_data', now)).toThrow(
+        expect.objectContaining({
+          message: 'API key is missing the predict_data scope',
+          statusCode: 403,
+        })
+      )
+    })
+
+    it('should enforce the rate limit per minute and the daily quota', async () => {
+      const apiKeys = await createStore([
+        {
+          name: 'tenant',
+          hash: sha256(tenantKey),
+          scopes: ['predict'],
+          requestsPerMinute: 2,
+          dailyQuota: 3,
+        },
+      ])
+
+      apiKeys.authorize(tenantKey, 'predict', now)
+      apiKeys.authorize(tenantKey, 'predict', now)
+      expect(() => apiKeys.authorize(tenantKey, 'predict', now)).toThrow(
+        expect.objectContaining({
+          message: 'API key rate limit exceeded',
+          statusCode: 429,
+          retryAfter: 30,
+        })
+      )
+
+      const nextMinute = now + 60 * 1000
+      apiKeys.authorize(tenantKey, 'predict', nextMinute)
+      expect(() => apiKeys.authorize(tenantKey, 'predict', nextMinute)).toThrow(
+        expect.objectContaining({
+          message: 'API key daily quota exceeded',
+          statusCode: 429,
+          retryAfter: 24 * 60 * 60 - 90,
+        })
+      )
+
+      expect(apiKeys.usage(nextMinute)).toEqual([
+        {
+          name: 'tenant',
+          scopes: ['predict'],
+          requestsPerMinute: 2,
+          dailyQuota: 3,
+          usage: {
+            lastMinute: 1,
+            today: 3,
+            total: 3,
+            rejected: 2,
+            lastUsedAt: new Date(nextMinute).toISOString(),
+          },
+        },
+      ])
+      const nextDay = now + 24 * 60 * 60 * 1000
+      expect(apiKeys.authorize(tenantKey, 'predict', nextDay)).toEqual({
+        name: 'tenant',
+      })
+    })
+
+    it('should reload the keys and keep the usage of the unchanged names', async () => {
+      const apiKeys = await createStore([
+        { name: 'tenant', hash: sha256(tenantKey), scopes: ['predict'] },
+        { name: 'admin', hash: sha256(adminKey), scopes: ['admin'] },
+      ])
+      apiKeys.authorize(tenantKey, 'predict', now)
+      apiKeys.authorize(adminKey, 'admin', now)
+
+      // The tenant key is rotated and the admin key revoked
+      await writeFile(
+        file,
+        JSON.stringify([
+          { name: 'tenant', hash: sha256('rotated'), scopes: ['predict'] },
+        ])
+      )
+      expect(await apiKeys.reload()).toEqual({ keys: 1 })
+
+      expect(apiKeys.authorize(tenantKey, 'predict', now)).toBeNull()
+      expect(apiKeys.authorize(adminKey, 'admin', now)).toBeNull()
+      apiKeys.authorize('rotated', 'predict', now)
+      expect(apiKeys.usage(now)[0].usage.total).toBe(2)
+    })
+
+    it('should keep the current keys if the file is invalid', async () => {
+      const apiKeys = await createStore([
+        { name: 'tenant', hash: sha256(tenantKey), scopes: ['predict'] },
+      ])
+
+      await writeFile(file, '{')
+      await expect(apiKeys.reload()).rejects.toThrow(
+        'Failed to parse API key file'
+      )
+      expect(apiKeys.authorize(tenantKey, 'predict', now)).toEqual({
+        name: 'tenant',
+      })
+    })
+
+    it('should fail if the key file is missing', async () => {
+      await expect(createApiKeyStore({ file })).rejects.toThrow(
+        'Failed to read API key file'
+      )
+    })
+  })
+
+  describe('handlers', () => {
+    let res
+
+    beforeEach(() => {
+      res = { status: jest.fn().mockReturnThis(), json: jest.fn() }
+    })
+
+    it('should list the keys without their hash', async () => {
+      const apiKeys = await createStore([
+        { name: 'tenant', hash: sha256(tenantKey), scopes: ['predict'] },
+      ])
+
+      listApiKeysHandler({}, res, { apiKeys })
+
+      expect(res.status).toHaveBeenCalledWith(200)
+      const [{ data }] = res.json.mock.calls[0]
+      expect(data).toEqual([
+        expect.objectContaining({ name: 'tenant', scopes: ['predict'] }),
+      ])
+      expect(data[0]).not.toHaveProperty('hash')
+    })
+
+    it('should reload the keys or return the error', async () => {
+      const apiKeys = await createStore([])
+
+      await reloadApiKeysHandler({}, res, { apiKeys })
+      expect(res.status).toHaveBeenLastCalledWith(200)
+      expect(res.json).toHaveBeenLastCalledWith({ data: { keys: 0 } })
+
+      await writeFile(file, JSON.stringify([{ name: 'tenant' }]))
+      await reloadApiKeysHandler({}, res, { apiKeys })
+      expect(res.status).toHaveBeenLastCalledWith(500)
+    })
+
+    it('should return 404 if API keys are disabled', async () => {
+      listApiKeysHandler({}, res, { apiKeys: null })
+      await reloadApiKeysHandler({}, res, { apiKeys: null })
+
+      expect(res.status).toHaveBeenCalledTimes(2)
+      expect(res.status).toHaveBeenCalledWith(404)
+      expect(res.json).toHaveBeenLastCalledWith({
+        message: 'API keys are disabled',
+      })
+    })
+  })
+})
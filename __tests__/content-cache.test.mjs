@@ -0,0 +1,138 @@
+import { jest } from '@jest/globals'
+import { readFile } from 'fs/promises'
+import { sha256 } from 'js-sha256'
+import {
+  sha256File,
+  getContentCacheKey,
+  getCachedUrlResult,
+  getCachedContentResult,
+  invalidateModelResults,
+} from '../src/content-cache.mjs'
+
+const source = {
+  url: 'http://example.com/image.jpg',
+  finalUrl: 'http://example.com/image.jpg',
+  redirectChain: [],
+}
+
+describe('content-cache', () => {
+  describe('sha256File', () => {
+    it('should hash the content of a file', async () => {
+      const content = await readFile('__tests__/data/test.jpg')
+
+      await expect(sha256File('__tests__/data/test.jpg')).resolves.toBe(
+        sha256(content)
+      )
+    })
+
+    it('should reject if the file cannot be read', async () => {
+      await expect(sha256File('__tests__/data/missing.jpg')).rejects.toThrow(
+        'ENOENT'
+      )
+    })
+  })
+
+  describe('getContentCacheKey', () => {
+    it('should key the content by model and hash', () => {
+      expect(getContentCacheKey('mobilenet-v1.0.0', 'abc')).toBe(
+        'content-mobilenet-v1.0.0-abc'
+      )
+    })
+  })
+
+  describe('getCachedUrlResult', () => {
+    it('should resolve an URL entry pointing at a content entry', () => {
+      const resultCache = new Map([
+        ['url-a', { contentCacheKey: 'content-m-abc', source }],
+        ['content-m-abc', { neutral: 0.9 }],
+      ])
+
+      expect(getCachedUrlResult(resultCache, 'url-a')).toEqual({
+        neutral: 0.9,
+        source,
+      })
+    })
+
+    it('should return URL entries holding their result as is', () => {
+      const resultCache = new Map([['url-a', { neutral: 0.9, source }]])
+
+      expect(getCachedUrlResult(resultCache, 'url-a')).toEqual({
+        neutral: 0.9,
+        source,
+      })
+    })
+
+    it('should miss if the content entry is evicted or the URL unknown', () => {
+      const resultCache = new Map([
+        ['url-a', { contentCacheKey: 'content-m-abc', source }],
+      ])
+
+      expect(getCachedUrlResult(resultCache, 'url-a')).toBeUndefined()
+      expect(getCachedUrlResult(resultCache, 'url-b')).toBeUndefined()
+    })
+
+    it('should only report the hits returning a complete result', () => {
+      const resultCache = {
+        get: (key) =>
+          key === 'url-a'
+            ? { contentCacheKey: 'content-m-abc', source }
+            : undefined,
+        reportHit: jest.fn(),
+      }
+
+      getCachedUrlResult(resultCache, 'url-a')
+      expect(resultCache.reportHit).not.toHaveBeenCalled()
+
+      resultCache.get = (key) =>
+        key === 'url-a'
+          ? { contentCacheKey: 'content-m-abc', source }
+          : { neutral: 0.9 }
+      getCachedUrlResult(resultCache, 'url-a')
+      expect(resultCache.reportHit).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('getCachedContentResult', () => {
+    it('should report a hit only if the content is cached', () => {
+      const resultCache = {
+        get: (key) => (key === 'content-m-abc' ? { neutral: 0.9 } : undefined),
+        reportHit: jest.fn(),
+      }
+
+      expect(getCachedContentResult(resultCache, 'content-m-def')).toBe(
+        undefined
+      )
+      expect(resultCache.reportHit).not.toHaveBeenCalled()
+      expect(getCachedContentResult(resultCache, 'content-m-abc')).toEqual({
+        neutral: 0.9,
+      })
+      expect(resultCache.reportHit).toHaveBeenCalledTimes(1)
+    })
+
+    it('should read caches not tracking hits', () => {
+      const resultCache = new Map([['content-m-abc', { neutral: 0.9 }]])
+
+      expect(getCachedContentResult(resultCache, 'content-m-abc')).toEqual({
+        neutral: 0.9,
+      })
+    })
+  })
+
+  describe('invalidateModelResults', () => {
+    it('should remove the URL and content entries of the given models only', () => {
+      const hash = sha256('image')
+      const resultCache = new Map([
+        [`url-m-${hash}`, { contentCacheKey: `content-m-${hash}`, source }],
+        [`content-m-${hash}`, { neutral: 0.9 }],
+        [`content-m-v2-${hash}`, { neutral: 0.8 }],
+        [`url-other-${hash}`, { neutral: 0.7, source }],
+      ])
+
+      expect(invalidateModelResults(resultCache, ['m'])).toBe(2)
+      expect([...resultCache.keys()]).toEqual([
+        `content-m-v2-${hash}`,
+        `url-other-${hash}`,
+      ])
+    })
+  })
+})
@@ -78,6 +78,8 @@ describe('Download Utilities', () => {
         contentType: 'image/jpeg',
         contentLength: 1234,
         extension: 'jpg',
+        finalUrl: 'http://example.com/image.jpg',
+        redirectChain: [],
       })
     })
 
@@ -152,6 +154,8 @@ describe('Download Utilities', () => {
         contentType: 'image/jpeg',
         contentLength: 0,
         extension: 'jpg',
+        finalUrl: 'http://example.com/image.jpg',
+        redirectChain: [],
       })
     })
 
@@ -263,13 +267,50 @@ describe('Download Utilities', () => {
         downloadFile('http://example.com/file.txt', 'some/path')
       ).rejects.toThrow('write error')
     })
+
+    it('should abort the download once the size limit is exceeded', async () => {
+      const { PassThrough } = await import('stream')
+      const unlink = jest.fn()
+      jest.unstable_mockModule('node:fs', () => ({
+        createWriteStream: jest.fn().mockReturnValue(new PassThrough()),
+        unlink,
+      }))
+      // No Content-Length, the size is only known while streaming
+      const mockStream = Readable.from(
+        (function* () {
+          for (;;) yield Buffer.alloc(10)
+        })()
+      )
+      await setupAxiosMock({
+        'http://example.com/huge.jpg': {
+          default: { status: 200, data: mockStream, headers: {} },
+        },
+      })
+      const { downloadFile } = await import('../src/download.mjs')
+
+      const err = await downloadFile(
+        'http://example.com/huge.jpg',
+        'some/path',
+        60000,
+        {},
+        undefined,
+        25
+      ).catch((error) => error)
+
+      expect(err.message).toBe(
+        'Content exceeds the maximum allowed size of 25 bytes.'
+      )
+      expect(err.code).toBe('ERR_IMAGE_TOO_LARGE')
+      expect(mockStream.destroyed).toBe(true)
+      expect(unlink).toHaveBeenCalledWith('some/path', expect.any(Function))
+    })
   })
 
   describe('downloadFileToBuffer', () => {
     it('should download a file to a buffer', async () => {
       const mockAxios = jest.fn().mockResolvedValue({
         status: 200,
-        data: Buffer.from('file content'),
+        data: Readable.from([Buffer.from('file content')]),
         headers: createMockHeaders({ 'content-type': 'text/plain' }),
       })
       jest.unstable_mockModule('axios', () => ({
@@ -277,8 +318,11 @@ describe('Download Utilities', () => {
         default: mockAxios,
       }))
       const { downloadFileToBuffer } = await import('../src/download.mjs')
-      const buffer = await downloadFileToBuffer('http://example.com/file.txt')
+      const { buffer, finalUrl } = await downloadFileToBuffer(
+        'http://example.com/file.txt'
+      )
       expect(buffer.toString()).toBe('file content')
+      expect(finalUrl).toBe('http://example.com/file.txt')
     })
 
     it('should handle download errors', async () => {
@@ -301,6 +345,220 @@ describe('Download Utilities', () => {
         )
       ).rejects.toThrow('Download failed: Failed to download file. Status: 500')
     })
+
+    it('should reject a Content-Length over the size limit before reading the body', async () => {
+      const mockStream = Readable.from([Buffer.alloc(100)])
+      await setupAxiosMock({
+        'http://example.com/huge.jpg': {
+          default: {
+            status: 200,
+            data: mockStream,
+            headers: createMockHeaders({ 'content-length': '100' }),
+          },
+        },
+      })
+      const { downloadFileToBuffer } = await import('../src/download.mjs')
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+
+      const err = await downloadFileToBuffer(
+        'http://example.com/huge.jpg',
+        60000,
+        {},
+        undefined,
+        50
+      ).catch((error) => error)
+
+      expect(err.message).toBe(
+        'Download failed: Content exceeds the maximum allowed size of 50 bytes.'
+      )
+      expect(err.cause.code).toBe('ERR_IMAGE_TOO_LARGE')
+      expect(mockStream.destroyed).toBe(true)
+    })
+
+    it('should abort the download once the size limit is exceeded', async () => {
+      let chunkCount = 0
+      const mockStream = Readable.from(
+        (function* () {
+          for (;;) {
+            chunkCount++
+            yield Buffer.alloc(10)
+          }
+        })()
+      )
+      await setupAxiosMock({
+        'http://example.com/huge.jpg': {
+          default: { status: 200, data: mockStream, headers: {} },
+        },
+      })
+      const { downloadFileToBuffer } = await import('../src/download.mjs')
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+
+      const err = await downloadFileToBuffer(
+        'http://example.com/huge.jpg',
+        60000,
+        {},
+        undefined,
+        25
+      ).catch((error) => error)
+
+      expect(err.cause.code).toBe('ERR_IMAGE_TOO_LARGE')
+      expect(mockStream.destroyed).toBe(true)
+      expect(chunkCount).toBeLessThan(10)
+    })
+  })
+
+  describe('openDownload', () => {
+    it('should read the first bytes and still stream the whole content', async () => {
+      const mockStream = Readable.from([
+        Buffer.from('0123'),
+        Buffer.from('456789'),
+        Buffer.from('rest'),
+      ])
+      const axios = await setupAxiosMock({
+        'http://example.com/media': {
+          default: {
+            status: 200,
+            data: mockStream,
+            headers: createMockHeaders({ 'content-type': 'video/mp4' }),
+          },
+        },
+      })
+      const { openDownload, streamToBuffer } =
+        await import('../src/download.mjs')
+
+      const download = await openDownload('http://example.com/media', 8)
+
+      // A single request, without Range header
+      expect(axios).toHaveBeenCalledTimes(1)
+      expect(axios.get).not.toHaveBeenCalled()
+      expect(download).toMatchObject({
+        leadingBytes: Buffer.from('01234567'),
+        contentType: 'video/mp4',
+        finalUrl: 'http://example.com/media',
+        redirectChain: [],
+      })
+      await expect(streamToBuffer(download.stream)).resolves.toEqual(
+        Buffer.from('0123456789rest')
+      )
+    })
+
+    it('should return every byte of content shorter than requested', async () => {
+      await setupAxiosMock({
+        'http://example.com/tiny': {
+          default: {
+            status: 200,
+            data: Readable.from([Buffer.from('GIF89a')]),
+            headers: createMockHeaders({}),
+          },
+        },
+      })
+      const { openDownload, streamToBuffer } =
+        await import('../src/download.mjs')
+
+      const download = await openDownload('http://example.com/tiny', 256)
+
+      expect(download.leadingBytes).toEqual(Buffer.from('GIF89a'))
+      expect(download.contentType).toBeUndefined()
+      await expect(streamToBuffer(download.stream)).resolves.toEqual(
+        Buffer.from('GIF89a')
+      )
+    })
+
+    it('should close the response when the stream is destroyed unread', async () => {
+      const mockStream = Readable.from([
+        Buffer.from('0123'),
+        Buffer.from('never read'),
+      ])
+      await setupAxiosMock({
+        'http://example.com/media': {
+          default: {
+            status: 200,
+            data: mockStream,
+            headers: createMockHeaders({}),
+          },
+        },
+      })
+      const { openDownload } = await import('../src/download.mjs')
+
+      const download = await openDownload('http://example.com/media', 4)
+      download.stream.destroy()
+      await new Promise((resolve) => setImmediate(resolve))
+
+      expect(mockStream.destroyed).toBe(true)
+    })
+
+    it('should throw an error for a non-successful status', async () => {
+      await setupAxiosMock({
+        'http://example.com/missing': {
+          default: {
+            status: 204,
+            data: Readable.from([]),
+            headers: createMockHeaders({}),
+          },
+        },
+      })
+      const { openDownload } = await import('../src/download.mjs')
+
+      await expect(
+        openDownload('http://example.com/missing', 256)
+      ).rejects.toThrow('Failed to download file. Status: 204')
+    })
+  })
+
+  describe('streamToFile', () => {
+    let writer
+    let unlink
+
+    beforeEach(async () => {
+      const { PassThrough } = await import('stream')
+      writer = new PassThrough()
+      unlink = jest.fn()
+      jest.unstable_mockModule('node:fs', () => ({
+        createWriteStream: jest.fn().mockReturnValue(writer),
+        unlink,
+      }))
+      await setupAxiosMock({})
+    })
+
+    it('should write the stream to the file', async () => {
+      const { streamToFile, streamToBuffer } =
+        await import('../src/download.mjs')
+      const written = streamToBuffer(writer)
+
+      await streamToFile(
+        Readable.from([Buffer.from('abc'), Buffer.from('def')]),
+        '/tmp/file',
+        10
+      )
+
+      await expect(written).resolves.toEqual(Buffer.from('abcdef'))
+    })
+
+    it('should reject content over the size limit and remove the file', async () => {
+      const { streamToFile } = await import('../src/download.mjs')
+
+      const err = await streamToFile(
+        Readable.from([Buffer.from('abc'), Buffer.from('def')]),
+        '/tmp/file',
+        4
+      ).catch((error) => error)
+
+      expect(err.code).toBe('ERR_IMAGE_TOO_LARGE')
+      expect(unlink).toHaveBeenCalledWith('/tmp/file', expect.any(Function))
+    })
+
+    it('should keep the first bytes of larger content when truncating', async () => {
+      const { streamToFile, streamToBuffer } =
+        await import('../src/download.mjs')
+      const written = streamToBuffer(writer)
+      const mockStream = Readable.from([Buffer.from('abc'), Buffer.from('def')])
+
+      await streamToFile(mockStream, '/tmp/file', 4, { truncate: true })
+
+      await expect(written).resolves.toEqual(Buffer.from('abcd'))
+      expect(mockStream.destroyed).toBe(true)
+      expect(unlink).not.toHaveBeenCalled()
+    })
   })
 
   describe('downloadPartFile', () => {
@@ -581,7 +839,7 @@ describe('Download Utilities', () => {
         default: mockAxios,
       }))
       const { downloadPartFileToBuffer } = await import('../src/download.mjs')
-      const buffer = await downloadPartFileToBuffer(
+      const { buffer } = await downloadPartFileToBuffer(
         'http://example.com/video.mp4',
         500
       )
@@ -790,7 +1048,9 @@ describe('Download Utilities', () => {
       })
       const { getVideoStream } = await import('../src/download.mjs')
       const result = await getVideoStream('http://example.com/video.mp4')
-      expect(result).toBeInstanceOf(Readable)
+      expect(result.stream).toBeInstanceOf(Readable)
+      expect(result.finalUrl).toBe('http://example.com/video.mp4')
+      expect(result.redirectChain).toEqual([])
     })
 
     it('should throw an error for non-200 HTTP status codes', async () => {
@@ -875,10 +1135,10 @@ describe('Download Utilities', () => {
         },
       })
       const { getVideoBuffer } = await import('../src/download.mjs')
-      const resultBuffer = await getVideoBuffer(
+      const { buffer } = await getVideoBuffer(
         'http://example.com/full-video.mp4'
       )
-      expect(resultBuffer).toEqual(mockVideoData)
+      expect(buffer).toEqual(mockVideoData)
     })
 
     it('should throw an error on network issues (AxiosError)', async () => {
@@ -951,6 +1211,200 @@ describe('Download Utilities', () => {
     })
   })
 
+  describe('redirects', () => {
+    it('should resolve relative locations and report the redirect chain', async () => {
+      const axios = await setupAxiosMock({
+        'http://example.com/image': {
+          default: {
+            status: 302,
+            headers: createMockHeaders({ location: '/cdn/image.jpg' }),
+          },
+        },
+        'http://example.com/cdn/image.jpg': {
+          default: {
+            status: 301,
+            headers: createMockHeaders({
+              location: 'https://media.example.net/image.jpg',
+            }),
+          },
+        },
+        'https://media.example.net/image.jpg': {
+          default: {
+            status: 200,
+            data: Readable.from([Buffer.from('image content')]),
+            headers: createMockHeaders({ 'content-type': 'image/jpeg' }),
+          },
+        },
+      })
+      const { downloadFileToBuffer } = await import('../src/download.mjs')
+
+      const result = await downloadFileToBuffer('http://example.com/image')
+
+      expect(result.buffer.toString()).toBe('image content')
+      expect(result.finalUrl).toBe('https://media.example.net/image.jpg')
+      expect(result.redirectChain).toEqual([
+        'http://example.com/image',
+        'http://example.com/cdn/image.jpg',
+      ])
+      // Redirects are never followed by axios itself
+      expect(axios).toHaveBeenCalledWith(
+        expect.objectContaining({ maxRedirects: 0 })
+      )
+    })
+
+    it('should enforce the maximum number of redirects', async () => {
+      const mocks = {}
+      for (let i = 0; i < 7; i++) {
+        mocks[`http://example.com/hop-${i}`] = {
+          default: {
+            status: 307,
+            headers: createMockHeaders({ location: `hop-${i + 1}` }),
+          },
+        }
+      }
+      const axios = await setupAxiosMock(mocks)
+      const { downloadFile } = await import('../src/download.mjs')
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+
+      await expect(
+        downloadFile('http://example.com/hop-0', '/tmp/unused')
+      ).rejects.toThrow('Download failed: Too many redirects')
+      expect(axios).toHaveBeenCalledTimes(6)
+    })
+
+    it('should not follow redirects to other protocols', async () => {
+      await setupAxiosMock({
+        'http://example.com/image.jpg': {
+          default: {
+            status: 302,
+            headers: createMockHeaders({ location: 'file:///etc/passwd' }),
+          },
+        },
+      })
+      const { downloadFileToBuffer } = await import('../src/download.mjs')
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+
+      await expect(
+        downloadFileToBuffer('http://example.com/image.jpg')
+      ).rejects.toThrow('Unsupported redirect protocol: file:')
+    })
+
+    it('should fall back to a ranged GET request when HEAD is rejected', async () => {
+      const probeStream = Readable.from(['x'])
+      const axios = await setupAxiosMock({
+        'http://example.com/video': {
+          head: {
+            status: 302,
+            headers: createMockHeaders({ location: '/videos/video.mp4' }),
+          },
+        },
+        'http://example.com/videos/video.mp4': {
+          head: { status: 405, headers: createMockHeaders({}) },
+          get: () => ({
+            status: 206,
+            data: probeStream,
+            headers: createMockHeaders({
+              'content-type': 'video/mp4',
+              'content-length': '1',
+              'content-range': 'bytes 0-0/4096',
+            }),
+          }),
+        },
+      })
+      const mime = (await import('mime')).default
+      mime.__setMockGetExtension(() => 'mp4')
+      const { getContentInfo } = await import('../src/download.mjs')
+      jest.spyOn(console, 'debug').mockImplementation(() => {})
+
+      const info = await getContentInfo('http://example.com/video')
+
+      expect(info).toEqual({
+        contentType: 'video/mp4',
+        contentLength: 4096,
+        extension: 'mp4',
+        finalUrl: 'http://example.com/videos/video.mp4',
+        redirectChain: ['http://example.com/video'],
+      })
+      expect(axios.get).toHaveBeenCalledWith(
+        'http://example.com/videos/video.mp4',
+        expect.objectContaining({
+          headers: { Range: 'bytes=0-0' },
+          responseType: 'stream',
+        })
+      )
+      expect(probeStream.destroyed).toBe(true)
+    })
+
+    it('should download partial files from the final URL', async () => {
+      const getConfigs = []
+      await setupAxiosMock({
+        'http://example.com/video.mp4': {
+          head: {
+            status: 301,
+            headers: createMockHeaders({ location: '../cdn/video.mp4' }),
+          },
+        },
+        'http://example.com/cdn/video.mp4': {
+          head: {
+            status: 200,
+            headers: createMockHeaders({ 'content-length': '1000' }),
+          },
+          get: (config) => {
+            getConfigs.push(config)
+            return {
+              status: 206,
+              data: Buffer.from('video part'),
+              headers: createMockHeaders({ 'content-type': 'video/mp4' }),
+            }
+          },
+        },
+      })
+      const { downloadPartFileToBuffer } = await import('../src/download.mjs')
+
+      const result = await downloadPartFileToBuffer(
+        'http://example.com/video.mp4',
+        500
+      )
+
+      expect(result).toEqual({
+        buffer: Buffer.from('video part'),
+        finalUrl: 'http://example.com/cdn/video.mp4',
+        redirectChain: ['http://example.com/video.mp4'],
+      })
+      expect(getConfigs[0].headers).toEqual({ Range: 'bytes=0-499' })
+    })
+
+    it('should discard the body of redirect responses when streaming', async () => {
+      const redirectStream = Readable.from(['moved'])
+      const videoStream = Readable.from(['video data'])
+      await setupAxiosMock({
+        'http://example.com/video.mp4': {
+          get: () => ({
+            status: 302,
+            data: redirectStream,
+            headers: createMockHeaders({
+              location: 'http://cdn.example.com/video.mp4',
+            }),
+          }),
+        },
+        'http://cdn.example.com/video.mp4': {
+          get: () => ({
+            status: 200,
+            data: videoStream,
+            headers: createMockHeaders({ 'content-type': 'video/mp4' }),
+          }),
+        },
+      })
+      const { getVideoStream } = await import('../src/download.mjs')
+
+      const result = await getVideoStream('http://example.com/video.mp4')
+
+      expect(result.stream).toBe(videoStream)
+      expect(result.finalUrl).toBe('http://cdn.example.com/video.mp4')
+      expect(redirectStream.destroyed).toBe(true)
+    })
+  })
+
   describe('streamToBuffer', () => {
     it('should convert a readable stream to a buffer', async () => {
       const { streamToBuffer } = await import('../src/download.mjs')
@@ -968,5 +1422,13 @@ describe('Download Utilities', () => {
       })
       await expect(streamToBuffer(stream)).rejects.toThrow('Stream error')
     })
+
+    it('should keep the first bytes of larger content when truncating', async () => {
+      const { streamToBuffer } = await import('../src/download.mjs')
+      const stream = Readable.from([Buffer.from('hello'), Buffer.from('world')])
+      const buffer = await streamToBuffer(stream, 7, { truncate: true })
+      expect(buffer.toString()).toBe('hellowo')
+      expect(stream.destroyed).toBe(true)
+    })
   })
 })
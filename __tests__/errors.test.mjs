@@ -0,0 +1,50 @@
+import {
+  ERR_IMAGE_TOO_LARGE,
+  ERR_IMAGE_TOO_MANY_PIXELS,
+  getImageTooLargeErrorCode,
+} from '../src/errors.mjs'
+
+/**
+ * Creates an error with a code.
+ * @param {string} message - The error message.
+ * @param {string} code - The error code.
+ * @returns {Error} - The error.
+ */
+const createCodedError = (message, code) => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+describe('errors', () => {
+  describe('getImageTooLargeErrorCode', () => {
+    it('should return the code of a too large image error', () => {
+      expect(
+        getImageTooLargeErrorCode(
+          createCodedError('too large', ERR_IMAGE_TOO_LARGE)
+        )
+      ).toBe(ERR_IMAGE_TOO_LARGE)
+    })
+
+    it('should look through the wrapped errors', () => {
+      const error = new Error('Image processing failed', {
+        cause: new Error('Failed to process image data', {
+          cause: createCodedError('pixel limit', ERR_IMAGE_TOO_MANY_PIXELS),
+        }),
+      })
+
+      expect(getImageTooLargeErrorCode(error)).toBe(ERR_IMAGE_TOO_MANY_PIXELS)
+    })
+
+    it('should return undefined for any other error', () => {
+      expect(
+        getImageTooLargeErrorCode(
+          new Error('Download failed', {
+            cause: createCodedError('blocked', 'ERR_SSRF_BLOCKED'),
+          })
+        )
+      ).toBeUndefined()
+      expect(getImageTooLargeErrorCode(undefined)).toBeUndefined()
+    })
+  })
+})
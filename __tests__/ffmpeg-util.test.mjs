@@ -629,6 +629,139 @@ describe('generateScreenshotFromBuffer', () => {
   })
 })
 
+describe('splitJpegFrames', () => {
+  let splitJpegFrames
+
+  beforeEach(async () => {
+    ;({ splitJpegFrames } = await import('../src/ffmpeg-util.mjs'))
+  })
+
+  it('should split concatenated JPEG images on SOI/EOI markers', () => {
+    const first = Buffer.from([0xff, 0xd8, 0x01, 0x02, 0xff, 0xd9])
+    const second = Buffer.from([0xff, 0xd8, 0x03, 0xff, 0xd9])
+
+    const frames = splitJpegFrames(Buffer.concat([first, second]))
+
+    expect(frames).toEqual([first, second])
+  })
+
+  it('should return an empty array when there is no JPEG image', () => {
+    expect(splitJpegFrames(Buffer.from('not a jpeg'))).toEqual([])
+  })
+})
+
+describe('parseDuration', () => {
+  let parseDuration
+
+  beforeEach(async () => {
+    ;({ parseDuration } = await import('../src/ffmpeg-util.mjs'))
+  })
+
+  it('should parse the duration reported by FFmpeg in seconds', () => {
+    const stderr =
+      "Input #0, mov,mp4,m4a,3gp,3g2,mj2, from 'video.mp4':\n  Duration: 00:01:02.50, start: 0.000000, bitrate: 123 kb/s"
+    expect(parseDuration(stderr)).toBe(62.5)
+  })
+
+  it('should return null when the duration is not reported', () => {
+    expect(parseDuration('Duration: N/A, bitrate: N/A')).toBeNull()
+  })
+})
+
+describe('generateFramesFromBuffer', () => {
+  let generateFramesFromBuffer
+  const firstFrame = Buffer.from([0xff, 0xd8, 0x01, 0xff, 0xd9])
+  const secondFrame = Buffer.from([0xff, 0xd8, 0x02, 0xff, 0xd9])
+
+  const mockFfmpegProcess = (output, exitCode) => {
+    const mockProcess = {
+      stdin: Object.assign(new PassThrough(), {
+        end: jest.fn(function () {
+          this.emit('finish')
+          mockProcess.stdout.push(output)
+          mockProcess.stdout.push(null)
+          mockProcess.stderr.push(null)
+          process.nextTick(() => {
+            mockProcess.emit('close', exitCode)
+          })
+        }),
+      }),
+      stdout: new Readable({ read() {} }),
+      stderr: new Readable({ read() {} }),
+      on: jest.fn((event, handler) => {
+        if (event === 'close') {
+          mockProcess._closeHandler = handler
+        }
+      }),
+      emit: jest.fn(function (event, ...args) {
+        if (event === 'close' && this._closeHandler) {
+          this._closeHandler(...args)
+        }
+      }),
+      kill: jest.fn(),
+      pid: 12345,
+      killed: false,
+    }
+    return mockProcess
+  }
+
+  beforeEach(async () => {
+    spawnMock.mockClear()
+    ;({ generateFramesFromBuffer } = await import('../src/ffmpeg-util.mjs'))
+  })
+
+  it('should return sampled frames with their timestamps', async () => {
+    spawnMock.mockImplementationOnce(() =>
+      mockFfmpegProcess(Buffer.concat([firstFrame, secondFrame]), 0)
+    )
+
+    const frames = await generateFramesFromBuffer(
+      Buffer.from('mock video data'),
+      '/usr/bin/ffmpeg',
+      { interval: 4, offset: 2, maxFrames: 2 }
+    )
+
+    expect(spawnMock).toHaveBeenCalledWith(
+      '/usr/bin/ffmpeg',
+      expect.arrayContaining([
+        '-i',
+        'pipe:0',
+        '-ss',
+        '2',
+        '-vf',
+        'fps=1/4',
+        '-frames:v',
+        '2',
+      ]),
+      expect.objectContaining({ stdio: ['pipe', 'pipe', 'pipe'] })
+    )
+    expect(frames).toEqual([
+      { index: 0, timestamp: 2, buffer: firstFrame },
+      { index: 1, timestamp: 6, buffer: secondFrame },
+    ])
+  })
+
+  it('should reject if FFmpeg produces no frame', async () => {
+    spawnMock.mockImplementationOnce(() =>
+      mockFfmpegProcess(Buffer.from('no jpeg here'), 0)
+    )
+
+    await expect(
+      generateFramesFromBuffer(Buffer.from('mock video data'), 'ffmpeg')
+    ).rejects.toThrow('FFmpeg exited successfully but produced no frames.')
+  })
+
+  it('should reject if FFmpeg exits with a non-zero code', async () => {
+    spawnMock.mockImplementationOnce(() =>
+      mockFfmpegProcess(Buffer.alloc(0), 1)
+    )
+
+    await expect(
+      generateFramesFromBuffer(Buffer.from('mock video data'), 'ffmpeg')
+    ).rejects.toThrow('FFmpeg process exited with code 1.')
+  })
+})
+
 // This function is not exported from ffmpeg-util.mjs, but we are testing it here
 // to ensure coverage of the logic, as requested.
 const _parseProgress = (data) => {
@@ -0,0 +1,124 @@
+import { aggregateFramePredictions } from '../src/frame-aggregation.mjs'
+
+describe('frame-aggregation', () => {
+  const framePredictions = [
+    {
+      index: 0,
+      timestamp: 1,
+      prediction: {
+        hentai: 0.1,
+        neutral: 0.8,
+        pornography: 0.05,
+        sexy: 0.05,
+        predictedLabel: 'neutral',
+      },
+    },
+    {
+      index: 1,
+      timestamp: 3,
+      prediction: {
+        hentai: 0.1,
+        neutral: 0.3,
+        pornography: 0.2,
+        sexy: 0.4,
+        predictedLabel: 'sexy',
+      },
+    },
+  ]
+
+  describe('aggregateFramePredictions', () => {
+    it('should keep per-frame scores', () => {
+      const result = aggregateFramePredictions(framePredictions)
+      expect(result.frames).toEqual([
+        {
+          index: 0,
+          timestamp: 1,
+          hentai: 0.1,
+          neutral: 0.8,
+          pornography: 0.05,
+          sexy: 0.05,
+          predictedLabel: 'neutral',
+        },
+        {
+          index: 1,
+          timestamp: 3,
+          hentai: 0.1,
+          neutral: 0.3,
+          pornography: 0.2,
+          sexy: 0.4,
+          predictedLabel: 'sexy',
+        },
+      ])
+    })
+
+    it('should keep the page of animated image frames', () => {
+      const result = aggregateFramePredictions(
+        framePredictions.map(({ index, prediction }) => ({
+          index,
+          page: index * 4,
+          prediction,
+        }))
+      )
+      expect(result.frames.map(({ index, page }) => [index, page])).toEqual([
+        [0, 0],
+        [1, 4],
+      ])
+      expect(result.frames[0]).not.toHaveProperty('timestamp')
+    })
+
+    it('should use the highest NSFW scores with the max strategy', () => {
+      const result = aggregateFramePredictions(framePredictions, {
+        strategy: 'max',
+        threshold: 0.5,
+      })
+      expect(result).toMatchObject({
+        hentai: 0.1,
+        neutral: 0.3,
+        pornography: 0.2,
+        sexy: 0.4,
+        predictedLabel: 'sexy',
+        aggregation: {
+          strategy: 'max',
+          threshold: 0.5,
+          isNsfw: true,
+          flaggedFrames: [1],
+        },
+      })
+    })
+
+    it('should average the scores with the mean strategy', () => {
+      const result = aggregateFramePredictions(framePredictions, {
+        strategy: 'mean',
+        threshold: 0.5,
+      })
+      expect(result.neutral).toBeCloseTo(0.55)
+      expect(result.sexy).toBeCloseTo(0.225)
+      expect(result.predictedLabel).toBe('neutral')
+      expect(result.aggregation.isNsfw).toBe(false)
+      expect(result.aggregation.flaggedFrames).toEqual([1])
+    })
+
+    it('should flag the content if any frame is over the threshold with the any strategy', () => {
+      const result = aggregateFramePredictions(framePredictions, {
+        strategy: 'any',
+        threshold: 0.6,
+      })
+      // Scores come from the most NSFW frame
+      expect(result.neutral).toBe(0.3)
+      expect(result.aggregation.isNsfw).toBe(true)
+      expect(result.aggregation.flaggedFrames).toEqual([1])
+    })
+
+    it('should throw an error for an unknown strategy', () => {
+      expect(() =>
+        aggregateFramePredictions(framePredictions, { strategy: 'median' })
+      ).toThrow('Unknown frame aggregation strategy: median')
+    })
+
+    it('should throw an error if there is no frame', () => {
+      expect(() => aggregateFramePredictions([])).toThrow(
+        'Cannot aggregate predictions without any frame'
+      )
+    })
+  })
+})
@@ -0,0 +1,341 @@
+import { jest } from '@jest/globals'
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import {
+  parseHashListEntries,
+  createHashLists,
+  lookupHashLists,
+  matchContentHash,
+  matchDeclaredHash,
+  listHashListsHandler,
+  addHashListEntriesHandler,
+  removeHashListEntryHandler,
+} from '../src/hash-list.mjs'
+
+const blockedSha256 = 'a'.repeat(64)
+const allowedSha256 = 'b'.repeat(64)
+const blockedPerceptualHash = 'ffff0000ffff0000'
+// One bit away from blockedPerceptualHash
+const closePerceptualHash = 'ffff0000ffff0001'
+const farPerceptualHash = '0000ffff0000ffff'
+
+describe('hash-list', () => {
+  let directory
+  let blocklistFile
+  let allowlistFile
+  let resultCache
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(os.tmpdir(), 'hash-lists-'))
+    blocklistFile = path.join(directory, 'blocklist.json')
+    allowlistFile = path.join(directory, 'lists', 'allowlist.json')
+    resultCache = new Map()
+  })
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true })
+  })
+
+  /**
+   * Creates hash lists with the blocklist file of the test.
+   * @param {object[]} blocklist - The blocklist entries written to its file.
+   * @returns {Promise<import('../src/hash-list.mjs').HashLists>} - The hash lists.
+   */
+  const createLists = async (blocklist) => {
+    await writeFile(blocklistFile, JSON.stringify(blocklist))
+    return createHashLists({
+      blocklistFile,
+      allowlistFile,
+      maxDistance: 4,
+      resultCache,
+    })
+  }
+
+  describe('parseHashListEntries', () => {
+    it('should type and normalize the hashes', () => {
+      expect(
+        parseHashListEntries('blocklist', [
+          { hash: ` ${blockedSha256.toUpperCase()} `, note: 'known' },
+          { hash: blockedPerceptualHash },
+        ])
+      ).toEqual([
+        { type: 'sha256', hash: blockedSha256, note: 'known' },
+        { type: 'perceptual', hash: blockedPerceptualHash },
+      ])
+    })
+
+    it('should throw an error for invalid hashes', () => {
+      expect(() =>
+        parseHashListEntries('allowlist', [{ hash: 'not-a-hash' }])
+      ).toThrow(
+        'Invalid allowlist entries: 0.hash: Hash must be a SHA256 (64 hexadecimal characters) or a perceptual hash (16 hexadecimal characters)'
+      )
+    })
+  })
+
+  describe('createHashLists', () => {
+    it('should match listed SHA256 and close perceptual hashes', async () => {
+      const hashLists = await createLists([
+        { hash: blockedSha256, note: 'known' },
+        { hash: blockedPerceptualHash },
+      ])
+
+      expect(hashLists.match(blockedSha256, farPerceptualHash)).toEqual({
+        source: 'blocklist',
+        type: 'sha256',
+        hash: blockedSha256,
+        note: 'known',
+      })
+      expect(hashLists.match(allowedSha256, closePerceptualHash)).toEqual({
+        source: 'blocklist',
+        type: 'perceptual',
+        hash: blockedPerceptualHash,
+        distance: 1,
+      })
+      expect(hashLists.match(allowedSha256, farPerceptualHash)).toBeNull()
+      expect(hashLists.entries().allowlist).toEqual([])
+    })
+
+    it('should prefer the blocklist for media on both lists', async () => {
+      const hashLists = await createLists([{ hash: blockedSha256 }])
+      await hashLists.add('allowlist', [
+        { type: 'sha256', hash: blockedSha256 },
+      ])
+
+      expect(hashLists.match(blockedSha256).source).toBe('blocklist')
+    })
+
+    it('should throw an error for an unparsable file', async () => {
+      await writeFile(blocklistFile, '[')
+
+      await expect(
+        createHashLists({ blocklistFile, allowlistFile, maxDistance: 4 })
+      ).rejects.toThrow('Failed to parse blocklist file')
+    })
+
+    it('should persist changes and invalidate the affected cached results', async () => {
+      const hashLists = await createLists([])
+      resultCache.set(`content-m1-${allowedSha256}`, { neutral: 0.1 })
+      resultCache.set(`content-m2-${allowedSha256}`, { neutral: 0.2 })
+      resultCache.set('content-m1-c', {
+        neutral: 0.3,
+        perceptualHash: closePerceptualHash,
+      })
+      resultCache.set('content-m1-d', {
+        neutral: 0.4,
+        perceptualHash: farPerceptualHash,
+      })
+
+      await expect(
+        hashLists.add('allowlist', [
+          { type: 'sha256', hash: allowedSha256, note: 'logo' },
+        ])
+      ).resolves.toEqual({ added: 1, invalidated: 2 })
+      await expect(
+        hashLists.add('blocklist', [
+          { type: 'perceptual', hash: blockedPerceptualHash },
+        ])
+      ).resolves.toEqual({ added: 1, invalidated: 1 })
+
+      expect([...resultCache.keys()]).toEqual(['content-m1-d'])
+      expect(JSON.parse(await readFile(allowlistFile, 'utf8'))).toEqual([
+        { hash: allowedSha256, note: 'logo' },
+      ])
+
+      const reloaded = await createHashLists({
+        blocklistFile,
+        allowlistFile,
+        maxDistance: 4,
+        resultCache,
+      })
+      expect(reloaded.match(allowedSha256).source).toBe('allowlist')
+    })
+
+    it('should remove entries and invalidate their cached verdicts', async () => {
+      const hashLists = await createLists([{ hash: blockedSha256 }])
+      resultCache.set(`content-m1-${blockedSha256}`, {
+        verdict: { source: 'blocklist' },
+      })
+
+      await expect(
+        hashLists.remove('blocklist', blockedSha256)
+      ).resolves.toEqual({ removed: true, invalidated: 1 })
+      await expect(
+        hashLists.remove('blocklist', blockedSha256)
+      ).resolves.toEqual({ removed: false, invalidated: 0 })
+
+      expect(resultCache.size).toBe(0)
+      expect(hashLists.match(blockedSha256)).toBeNull()
+      expect(JSON.parse(await readFile(blocklistFile, 'utf8'))).toEqual([])
+    })
+  })
+
+  describe('lookupHashLists', () => {
+    it('should return the perceptual hash and the verdict of an image', async () => {
+      const hashLists = await createLists([{ hash: blockedPerceptualHash }])
+      const imageProcessingInstance = {
+        computePerceptualHash: jest.fn().mockResolvedValue(closePerceptualHash),
+      }
+      const buffer = Buffer.from('image')
+
+      const listed = await lookupHashLists(buffer, allowedSha256, {
+        hashLists,
+        imageProcessingInstance,
+      })
+
+      expect(
+        imageProcessingInstance.computePerceptualHash
+      ).toHaveBeenCalledWith(buffer)
+      expect(listed).toEqual({
+        perceptualHash: closePerceptualHash,
+        verdict: expect.objectContaining({ source: 'blocklist', distance: 1 }),
+      })
+    })
+
+    it('should throw an error if the image cannot be decoded', async () => {
+      const hashLists = await createLists([])
+      const imageProcessingInstance = {
+        computePerceptualHash: jest
+          .fn()
+          .mockRejectedValue(new Error('Failed to compute perceptual hash')),
+      }
+
+      await expect(
+        lookupHashLists('/tmp/image', allowedSha256, {
+          hashLists,
+          imageProcessingInstance,
+        })
+      ).rejects.toThrow(
+        'Image processing failed: Failed to compute perceptual hash'
+      )
+    })
+  })
+
+  describe('matchContentHash', () => {
+    it('should match media by SHA256 only', async () => {
+      const hashLists = await createLists([
+        { hash: blockedSha256 },
+        { hash: blockedPerceptualHash },
+      ])
+
+      expect(matchContentHash(blockedSha256, { hashLists })).toEqual({
+        source: 'blocklist',
+        type: 'sha256',
+        hash: blockedSha256,
+      })
+      expect(matchContentHash(allowedSha256, { hashLists })).toBeNull()
+    })
+  })
+
+  describe('matchDeclaredHash', () => {
+    it('should only trust the blocklist for declared hashes', async () => {
+      const hashLists = await createLists([{ hash: blockedSha256 }])
+      await hashLists.add('allowlist', [
+        { type: 'sha256', hash: allowedSha256 },
+      ])
+
+      expect(matchDeclaredHash(blockedSha256, { hashLists })).toEqual({
+        source: 'blocklist',
+        type: 'sha256',
+        hash: blockedSha256,
+      })
+      expect(matchDeclaredHash(allowedSha256, { hashLists })).toBeNull()
+    })
+  })
+
+  describe('handlers', () => {
+    let res
+
+    beforeEach(() => {
+      res = { status: jest.fn().mockReturnThis(), json: jest.fn() }
+    })
+
+    it('should list the entries of every list', async () => {
+      const hashLists = await createLists([{ hash: blockedSha256 }])
+
+      listHashListsHandler({}, res, { hashLists })
+
+      expect(res.status).toHaveBeenCalledWith(200)
+      expect(res.json).toHaveBeenCalledWith({
+        data: {
+          blocklist: [{ type: 'sha256', hash: blockedSha256 }],
+          allowlist: [],
+        },
+      })
+    })
+
+    it('should add entries to a list', async () => {
+      const hashLists = await createLists([])
+
+      await addHashListEntriesHandler(
+        {
+          params: { list: 'allowlist' },
+          body: { entries: [{ hash: allowedSha256 }] },
+        },
+        res,
+        { hashLists }
+      )
+
+      expect(res.status).toHaveBeenCalledWith(200)
+      expect(res.json).toHaveBeenCalledWith({
+        data: { list: 'allowlist', added: 1, invalidated: 0 },
+      })
+    })
+
+    it('should return 400 for invalid entries and 404 for unknown lists', async () => {
+      const hashLists = await createLists([])
+
+      await addHashListEntriesHandler(
+        { params: { list: 'allowlist' }, body: {} },
+        res,
+        { hashLists }
+      )
+      expect(res.status).toHaveBeenLastCalledWith(400)
+
+      await addHashListEntriesHandler(
+        {
+          params: { list: 'greylist' },
+          body: { entries: [{ hash: allowedSha256 }] },
+        },
+        res,
+        { hashLists }
+      )
+      expect(res.status).toHaveBeenLastCalledWith(404)
+      expect(res.json).toHaveBeenLastCalledWith({
+        message: 'Unknown hash list: greylist',
+      })
+    })
+
+    it('should remove an entry or return 404 if it is not listed', async () => {
+      const hashLists = await createLists([{ hash: blockedSha256 }])
+      const req = {
+        params: { list: 'blocklist', hash: blockedSha256.toUpperCase() },
+      }
+
+      await removeHashListEntryHandler(req, res, { hashLists })
+      expect(res.status).toHaveBeenLastCalledWith(200)
+      expect(res.json).toHaveBeenLastCalledWith({
+        data: { list: 'blocklist', hash: blockedSha256, invalidated: 0 },
+      })
+
+      await removeHashListEntryHandler(req, res, { hashLists })
+      expect(res.status).toHaveBeenLastCalledWith(404)
+    })
+
+    it('should return 404 if the hash lists are disabled', async () => {
+      listHashListsHandler({}, res, { hashLists: null })
+      await removeHashListEntryHandler(
+        { params: { list: 'blocklist', hash: blockedSha256 } },
+        res,
+        { hashLists: null }
+      )
+
+      expect(res.status).toHaveBeenCalledTimes(2)
+      expect(res.status).toHaveBeenCalledWith(404)
+      expect(res.json).toHaveBeenLastCalledWith({
+        message: 'Hash lists are disabled',
+      })
+    })
+  })
+})
@@ -0,0 +1,216 @@
+import { jest } from '@jest/globals'
+import { tmpdir } from 'os'
+import {
+  createHealthMonitor,
+  livenessHandler,
+  readinessHandler,
+} from '../src/health.mjs'
+
+describe('health', () => {
+  let nsfwSpy
+  let imageProcessingInstance
+  let config
+
+  beforeEach(() => {
+    nsfwSpy = {
+      classifyImageFromByteArray: jest
+        .fn()
+        .mockResolvedValue({ neutral: 0.9, predictedLabel: 'neutral' }),
+    }
+    imageProcessingInstance = {
+      processImageData: jest.fn().mockResolvedValue(Buffer.from('processed')),
+    }
+    config = {
+      IMG_DOWNLOAD_PATH: tmpdir(),
+      FFMPEG_PATH: process.execPath, // Any executable file
+      WORKER_POOL_MIN_WORKERS: 2,
+    }
+    jest.spyOn(console, 'time').mockImplementation(() => {})
+    jest.spyOn(console, 'timeEnd').mockImplementation(() => {})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('createHealthMonitor', () => {
+    it('should not be ready before the warmup', async () => {
+      let resolveClassify
+      nsfwSpy.classifyImageFromByteArray.mockReturnValue(
+        new Promise((resolve) => (resolveClassify = resolve))
+      )
+      const healthMonitor = createHealthMonitor({
+        nsfwSpy,
+        imageProcessingInstance,
+        config,
+      })
+
+      const readiness = await healthMonitor.checkReadiness()
+
+      expect(readiness.ready).toBe(false)
+      expect(readiness.checks.model).toEqual({
+        ok: false,
+        error: 'Warmup has not run yet',
+      })
+      resolveClassify({})
+    })
+
+    it('should be ready once the warmup inference succeeded', async () => {
+      const healthMonitor = createHealthMonitor({
+        nsfwSpy,
+        imageProcessingInstance,
+        config,
+      })
+
+      await expect(healthMonitor.warmup()).resolves.toBe(true)
+      const readiness = await healthMonitor.checkReadiness()
+
+      // One warmup inference per minimum worker
+      expect(nsfwSpy.classifyImageFromByteArray).toHaveBeenCalledTimes(2)
+      expect(nsfwSpy.classifyImageFromByteArray).toHaveBeenCalledWith(
+        Buffer.from('processed')
+      )
+      expect(readiness).toEqual({
+        ready: true,
+        checks: {
+          shutdown: { ok: true },
+          model: { ok: true },
+          imageProcessing: { ok: true },
+          downloadPath: { ok: true },
+          ffmpeg: { ok: true },
+        },
+      })
+    })
+
+    it('should retry a failed warmup on the next readiness check', async () => {
+      const error = new Error('Workerpool Worker terminated Unexpectedly')
+      nsfwSpy.classifyImageFromByteArray
+        .mockRejectedValueOnce(error)
+        .mockRejectedValueOnce(error) // Background retry of the readiness check
+      const healthMonitor = createHealthMonitor({
+        nsfwSpy,
+        imageProcessingInstance,
+        config: { ...config, WORKER_POOL_MIN_WORKERS: 1 },
+      })
+
+      await expect(healthMonitor.warmup()).resolves.toBe(false)
+      const readiness = await healthMonitor.checkReadiness()
+      expect(readiness.checks.model).toEqual({
+        ok: false,
+        error: 'Warmup failed: Workerpool Worker terminated Unexpectedly',
+      })
+
+      await expect(healthMonitor.warmup()).resolves.toBe(true)
+      expect((await healthMonitor.checkReadiness()).ready).toBe(true)
+    })
+
+    it('should report unresponsive image processing workers', async () => {
+      const healthMonitor = createHealthMonitor({
+        nsfwSpy,
+        imageProcessingInstance,
+        config,
+        checkTimeout: 10,
+      })
+      await healthMonitor.warmup()
+      imageProcessingInstance.processImageData.mockReturnValue(
+        new Promise(() => {})
+      )
+
+      const readiness = await healthMonitor.checkReadiness()
+
+      expect(readiness.ready).toBe(false)
+      expect(readiness.checks.imageProcessing).toEqual({
+        ok: false,
+        error: 'Timed out after 10 ms',
+      })
+    })
+
+    it('should report an unwritable download path and a missing FFmpeg', async () => {
+      const healthMonitor = createHealthMonitor({
+        nsfwSpy,
+        imageProcessingInstance,
+        config: {
+          ...config,
+          IMG_DOWNLOAD_PATH: '/nonexistent/download/path/',
+          FFMPEG_PATH: '/nonexistent/ffmpeg',
+        },
+      })
+      await healthMonitor.warmup()
+
+      const readiness = await healthMonitor.checkReadiness()
+
+      expect(readiness.ready).toBe(false)
+      expect(readiness.checks.downloadPath).toEqual({
+        ok: false,
+        error: expect.stringContaining('ENOENT'),
+      })
+      expect(readiness.checks.ffmpeg).toEqual({
+        ok: false,
+        error: expect.stringContaining('ENOENT'),
+      })
+    })
+
+    it('should not be ready once shutting down', async () => {
+      const healthMonitor = createHealthMonitor({
+        nsfwSpy,
+        imageProcessingInstance,
+        config,
+      })
+      await healthMonitor.warmup()
+
+      healthMonitor.markShuttingDown()
+      const readiness = await healthMonitor.checkReadiness()
+
+      expect(readiness.ready).toBe(false)
+      expect(readiness.checks.shutdown).toEqual({
+        ok: false,
+        error: 'Service is shutting down',
+      })
+    })
+  })
+
+  describe('handlers', () => {
+    let res
+
+    beforeEach(() => {
+      res = { status: jest.fn().mockReturnThis(), json: jest.fn() }
+    })
+
+    it('should answer the liveness probe', () => {
+      livenessHandler({}, res)
+
+      expect(res.status).toHaveBeenCalledWith(200)
+      expect(res.json).toHaveBeenCalledWith({ data: { status: 'ok' } })
+    })
+
+    it('should answer 200 when ready', async () => {
+      const checks = { model: { ok: true } }
+      const healthMonitor = {
+        checkReadiness: jest.fn().mockResolvedValue({ ready: true, checks }),
+      }
+
+      await readinessHandler({}, res, { healthMonitor })
+
+      expect(res.status).toHaveBeenCalledWith(200)
+      expect(res.json).toHaveBeenCalledWith({
+        data: { status: 'ready', checks },
+      })
+    })
+
+    it('should answer 503 when not ready', async () => {
+      const checks = { model: { ok: false, error: 'Warmup has not run yet' } }
+      const healthMonitor = {
+        checkReadiness: jest.fn().mockResolvedValue({ ready: false, checks }),
+      }
+
+      await readinessHandler({}, res, { healthMonitor })
+
+      expect(res.status).toHaveBeenCalledWith(503)
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Service is not ready',
+        checks,
+      })
+    })
+  })
+})
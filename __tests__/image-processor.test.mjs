@@ -1,5 +1,34 @@
-import { processImageFile, processImageData } from '../src/image-processor.mjs'
-import { readFile, unlink } from 'fs/promises'
+import {
+  processImageFile,
+  processImageData,
+  pickFramePages,
+  extractAnimatedFrames,
+  censorImage,
+  convertImage,
+  setMaxInputPixels,
+  computePerceptualHash,
+} from '../src/image-processor.mjs'
+import { hammingDistance } from '../src/perceptual-hash.mjs'
+import { readFile, unlink, writeFile } from 'fs/promises'
+import sharp from 'sharp'
+
+/**
+ * Builds an animated GIF with one solid color frame per given color.
+ * @param {{r: number, g: number, b: number}[]} colors - The frame colors.
+ * @returns {Promise<Buffer>} - The animated GIF.
+ */
+const createAnimatedGif = async (colors) => {
+  const frames = await Promise.all(
+    colors.map((background) =>
+      sharp({ create: { width: 16, height: 16, channels: 3, background } })
+        .png()
+        .toBuffer()
+    )
+  )
+  return sharp(frames, { join: { animated: true } })
+    .gif({ delay: colors.map(() => 500) })
+    .toBuffer()
+}
 
 describe('image-processor', () => {
   describe('processImageFile', () => {
@@ -36,6 +65,17 @@ describe('image-processor', () => {
         .catch(() => false)
       expect(fileExists).toBe(true)
     })
+
+    it('should return the perceptual hash of the input image when requested', async () => {
+      const filePath = '__tests__/data/test.jpg'
+
+      const result = await processImageFile(filePath, outputPath, {
+        perceptualHash: true,
+      })
+
+      expect(result.width).toBe(224)
+      expect(result.perceptualHash).toBe(await computePerceptualHash(filePath))
+    })
     it('should throw an error if the input file is invalid', async () => {
       const invalidFilePath = '__tests__/data/not-an-image.txt'
       // This test assumes sharp will throw an error for a non-image file.
@@ -58,5 +98,228 @@ describe('image-processor', () => {
       const invalidBuffer = Buffer.from('this is not an image')
       await expect(processImageData(invalidBuffer)).rejects.toThrow()
     })
+
+    it('should return the perceptual hash of the input image when requested', async () => {
+      const buffer = await readFile('__tests__/data/test.jpg')
+
+      const result = await processImageData(buffer, { perceptualHash: true })
+
+      expect(result.buffer).toBeInstanceOf(Buffer)
+      expect(result.perceptualHash).toBe(await computePerceptualHash(buffer))
+    })
+  })
+
+  describe('computePerceptualHash', () => {
+    it('should return close hashes for a resized and recompressed copy', async () => {
+      const buffer = await readFile('__tests__/data/test.jpg')
+      const copy = await sharp(buffer)
+        .resize(120)
+        .webp({ quality: 40 })
+        .toBuffer()
+
+      const hash = await computePerceptualHash(buffer)
+
+      expect(hash).toMatch(/^[0-9a-f]{16}$/)
+      expect(
+        hammingDistance(hash, await computePerceptualHash(copy))
+      ).toBeLessThanOrEqual(4)
+    })
+
+    it('should return distant hashes for a different image', async () => {
+      const buffer = await readFile('__tests__/data/test.jpg')
+      const flipped = await sharp(buffer).flop().toBuffer()
+
+      expect(
+        hammingDistance(
+          await computePerceptualHash(buffer),
+          await computePerceptualHash(flipped)
+        )
+      ).toBeGreaterThan(10)
+    })
+
+    it('should throw an error if the input buffer is invalid', async () => {
+      await expect(
+        computePerceptualHash(Buffer.from('this is not an image'))
+      ).rejects.toThrow('Failed to compute perceptual hash')
+    })
+  })
+
+  describe('pickFramePages', () => {
+    it('should keep every page when there are fewer pages than frames', () => {
+      expect(pickFramePages(3, 5)).toEqual([0, 1, 2])
+    })
+
+    it('should spread the frames from the first to the last page', () => {
+      expect(pickFramePages(10, 4)).toEqual([0, 3, 6, 9])
+    })
+
+    it('should pick the first page when a single frame is requested', () => {
+      expect(pickFramePages(10, 1)).toEqual([0])
+    })
+  })
+
+  describe('extractAnimatedFrames', () => {
+    it('should extract evenly spread frames from an animated GIF', async () => {
+      const gif = await createAnimatedGif([
+        { r: 255, g: 0, b: 0 },
+        { r: 0, g: 255, b: 0 },
+        { r: 0, g: 0, b: 255 },
+      ])
+
+      const frames = await extractAnimatedFrames(gif, 2)
+
+      expect(
+        frames.map(({ index, page, timestamp }) => [index, page, timestamp])
+      ).toEqual([
+        [0, 0, 0],
+        [1, 2, 1],
+      ])
+      // The last frame is the blue one, not a copy of the first frame
+      const { data } = await sharp(frames[1].buffer)
+        .raw()
+        .toBuffer({ resolveWithObject: true })
+      expect(data[2]).toBeGreaterThan(200)
+      expect(data[0]).toBeLessThan(50)
+    })
+
+    it('should accept a file path', async () => {
+      const filePath = 'animated-test.gif'
+      await writeFile(
+        filePath,
+        await createAnimatedGif([
+          { r: 255, g: 0, b: 0 },
+          { r: 0, g: 0, b: 255 },
+        ])
+      )
+      try {
+        const frames = await extractAnimatedFrames(filePath, 5)
+        expect(frames).toHaveLength(2)
+      } finally {
+        await unlink(filePath)
+      }
+    })
+
+    it('should return no frame for a still image', async () => {
+      const buffer = await readFile('__tests__/data/test.jpg')
+      await expect(extractAnimatedFrames(buffer, 5)).resolves.toEqual([])
+    })
+
+    it('should throw an error if the input buffer is invalid', async () => {
+      const invalidBuffer = Buffer.from('this is not an image')
+      await expect(extractAnimatedFrames(invalidBuffer, 5)).rejects.toThrow(
+        'Failed to get image metadata'
+      )
+    })
+  })
+
+  describe('censorImage', () => {
+    it.each(['jpeg', 'webp', 'png'])(
+      'should blur an image to %s keeping its size',
+      async (format) => {
+        const buffer = await readFile('__tests__/data/test.jpg')
+        const original = await sharp(buffer).metadata()
+
+        const result = await censorImage(buffer, {
+          method: 'blur',
+          strength: 20,
+          format,
+        })
+
+        const metadata = await sharp(result).metadata()
+        expect(metadata.format).toBe(format)
+        expect(metadata.width).toBe(original.width)
+        expect(metadata.height).toBe(original.height)
+      }
+    )
+
+    it('should pixelate an image into uniform blocks', async () => {
+      // Left half black, right half white
+      const buffer = await sharp({
+        create: {
+          width: 40,
+          height: 40,
+          channels: 3,
+          background: { r: 0, g: 0, b: 0 },
+        },
+      })
+        .composite([
+          {
+            input: {
+              create: {
+                width: 20,
+                height: 40,
+                channels: 3,
+                background: { r: 255, g: 255, b: 255 },
+              },
+            },
+            left: 20,
+            top: 0,
+          },
+        ])
+        .png()
+        .toBuffer()
+
+      const result = await censorImage(buffer, {
+        method: 'pixelate',
+        strength: 10,
+        format: 'png',
+      })
+
+      const { data, info } = await sharp(result)
+        .raw()
+        .toBuffer({ resolveWithObject: true })
+      expect(info.width).toBe(40)
+      expect(info.height).toBe(40)
+      // Every pixel of the first 10x10 block has the same color
+      const pixel = (x, y) => data[(y * info.width + x) * info.channels]
+      for (let y = 0; y < 10; y++) {
+        for (let x = 0; x < 10; x++) {
+          expect(pixel(x, y)).toBe(pixel(0, 0))
+        }
+      }
+    })
+
+    it('should throw an error if the input buffer is invalid', async () => {
+      await expect(
+        censorImage(Buffer.from('this is not an image'), {
+          method: 'blur',
+          strength: 10,
+          format: 'jpeg',
+        })
+      ).rejects.toThrow('Failed to blur image')
+    })
+  })
+
+  describe('convertImage', () => {
+    it('should convert an image to another format', async () => {
+      const buffer = await readFile('__tests__/data/test.jpg')
+      const result = await convertImage(buffer, 'webp')
+      const metadata = await sharp(result).metadata()
+      expect(metadata.format).toBe('webp')
+    })
+
+    it('should throw an error if the input buffer is invalid', async () => {
+      await expect(
+        convertImage(Buffer.from('this is not an image'), 'png')
+      ).rejects.toThrow('Failed to convert image')
+    })
+  })
+  describe('setMaxInputPixels', () => {
+    afterEach(() => {
+      setMaxInputPixels(0x3fff * 0x3fff)
+    })
+
+    it('should reject images over the pixel limit', async () => {
+      const buffer = await readFile('__tests__/data/test.jpg')
+      setMaxInputPixels(100)
+
+      const err = await processImageData(buffer).catch((error) => error)
+
+      expect(err.message).toMatch(/exceeds pixel limit/)
+      expect(err.code).toBe('ERR_IMAGE_TOO_MANY_PIXELS')
+      await expect(extractAnimatedFrames(buffer, 3)).rejects.toMatchObject({
+        code: 'ERR_IMAGE_TOO_MANY_PIXELS',
+      })
+    })
   })
 })
@@ -1,4 +1,6 @@
 import { jest } from '@jest/globals'
+import { schnorr } from '@noble/curves/secp256k1.js'
+import { getPublicKey, signNostrEvent } from '../src/nostr-event.mjs'
 
 // Mock external dependencies first
 jest.unstable_mockModule('express', () => {
@@ -6,6 +8,8 @@ jest.unstable_mockModule('express', () => {
     use: jest.fn(),
     post: jest.fn(),
     get: jest.fn(),
+    delete: jest.fn(),
+    set: jest.fn(),
     listen: jest.fn((port, callback) => callback()), // Immediately call callback for listen
   }
   return { default: jest.fn(() => mockApp) }
@@ -15,9 +19,17 @@ jest.unstable_mockModule('body-parser', () => ({
   __esModule: true,
   default: {
     json: jest.fn(() => jest.fn()),
+    raw: jest.fn(() => jest.fn()),
   },
 }))
 
+jest.unstable_mockModule('multer', () => {
+  const multer = jest.fn(() => ({ single: jest.fn(() => jest.fn()) }))
+  multer.memoryStorage = jest.fn()
+  multer.diskStorage = jest.fn()
+  return { __esModule: true, default: multer }
+})
+
 jest.unstable_mockModule('express-bearer-token', () => ({
   __esModule: true,
   default: jest.fn(() => jest.fn()),
@@ -25,9 +37,22 @@ jest.unstable_mockModule('express-bearer-token', () => ({
 
 const mockPredictUrlHandler = jest.fn()
 const mockPredictDataHandler = jest.fn()
+const mockPredictBatchHandler = jest.fn()
+const mockPredictEventHandler = jest.fn()
+const mockCensorHandler = jest.fn()
+const mockCreateJobHandler = jest.fn()
+const mockGetJobHandler = jest.fn()
+const mockCancelJobHandler = jest.fn()
 jest.unstable_mockModule('../src/prediction-handler.mjs', () => ({
   predictUrlHandler: mockPredictUrlHandler,
   predictDataHandler: mockPredictDataHandler,
+  predictBatchHandler: mockPredictBatchHandler,
+  predictEventHandler: mockPredictEventHandler,
+  predictFileHandler: jest.fn(),
+  censorHandler: mockCensorHandler,
+  createJobHandler: mockCreateJobHandler,
+  getJobHandler: mockGetJobHandler,
+  cancelJobHandler: mockCancelJobHandler,
 }))
 
 const mockConfig = {
@@ -43,11 +68,16 @@ const mockConfig = {
   MAX_CACHE_ITEM_NUM: 100,
   CACHE_DURATION_IN_SECONDS: 3600,
   VIDEO_PROCESSING_CONCURRENCY: 5,
+  MAX_UPLOAD_SIZE_MB: 5,
+  BATCH_MAX_ITEMS: 10,
+  BATCH_PROCESSING_CONCURRENCY: 2,
+  ENABLE_METRICS: true,
 }
 jest.unstable_mockModule('../src/config.mjs', () => ({ config: mockConfig }))
 
+// Replaced by the API key tests before importing index.mjs again
+let mockApiKeys = null
 jest.unstable_mockModule('../src/resources.mjs', () => ({
-  nsfwDetectorWorkerPool: { terminate: jest.fn() },
   imageProcessingWorkerPool: { terminate: jest.fn() },
   nsfwSpy: {
     load: jest.fn(),
@@ -58,8 +88,20 @@ jest.unstable_mockModule('../src/resources.mjs', () => ({
     processImageFile: jest.fn(),
     processImageData: jest.fn(),
   },
-  resultCache: { get: jest.fn(), set: jest.fn() },
+  resultCache: { get: jest.fn(), set: jest.fn(), close: jest.fn() },
   mutexes: new Map(),
+  moderationPolicies: new Map(),
+  jobManager: { createJob: jest.fn(), getJob: jest.fn(), cancelJob: jest.fn() },
+  healthMonitor: {
+    warmup: jest.fn(),
+    checkReadiness: jest.fn(),
+    markShuttingDown: jest.fn(),
+  },
+  modelRegistry: { models: new Map(), defaultModel: 'mobilenet-v1.0.0' },
+  modelReloader: { reload: jest.fn(), terminate: jest.fn() },
+  nearDuplicateIndex: null,
+  hashLists: null,
+  apiKeys: mockApiKeys,
 }))
 
 jest.unstable_mockModule('async-mutex', () => ({
@@ -84,6 +126,17 @@ jest.unstable_mockModule('../src/util.mjs', () => ({
   deleteFile: jest.fn(),
 }))
 
+const mockNostrLabeler = { start: jest.fn(), stop: jest.fn() }
+const mockCreateNostrLabeler = jest.fn(() => mockNostrLabeler)
+jest.unstable_mockModule('../src/nostr-labeler.mjs', () => ({
+  createNostrLabeler: mockCreateNostrLabeler,
+}))
+const mockNostrDvm = { start: jest.fn(), stop: jest.fn() }
+const mockCreateNostrDvm = jest.fn(() => mockNostrDvm)
+jest.unstable_mockModule('../src/nostr-dvm.mjs', () => ({
+  createNostrDvm: mockCreateNostrDvm,
+}))
+
 // Mock AbortController globally for this test file
 let mockAbortControllerInstance
 const AbortControllerSpy = jest
@@ -202,4 +255,514 @@ describe('index.mjs', () => {
       'Client disconnected, aborting request.'
     )
   })
+
+  it('should set up /predict_batch route with abort controller', async () => {
+    const mockReq = {
+      body: { items: [{ url: 'http://example.com/image.jpg' }] },
+      on: jest.fn(),
+    }
+    const mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      writableEnded: false,
+    }
+
+    const predictBatchRouteHandler = app.post.mock.calls.find(
+      (call) => call[0] === '/predict_batch'
+    )?.[2]
+
+    expect(predictBatchRouteHandler).toBeDefined()
+
+    await predictBatchRouteHandler(mockReq, mockRes)
+
+    const abortedCallback = mockReq.on.mock.calls.find(
+      (call) => call[0] === 'aborted'
+    )?.[1]
+    expect(abortedCallback).toBeDefined()
+
+    expect(mockPredictBatchHandler).toHaveBeenCalledWith(
+      mockReq,
+      mockRes,
+      expect.objectContaining({ config: mockConfig }),
+      expect.anything() // The abort signal
+    )
+  })
+
+  it('should set up /predict_event route with abort controller', async () => {
+    const mockReq = {
+      body: { event: { kind: 1, content: 'http://example.com/image.jpg' } },
+      on: jest.fn(),
+    }
+    const mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      writableEnded: false,
+    }
+
+    const predictEventRouteHandler = app.post.mock.calls.find(
+      (call) => call[0] === '/predict_event'
+    )?.[2]
+
+    expect(predictEventRouteHandler).toBeDefined()
+
+    await predictEventRouteHandler(mockReq, mockRes)
+
+    const abortedCallback = mockReq.on.mock.calls.find(
+      (call) => call[0] === 'aborted'
+    )?.[1]
+    expect(abortedCallback).toBeDefined()
+
+    expect(mockPredictEventHandler).toHaveBeenCalledWith(
+      mockReq,
+      mockRes,
+      expect.objectContaining({ config: mockConfig, hashLists: null }),
+      expect.anything() // The abort signal
+    )
+  })
+
+  it('should start the Nostr labeler once listening only if it is enabled', async () => {
+    expect(mockCreateNostrLabeler).not.toHaveBeenCalled()
+
+    mockConfig.ENABLE_NOSTR_LABELER = true
+    jest.resetModules()
+    try {
+      await import('../src/index.mjs')
+    } finally {
+      mockConfig.ENABLE_NOSTR_LABELER = false
+    }
+
+    expect(mockCreateNostrLabeler).toHaveBeenCalledWith(
+      expect.objectContaining({ config: mockConfig, hashLists: null })
+    )
+    expect(mockNostrLabeler.start).toHaveBeenCalled()
+  })
+
+  it('should start the Nostr DVM once listening only if it is enabled', async () => {
+    expect(mockCreateNostrDvm).not.toHaveBeenCalled()
+
+    mockConfig.ENABLE_NOSTR_DVM = true
+    jest.resetModules()
+    try {
+      await import('../src/index.mjs')
+    } finally {
+      mockConfig.ENABLE_NOSTR_DVM = false
+    }
+
+    expect(mockCreateNostrDvm).toHaveBeenCalledWith(
+      expect.objectContaining({ config: mockConfig })
+    )
+    expect(mockNostrDvm.start).toHaveBeenCalled()
+  })
+
+  it('should set up /censor route with abort controller', async () => {
+    const mockReq = {
+      body: { url: 'http://example.com/image.jpg' },
+      on: jest.fn(),
+    }
+    const mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      writableEnded: false,
+    }
+
+    const censorRoute = app.post.mock.calls.find(
+      (call) => call[0] === '/censor'
+    )
+    expect(censorRoute).toBeDefined()
+
+    // JSON bodies skip the upload middleware
+    const censorInputMiddleware = censorRoute[1]
+    const next = jest.fn()
+    censorInputMiddleware({ is: jest.fn().mockReturnValue(false) }, {}, next)
+    expect(next).toHaveBeenCalled()
+
+    await censorRoute[2](mockReq, mockRes)
+
+    expect(mockReq.on).toHaveBeenCalledWith('aborted', expect.any(Function))
+    expect(mockCensorHandler).toHaveBeenCalledWith(
+      mockReq,
+      mockRes,
+      expect.objectContaining({ config: mockConfig }),
+      expect.anything() // The abort signal
+    )
+  })
+
+  it('should set up /jobs routes with the job manager', async () => {
+    const mockReq = { body: { url: 'http://example.com/video.mp4' } }
+    const mockRes = { status: jest.fn().mockReturnThis(), json: jest.fn() }
+    const findRoute = (method, path) =>
+      app[method].mock.calls.find((call) => call[0] === path)
+
+    await findRoute('post', '/jobs')[2](mockReq, mockRes)
+    expect(mockCreateJobHandler).toHaveBeenCalledWith(
+      mockReq,
+      mockRes,
+      expect.objectContaining({
+        config: mockConfig,
+        jobManager: expect.any(Object),
+      })
+    )
+
+    await findRoute('get', '/jobs/:id')[1](mockReq, mockRes)
+    expect(mockGetJobHandler).toHaveBeenCalledWith(mockReq, mockRes, {
+      jobManager: expect.any(Object),
+    })
+
+    await findRoute('delete', '/jobs/:id')[1](mockReq, mockRes)
+    expect(mockCancelJobHandler).toHaveBeenCalledWith(mockReq, mockRes, {
+      jobManager: expect.any(Object),
+    })
+  })
+
+  it('should set up the /metrics route and middleware', async () => {
+    const { metricsMiddleware, metricsHandler } =
+      await import('../src/metrics.mjs')
+
+    expect(app.use).toHaveBeenCalledWith(metricsMiddleware)
+    expect(app.get).toHaveBeenCalledWith('/metrics', metricsHandler)
+  })
+
+  it('should set up the health routes and start the warmup', async () => {
+    const { healthMonitor } = await import('../src/resources.mjs')
+    const { livenessHandler } = await import('../src/health.mjs')
+    const mockRes = { status: jest.fn().mockReturnThis(), json: jest.fn() }
+    healthMonitor.checkReadiness.mockResolvedValue({ ready: true, checks: {} })
+
+    expect(app.get).toHaveBeenCalledWith('/healthz', livenessHandler)
+    const readyzRoute = app.get.mock.calls.find((call) => call[0] === '/readyz')
+    await readyzRoute[1]({}, mockRes)
+
+    expect(mockRes.status).toHaveBeenCalledWith(200)
+    expect(healthMonitor.warmup).toHaveBeenCalled()
+  })
+
+  it('should set up the admin model reload route with its own token', async () => {
+    const { modelReloader } = await import('../src/resources.mjs')
+    const reloadRoute = app.post.mock.calls.find(
+      (call) => call[0] === '/admin/models/reload'
+    )
+    const [, adminAuthMiddleware, handler] = reloadRoute
+    const next = jest.fn()
+    const mockRes = { status: jest.fn().mockReturnThis(), json: jest.fn() }
+
+    adminAuthMiddleware({ token: 'admin-token' }, mockRes, next)
+    expect(mockRes.status).toHaveBeenCalledWith(403)
+
+    mockConfig.ADMIN_API_TOKEN = 'admin-token'
+    adminAuthMiddleware({ token: 'test-token' }, mockRes, next)
+    expect(mockRes.status).toHaveBeenCalledWith(401)
+    adminAuthMiddleware({ token: 'admin-token' }, mockRes, next)
+    expect(next).toHaveBeenCalledTimes(1)
+    delete mockConfig.ADMIN_API_TOKEN
+
+    modelReloader.reload.mockResolvedValue({ models: ['m'] })
+    await handler({}, mockRes)
+    expect(modelReloader.reload).toHaveBeenCalled()
+    expect(mockRes.status).toHaveBeenLastCalledWith(200)
+  })
+
+  it('should accept NIP-98 authorizations in place of the API token', async () => {
+    const secretKey = Buffer.from(schnorr.utils.randomSecretKey()).toString(
+      'hex'
+    )
+    Object.assign(mockConfig, {
+      ENABLE_NOSTR_AUTH: true,
+      NOSTR_AUTH_MAX_AGE_IN_SECONDS: 60,
+      NOSTR_AUTH_ALLOWED_PUBKEYS: '',
+      NOSTR_AUTH_BASE_URL: 'https://nsfw.example.org',
+    })
+    let nostrApp
+    jest.resetModules()
+    try {
+      ;({ app: nostrApp } = await import('../src/index.mjs'))
+    } finally {
+      mockConfig.ENABLE_NOSTR_AUTH = false
+    }
+    mockConfig.ENABLE_NOSTR_AUTH = true
+    const [authMiddleware] = nostrApp.use.mock.calls.findLast(
+      ([middleware]) => middleware.name === 'authMiddleware'
+    )
+    const event = signNostrEvent(
+      {
+        kind: 27235,
+        tags: [
+          ['u', 'https://nsfw.example.org/predict'],
+          ['method', 'POST'],
+        ],
+        content: '',
+      },
+      secretKey
+    )
+    const authorization = `Nostr ${Buffer.from(JSON.stringify(event)).toString('base64')}`
+    const next = jest.fn()
+    const mockRes = { status: jest.fn().mockReturnThis(), json: jest.fn() }
+
+    try {
+      const req = {
+        headers: { authorization },
+        method: 'POST',
+        originalUrl: '/predict',
+      }
+      authMiddleware(req, mockRes, next)
+      expect(next).toHaveBeenCalledTimes(1)
+      expect(req.nostrPubkey).toBe(getPublicKey(secretKey))
+
+      authMiddleware(
+        { headers: { authorization }, method: 'GET', originalUrl: '/predict' },
+        mockRes,
+        next
+      )
+      expect(mockRes.status).toHaveBeenLastCalledWith(401)
+      expect(mockRes.json).toHaveBeenLastCalledWith({
+        message: 'Nostr authorization method does not match the request',
+      })
+
+      authMiddleware({ headers: {} }, mockRes, next)
+      expect(mockRes.json).toHaveBeenLastCalledWith({
+        message: 'Missing Nostr authorization',
+      })
+
+      mockConfig.ENABLE_API_TOKEN = true
+      authMiddleware({ headers: {}, token: 'test-token' }, mockRes, next)
+      expect(next).toHaveBeenCalledTimes(2)
+    } finally {
+      mockConfig.ENABLE_API_TOKEN = false
+      mockConfig.ENABLE_NOSTR_AUTH = false
+    }
+  })
+
+  it('should authenticate named API keys within their scopes and limits', async () => {
+    mockApiKeys = {
+      authorize: jest.fn((key, scope) => {
+        if (key !== 'tenant-key') {
+          return null
+        }
+        if (scope === 'admin') {
+          throw Object.assign(new Error('API key is missing the admin scope'), {
+            statusCode: 403,
+          })
+        }
+        if (scope === 'predict_data') {
+          throw Object.assign(new Error('API key rate limit exceeded'), {
+            statusCode: 429,
+            retryAfter: 12,
+          })
+        }
+        return { name: 'tenant' }
+      }),
+    }
+    let keysApp
+    jest.resetModules()
+    try {
+      ;({ app: keysApp } = await import('../src/index.mjs'))
+    } finally {
+      mockApiKeys = null
+    }
+    const [authMiddleware] = keysApp.use.mock.calls.findLast(
+      ([middleware]) => middleware.name === 'authMiddleware'
+    )
+    const [, adminAuthMiddleware] = keysApp.get.mock.calls.findLast(
+      ([route]) => route === '/admin/api-keys'
+    )
+    const next = jest.fn()
+    const mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      set: jest.fn(),
+    }
+
+    const req = { path: '/predict', token: 'tenant-key' }
+    authMiddleware(req, mockRes, next)
+    expect(next).toHaveBeenCalledTimes(1)
+    expect(req.apiKey).toBe('tenant')
+
+    authMiddleware(
+      { path: '/predict_data', token: 'tenant-key' },
+      mockRes,
+      next
+    )
+    expect(mockRes.status).toHaveBeenLastCalledWith(429)
+    expect(mockRes.set).toHaveBeenCalledWith('Retry-After', '12')
+
+    authMiddleware({ path: '/predict', token: 'unknown' }, mockRes, next)
+    expect(mockRes.json).toHaveBeenLastCalledWith({
+      message: 'Invalid API key',
+    })
+    authMiddleware({ path: '/predict' }, mockRes, next)
+    expect(mockRes.json).toHaveBeenLastCalledWith({
+      message: 'Missing API key',
+    })
+
+    adminAuthMiddleware({ token: 'tenant-key' }, mockRes, next)
+    expect(mockRes.status).toHaveBeenLastCalledWith(403)
+    expect(next).toHaveBeenCalledTimes(1)
+  })
+
+  it('should require the scope of an endpoint whatever the case of its path', async () => {
+    const authorize = jest.fn((key, scope) => {
+      if (scope === 'predict_data') {
+        throw Object.assign(
+          new Error('API key is missing the predict_data scope'),
+          { statusCode: 403 }
+        )
+      }
+      return { name: 'tenant' }
+    })
+    mockApiKeys = { authorize }
+    let keysApp
+    jest.resetModules()
+    try {
+      ;({ app: keysApp } = await import('../src/index.mjs'))
+    } finally {
+      mockApiKeys = null
+    }
+    const [authMiddleware] = keysApp.use.mock.calls.findLast(
+      ([middleware]) => middleware.name === 'authMiddleware'
+    )
+    const next = jest.fn()
+    const mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      set: jest.fn(),
+    }
+
+    for (const path of ['/PREDICT_DATA', '/Predict_Data/', '/predict_FILE']) {
+      authMiddleware({ path, token: 'predict-key' }, mockRes, next)
+      expect(mockRes.status).toHaveBeenLastCalledWith(403)
+    }
+    expect(next).not.toHaveBeenCalled()
+    expect(authorize).toHaveBeenCalledWith('predict-key', 'predict_data')
+  })
+
+  it('should rate limit the prediction endpoints per client behind a trusted proxy', async () => {
+    Object.assign(mockConfig, {
+      TRUST_PROXY: '1',
+      ENABLE_RATE_LIMIT: true,
+      RATE_LIMIT_PREDICT_BURST: 1,
+      RATE_LIMIT_PREDICT_PER_MINUTE: 1,
+      RATE_LIMIT_PREDICT_DATA_BURST: 2,
+      RATE_LIMIT_PREDICT_DATA_PER_MINUTE: 1,
+      RATE_LIMIT_MAX_CLIENTS: 10,
+    })
+    let limitedApp
+    jest.resetModules()
+    try {
+      ;({ app: limitedApp } = await import('../src/index.mjs'))
+    } finally {
+      delete mockConfig.TRUST_PROXY
+      mockConfig.ENABLE_RATE_LIMIT = false
+    }
+    expect(limitedApp.set).toHaveBeenCalledWith('trust proxy', 1)
+
+    /**
+     * Gets the rate limit middleware of a route.
+     * @param {string} route - The route path.
+     * @returns {function} - The middleware.
+     */
+    const getRateLimit = (route) =>
+      limitedApp.post.mock.calls.findLast(([path]) => path === route)[2]
+    const predictRateLimit = getRateLimit('/predict')
+    const predictDataRateLimit = getRateLimit('/predict_data')
+
+    const next = jest.fn()
+    const mockRes = {
+      set: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    }
+    predictRateLimit({ ip: '10.0.0.1' }, mockRes, next)
+    predictRateLimit({ ip: '10.0.0.1' }, mockRes, next)
+    expect(next).toHaveBeenCalledTimes(1)
+    expect(mockRes.status).toHaveBeenCalledWith(429)
+    expect(mockRes.set).toHaveBeenCalledWith('Retry-After', '60')
+
+    // The limits are counted separately, and per API key
+    predictDataRateLimit({ ip: '10.0.0.1' }, mockRes, next)
+    predictRateLimit({ ip: '10.0.0.1', apiKey: 'tenant' }, mockRes, next)
+    expect(next).toHaveBeenCalledTimes(3)
+
+    // Uploads share the limit of /predict_data, the uploads of rejected requests are deleted
+    const { deleteFile, extractUrl, getUrlType } =
+      await import('../src/util.mjs')
+    deleteFile.mockResolvedValueOnce()
+    const fileUpload = {
+      ip: '10.0.0.1',
+      file: { path: '/tmp/nsfw/upload-id_upload' },
+    }
+    getRateLimit('/predict_file')(fileUpload, mockRes, next)
+    expect(next).toHaveBeenCalledTimes(4)
+    expect(deleteFile).not.toHaveBeenCalled()
+    getRateLimit('/predict_file')(fileUpload, mockRes, next)
+    expect(next).toHaveBeenCalledTimes(4)
+    expect(deleteFile).toHaveBeenCalledWith(fileUpload.file.path)
+
+    // Batches and events take a token of the /predict limit per item, from a full bucket
+    const batchRateLimit = getRateLimit('/predict_batch')
+    const eventRateLimit = getRateLimit('/predict_event')
+    const items = [{ url: 'http://example.com/a.jpg' }, { data: 'aGk=' }]
+    batchRateLimit({ ip: '10.0.0.2', body: { items } }, mockRes, next)
+    expect(next).toHaveBeenCalledTimes(5)
+    predictRateLimit({ ip: '10.0.0.2' }, mockRes, next)
+    expect(next).toHaveBeenCalledTimes(5)
+    expect(mockRes.set).toHaveBeenLastCalledWith('Retry-After', '120')
+    extractUrl.mockReturnValueOnce([
+      'http://example.com/a.jpg',
+      'http://example.com/b.jpg',
+    ])
+    getUrlType.mockReturnValue('image')
+    const event = signNostrEvent(
+      {
+        kind: 1,
+        tags: [],
+        content: 'http://example.com/a.jpg http://example.com/b.jpg',
+      },
+      Buffer.from(schnorr.utils.randomSecretKey()).toString('hex')
+    )
+    eventRateLimit({ ip: '10.0.0.3', body: { event } }, mockRes, next)
+    predictRateLimit({ ip: '10.0.0.3' }, mockRes, next)
+    expect(next).toHaveBeenCalledTimes(6)
+    expect(mockRes.set).toHaveBeenLastCalledWith('Retry-After', '120')
+
+    // Censored uploads and data jobs take the /predict_data limit, URLs the /predict limit
+    const censorRateLimit = getRateLimit('/censor')
+    const jobRateLimit = getRateLimit('/jobs')
+    const upload = { ip: '10.0.0.4', is: jest.fn(() => true) }
+    censorRateLimit(upload, mockRes, next)
+    jobRateLimit({ ip: '10.0.0.4', body: { data: 'aGk=' } }, mockRes, next)
+    censorRateLimit(upload, mockRes, next)
+    expect(next).toHaveBeenCalledTimes(8)
+    censorRateLimit({ ...upload, is: jest.fn(() => false) }, mockRes, next)
+    jobRateLimit(
+      { ip: '10.0.0.4', body: { url: 'http://example.com/a.jpg' } },
+      mockRes,
+      next
+    )
+    expect(next).toHaveBeenCalledTimes(9)
+  })
+
+  it('should set up the admin hash list routes behind the admin token', async () => {
+    const listRoute = app.get.mock.calls.find(
+      (call) => call[0] === '/admin/hash-lists'
+    )
+    const addRoute = app.post.mock.calls.find(
+      (call) => call[0] === '/admin/hash-lists/:list'
+    )
+    const removeRoute = app.delete.mock.calls.find(
+      (call) => call[0] === '/admin/hash-lists/:list/:hash'
+    )
+    const adminAuthMiddleware = app.post.mock.calls.find(
+      (call) => call[0] === '/admin/models/reload'
+    )[1]
+    const mockRes = { status: jest.fn().mockReturnThis(), json: jest.fn() }
+
+    for (const route of [listRoute, addRoute, removeRoute]) {
+      expect(route[1]).toBe(adminAuthMiddleware)
+    }
+    // Hash lists are disabled in the mocked resources
+    await addRoute[2]({ params: { list: 'blocklist' }, body: {} }, mockRes)
+    expect(mockRes.status).toHaveBeenCalledWith(404)
+    expect(mockRes.json).toHaveBeenCalledWith({
+      message: 'Hash lists are disabled',
+    })
+  })
 })
@@ -81,7 +81,10 @@ describe('Download Integration Tests', () => {
     // Use real file system operations
     const result = await downloadFile('http://example.com/test.jpg', destPath)
 
-    expect(result).toBe(true)
+    expect(result).toEqual({
+      finalUrl: 'http://example.com/test.jpg',
+      redirectChain: [],
+    })
 
     // Verify file was actually written
     expect(fs.existsSync(destPath)).toBe(true)
@@ -114,7 +117,10 @@ describe('Download Integration Tests', () => {
       extraHeaders
     )
 
-    expect(result).toBe(true)
+    expect(result).toEqual({
+      finalUrl: 'http://example.com/test.jpg',
+      redirectChain: [],
+    })
 
     // Verify file was actually written
     expect(fs.existsSync(destPath)).toBe(true)
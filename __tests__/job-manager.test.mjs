@@ -0,0 +1,239 @@
+import { jest } from '@jest/globals'
+
+const mockAxios = { post: jest.fn() }
+jest.unstable_mockModule('axios', () => ({
+  __esModule: true,
+  default: mockAxios,
+}))
+
+const { createJobManager, postJobCallback } =
+  await import('../src/job-manager.mjs')
+
+/**
+ * Lets queued jobs and their callbacks run.
+ * @returns {Promise<void>}
+ */
+const flushJobs = async () => {
+  for (let i = 0; i < 10; i++) {
+    await new Promise((resolve) => setImmediate(resolve))
+  }
+}
+
+describe('job-manager', () => {
+  let sendCallback
+  let jobManager
+
+  beforeEach(() => {
+    sendCallback = jest.fn().mockResolvedValue(200)
+    jobManager = createJobManager({
+      maxJobs: 10,
+      ttlInSeconds: 60,
+      concurrency: 1,
+      callbackTimeout: 1000,
+      callbackHeaders: { 'User-Agent': 'TestAgent/1.0' },
+      sendCallback,
+    })
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('should return a queued job immediately and complete it', async () => {
+    const result = { neutral: 0.9, predictedLabel: 'neutral' }
+    const job = jobManager.createJob(
+      { type: 'url', url: 'http://example.com/video.mp4' },
+      jest.fn().mockResolvedValue(result)
+    )
+
+    expect(job).toEqual({
+      id: expect.any(String),
+      status: 'queued',
+      input: { type: 'url', url: 'http://example.com/video.mp4' },
+      createdAt: expect.any(String),
+    })
+
+    await flushJobs()
+
+    expect(jobManager.getJob(job.id)).toEqual(
+      expect.objectContaining({
+        status: 'completed',
+        startedAt: expect.any(String),
+        finishedAt: expect.any(String),
+        result,
+      })
+    )
+  })
+
+  it('should record the error of a failed job', async () => {
+    const job = jobManager.createJob(
+      { type: 'data' },
+      jest.fn().mockRejectedValue(new Error('Classification failed'))
+    )
+
+    await flushJobs()
+
+    expect(jobManager.getJob(job.id)).toEqual(
+      expect.objectContaining({
+        status: 'failed',
+        error: 'Classification failed',
+      })
+    )
+  })
+
+  it('should record the code of a job failed on a too large image', async () => {
+    const pixelError = new Error('Input image exceeds pixel limit')
+    pixelError.code = 'ERR_IMAGE_TOO_MANY_PIXELS'
+    const job = jobManager.createJob(
+      { type: 'url' },
+      jest
+        .fn()
+        .mockRejectedValue(
+          new Error('Image processing failed', { cause: pixelError })
+        )
+    )
+
+    await flushJobs()
+
+    expect(jobManager.getJob(job.id)).toEqual(
+      expect.objectContaining({
+        status: 'failed',
+        error: 'Image processing failed',
+        errorCode: 'ERR_IMAGE_TOO_MANY_PIXELS',
+      })
+    )
+  })
+
+  it('should post the finished job to its callback URL', async () => {
+    const job = jobManager.createJob(
+      { type: 'data' },
+      jest.fn().mockResolvedValue({ neutral: 0.9 }),
+      { callbackUrl: 'http://example.com/callback' }
+    )
+    expect(job.callback).toEqual({
+      url: 'http://example.com/callback',
+      status: 'pending',
+    })
+
+    await flushJobs()
+
+    expect(sendCallback).toHaveBeenCalledWith(
+      'http://example.com/callback',
+      expect.objectContaining({ id: job.id, status: 'completed' }),
+      { timeout: 1000, headers: { 'User-Agent': 'TestAgent/1.0' } }
+    )
+    expect(jobManager.getJob(job.id).callback).toEqual({
+      url: 'http://example.com/callback',
+      status: 'delivered',
+      statusCode: 200,
+    })
+  })
+
+  it('should record failed callback deliveries', async () => {
+    const error = new Error('Request failed with status code 500')
+    error.response = { status: 500 }
+    sendCallback.mockRejectedValueOnce(error)
+
+    const job = jobManager.createJob(
+      { type: 'data' },
+      jest.fn().mockResolvedValue({ neutral: 0.9 }),
+      { callbackUrl: 'http://example.com/callback' }
+    )
+    await flushJobs()
+
+    expect(jobManager.getJob(job.id)).toEqual(
+      expect.objectContaining({
+        status: 'completed',
+        callback: {
+          url: 'http://example.com/callback',
+          status: 'failed',
+          statusCode: 500,
+          error: 'Request failed with status code 500',
+        },
+      })
+    )
+  })
+
+  it('should abort a running job on cancel', async () => {
+    let taskSignal
+    const task = jest.fn(
+      (signal) =>
+        new Promise((resolve, reject) => {
+          taskSignal = signal
+          signal.addEventListener('abort', () =>
+            reject(new Error('Download failed: canceled'))
+          )
+        })
+    )
+    const job = jobManager.createJob({ type: 'data' }, task, {
+      callbackUrl: 'http://example.com/callback',
+    })
+    await flushJobs()
+    expect(jobManager.getJob(job.id).status).toBe('running')
+
+    const cancelledJob = jobManager.cancelJob(job.id)
+    await flushJobs()
+
+    expect(taskSignal.aborted).toBe(true)
+    expect(cancelledJob.status).toBe('cancelled')
+    expect(jobManager.getJob(job.id)).toEqual(
+      expect.objectContaining({ status: 'cancelled' })
+    )
+    expect(jobManager.getJob(job.id)).not.toHaveProperty('error')
+    expect(sendCallback).not.toHaveBeenCalled()
+  })
+
+  it('should not run a job cancelled while queued', async () => {
+    const firstTask = jest.fn(() => new Promise(() => {})) // Keeps the only slot busy
+    const secondTask = jest.fn()
+    jobManager.createJob({ type: 'data' }, firstTask)
+    const queuedJob = jobManager.createJob({ type: 'data' }, secondTask)
+    await flushJobs()
+
+    jobManager.cancelJob(queuedJob.id)
+    await flushJobs()
+
+    expect(jobManager.getJob(queuedJob.id).status).toBe('cancelled')
+    expect(secondTask).not.toHaveBeenCalled()
+  })
+
+  it('should leave finished jobs unchanged on cancel', async () => {
+    const job = jobManager.createJob(
+      { type: 'data' },
+      jest.fn().mockResolvedValue({ neutral: 0.9 })
+    )
+    await flushJobs()
+
+    expect(jobManager.cancelJob(job.id).status).toBe('completed')
+  })
+
+  it('should return undefined for unknown jobs', () => {
+    expect(jobManager.getJob('unknown')).toBeUndefined()
+    expect(jobManager.cancelJob('unknown')).toBeUndefined()
+  })
+
+  describe('postJobCallback', () => {
+    it('should post the job without following redirects', async () => {
+      mockAxios.post.mockResolvedValueOnce({ status: 204 })
+      const job = { id: 'job-id', status: 'completed' }
+
+      const statusCode = await postJobCallback(
+        'http://example.com/callback',
+        job,
+        { timeout: 1000, headers: { 'User-Agent': 'TestAgent/1.0' } }
+      )
+
+      expect(statusCode).toBe(204)
+      expect(mockAxios.post).toHaveBeenCalledWith(
+        'http://example.com/callback',
+        { data: job },
+        {
+          timeout: 1000,
+          headers: { 'User-Agent': 'TestAgent/1.0' },
+          maxRedirects: 0,
+        }
+      )
+    })
+  })
+})
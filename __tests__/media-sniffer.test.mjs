@@ -0,0 +1,137 @@
+import { readFile } from 'fs/promises'
+import sharp from 'sharp'
+import {
+  SNIFF_BYTE_COUNT,
+  sniffMediaFormat,
+  detectMediaType,
+} from '../src/media-sniffer.mjs'
+
+/**
+ * Builds an ISO-BMFF `ftyp` box.
+ * @param {string} majorBrand - The major brand.
+ * @param {string[]} [compatibleBrands=[]] - The compatible brands.
+ * @returns {Buffer} - The box.
+ */
+const createFtypBox = (majorBrand, compatibleBrands = []) => {
+  const size = Buffer.alloc(4)
+  size.writeUInt32BE(16 + compatibleBrands.length * 4)
+  return Buffer.concat([
+    size,
+    Buffer.from('ftyp' + majorBrand),
+    Buffer.alloc(4), // Minor version
+    Buffer.from(compatibleBrands.join('')),
+  ])
+}
+
+/**
+ * Builds a Matroska EBML header with a DocType element.
+ * @param {string} docType - The DocType (webm or matroska).
+ * @returns {Buffer} - The header.
+ */
+const createEbmlHeader = (docType) =>
+  Buffer.concat([
+    Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x9f]),
+    Buffer.from([0x42, 0x86, 0x81, 0x01]), // EBMLVersion
+    Buffer.from([0x42, 0x82, 0x80 | docType.length]),
+    Buffer.from(docType),
+  ])
+
+/**
+ * Encodes a small image with sharp.
+ * @param {string} format - The output format.
+ * @returns {Promise<Buffer>} - The first bytes of the image.
+ */
+const createImage = async (format) => {
+  const image = await sharp({
+    create: {
+      width: 8,
+      height: 8,
+      channels: 3,
+      background: { r: 255, g: 0, b: 0 },
+    },
+  })
+    .toFormat(format)
+    .toBuffer()
+  return image.subarray(0, SNIFF_BYTE_COUNT)
+}
+
+describe('media-sniffer', () => {
+  describe('sniffMediaFormat', () => {
+    it('should recognize JPEG images', async () => {
+      const bytes = (await readFile('__tests__/data/test.jpg')).subarray(
+        0,
+        SNIFF_BYTE_COUNT
+      )
+      expect(sniffMediaFormat(bytes)).toEqual({ type: 'image', format: 'jpeg' })
+    })
+
+    it.each(['png', 'gif', 'webp', 'avif'])(
+      'should recognize %s images',
+      async (format) => {
+        expect(sniffMediaFormat(await createImage(format))).toEqual({
+          type: 'image',
+          format,
+        })
+      }
+    )
+
+    it('should recognize AVIF images from their compatible brands', () => {
+      expect(sniffMediaFormat(createFtypBox('mif1', ['mif1', 'avif']))).toEqual(
+        { type: 'image', format: 'avif' }
+      )
+    })
+
+    it('should recognize MP4 and QuickTime videos', () => {
+      expect(sniffMediaFormat(createFtypBox('isom', ['isom', 'mp41']))).toEqual(
+        { type: 'video', format: 'mp4' }
+      )
+      expect(sniffMediaFormat(createFtypBox('qt  ', ['qt  ']))).toEqual({
+        type: 'video',
+        format: 'quicktime',
+      })
+      expect(
+        sniffMediaFormat(Buffer.from('\x00\x00\x00\x08widemdat', 'latin1'))
+      ).toEqual({ type: 'video', format: 'quicktime' })
+    })
+
+    it('should recognize WebM and Matroska videos', () => {
+      expect(sniffMediaFormat(createEbmlHeader('webm'))).toEqual({
+        type: 'video',
+        format: 'webm',
+      })
+      expect(sniffMediaFormat(createEbmlHeader('matroska'))).toEqual({
+        type: 'video',
+        format: 'matroska',
+      })
+    })
+
+    it('should return null for unknown or missing content', () => {
+      expect(sniffMediaFormat(Buffer.from('<!DOCTYPE html>'))).toBeNull()
+      expect(sniffMediaFormat(Buffer.alloc(0))).toBeNull()
+      expect(sniffMediaFormat(undefined)).toBeNull()
+    })
+  })
+
+  describe('detectMediaType', () => {
+    it('should prefer the content over the Content-Type header', () => {
+      expect(
+        detectMediaType(createFtypBox('isom'), 'application/octet-stream')
+      ).toBe('video')
+      expect(detectMediaType(createEbmlHeader('webm'), 'image/jpeg')).toBe(
+        'video'
+      )
+    })
+
+    it('should use the Content-Type header for unknown content', () => {
+      expect(
+        detectMediaType(Buffer.from('unknown'), 'image/bmp; charset=binary')
+      ).toBe('image')
+      expect(detectMediaType(undefined, 'Video/x-msvideo')).toBe('video')
+    })
+
+    it('should return null when neither is recognized', () => {
+      expect(detectMediaType(Buffer.from('unknown'), 'text/html')).toBeNull()
+      expect(detectMediaType(Buffer.alloc(0), undefined)).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,172 @@
+import { jest } from '@jest/globals'
+import { EventEmitter } from 'node:events'
+import {
+  registry,
+  registerWorkerPoolMetrics,
+  withCacheMetrics,
+  recordPrediction,
+  metricsMiddleware,
+  metricsHandler,
+} from '../src/metrics.mjs'
+
+/**
+ * Returns the value of a metric for the given labels.
+ * @param {string} name - The metric name.
+ * @param {object} labels - The labels of the value.
+ * @returns {Promise<number|undefined>} - The metric value.
+ */
+const getMetricValue = async (name, labels) => {
+  const metric = await registry.getSingleMetric(name).get()
+  const value = metric.values.find((entry) =>
+    Object.entries(labels).every(
+      ([label, labelValue]) => entry.labels[label] === labelValue
+    )
+  )
+  return value?.value
+}
+
+describe('metrics', () => {
+  beforeEach(() => {
+    registry.resetMetrics()
+  })
+
+  describe('withCacheMetrics', () => {
+    it('should count cache hits and misses by key type', async () => {
+      const resultCache = {
+        get: jest.fn((key) => (key === 'url-a' ? { neutral: 0.9 } : undefined)),
+        set: jest.fn(),
+        close: jest.fn(),
+      }
+      const cache = withCacheMetrics(resultCache)
+
+      expect(cache.get('url-a')).toEqual({ neutral: 0.9 })
+      expect(cache.get('url-b')).toBeUndefined()
+      expect(cache.get('data-c')).toBeUndefined()
+      cache.set('data-c', { neutral: 0.1 })
+
+      expect(resultCache.set).toHaveBeenCalledWith('data-c', { neutral: 0.1 })
+      expect(
+        await getMetricValue('nsfw_detector_cache_requests_total', {
+          type: 'url',
+          result: 'hit',
+        })
+      ).toBe(1)
+      expect(
+        await getMetricValue('nsfw_detector_cache_requests_total', {
+          type: 'url',
+          result: 'miss',
+        })
+      ).toBe(1)
+      expect(
+        await getMetricValue('nsfw_detector_cache_requests_total', {
+          type: 'data',
+          result: 'miss',
+        })
+      ).toBe(1)
+    })
+  })
+
+  describe('recordPrediction', () => {
+    it('should count predictions by predicted label', async () => {
+      recordPrediction({ predictedLabel: 'neutral' })
+      recordPrediction({ predictedLabel: 'neutral' })
+      recordPrediction({ predictedLabel: 'pornography' })
+
+      expect(
+        await getMetricValue('nsfw_detector_predictions_total', {
+          label: 'neutral',
+        })
+      ).toBe(2)
+      expect(
+        await getMetricValue('nsfw_detector_predictions_total', {
+          label: 'pornography',
+        })
+      ).toBe(1)
+    })
+  })
+
+  describe('registerWorkerPoolMetrics', () => {
+    it('should report the worker pool stats on scrape', async () => {
+      registerWorkerPoolMetrics('image_processing', {
+        stats: () => ({ totalWorkers: 4, busyWorkers: 3, pendingTasks: 7 }),
+      })
+
+      expect(
+        await getMetricValue('nsfw_detector_worker_pool_pending_tasks', {
+          pool: 'image_processing',
+        })
+      ).toBe(7)
+      expect(
+        await getMetricValue('nsfw_detector_worker_pool_busy_workers', {
+          pool: 'image_processing',
+        })
+      ).toBe(3)
+      expect(
+        await getMetricValue('nsfw_detector_worker_pool_workers', {
+          pool: 'image_processing',
+        })
+      ).toBe(4)
+    })
+  })
+
+  describe('metricsMiddleware', () => {
+    it('should count finished requests by route pattern', async () => {
+      const req = {
+        method: 'GET',
+        baseUrl: '',
+        route: { path: '/jobs/:id' },
+      }
+      const res = Object.assign(new EventEmitter(), { statusCode: 404 })
+      const next = jest.fn()
+
+      metricsMiddleware(req, res, next)
+      expect(next).toHaveBeenCalled()
+      res.emit('finish')
+
+      expect(
+        await getMetricValue('http_requests_total', {
+          method: 'GET',
+          route: '/jobs/:id',
+          status_code: 404,
+        })
+      ).toBe(1)
+    })
+
+    it('should label requests without a matched route as unmatched', async () => {
+      const req = { method: 'POST' }
+      const res = Object.assign(new EventEmitter(), { statusCode: 401 })
+
+      metricsMiddleware(req, res, jest.fn())
+      res.emit('finish')
+
+      expect(
+        await getMetricValue('http_requests_total', {
+          method: 'POST',
+          route: 'unmatched',
+          status_code: 401,
+        })
+      ).toBe(1)
+    })
+  })
+
+  describe('metricsHandler', () => {
+    it('should return the metrics in Prometheus text format', async () => {
+      recordPrediction({ predictedLabel: 'sexy' })
+      const res = {
+        set: jest.fn(),
+        status: jest.fn().mockReturnThis(),
+        send: jest.fn(),
+      }
+
+      await metricsHandler({}, res)
+
+      expect(res.set).toHaveBeenCalledWith('Content-Type', registry.contentType)
+      expect(res.status).toHaveBeenCalledWith(200)
+      expect(res.send).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'nsfw_detector_predictions_total{label="sexy"} 1'
+        )
+      )
+    })
+  })
+})
@@ -0,0 +1,196 @@
+import { jest } from '@jest/globals'
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import {
+  parseModelManifest,
+  loadModelRegistry,
+  bindModel,
+  listModelsHandler,
+} from '../src/model-registry.mjs'
+
+const manifest = {
+  description: 'Test model',
+  inputSize: 299,
+  inputNode: 'input',
+  outputNode: 'output',
+  labels: ['safe', 'unsafe'],
+}
+
+/**
+ * Writes the manifest of a model in a models directory.
+ * @param {string} modelsPath - The models directory.
+ * @param {string} id - The model id.
+ * @param {object|string} content - The manifest, written as is if it is a string.
+ * @returns {Promise<void>}
+ */
+const writeManifest = async (modelsPath, id, content) => {
+  await mkdir(path.join(modelsPath, id), { recursive: true })
+  await writeFile(
+    path.join(modelsPath, id, 'manifest.json'),
+    typeof content === 'string' ? content : JSON.stringify(content)
+  )
+}
+
+describe('model-registry', () => {
+  describe('parseModelManifest', () => {
+    it('should apply the defaults and resolve the model path', () => {
+      expect(parseModelManifest('test', manifest, '/models/test')).toEqual({
+        id: 'test',
+        description: 'Test model',
+        inputSize: 299,
+        inputNode: 'input',
+        outputNode: 'output',
+        labels: ['safe', 'unsafe'],
+        normalization: { mean: 0, std: 255 },
+        modelPath: 'file:///models/test/model.json',
+      })
+    })
+
+    it('should throw an error for an invalid manifest', () => {
+      expect(() =>
+        parseModelManifest('test', { ...manifest, labels: [] }, '/models/test')
+      ).toThrow(
+        'Invalid manifest of model test: labels: Labels cannot be empty'
+      )
+    })
+  })
+
+  describe('loadModelRegistry', () => {
+    let modelsPath
+
+    beforeEach(async () => {
+      modelsPath = await mkdtemp(path.join(os.tmpdir(), 'models-'))
+    })
+
+    afterEach(async () => {
+      await rm(modelsPath, { recursive: true, force: true })
+    })
+
+    it('should load the models with a manifest', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {})
+      await writeManifest(modelsPath, 'first', manifest)
+      await writeManifest(modelsPath, 'second', {
+        ...manifest,
+        modelFile: 'graph/model.json',
+        normalization: { mean: 127.5, std: 127.5 },
+      })
+      await mkdir(path.join(modelsPath, 'empty'))
+
+      const registry = await loadModelRegistry({
+        MODELS_PATH: modelsPath,
+        DEFAULT_MODEL: 'second',
+      })
+
+      expect(registry.defaultModel).toBe('second')
+      expect([...registry.models.keys()].sort()).toEqual(['first', 'second'])
+      expect(registry.models.get('second')).toMatchObject({
+        modelPath: 'file://' + path.join(modelsPath, 'second/graph/model.json'),
+        normalization: { mean: 127.5, std: 127.5 },
+      })
+      expect(warnSpy).toHaveBeenCalledWith(
+        'Skipping model empty: manifest.json not found'
+      )
+      warnSpy.mockRestore()
+    })
+
+    it('should throw an error for an unparsable manifest', async () => {
+      await writeManifest(modelsPath, 'broken', '{')
+
+      await expect(
+        loadModelRegistry({ MODELS_PATH: modelsPath, DEFAULT_MODEL: 'broken' })
+      ).rejects.toThrow('Failed to parse manifest of model broken')
+    })
+
+    it('should throw an error if the default model is not defined', async () => {
+      await writeManifest(modelsPath, 'first', manifest)
+
+      await expect(
+        loadModelRegistry({ MODELS_PATH: modelsPath, DEFAULT_MODEL: 'missing' })
+      ).rejects.toThrow('Default model is not defined: missing')
+    })
+
+    it('should throw an error if the models directory cannot be read', async () => {
+      await expect(
+        loadModelRegistry({
+          MODELS_PATH: path.join(modelsPath, 'missing'),
+          DEFAULT_MODEL: 'first',
+        })
+      ).rejects.toThrow('Failed to read models directory')
+    })
+
+    it('should load the bundled models', async () => {
+      const registry = await loadModelRegistry({
+        MODELS_PATH: 'models',
+        DEFAULT_MODEL: 'mobilenet-v1.0.0',
+      })
+
+      expect(registry.models.get('mobilenet-v1.0.0')).toMatchObject({
+        inputSize: 224,
+        labels: ['hentai', 'neutral', 'pornography', 'sexy'],
+      })
+    })
+  })
+
+  describe('bindModel', () => {
+    it('should classify with the bound model', async () => {
+      const nsfwSpy = {
+        classifyImageFile: jest.fn().mockResolvedValue('file'),
+        classifyImageFromByteArray: jest.fn().mockResolvedValue('buffer'),
+      }
+      const buffer = Buffer.from('image')
+
+      const boundNsfwSpy = bindModel(nsfwSpy, 'custom')
+
+      await expect(boundNsfwSpy.classifyImageFile('/tmp/image')).resolves.toBe(
+        'file'
+      )
+      await expect(
+        boundNsfwSpy.classifyImageFromByteArray(buffer)
+      ).resolves.toBe('buffer')
+      expect(nsfwSpy.classifyImageFile).toHaveBeenCalledWith(
+        '/tmp/image',
+        'custom'
+      )
+      expect(nsfwSpy.classifyImageFromByteArray).toHaveBeenCalledWith(
+        buffer,
+        'custom'
+      )
+    })
+  })
+
+  describe('listModelsHandler', () => {
+    it('should list the available models', () => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() }
+      const modelRegistry = {
+        models: new Map([
+          ['first', parseModelManifest('first', manifest, '/models/first')],
+          ['second', parseModelManifest('second', manifest, '/models/second')],
+        ]),
+        defaultModel: 'second',
+      }
+
+      listModelsHandler({}, res, { modelRegistry })
+
+      expect(res.status).toHaveBeenCalledWith(200)
+      expect(res.json).toHaveBeenCalledWith({
+        data: [
+          {
+            id: 'first',
+            description: 'Test model',
+            inputSize: 299,
+            labels: ['safe', 'unsafe'],
+            default: false,
+          },
+          {
+            id: 'second',
+            description: 'Test model',
+            inputSize: 299,
+            labels: ['safe', 'unsafe'],
+            default: true,
+          },
+        ],
+      })
+    })
+  })
+})
@@ -0,0 +1,327 @@
+import { jest } from '@jest/globals'
+
+const mockLoadModelRegistry = jest.fn()
+jest.unstable_mockModule('../src/model-registry.mjs', () => ({
+  loadModelRegistry: mockLoadModelRegistry,
+}))
+
+const { createModelReloader, reloadModelsHandler } =
+  await import('../src/model-reloader.mjs')
+
+const scores = { hentai: 0.1, neutral: 0.7, pornography: 0.1, sexy: 0.1 }
+const labels = ['hentai', 'neutral', 'pornography', 'sexy']
+
+/**
+ * Creates a model registry with the given model ids, the first one being the default.
+ * @param {...string} ids - The model ids.
+ * @returns {import('../src/model-registry.mjs').ModelRegistry} - The registry.
+ */
+const createRegistry = (...ids) => ({
+  models: new Map(ids.map((id) => [id, { id, labels }])),
+  defaultModel: ids[0],
+})
+
+/**
+ * Creates a fake worker pool.
+ * @param {...{pendingTasks: number, activeTasks: number}} stats - The successive stats of the pool, idle once exhausted.
+ * @returns {object} - The fake pool.
+ */
+const createPool = (...stats) => {
+  const stat = jest.fn(() => ({ pendingTasks: 0, activeTasks: 0 }))
+  stats.forEach((value) => stat.mockReturnValueOnce(value))
+  return { stats: stat, terminate: jest.fn().mockResolvedValue() }
+}
+
+/**
+ * Creates a fake NSFW detector instance.
+ * @param {object|Error} result - The classification result, or the error of every classification.
+ * @returns {object} - The fake instance.
+ */
+const createNsfwSpy = (result) => {
+  const classify =
+    result instanceof Error
+      ? jest.fn().mockRejectedValue(result)
+      : jest.fn().mockResolvedValue(result)
+  return { classifyImageFile: classify, classifyImageFromByteArray: classify }
+}
+
+describe('model-reloader', () => {
+  let initialPool
+  let initialNsfwSpy
+  let newPool
+  let modelRegistry
+  let dependencies
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    initialPool = createPool()
+    initialNsfwSpy = createNsfwSpy(scores)
+    newPool = createPool()
+    modelRegistry = createRegistry('mobilenet-v1.0.0')
+    mockLoadModelRegistry.mockResolvedValue(
+      createRegistry('mobilenet-v1.0.0', 'mobilenet-v1.1.0')
+    )
+    dependencies = {
+      config: {
+        WORKER_POOL_MIN_WORKERS: 2,
+        MODEL_RELOAD_DRAIN_TIMEOUT_IN_SECONDS: 60,
+      },
+      modelRegistry,
+      nsfwDetectorWorkerPool: initialPool,
+      nsfwSpy: initialNsfwSpy,
+      imageProcessingInstance: {
+        processImageData: jest.fn().mockResolvedValue(Buffer.from('probe')),
+      },
+      createNsfwDetectorWorkerPool: jest.fn().mockResolvedValue(newPool),
+      createNsfwSpyInstanceFromWorker: jest.fn(),
+      drainInterval: 1,
+    }
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  /**
+   * Waits for the background termination of the previous pool.
+   * @returns {Promise<void>}
+   */
+  const flushRetirement = () =>
+    new Promise((resolve) => setTimeout(resolve, 20))
+
+  it('should classify with the initial worker pool', async () => {
+    const reloader = createModelReloader(dependencies)
+
+    await expect(
+      reloader.nsfwSpy.classifyImageFile('/tmp/image', 'mobilenet-v1.0.0')
+    ).resolves.toEqual(scores)
+    expect(initialNsfwSpy.classifyImageFile).toHaveBeenCalledWith(
+      '/tmp/image',
+      'mobilenet-v1.0.0'
+    )
+  })
+
+  it('should switch to the new worker pool once it is checked', async () => {
+    const newNsfwSpy = createNsfwSpy(scores)
+    dependencies.createNsfwSpyInstanceFromWorker.mockResolvedValue(newNsfwSpy)
+    const reloader = createModelReloader(dependencies)
+
+    const result = await reloader.reload()
+
+    expect(result).toEqual({
+      models: ['mobilenet-v1.0.0', 'mobilenet-v1.1.0'],
+      defaultModel: 'mobilenet-v1.0.0',
+      durationMs: expect.any(Number),
+    })
+    // Warmup of the two workers, then a sanity inference per model
+    expect(newNsfwSpy.classifyImageFromByteArray).toHaveBeenCalledTimes(4)
+    expect(newNsfwSpy.classifyImageFromByteArray).toHaveBeenCalledWith(
+      Buffer.from('probe'),
+      'mobilenet-v1.1.0'
+    )
+    expect([...modelRegistry.models.keys()]).toEqual([
+      'mobilenet-v1.0.0',
+      'mobilenet-v1.1.0',
+    ])
+
+    const buffer = Buffer.from('image')
+    await reloader.nsfwSpy.classifyImageFromByteArray(
+      buffer,
+      'mobilenet-v1.1.0'
+    )
+    expect(newNsfwSpy.classifyImageFromByteArray).toHaveBeenLastCalledWith(
+      buffer,
+      'mobilenet-v1.1.0'
+    )
+    expect(initialNsfwSpy.classifyImageFromByteArray).not.toHaveBeenCalled()
+
+    await flushRetirement()
+    expect(initialPool.terminate).toHaveBeenCalledWith(false)
+    expect(newPool.terminate).not.toHaveBeenCalled()
+  })
+
+  it('should terminate the previous pool only once it drained', async () => {
+    initialPool = createPool(
+      { pendingTasks: 1, activeTasks: 1 },
+      { pendingTasks: 0, activeTasks: 1 }
+    )
+    dependencies.nsfwDetectorWorkerPool = initialPool
+    dependencies.createNsfwSpyInstanceFromWorker.mockResolvedValue(
+      createNsfwSpy(scores)
+    )
+    const reloader = createModelReloader(dependencies)
+
+    await reloader.reload()
+    await flushRetirement()
+
+    expect(initialPool.stats).toHaveBeenCalledTimes(3)
+    expect(initialPool.terminate).toHaveBeenCalledWith(false)
+  })
+
+  it('should force the termination of a previous pool which does not drain in time', async () => {
+    initialPool = createPool({ pendingTasks: 0, activeTasks: 1 })
+    dependencies.nsfwDetectorWorkerPool = initialPool
+    dependencies.config.MODEL_RELOAD_DRAIN_TIMEOUT_IN_SECONDS = 0
+    dependencies.createNsfwSpyInstanceFromWorker.mockResolvedValue(
+      createNsfwSpy(scores)
+    )
+    const reloader = createModelReloader(dependencies)
+
+    await reloader.reload()
+    await flushRetirement()
+
+    expect(initialPool.terminate).toHaveBeenCalledWith(true)
+    expect(console.warn).toHaveBeenCalledWith(
+      '[Model Reload] Previous worker pool did not drain in time, terminating it.'
+    )
+  })
+
+  it('should remove the cached results of the reloaded models on the switch and once the previous pool is terminated', async () => {
+    const hash = 'a'.repeat(64)
+    dependencies.resultCache = new Map([
+      [`url-mobilenet-v1.0.0-${hash}`, { neutral: 0.9 }],
+      [`content-mobilenet-v1.0.0-${hash}`, { neutral: 0.9 }],
+      [`content-other-${hash}`, { neutral: 0.9 }],
+    ])
+    dependencies.nearDuplicateIndex = { deleteModel: jest.fn() }
+    dependencies.createNsfwSpyInstanceFromWorker.mockResolvedValue(
+      createNsfwSpy(scores)
+    )
+    const reloader = createModelReloader(dependencies)
+
+    await reloader.reload()
+
+    expect([...dependencies.resultCache.keys()]).toEqual([
+      `content-other-${hash}`,
+    ])
+    expect(dependencies.nearDuplicateIndex.deleteModel.mock.calls).toEqual([
+      ['mobilenet-v1.0.0'],
+      ['mobilenet-v1.0.0#animated'],
+      ['mobilenet-v1.1.0'],
+      ['mobilenet-v1.1.0#animated'],
+    ])
+
+    // A classification of the draining pool cached after the switch
+    dependencies.resultCache.set(`content-mobilenet-v1.0.0-${hash}`, {
+      neutral: 0.9,
+    })
+    await flushRetirement()
+    expect([...dependencies.resultCache.keys()]).toEqual([
+      `content-other-${hash}`,
+    ])
+    expect(dependencies.nearDuplicateIndex.deleteModel).toHaveBeenCalledTimes(8)
+  })
+
+  it('should keep the current models if the new workers fail to load them', async () => {
+    dependencies.createNsfwSpyInstanceFromWorker.mockResolvedValue(
+      createNsfwSpy(new Error('Workerpool Worker terminated Unexpectedly'))
+    )
+    const reloader = createModelReloader(dependencies)
+
+    await expect(reloader.reload()).rejects.toThrow(
+      'Model reload failed: Workerpool Worker terminated Unexpectedly'
+    )
+
+    expect(newPool.terminate).toHaveBeenCalledWith(true)
+    expect(initialPool.terminate).not.toHaveBeenCalled()
+    expect([...modelRegistry.models.keys()]).toEqual(['mobilenet-v1.0.0'])
+    await reloader.nsfwSpy.classifyImageFile('/tmp/image')
+    expect(initialNsfwSpy.classifyImageFile).toHaveBeenCalled()
+  })
+
+  it('should reject a model returning invalid scores', async () => {
+    dependencies.createNsfwSpyInstanceFromWorker.mockResolvedValue(
+      createNsfwSpy({ ...scores, sexy: NaN })
+    )
+    const reloader = createModelReloader(dependencies)
+
+    await expect(reloader.reload()).rejects.toThrow(
+      'Model reload failed: Sanity inference of model mobilenet-v1.0.0 returned an invalid sexy score: NaN'
+    )
+    expect(newPool.terminate).toHaveBeenCalledWith(true)
+  })
+
+  it('should keep the current models if the manifests are invalid', async () => {
+    mockLoadModelRegistry.mockRejectedValueOnce(
+      new Error('Invalid manifest of model broken: labels: Required')
+    )
+    const reloader = createModelReloader(dependencies)
+
+    await expect(reloader.reload()).rejects.toThrow(
+      'Model reload failed: Invalid manifest of model broken: labels: Required'
+    )
+    expect(dependencies.createNsfwDetectorWorkerPool).not.toHaveBeenCalled()
+  })
+
+  it('should reject a reload while another one is running', async () => {
+    dependencies.createNsfwSpyInstanceFromWorker.mockResolvedValue(
+      createNsfwSpy(scores)
+    )
+    const reloader = createModelReloader(dependencies)
+
+    const firstReload = reloader.reload()
+    await expect(reloader.reload()).rejects.toMatchObject({
+      message: 'Model reload already in progress',
+      code: 'ERR_MODEL_RELOAD_IN_PROGRESS',
+    })
+    await expect(firstReload).resolves.toBeDefined()
+    await expect(reloader.reload()).resolves.toBeDefined()
+  })
+
+  it('should terminate the active pool', async () => {
+    const reloader = createModelReloader(dependencies)
+
+    await reloader.terminate(false, 2000)
+
+    expect(initialPool.terminate).toHaveBeenCalledWith(false, 2000)
+  })
+
+  describe('reloadModelsHandler', () => {
+    let mockRes
+
+    beforeEach(() => {
+      mockRes = { status: jest.fn().mockReturnThis(), json: jest.fn() }
+    })
+
+    it('should return the loaded models', async () => {
+      const result = { models: ['m'], defaultModel: 'm', durationMs: 10 }
+      const modelReloader = { reload: jest.fn().mockResolvedValue(result) }
+
+      await reloadModelsHandler({}, mockRes, { modelReloader })
+
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+      expect(mockRes.json).toHaveBeenCalledWith({ data: result })
+    })
+
+    it('should return 409 while a reload is running', async () => {
+      const error = new Error('Model reload already in progress')
+      error.code = 'ERR_MODEL_RELOAD_IN_PROGRESS'
+      const modelReloader = { reload: jest.fn().mockRejectedValue(error) }
+
+      await reloadModelsHandler({}, mockRes, { modelReloader })
+
+      expect(mockRes.status).toHaveBeenCalledWith(409)
+      expect(mockRes.json).toHaveBeenCalledWith({
+        message: 'Model reload already in progress',
+      })
+    })
+
+    it('should return 500 if the reload fails', async () => {
+      const modelReloader = {
+        reload: jest
+          .fn()
+          .mockRejectedValue(new Error('Model reload failed: boom')),
+      }
+
+      await reloadModelsHandler({}, mockRes, { modelReloader })
+
+      expect(mockRes.status).toHaveBeenCalledWith(500)
+      expect(mockRes.json).toHaveBeenCalledWith({
+        message: 'Model reload failed: boom',
+      })
+    })
+  })
+})
@@ -0,0 +1,166 @@
+import {
+  parseModerationPolicies,
+  loadModerationPolicies,
+  evaluateModerationPolicy,
+} from '../src/moderation-policy.mjs'
+import { writeFile, unlink } from 'fs/promises'
+
+describe('moderation-policy', () => {
+  const definitions = {
+    strict: {
+      rules: [
+        { category: 'sexy', threshold: 0.4, action: 'blur' },
+        { category: 'pornography', threshold: 0.3, action: 'block' },
+        { category: 'hentai', threshold: 0.3, action: 'block' },
+        { category: 'pornography', threshold: 0.1, action: 'flag_for_review' },
+      ],
+    },
+    lenient: {
+      rules: [{ category: 'pornography', threshold: 0.9, action: 'blur' }],
+      defaultAction: 'flag_for_review',
+    },
+  }
+
+  describe('parseModerationPolicies', () => {
+    it('should parse policies keyed by name with a default action', () => {
+      const policies = parseModerationPolicies(definitions)
+      expect([...policies.keys()]).toEqual(['strict', 'lenient'])
+      expect(policies.get('strict')).toEqual({
+        name: 'strict',
+        rules: definitions.strict.rules,
+        defaultAction: 'allow',
+      })
+      expect(policies.get('lenient').defaultAction).toBe('flag_for_review')
+    })
+
+    it('should reject unknown categories, actions and out of range thresholds', () => {
+      expect(() =>
+        parseModerationPolicies({
+          broken: {
+            rules: [{ category: 'neutral', threshold: 1.5, action: 'delete' }],
+          },
+        })
+      ).toThrow(/Invalid moderation policies: broken\.rules\.0\.category/)
+    })
+  })
+
+  describe('loadModerationPolicies', () => {
+    const policiesFile = 'moderation-policies-test.json'
+
+    afterEach(async () => {
+      try {
+        await unlink(policiesFile)
+      } catch {
+        // Ignore error if file doesn't exist
+      }
+    })
+
+    it('should load no policy when nothing is configured', async () => {
+      const policies = await loadModerationPolicies({})
+      expect(policies.size).toBe(0)
+    })
+
+    it('should merge policies from the file and the JSON string', async () => {
+      await writeFile(policiesFile, JSON.stringify(definitions))
+      const policies = await loadModerationPolicies({
+        MODERATION_POLICIES_FILE: policiesFile,
+        MODERATION_POLICIES: JSON.stringify({
+          lenient: { rules: [], defaultAction: 'allow' },
+        }),
+        DEFAULT_MODERATION_POLICY: 'strict',
+      })
+      expect([...policies.keys()]).toEqual(['strict', 'lenient'])
+      expect(policies.get('lenient').rules).toEqual([])
+    })
+
+    it('should throw an error for invalid JSON', async () => {
+      await expect(
+        loadModerationPolicies({ MODERATION_POLICIES: '{not json' })
+      ).rejects.toThrow('Failed to parse MODERATION_POLICIES')
+    })
+
+    it('should throw an error for a missing file', async () => {
+      await expect(
+        loadModerationPolicies({ MODERATION_POLICIES_FILE: policiesFile })
+      ).rejects.toThrow('Failed to read moderation policies file')
+    })
+
+    it('should throw an error if the default policy is not defined', async () => {
+      await expect(
+        loadModerationPolicies({
+          MODERATION_POLICIES: JSON.stringify(definitions),
+          DEFAULT_MODERATION_POLICY: 'missing',
+        })
+      ).rejects.toThrow('Default moderation policy is not defined: missing')
+    })
+  })
+
+  describe('evaluateModerationPolicy', () => {
+    const policies = parseModerationPolicies(definitions)
+    const scores = {
+      hentai: 0.05,
+      neutral: 0.45,
+      pornography: 0.2,
+      sexy: 0.3,
+    }
+
+    it('should apply the default action when no rule matches', () => {
+      expect(evaluateModerationPolicy(policies.get('lenient'), scores)).toEqual(
+        { policy: 'lenient', action: 'flag_for_review', rule: null }
+      )
+    })
+
+    it('should report the matching rule with its score', () => {
+      expect(evaluateModerationPolicy(policies.get('strict'), scores)).toEqual({
+        policy: 'strict',
+        action: 'flag_for_review',
+        rule: {
+          category: 'pornography',
+          threshold: 0.1,
+          action: 'flag_for_review',
+          score: 0.2,
+        },
+      })
+    })
+
+    it('should pick the most severe action when several rules match', () => {
+      const decision = evaluateModerationPolicy(policies.get('strict'), {
+        ...scores,
+        sexy: 0.5,
+        pornography: 0.35,
+        hentai: 0.4,
+      })
+      expect(decision.action).toBe('block')
+      // Ties are broken by rule order
+      expect(decision.rule).toEqual({
+        category: 'pornography',
+        threshold: 0.3,
+        action: 'block',
+        score: 0.35,
+      })
+    })
+
+    it('should match a score equal to the threshold', () => {
+      const decision = evaluateModerationPolicy(policies.get('strict'), {
+        ...scores,
+        sexy: 0.4,
+        pornography: 0,
+      })
+      expect(decision.action).toBe('blur')
+    })
+
+    it('should follow the verdict of a hash list whatever the scores', () => {
+      const verdict = { source: 'blocklist', type: 'sha256', hash: 'a' }
+      expect(
+        evaluateModerationPolicy(policies.get('lenient'), { verdict })
+      ).toEqual({ policy: 'lenient', action: 'block', rule: null })
+      expect(
+        evaluateModerationPolicy(policies.get('strict'), {
+          ...scores,
+          pornography: 0.9,
+          verdict: { ...verdict, source: 'allowlist' },
+        }).action
+      ).toBe('allow')
+    })
+  })
+})
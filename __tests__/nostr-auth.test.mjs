@@ -0,0 +1,214 @@
+import { schnorr } from '@noble/curves/secp256k1.js'
+import { sha256 } from 'js-sha256'
+import { getPublicKey, signNostrEvent } from '../src/nostr-event.mjs'
+import {
+  HTTP_AUTH_EVENT_KIND,
+  isNostrAuthorization,
+  getRequestUrl,
+  verifyNostrAuthorization,
+} from '../src/nostr-auth.mjs'
+
+const secretKey = Buffer.from(schnorr.utils.randomSecretKey()).toString('hex')
+const now = 1700000000
+const url = 'https://nsfw.example.org/predict?model=nsfwjs'
+const body = Buffer.from('{"url":"https://example.org/a.jpg"}')
+
+/**
+ * Creates the `Authorization` header of a NIP-98 event signed with the secret key of the tests.
+ * @param {object} [fields] - The event fields.
+ * @param {number} [fields.kind=HTTP_AUTH_EVENT_KIND] - The event kind.
+ * @param {string[][]} [fields.tags] - The event tags, signing the URL and method of the tests by default.
+ * @param {number} [fields.created_at=now] - The event creation date.
+ * @returns {string} - The header.
+ */
+const createAuthorization = ({
+  kind = HTTP_AUTH_EVENT_KIND,
+  tags = [
+    ['u', url],
+    ['method', 'POST'],
+  ],
+  created_at = now,
+} = {}) => {
+  const event = signNostrEvent(
+    { kind, tags, content: '', created_at },
+    secretKey
+  )
+  return `Nostr ${Buffer.from(JSON.stringify(event)).toString('base64')}`
+}
+
+/**
+ * Verifies an authorization for the request of the tests.
+ * @param {string} authorization - The `Authorization` header.
+ * @param {object} [options] - Verification options overriding the defaults of the tests.
+ * @returns {string} - The authenticated public key.
+ */
+const verify = (authorization, options = {}) =>
+  verifyNostrAuthorization(
+    authorization,
+    { method: 'post', url, body },
+    { maxAge: 60, now, ...options }
+  )
+
+describe('nostr-auth', () => {
+  describe('isNostrAuthorization', () => {
+    it('should only match the Nostr scheme', () => {
+      expect(isNostrAuthorization('Nostr abc')).toBe(true)
+      expect(isNostrAuthorization('Bearer abc')).toBe(false)
+      expect(isNostrAuthorization(undefined)).toBe(false)
+    })
+  })
+
+  describe('getRequestUrl', () => {
+    const req = {
+      protocol: 'http',
+      get: () => 'localhost:8081',
+      originalUrl: '/predict?model=nsfwjs',
+    }
+
+    it('should build the URL from the request, or from the public base URL', () => {
+      expect(getRequestUrl(req)).toBe(
+        'http://localhost:8081/predict?model=nsfwjs'
+      )
+      expect(getRequestUrl(req, 'https://nsfw.example.org/')).toBe(url)
+    })
+  })
+
+  describe('verifyNostrAuthorization', () => {
+    it('should return the public key of a valid authorization', () => {
+      expect(verify(createAuthorization())).toBe(getPublicKey(secretKey))
+    })
+
+    it('should accept an equivalent URL and a matching payload', () => {
+      const authorization = createAuthorization({
+        tags: [
+          ['u', 'https://NSFW.example.org:443/predict?model=nsfwjs'],
+          ['method', 'POST'],
+          ['payload', sha256(body)],
+        ],
+      })
+
+      expect(verify(authorization)).toBe(getPublicKey(secretKey))
+    })
+
+    it.each([
+      [
+        'a malformed header',
+        'Nostr not-base64!',
+        'Invalid Nostr authorization',
+      ],
+      [
+        'another kind',
+        createAuthorization({ kind: 1 }),
+        `Nostr authorization event must be of kind ${HTTP_AUTH_EVENT_KIND}`,
+      ],
+      [
+        'an old event',
+        createAuthorization({ created_at: now - 61 }),
+        'Nostr authorization event has expired',
+      ],
+      [
+        'an event from the future',
+        createAuthorization({ created_at: now + 61 }),
+        'Nostr authorization event has expired',
+      ],
+      [
+        'another URL',
+        createAuthorization({
+          tags: [
+            ['u', 'https://nsfw.example.org/predict_data'],
+            ['method', 'POST'],
+          ],
+        }),
+        'Nostr authorization URL does not match the request',
+      ],
+      [
+        'another method',
+        createAuthorization({
+          tags: [
+            ['u', url],
+            ['method', 'GET'],
+          ],
+        }),
+        'Nostr authorization method does not match the request',
+      ],
+      [
+        'another payload',
+        createAuthorization({
+          tags: [
+            ['u', url],
+            ['method', 'POST'],
+            ['payload', sha256('{}')],
+          ],
+        }),
+        'Nostr authorization payload does not match the request body',
+      ],
+    ])('should reject %s', (_description, authorization, message) => {
+      expect(() => verify(authorization)).toThrow(
+        expect.objectContaining({
+          message: expect.stringContaining(message),
+          code: 'ERR_NOSTR_AUTH',
+        })
+      )
+    })
+
+    it('should reject a payload which cannot be checked against the body', () => {
+      const authorization = createAuthorization({
+        tags: [
+          ['u', url],
+          ['method', 'POST'],
+          ['payload', sha256('uploaded file')],
+        ],
+      })
+
+      // Uploads are parsed after authentication, their raw body is not known
+      expect(() =>
+        verifyNostrAuthorization(
+          authorization,
+          { method: 'POST', url },
+          { maxAge: 60, now }
+        )
+      ).toThrow(
+        'Nostr authorization payload cannot be checked for this request body'
+      )
+      expect(
+        verifyNostrAuthorization(
+          createAuthorization(),
+          { method: 'POST', url },
+          { maxAge: 60, now }
+        )
+      ).toBe(getPublicKey(secretKey))
+    })
+
+    it('should reject a forged event', () => {
+      const event = JSON.parse(
+        Buffer.from(createAuthorization().slice(6), 'base64').toString()
+      )
+      const forged = {
+        ...event,
+        tags: [
+          ['u', url],
+          ['method', 'GET'],
+        ],
+      }
+
+      expect(() =>
+        verify(
+          `Nostr ${Buffer.from(JSON.stringify(forged)).toString('base64')}`
+        )
+      ).toThrow(
+        'Invalid Nostr authorization: Event id does not match its content'
+      )
+    })
+
+    it('should only accept the allowed public keys if set', () => {
+      expect(() =>
+        verify(createAuthorization(), { allowedPubkeys: ['a'.repeat(64)] })
+      ).toThrow('Nostr public key is not allowed')
+      expect(
+        verify(createAuthorization(), {
+          allowedPubkeys: [getPublicKey(secretKey)],
+        })
+      ).toBe(getPublicKey(secretKey))
+    })
+  })
+})
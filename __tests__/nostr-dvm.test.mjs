@@ -0,0 +1,381 @@
+import { jest } from '@jest/globals'
+import { WebSocketServer } from 'ws'
+import { schnorr } from '@noble/curves/secp256k1.js'
+import {
+  getPublicKey,
+  signNostrEvent,
+  verifyNostrEvent,
+} from '../src/nostr-event.mjs'
+
+// Inputs are classified by the processUrl function injected in each test
+jest.unstable_mockModule('../src/url-processor.mjs', () => ({
+  processUrlForPrediction: jest.fn(),
+}))
+
+const {
+  createNostrDvm,
+  parseJobRequest,
+  createJobFeedbackEvent,
+  createJobResultEvent,
+  JOB_FEEDBACK_KIND,
+} = await import('../src/nostr-dvm.mjs')
+
+/**
+ * Generates a hex encoded secret key.
+ * @returns {string} - The secret key.
+ */
+const generateSecretKey = () =>
+  Buffer.from(schnorr.utils.randomSecretKey()).toString('hex')
+
+const serviceSecretKey = generateSecretKey()
+const customerSecretKey = generateSecretKey()
+const scores = { neutral: 0.1, sexy: 0.8, predictedLabel: 'sexy' }
+const modelRegistry = {
+  models: new Map([
+    ['nsfwjs', {}],
+    ['other', {}],
+  ]),
+  defaultModel: 'nsfwjs',
+}
+
+/**
+ * Creates a job request of the customer of the tests.
+ * @param {string[][]} tags - The request tags.
+ * @returns {object} - The signed job request.
+ */
+const createJobRequest = (tags) =>
+  signNostrEvent({ kind: 5300, tags, content: '' }, customerSecretKey)
+
+/**
+ * Starts a relay stand-in which records the messages of its clients.
+ * @returns {Promise<object>} - The relay, with its `url`, received `messages` and client `sockets`.
+ */
+const startRelay = async () => {
+  const server = new WebSocketServer({ host: '127.0.0.1', port: 0 })
+  await new Promise((resolve) => server.once('listening', resolve))
+  const relay = {
+    server,
+    url: `ws://127.0.0.1:${server.address().port}`,
+    messages: [],
+    sockets: [],
+  }
+  server.on('connection', (socket) => {
+    relay.sockets.push(socket)
+    socket.on('message', (data) => relay.messages.push(JSON.parse(data)))
+  })
+  return relay
+}
+
+/**
+ * Sends an event of the DVM subscription to the connected clients of a relay.
+ * @param {object} relay - The relay stand-in.
+ * @param {object} event - The event.
+ */
+const sendEvent = (relay, event) => {
+  const [, subscriptionId] = relay.messages.findLast(([type]) => type === 'REQ')
+  relay.sockets.forEach((socket) =>
+    socket.send(JSON.stringify(['EVENT', subscriptionId, event]))
+  )
+}
+
+/**
+ * Gets the events published to a relay in answer to a job request.
+ * @param {object} relay - The relay stand-in.
+ * @param {object} request - The job request.
+ * @returns {object[]} - The job feedback and result events.
+ */
+const getAnswers = (relay, request) =>
+  relay.messages
+    .filter(
+      ([type, event]) =>
+        type === 'EVENT' &&
+        event.tags.some(([name, id]) => name === 'e' && id === request.id)
+    )
+    .map(([, event]) => event)
+
+/**
+ * Gets the statuses of the job feedback events of answers.
+ * @param {object[]} answers - The published answers.
+ * @returns {string[][]} - The status tags.
+ */
+const getStatuses = (answers) =>
+  answers
+    .filter((event) => event.kind === JOB_FEEDBACK_KIND)
+    .map((event) => event.tags.find(([name]) => name === 'status'))
+
+/**
+ * Waits until a condition is met.
+ * @param {() => boolean} condition - The condition.
+ * @param {number} [timeout=2000] - Maximum time to wait in milliseconds.
+ * @returns {Promise<void>}
+ */
+const waitFor = async (condition, timeout = 2000) => {
+  const deadline = Date.now() + timeout
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Condition not met in time')
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10))
+  }
+}
+
+describe('nostr-dvm', () => {
+  describe('parseJobRequest', () => {
+    const options = { modelRegistry, defaultModel: 'nsfwjs', maxInputs: 2 }
+
+    it('should return the url inputs and the requested model', () => {
+      const request = createJobRequest([
+        ['i', 'https://example.org/a.jpg', 'url'],
+        ['i', 'https://example.org/b.png', 'url'],
+        ['param', 'model', 'other'],
+      ])
+
+      expect(parseJobRequest(request, options)).toEqual({
+        urls: ['https://example.org/a.jpg', 'https://example.org/b.png'],
+        modelId: 'other',
+      })
+      expect(
+        parseJobRequest(
+          createJobRequest([['i', 'https://example.org/a.jpg', 'url']]),
+          options
+        ).modelId
+      ).toBe('nsfwjs')
+    })
+
+    it.each([
+      [[['encrypted']], 'Encrypted job requests are not supported'],
+      [[['i', 'hello', 'text']], 'Unsupported input type: text'],
+      [[['i', 'file:///etc/passwd', 'url']], 'Invalid input URL'],
+      [[], 'Job request has no url input'],
+      [
+        [
+          ['i', 'https://example.org/a.jpg', 'url'],
+          ['i', 'https://example.org/b.jpg', 'url'],
+          ['i', 'https://example.org/c.jpg', 'url'],
+        ],
+        'Job request cannot contain more than 2 inputs',
+      ],
+      [
+        [
+          ['i', 'https://example.org/a.jpg', 'url'],
+          ['param', 'model', 'missing'],
+        ],
+        'Unknown model: missing',
+      ],
+    ])('should reject the request with the tags %j', (tags, message) => {
+      expect(() => parseJobRequest(createJobRequest(tags), options)).toThrow(
+        expect.objectContaining({
+          message: expect.stringContaining(message),
+          code: 'ERR_INVALID_JOB',
+        })
+      )
+    })
+  })
+
+  describe('createJobResultEvent', () => {
+    it('should answer the request with the model and the scores', () => {
+      const request = createJobRequest([
+        ['i', 'https://example.org/a.jpg', 'url'],
+        ['bid', '1000'],
+      ])
+
+      expect(
+        createJobResultEvent(
+          request,
+          [{ url: 'https://example.org/a.jpg', ...scores }],
+          { modelId: 'nsfwjs', relayUrl: 'wss://relay.example.org' }
+        )
+      ).toEqual({
+        kind: 6300,
+        tags: [
+          ['request', JSON.stringify(request)],
+          ['e', request.id, 'wss://relay.example.org'],
+          ['i', 'https://example.org/a.jpg', 'url'],
+          ['p', request.pubkey],
+        ],
+        content: JSON.stringify({
+          model: 'nsfwjs',
+          results: [{ url: 'https://example.org/a.jpg', ...scores }],
+        }),
+      })
+    })
+  })
+
+  describe('createJobFeedbackEvent', () => {
+    it('should tag the status, the request and the customer', () => {
+      const request = createJobRequest([])
+
+      expect(
+        createJobFeedbackEvent(request, 'error', {
+          relayUrl: 'wss://relay.example.org',
+          info: 'Unknown model: missing',
+        })
+      ).toEqual({
+        kind: JOB_FEEDBACK_KIND,
+        tags: [
+          ['status', 'error', 'Unknown model: missing'],
+          ['e', request.id, 'wss://relay.example.org'],
+          ['p', request.pubkey],
+        ],
+        content: '',
+      })
+    })
+  })
+
+  describe('createNostrDvm', () => {
+    let relay
+    let dvm
+    let processUrl
+    let config
+
+    beforeEach(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {})
+      jest.spyOn(console, 'warn').mockImplementation(() => {})
+      jest.spyOn(console, 'debug').mockImplementation(() => {})
+      relay = await startRelay()
+      processUrl = jest.fn(async (url) => {
+        if (url.endsWith('broken.jpg')) {
+          throw new Error('Download failed: Status: 404')
+        }
+        return { ...scores, source: { url, finalUrl: url, redirectChain: [] } }
+      })
+      config = {
+        NOSTR_DVM_RELAYS: relay.url,
+        NOSTR_DVM_SECRET_KEY: serviceSecretKey,
+        NOSTR_DVM_REQUEST_KIND: 5300,
+        NOSTR_DVM_CONCURRENCY: 1,
+        NOSTR_DVM_MAX_QUEUED_JOBS: 10,
+        NOSTR_RELAY_RECONNECT_MAX_DELAY_IN_SECONDS: 1,
+        BATCH_MAX_ITEMS: 5,
+        DEFAULT_MODEL: 'nsfwjs',
+      }
+      dvm = createNostrDvm({
+        nsfwSpy: {},
+        resultCache: new Map(),
+        modelRegistry,
+        config,
+        processUrl,
+        reconnectBaseDelay: 10,
+      })
+      dvm.start()
+      await waitFor(() => relay.messages.length > 0)
+    })
+
+    afterEach(async () => {
+      await dvm.stop()
+      relay.sockets.forEach((socket) => socket.terminate())
+      await new Promise((resolve) => relay.server.close(resolve))
+      jest.restoreAllMocks()
+    })
+
+    it('should subscribe to the job requests of the configured kind', () => {
+      expect(relay.messages[0]).toEqual([
+        'REQ',
+        expect.stringMatching(/^nsfw-dvm-/),
+        { kinds: [5300], since: expect.any(Number) },
+      ])
+    })
+
+    it('should publish the processing feedback, the result and the success feedback', async () => {
+      const request = createJobRequest([
+        ['i', 'https://example.org/a.jpg', 'url'],
+        ['param', 'model', 'other'],
+        ['p', getPublicKey(serviceSecretKey)],
+      ])
+      sendEvent(relay, request)
+      await waitFor(() => getAnswers(relay, request).length === 3)
+
+      const answers = getAnswers(relay, request)
+      answers.forEach((event) => {
+        expect(() => verifyNostrEvent(event)).not.toThrow()
+        expect(event.pubkey).toBe(getPublicKey(serviceSecretKey))
+      })
+      expect(answers.map((event) => event.kind)).toEqual([
+        JOB_FEEDBACK_KIND,
+        6300,
+        JOB_FEEDBACK_KIND,
+      ])
+      expect(getStatuses(answers)).toEqual([
+        ['status', 'processing'],
+        ['status', 'success'],
+      ])
+      expect(JSON.parse(answers[1].content)).toEqual({
+        model: 'other',
+        results: [{ url: 'https://example.org/a.jpg', ...scores }],
+      })
+      // Inputs are classified like on /predict, with the requested model
+      expect(processUrl).toHaveBeenCalledWith(
+        'https://example.org/a.jpg',
+        expect.objectContaining({
+          model: 'other',
+          modelRegistry,
+          resultCache: expect.any(Map),
+        }),
+        expect.any(AbortSignal)
+      )
+    })
+
+    it('should publish an error feedback for failed and invalid jobs', async () => {
+      const failedRequest = createJobRequest([
+        ['i', 'https://example.org/a.jpg', 'url'],
+        ['i', 'https://example.org/broken.jpg', 'url'],
+      ])
+      const invalidRequest = createJobRequest([['i', 'hello', 'text']])
+      sendEvent(relay, failedRequest)
+      sendEvent(relay, invalidRequest)
+      await waitFor(() => getAnswers(relay, invalidRequest).length === 1)
+      await waitFor(() => getAnswers(relay, failedRequest).length === 2)
+
+      expect(getStatuses(getAnswers(relay, failedRequest))).toEqual([
+        ['status', 'processing'],
+        [
+          'status',
+          'error',
+          'Failed to classify https://example.org/broken.jpg: Download failed: Status: 404',
+        ],
+      ])
+      expect(getStatuses(getAnswers(relay, invalidRequest))).toEqual([
+        ['status', 'error', 'Unsupported input type: text'],
+      ])
+    })
+
+    it('should ignore the requests addressed to other service providers', async () => {
+      const otherRequest = createJobRequest([
+        ['i', 'https://example.org/a.jpg', 'url'],
+        ['p', getPublicKey(generateSecretKey())],
+      ])
+      const request = createJobRequest([
+        ['i', 'https://example.org/b.jpg', 'url'],
+      ])
+      sendEvent(relay, otherRequest)
+      sendEvent(relay, request)
+      await waitFor(() => getAnswers(relay, request).length === 3)
+
+      expect(getAnswers(relay, otherRequest)).toEqual([])
+      expect(processUrl).toHaveBeenCalledTimes(1)
+    })
+
+    it('should reject the requests received while the job queue is full', async () => {
+      config.NOSTR_DVM_MAX_QUEUED_JOBS = 1
+      let finishJob
+      processUrl.mockImplementationOnce(
+        () => new Promise((resolve) => (finishJob = () => resolve(scores)))
+      )
+      const requests = ['a', 'b', 'c'].map((name) =>
+        createJobRequest([['i', `https://example.org/${name}.jpg`, 'url']])
+      )
+      sendEvent(relay, requests[0])
+      await waitFor(() => getAnswers(relay, requests[0]).length === 1)
+      sendEvent(relay, requests[1])
+      sendEvent(relay, requests[2])
+      await waitFor(() => getAnswers(relay, requests[2]).length === 1)
+
+      expect(getStatuses(getAnswers(relay, requests[2]))).toEqual([
+        ['status', 'error', 'Job queue is full, please retry later'],
+      ])
+      finishJob()
+      await waitFor(() => getAnswers(relay, requests[1]).length === 3)
+      expect(processUrl).toHaveBeenCalledTimes(2)
+    })
+  })
+})
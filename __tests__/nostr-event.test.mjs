@@ -0,0 +1,139 @@
+import { schnorr } from '@noble/curves/secp256k1.js'
+import {
+  parseNostrEvent,
+  getEventId,
+  verifyNostrEvent,
+  getPublicKey,
+  signNostrEvent,
+  extractEventMedia,
+} from '../src/nostr-event.mjs'
+
+const secretKey = Buffer.from(schnorr.utils.randomSecretKey()).toString('hex')
+const imageHash = 'c'.repeat(64)
+
+/**
+ * Creates an event signed with the secret key of the tests.
+ * @param {object} fields - The kind, tags and content of the event.
+ * @returns {import('../src/nostr-event.mjs').NostrEvent} - The signed event.
+ */
+const signEvent = ({ kind = 1, tags = [], content = '' }) =>
+  signNostrEvent({ kind, tags, content, created_at: 1700000000 }, secretKey)
+
+describe('nostr-event', () => {
+  describe('parseNostrEvent', () => {
+    it('should return a valid event', () => {
+      const event = signEvent({ content: 'hello' })
+
+      expect(parseNostrEvent(event)).toEqual(event)
+    })
+
+    it('should throw an error listing the invalid fields', () => {
+      const event = { ...signEvent({}), pubkey: 'npub1', tags: [['t', 1]] }
+
+      expect(() => parseNostrEvent(event)).toThrow(
+        'Invalid Nostr event: pubkey: Must be 64 lowercase hexadecimal characters, tags.0.1: Invalid input: expected string, received number'
+      )
+    })
+  })
+
+  describe('signNostrEvent', () => {
+    it('should sign an event with the public key of the secret key', () => {
+      const event = signEvent({ kind: 1985, content: 'label' })
+
+      expect(event).toMatchObject({
+        pubkey: getPublicKey(secretKey),
+        created_at: 1700000000,
+        kind: 1985,
+        tags: [],
+        content: 'label',
+      })
+      expect(event.id).toBe(getEventId(event))
+      expect(
+        schnorr.verify(
+          Buffer.from(event.sig, 'hex'),
+          Buffer.from(event.id, 'hex'),
+          Buffer.from(event.pubkey, 'hex')
+        )
+      ).toBe(true)
+    })
+  })
+
+  describe('verifyNostrEvent', () => {
+    it('should accept an event signed by its author', () => {
+      expect(() =>
+        verifyNostrEvent(signEvent({ content: 'hello' }))
+      ).not.toThrow()
+    })
+
+    it('should reject an event whose content does not match its id', () => {
+      const event = { ...signEvent({ content: 'hello' }), content: 'edited' }
+
+      expect(() => verifyNostrEvent(event)).toThrow(
+        expect.objectContaining({
+          message: 'Event id does not match its content',
+          code: 'ERR_INVALID_EVENT',
+        })
+      )
+    })
+
+    it('should reject an event signed by someone else', () => {
+      const event = signEvent({ content: 'hello' })
+      const otherSignature = schnorr.sign(
+        Buffer.from(event.id, 'hex'),
+        schnorr.utils.randomSecretKey()
+      )
+
+      expect(() =>
+        verifyNostrEvent({
+          ...event,
+          sig: Buffer.from(otherSignature).toString('hex'),
+        })
+      ).toThrow('Invalid event signature')
+    })
+  })
+
+  describe('extractEventMedia', () => {
+    it('should extract the media URLs of the content in order', () => {
+      const event = signEvent({
+        content:
+          'Look https://example.org/a.jpg and https://example.org/page then https://example.org/b.mp4 https://example.org/a.jpg',
+      })
+
+      expect(extractEventMedia(event)).toEqual([
+        { url: 'https://example.org/a.jpg', mediaType: 'image' },
+        { url: 'https://example.org/b.mp4', mediaType: 'video' },
+      ])
+    })
+
+    it('should describe media with their imeta tags', () => {
+      const event = signEvent({
+        content: 'Look https://example.org/blob',
+        tags: [
+          [
+            'imeta',
+            'url https://example.org/blob',
+            'm video/mp4',
+            `x ${imageHash.toUpperCase()}`,
+          ],
+          ['imeta', 'url https://example.org/attached', 'x not-a-hash'],
+          ['imeta', 'url https://example.org/paper.pdf', 'm application/pdf'],
+          ['imeta', 'url https://example.org/blob', 'm image/png'],
+        ],
+      })
+
+      expect(extractEventMedia(event)).toEqual([
+        {
+          url: 'https://example.org/blob',
+          mediaType: 'video',
+          mimeType: 'video/mp4',
+          hash: imageHash,
+        },
+        { url: 'https://example.org/attached', mediaType: null },
+      ])
+    })
+
+    it('should return no media for a note without URLs', () => {
+      expect(extractEventMedia(signEvent({ content: 'gm' }))).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,289 @@
+import { jest } from '@jest/globals'
+import { WebSocketServer } from 'ws'
+import { schnorr } from '@noble/curves/secp256k1.js'
+import {
+  getPublicKey,
+  signNostrEvent,
+  verifyNostrEvent,
+} from '../src/nostr-event.mjs'
+
+// Media are classified by the processUrl function injected in each test
+jest.unstable_mockModule('../src/url-processor.mjs', () => ({
+  processUrlForPrediction: jest.fn(),
+}))
+
+const { createNostrLabeler, createLabelEvent, LABEL_EVENT_KIND } =
+  await import('../src/nostr-labeler.mjs')
+
+/**
+ * Generates a hex encoded secret key.
+ * @returns {string} - The secret key.
+ */
+const generateSecretKey = () =>
+  Buffer.from(schnorr.utils.randomSecretKey()).toString('hex')
+
+const labelerSecretKey = generateSecretKey()
+const authorSecretKey = generateSecretKey()
+const scores = { neutral: 0.1, sexy: 0.8, predictedLabel: 'sexy' }
+
+/**
+ * Starts a relay stand-in which records the messages of its clients.
+ * @returns {Promise<object>} - The relay, with its `url`, received `messages` and client `sockets`.
+ */
+const startRelay = async () => {
+  const server = new WebSocketServer({ host: '127.0.0.1', port: 0 })
+  await new Promise((resolve) => server.once('listening', resolve))
+  const relay = {
+    server,
+    url: `ws://127.0.0.1:${server.address().port}`,
+    messages: [],
+    sockets: [],
+  }
+  server.on('connection', (socket) => {
+    relay.sockets.push(socket)
+    socket.on('message', (data) => relay.messages.push(JSON.parse(data)))
+  })
+  return relay
+}
+
+/**
+ * Sends an event of the labeler subscription to the connected clients of a relay.
+ * @param {object} relay - The relay stand-in.
+ * @param {object} event - The event.
+ */
+const sendEvent = (relay, event) => {
+  const [, subscriptionId] = relay.messages.findLast(([type]) => type === 'REQ')
+  relay.sockets.forEach((socket) =>
+    socket.send(JSON.stringify(['EVENT', subscriptionId, event]))
+  )
+}
+
+/**
+ * Waits until a condition is met.
+ * @param {() => boolean} condition - The condition.
+ * @param {number} [timeout=2000] - Maximum time to wait in milliseconds.
+ * @returns {Promise<void>}
+ */
+const waitFor = async (condition, timeout = 2000) => {
+  const deadline = Date.now() + timeout
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Condition not met in time')
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10))
+  }
+}
+
+/**
+ * Gets the label events published to a relay.
+ * @param {object} relay - The relay stand-in.
+ * @returns {object[]} - The label events.
+ */
+const getLabels = (relay) =>
+  relay.messages
+    .filter(([type, event]) => type === 'EVENT' && event.kind === 1985)
+    .map(([, event]) => event)
+
+/**
+ * Creates a note of the author of the tests.
+ * @param {string} content - The note content.
+ * @returns {object} - The signed note.
+ */
+const createNote = (content) =>
+  signNostrEvent({ kind: 1, tags: [], content }, authorSecretKey)
+
+describe('nostr-labeler', () => {
+  describe('createLabelEvent', () => {
+    it('should label the event, its author and the media', () => {
+      const event = { id: 'a'.repeat(64), pubkey: 'b'.repeat(64) }
+
+      expect(
+        createLabelEvent(
+          event,
+          'https://example.org/a.jpg',
+          { ...scores, source: { url: 'https://example.org/a.jpg' } },
+          { namespace: 'test-ns', relayUrl: 'wss://relay.example.org' }
+        )
+      ).toEqual({
+        kind: LABEL_EVENT_KIND,
+        tags: [
+          ['L', 'test-ns'],
+          ['l', 'sexy', 'test-ns'],
+          ['e', event.id, 'wss://relay.example.org'],
+          ['p', event.pubkey],
+          ['r', 'https://example.org/a.jpg'],
+        ],
+        content: JSON.stringify(scores),
+      })
+    })
+
+    it('should label media with a fixed verdict by hash list', () => {
+      const label = createLabelEvent(
+        { id: 'a'.repeat(64), pubkey: 'b'.repeat(64) },
+        'https://example.org/a.jpg',
+        { verdict: { source: 'blocklist', type: 'sha256', hash: 'c' } },
+        { namespace: 'test-ns', relayUrl: 'wss://relay.example.org' }
+      )
+
+      expect(label.tags[1]).toEqual(['l', 'blocklist', 'test-ns'])
+    })
+  })
+
+  describe('createNostrLabeler', () => {
+    let relay
+    let labeler
+    let processUrl
+    let config
+
+    beforeEach(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {})
+      jest.spyOn(console, 'warn').mockImplementation(() => {})
+      jest.spyOn(console, 'debug').mockImplementation(() => {})
+      relay = await startRelay()
+      processUrl = jest.fn(async (url) => {
+        if (url.endsWith('broken.jpg')) {
+          throw new Error('Download failed')
+        }
+        return { ...scores, source: { url } }
+      })
+      config = {
+        NOSTR_LABELER_RELAYS: relay.url,
+        NOSTR_LABELER_SECRET_KEY: labelerSecretKey,
+        NOSTR_LABELER_NAMESPACE: 'test-ns',
+        NOSTR_LABELER_KINDS: '1, 20',
+        NOSTR_LABELER_AUTHORS: getPublicKey(authorSecretKey),
+        NOSTR_LABELER_SEEN_MAX_ITEM_NUM: 100,
+        NOSTR_LABELER_CONCURRENCY: 1,
+        NOSTR_LABELER_MAX_QUEUED_EVENTS: 100,
+        NOSTR_RELAY_RECONNECT_MAX_DELAY_IN_SECONDS: 1,
+      }
+      labeler = createNostrLabeler({
+        config,
+        resultCache: new Map(),
+        processUrl,
+        reconnectBaseDelay: 10,
+      })
+    })
+
+    afterEach(async () => {
+      await labeler.stop()
+      relay.sockets.forEach((socket) => socket.terminate())
+      await new Promise((resolve) => relay.server.close(resolve))
+      jest.restoreAllMocks()
+    })
+
+    it('should subscribe to the configured kinds and authors', async () => {
+      const startedAt = Math.floor(Date.now() / 1000)
+      labeler.start()
+
+      await waitFor(() => relay.messages.length > 0)
+
+      expect(relay.messages[0]).toEqual([
+        'REQ',
+        expect.stringMatching(/^nsfw-labeler-/),
+        {
+          kinds: [1, 20],
+          authors: [getPublicKey(authorSecretKey)],
+          since: expect.any(Number),
+        },
+      ])
+      expect(relay.messages[0][2].since).toBeGreaterThanOrEqual(startedAt)
+    })
+
+    it('should publish a signed label per classified media of the signed events', async () => {
+      labeler.start()
+      await waitFor(() => relay.messages.length > 0)
+
+      const note = createNote(
+        'gm https://example.org/a.jpg https://example.org/broken.jpg'
+      )
+      sendEvent(relay, { ...createNote('forged'), content: 'edited' })
+      sendEvent(relay, createNote('no media https://example.org/page'))
+      sendEvent(relay, note)
+      await waitFor(() => processUrl.mock.calls.length === 2)
+      await waitFor(() => getLabels(relay).length === 1)
+
+      expect(processUrl).toHaveBeenCalledWith(
+        'https://example.org/a.jpg',
+        expect.objectContaining({ config, declaredMediaType: 'image' }),
+        expect.any(AbortSignal)
+      )
+      const [label] = getLabels(relay)
+      expect(() => verifyNostrEvent(label)).not.toThrow()
+      expect(label).toMatchObject({
+        pubkey: getPublicKey(labelerSecretKey),
+        kind: LABEL_EVENT_KIND,
+        tags: [
+          ['L', 'test-ns'],
+          ['l', 'sexy', 'test-ns'],
+          ['e', note.id, relay.url],
+          ['p', note.pubkey],
+          ['r', 'https://example.org/a.jpg'],
+        ],
+      })
+      expect(JSON.parse(label.content)).toEqual(scores)
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'Failed to classify https://example.org/broken.jpg'
+        )
+      )
+    })
+
+    it('should drop the events received while the event queue is full', async () => {
+      config.NOSTR_LABELER_MAX_QUEUED_EVENTS = 1
+      let finishLabel
+      processUrl.mockImplementationOnce(
+        () => new Promise((resolve) => (finishLabel = () => resolve(scores)))
+      )
+      labeler.start()
+      await waitFor(() => relay.messages.length > 0)
+
+      const notes = ['a', 'b', 'c'].map((name) =>
+        createNote(`https://example.org/${name}.jpg`)
+      )
+      sendEvent(relay, notes[0])
+      await waitFor(() => processUrl.mock.calls.length === 1)
+      sendEvent(relay, notes[1])
+      sendEvent(relay, notes[2])
+      await waitFor(() => console.warn.mock.calls.length === 1)
+
+      expect(console.warn).toHaveBeenCalledWith(
+        `[Nostr Labeler] Event queue is full, dropping event ${notes[2].id}.`
+      )
+      finishLabel()
+      await waitFor(() => getLabels(relay).length === 2)
+      expect(processUrl.mock.calls.map(([url]) => url)).toEqual([
+        'https://example.org/a.jpg',
+        'https://example.org/b.jpg',
+      ])
+    })
+
+    it('should reconnect, resubscribe from the last event and skip the seen ones', async () => {
+      labeler.start()
+      await waitFor(() => relay.messages.length > 0)
+      const note = createNote('https://example.org/a.jpg')
+      sendEvent(relay, note)
+      await waitFor(() => getLabels(relay).length === 1)
+
+      relay.sockets.forEach((socket) => socket.terminate())
+      await waitFor(
+        () => relay.messages.filter(([type]) => type === 'REQ').length === 2
+      )
+
+      expect(relay.messages.findLast(([type]) => type === 'REQ')[2].since).toBe(
+        note.created_at
+      )
+      const nextNote = createNote('https://example.org/b.jpg')
+      sendEvent(relay, note)
+      sendEvent(relay, nextNote)
+      await waitFor(() => getLabels(relay).length === 2)
+
+      expect(processUrl).toHaveBeenCalledTimes(2)
+      expect(getLabels(relay)[1].tags).toContainEqual([
+        'e',
+        nextNote.id,
+        relay.url,
+      ])
+    })
+  })
+})
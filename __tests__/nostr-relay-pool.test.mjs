@@ -0,0 +1,189 @@
+import { jest } from '@jest/globals'
+import { WebSocketServer } from 'ws'
+import { schnorr } from '@noble/curves/secp256k1.js'
+import { signNostrEvent } from '../src/nostr-event.mjs'
+import { createRelayPool, splitList } from '../src/nostr-relay-pool.mjs'
+
+const secretKey = Buffer.from(schnorr.utils.randomSecretKey()).toString('hex')
+
+/**
+ * Starts a relay stand-in which records the messages of its clients.
+ * @returns {Promise<object>} - The relay, with its `url`, received `messages` and client `sockets`.
+ */
+const startRelay = async () => {
+  const server = new WebSocketServer({ host: '127.0.0.1', port: 0 })
+  await new Promise((resolve) => server.once('listening', resolve))
+  const relay = {
+    server,
+    url: `ws://127.0.0.1:${server.address().port}`,
+    messages: [],
+    sockets: [],
+  }
+  server.on('connection', (socket) => {
+    relay.sockets.push(socket)
+    socket.on('message', (data) => relay.messages.push(JSON.parse(data)))
+  })
+  return relay
+}
+
+/**
+ * Sends a message to the connected clients of a relay.
+ * @param {object} relay - The relay stand-in.
+ * @param {Array} message - The NIP-01 message.
+ */
+const sendMessage = (relay, message) => {
+  relay.sockets.forEach((socket) => socket.send(JSON.stringify(message)))
+}
+
+/**
+ * Gets the subscription requests received by a relay.
+ * @param {object} relay - The relay stand-in.
+ * @returns {Array[]} - The REQ messages.
+ */
+const getRequests = (relay) => relay.messages.filter(([type]) => type === 'REQ')
+
+/**
+ * Waits until a condition is met.
+ * @param {() => boolean} condition - The condition.
+ * @param {number} [timeout=2000] - Maximum time to wait in milliseconds.
+ * @returns {Promise<void>}
+ */
+const waitFor = async (condition, timeout = 2000) => {
+  const deadline = Date.now() + timeout
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Condition not met in time')
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10))
+  }
+}
+
+describe('nostr-relay-pool', () => {
+  describe('splitList', () => {
+    it('should return the trimmed, non empty items', () => {
+      expect(splitList(' a, b ,,c ')).toEqual(['a', 'b', 'c'])
+      expect(splitList('')).toEqual([])
+    })
+  })
+
+  describe('createRelayPool', () => {
+    let relays
+    let pool
+    let onEvent
+
+    beforeEach(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {})
+      jest.spyOn(console, 'warn').mockImplementation(() => {})
+      jest.spyOn(console, 'debug').mockImplementation(() => {})
+      relays = [await startRelay(), await startRelay()]
+      onEvent = jest.fn()
+      pool = createRelayPool({
+        name: 'Test Pool',
+        subscriptionPrefix: 'test',
+        urls: relays.map((relay) => relay.url),
+        filter: { kinds: [5000] },
+        seenMaxItemNum: 10,
+        reconnectMaxDelay: 1000,
+        onEvent,
+        reconnectBaseDelay: 10,
+      })
+    })
+
+    afterEach(async () => {
+      await pool.stop()
+      for (const relay of relays) {
+        relay.sockets.forEach((socket) => socket.terminate())
+        await new Promise((resolve) => relay.server.close(resolve))
+      }
+      jest.restoreAllMocks()
+    })
+
+    it('should subscribe to every relay and hand each signed event over once', async () => {
+      pool.start()
+      await waitFor(() => relays.every((relay) => getRequests(relay).length))
+
+      const [[, subscriptionId, filter]] = getRequests(relays[0])
+      expect(subscriptionId).toMatch(/^test-/)
+      expect(filter).toEqual({ kinds: [5000], since: expect.any(Number) })
+
+      const event = signNostrEvent(
+        { kind: 5000, tags: [], content: '' },
+        secretKey
+      )
+      sendMessage(relays[0], ['EVENT', 'other-subscription', event])
+      sendMessage(relays[0], [
+        'EVENT',
+        subscriptionId,
+        { ...event, content: 'forged' },
+      ])
+      relays.forEach((relay) =>
+        sendMessage(relay, ['EVENT', subscriptionId, event])
+      )
+      await waitFor(() => onEvent.mock.calls.length > 0)
+      await new Promise((resolve) => setTimeout(resolve, 50))
+
+      expect(onEvent).toHaveBeenCalledTimes(1)
+      expect(onEvent).toHaveBeenCalledWith(event, expect.any(String))
+    })
+
+    it('should publish to the connected relays', async () => {
+      const event = signNostrEvent(
+        { kind: 7000, tags: [], content: '' },
+        secretKey
+      )
+
+      expect(pool.publish(event)).toBe(0)
+      expect(console.warn).toHaveBeenCalledWith(
+        `[Test Pool] No relay connected, event ${event.id} is dropped.`
+      )
+
+      pool.start()
+      await waitFor(() => relays.every((relay) => getRequests(relay).length))
+
+      expect(pool.publish(event)).toBe(2)
+      await waitFor(() =>
+        relays.every((relay) =>
+          relay.messages.some(([type]) => type === 'EVENT')
+        )
+      )
+      expect(relays[1].messages).toContainEqual(['EVENT', event])
+    })
+
+    it('should subscribe again after the relay closed the subscription', async () => {
+      pool.start()
+      await waitFor(() => getRequests(relays[0]).length === 1)
+      const [[, subscriptionId]] = getRequests(relays[0])
+
+      sendMessage(relays[0], ['CLOSED', subscriptionId, 'error: shutting down'])
+      await waitFor(() => getRequests(relays[0]).length === 2)
+
+      expect(console.warn).toHaveBeenCalledWith(
+        `[Test Pool] ${relays[0].url} closed the subscription: error: shutting down`
+      )
+      expect(getRequests(relays[0])[1][1]).toBe(subscriptionId)
+    })
+
+    it('should not subscribe again from the date of an event in the future', async () => {
+      pool.start()
+      await waitFor(() => getRequests(relays[0]).length === 1)
+      const [[, subscriptionId]] = getRequests(relays[0])
+
+      const event = signNostrEvent(
+        {
+          kind: 5000,
+          tags: [],
+          content: '',
+          created_at: Math.floor(Date.now() / 1000) + 3600,
+        },
+        secretKey
+      )
+      sendMessage(relays[0], ['EVENT', subscriptionId, event])
+      await waitFor(() => onEvent.mock.calls.length > 0)
+      sendMessage(relays[0], ['CLOSED', subscriptionId, 'error: shutting down'])
+      await waitFor(() => getRequests(relays[0]).length === 2)
+
+      const [, [, , filter]] = getRequests(relays[0])
+      expect(filter.since).toBeLessThanOrEqual(Math.floor(Date.now() / 1000))
+    })
+  })
+})
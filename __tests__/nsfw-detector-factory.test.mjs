@@ -13,6 +13,7 @@ const mockWorkerProxyObject = {
     .mockResolvedValue('nsfwClassifyByteArrayResult'),
   processImageFile: jest.fn().mockResolvedValue('imageProcessFileResult'),
   processImageData: jest.fn().mockResolvedValue('imageProcessDataResult'),
+  computePerceptualHash: jest.fn().mockResolvedValue('ffff0000ffff0000'),
 }
 
 // --- Variables to hold imported factory functions ---
@@ -145,10 +146,14 @@ describe('NsfwDetectorFactory', () => {
       'function'
     )
     const filePath = 'testPathFile.jpg'
-    const fileResult = await nsfwSpyWorkerInstance.classifyImageFile(filePath)
+    const fileResult = await nsfwSpyWorkerInstance.classifyImageFile(
+      filePath,
+      'custom-model'
+    )
     expect(fileResult).toBe('nsfwClassifyFileResult')
     expect(mockWorkerProxyObject.classifyImageFile).toHaveBeenCalledWith(
-      filePath
+      filePath,
+      'custom-model'
     )
     expect(mockPoolForNsfwInstance.proxy).toHaveBeenCalledTimes(1)
     const buffer = Buffer.from('testBuffer')
@@ -157,7 +162,7 @@ describe('NsfwDetectorFactory', () => {
     expect(byteArrayResult).toBe('nsfwClassifyByteArrayResult')
     expect(
       mockWorkerProxyObject.classifyImageFromByteArray
-    ).toHaveBeenCalledWith(buffer)
+    ).toHaveBeenCalledWith(buffer, undefined) // The default model of the workers
     expect(mockPoolForNsfwInstance.proxy).toHaveBeenCalledTimes(1)
   })
 
@@ -172,28 +177,44 @@ describe('NsfwDetectorFactory', () => {
     expect(imageProcessingInstance).toBeDefined()
     expect(typeof imageProcessingInstance.processImageFile).toBe('function')
     expect(typeof imageProcessingInstance.processImageData).toBe('function')
+    expect(typeof imageProcessingInstance.computePerceptualHash).toBe(
+      'function'
+    )
+    expect(typeof imageProcessingInstance.extractAnimatedFrames).toBe(
+      'function'
+    )
+    expect(typeof imageProcessingInstance.censorImage).toBe('function')
+    expect(typeof imageProcessingInstance.convertImage).toBe('function')
     const filePath = 'testPath.jpg'
     const outputPathFile = 'outputPathFile.jpg'
+    const options = { perceptualHash: true }
     const fileResult = await imageProcessingInstance.processImageFile(
       filePath,
-      outputPathFile
+      outputPathFile,
+      options
     )
     expect(fileResult).toBe('imageProcessFileResult')
     expect(mockWorkerProxyObject.processImageFile).toHaveBeenCalledWith(
       filePath,
-      outputPathFile
+      outputPathFile,
+      options
     )
     expect(mockPoolForImageInstance.proxy).toHaveBeenCalledTimes(1)
     const buffer = Buffer.from('testData')
-    const outputPathData = 'outputPathData.jpg'
     const byteArrayResult = await imageProcessingInstance.processImageData(
       buffer,
-      outputPathData
+      options
     )
     expect(byteArrayResult).toBe('imageProcessDataResult')
     expect(mockWorkerProxyObject.processImageData).toHaveBeenCalledWith(
       buffer,
-      outputPathData
+      options
+    )
+    await expect(
+      imageProcessingInstance.computePerceptualHash(buffer)
+    ).resolves.toBe('ffff0000ffff0000')
+    expect(mockWorkerProxyObject.computePerceptualHash).toHaveBeenCalledWith(
+      buffer
     )
     expect(mockPoolForImageInstance.proxy).toHaveBeenCalledTimes(1)
   })
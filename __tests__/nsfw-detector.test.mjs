@@ -1,4 +1,4 @@
-import { NsfwSpy } from '../src/nsfw-detector.mjs'
+import { NsfwSpy, NsfwSpyResult } from '../src/nsfw-detector.mjs'
 import * as fs from 'node:fs/promises'
 import path from 'path'
 import { fileURLToPath } from 'url'
@@ -49,4 +49,47 @@ describe('NsfwSpy', () => {
       unloadedSpy.classifyImageFromByteArray(imageBuffer)
     ).rejects.toThrow('The NsfwSpy model has not been loaded yet.')
   })
+
+  it('should read the model settings from its manifest', () => {
+    const customSpy = new NsfwSpy('file://models/custom/model.json', {
+      inputSize: 299,
+      inputNode: 'input_1',
+      outputNode: 'dense_3/Softmax',
+      labels: ['safe', 'unsafe'],
+      normalization: { mean: 127.5, std: 127.5 },
+    })
+
+    expect(customSpy.imageSize).toBe(299)
+    expect(nsfwSpy.imageSize).toBe(224)
+  })
+})
+
+describe('NsfwSpyResult', () => {
+  it('should map the scores to the default labels', () => {
+    const result = new NsfwSpyResult([0.1, 0.2, 0.6, 0.1])
+
+    expect(result).toEqual(
+      expect.objectContaining({
+        hentai: 0.1,
+        neutral: 0.2,
+        pornography: 0.6,
+        sexy: 0.1,
+        predictedLabel: 'pornography',
+      })
+    )
+    expect(result.isNsfw).toBe(true)
+  })
+
+  it('should map the scores to the labels of the model', () => {
+    const result = new NsfwSpyResult([0.7, 0.3], ['safe', 'unsafe'])
+
+    expect(result.safe).toBe(0.7)
+    expect(result.unsafe).toBe(0.3)
+    expect(result.predictedLabel).toBe('safe')
+    expect(result.hentai).toBeUndefined()
+    expect(result.toDictionary()).toEqual([
+      { key: 'safe', value: 0.7 },
+      { key: 'unsafe', value: 0.3 },
+    ])
+  })
 })
@@ -0,0 +1,153 @@
+import {
+  DIFFERENCE_HASH_THUMBNAIL_WIDTH,
+  DIFFERENCE_HASH_THUMBNAIL_HEIGHT,
+  computeDifferenceHash,
+  hammingDistance,
+  createNearDuplicateIndex,
+} from '../src/perceptual-hash.mjs'
+
+/**
+ * Builds a greyscale thumbnail from the brightness of the cells of the 9x8 hash grid.
+ * @param {(x: number, y: number) => number} brightness - The brightness of a grid cell.
+ * @returns {Uint8Array} - The thumbnail pixels.
+ */
+const createThumbnail = (brightness) => {
+  const pixels = new Uint8Array(
+    DIFFERENCE_HASH_THUMBNAIL_WIDTH * DIFFERENCE_HASH_THUMBNAIL_HEIGHT
+  )
+  for (let y = 0; y < DIFFERENCE_HASH_THUMBNAIL_HEIGHT; y++) {
+    for (let x = 0; x < DIFFERENCE_HASH_THUMBNAIL_WIDTH; x++) {
+      pixels[y * DIFFERENCE_HASH_THUMBNAIL_WIDTH + x] = brightness(
+        Math.floor(x / 4),
+        Math.floor(y / 4)
+      )
+    }
+  }
+  return pixels
+}
+
+/**
+ * Flips bits of a hash.
+ * @param {string} hash - The hash as hexadecimal characters.
+ * @param {number[]} bits - The positions of the bits to flip.
+ * @returns {string} - The modified hash.
+ */
+const flipBits = (hash, bits) =>
+  bits
+    .reduce((value, bit) => value ^ (1n << BigInt(bit)), BigInt(`0x${hash}`))
+    .toString(16)
+    .padStart(16, '0')
+
+describe('perceptual-hash', () => {
+  describe('computeDifferenceHash', () => {
+    it('should set the bits of pixels brighter than their right neighbour', () => {
+      expect(computeDifferenceHash(createThumbnail((x) => 255 - x * 10))).toBe(
+        'ffffffffffffffff'
+      )
+      expect(computeDifferenceHash(createThumbnail((x) => x * 10))).toBe(
+        '0000000000000000'
+      )
+      // Only the first row gets darker to the right
+      expect(
+        computeDifferenceHash(
+          createThumbnail((x, y) => (y === 0 ? 255 - x : x))
+        )
+      ).toBe('ff00000000000000')
+    })
+
+    it('should only use the first channel', () => {
+      const grey = createThumbnail((x) => 255 - x * 10)
+      const pixels = new Uint8Array(grey.length * 3)
+      grey.forEach((value, index) => {
+        pixels[index * 3] = value
+        pixels[index * 3 + 1] = 255 - value
+      })
+
+      expect(computeDifferenceHash(pixels, 3)).toBe('ffffffffffffffff')
+    })
+  })
+
+  describe('hammingDistance', () => {
+    it('should count the differing bits', () => {
+      expect(hammingDistance('0000000000000000', '0000000000000000')).toBe(0)
+      expect(hammingDistance('0000000000000000', 'ffffffffffffffff')).toBe(64)
+      expect(hammingDistance('00000000000000f0', '0000000000000011')).toBe(4)
+    })
+  })
+
+  describe('createNearDuplicateIndex', () => {
+    const hash = '8f3a5c7e91d2b460'
+    const result = { neutral: 0.9, predictedLabel: 'neutral' }
+
+    it('should find the closest hash within the maximum distance', () => {
+      const index = createNearDuplicateIndex({
+        maxDistance: 4,
+        max: 10,
+        ttl: 60000,
+      })
+      const closeResult = { neutral: 0.1, predictedLabel: 'sexy' }
+      index.add('model', hash, result)
+      index.add('model', flipBits(hash, [0, 20]), closeResult)
+
+      expect(index.find('model', flipBits(hash, [0, 20, 40]))).toEqual({
+        result: closeResult,
+        perceptualHash: flipBits(hash, [0, 20]),
+        distance: 1,
+      })
+      expect(index.find('model', flipBits(hash, [1, 15, 30, 45]))).toEqual({
+        result,
+        perceptualHash: hash,
+        distance: 4,
+      })
+      expect(index.find('model', flipBits(hash, [1, 15, 30, 45, 60]))).toBe(
+        null
+      )
+      expect(index.size()).toBe(2)
+    })
+
+    it('should not match the results of another model', () => {
+      const index = createNearDuplicateIndex({
+        maxDistance: 4,
+        max: 10,
+        ttl: 60000,
+      })
+      index.add('model', hash, result)
+
+      expect(index.find('other-model', hash)).toBe(null)
+      expect(index.find('model', hash)).toMatchObject({ distance: 0 })
+    })
+
+    it('should forget evicted and expired results', async () => {
+      const index = createNearDuplicateIndex({
+        maxDistance: 0,
+        max: 1,
+        ttl: 50,
+      })
+      index.add('model', hash, result)
+      index.add('model', flipBits(hash, [5]), result)
+
+      expect(index.find('model', hash)).toBe(null)
+      expect(index.size()).toBe(1)
+
+      await new Promise((resolve) => setTimeout(resolve, 60))
+      expect(index.find('model', flipBits(hash, [5]))).toBe(null)
+      expect(index.size()).toBe(0)
+    })
+
+    it('should remove the results of a model', () => {
+      const index = createNearDuplicateIndex({
+        maxDistance: 4,
+        max: 10,
+        ttl: 60000,
+      })
+      index.add('model', hash, result)
+      index.add('model', flipBits(hash, [3]), result)
+      index.add('other-model', hash, result)
+
+      expect(index.deleteModel('model')).toBe(2)
+      expect(index.find('model', hash)).toBe(null)
+      expect(index.find('other-model', hash)).toMatchObject({ distance: 0 })
+      expect(index.size()).toBe(1)
+    })
+  })
+})
@@ -1,5 +1,6 @@
 import { jest } from '@jest/globals'
 import { Readable } from 'node:stream' // Import Readable
+import { sha256 } from 'js-sha256'
 
 import {
   nsfwDetectorWorkerPool,
@@ -16,32 +17,90 @@ jest.unstable_mockModule('p-memoize', () => {
   return { default: pMemoize }
 })
 
-const mockDownloadFile = jest.fn().mockResolvedValue(undefined)
+/**
+ * Builds the result of a download function, for media downloaded without redirects.
+ * @param {object} [result={}] - The downloaded data (e.g. `buffer` or `stream`).
+ * @returns {object} - The download result.
+ */
+const downloaded = (result = {}) => ({
+  finalUrl: 'http://example.com/media',
+  redirectChain: [],
+  ...result,
+})
+
+/**
+ * Adds the download source reported for URLs downloaded with `downloaded()`.
+ * @param {object} result - The classification result.
+ * @param {string} url - The requested URL.
+ * @returns {object} - The classification result with its source.
+ */
+const withSource = (result, url) => ({
+  ...result,
+  source: { url, finalUrl: 'http://example.com/media', redirectChain: [] },
+})
+
+const mockDownloadFile = jest.fn().mockResolvedValue(downloaded())
 const mockGetContentInfo = jest
   .fn()
   .mockResolvedValue({ contentType: 'image/jpeg', contentLength: 1000 })
 
-const mockDownloadPartFile = jest.fn().mockResolvedValue(undefined)
+const mockDownloadPartFile = jest.fn().mockResolvedValue(downloaded())
 const mockDownloadFileToBuffer = jest
   .fn()
-  .mockResolvedValue(Buffer.from('mock file buffer'))
+  .mockResolvedValue(downloaded({ buffer: Buffer.from('mock file buffer') }))
 const mockDownloadPartFileToBuffer = jest
   .fn()
-  .mockResolvedValue(Buffer.from('mock partial file buffer'))
+  .mockResolvedValue(
+    downloaded({ buffer: Buffer.from('mock partial file buffer') })
+  )
 const mockGetVideoStream = jest.fn().mockResolvedValue(
-  new Readable({
-    read() {
-      this.push(Buffer.from('mock video stream data'))
-      this.push(null)
-    },
+  downloaded({
+    stream: new Readable({
+      read() {
+        this.push(Buffer.from('mock video stream data'))
+        this.push(null)
+      },
+    }),
   })
 )
 const mockGetVideoBuffer = jest
   .fn()
-  .mockResolvedValue(Buffer.from('mock video buffer'))
+  .mockResolvedValue(downloaded({ buffer: Buffer.from('mock video buffer') }))
 const mockStreamToBuffer = jest
   .fn()
   .mockResolvedValue(Buffer.from('mock stream buffer'))
+const mockStreamToFile = jest.fn().mockResolvedValue(undefined)
+/**
+ * Builds the result of `openDownload`, for media downloaded without redirects.
+ * @param {object} [result={}] - The sniffed data (`leadingBytes` and `contentType`).
+ * @returns {object} - The opened download, with a fake stream.
+ */
+const opened = (result = {}) =>
+  downloaded({
+    stream: { destroy: jest.fn() },
+    leadingBytes: Buffer.alloc(0),
+    contentType: undefined,
+    ...result,
+  })
+// Unrecognized leading bytes, the media type falls back to the URL extension
+const mockOpenDownload = jest.fn(async () => opened())
+
+/**
+ * Makes `openDownload` serve some content per URL, which `streamToBuffer` reads back.
+ * @param {(url: string) => Buffer|Error} getContent - Returns the content of a URL, or the error of reading it.
+ * Throwing fails the request itself.
+ */
+const serveUrls = (getContent) => {
+  mockOpenDownload.mockImplementation(async (url) =>
+    opened({ stream: { destroy: jest.fn(), content: getContent(url) } })
+  )
+  mockStreamToBuffer.mockImplementation(async (stream) => {
+    if (stream.content instanceof Error) {
+      throw stream.content
+    }
+    return stream.content
+  })
+}
 
 const mockDownload = {
   downloadFile: mockDownloadFile,
@@ -52,6 +111,8 @@ const mockDownload = {
   getVideoStream: mockGetVideoStream,
   getVideoBuffer: mockGetVideoBuffer,
   streamToBuffer: mockStreamToBuffer,
+  streamToFile: mockStreamToFile,
+  openDownload: mockOpenDownload,
 }
 
 jest.unstable_mockModule('../src/download.mjs', () => mockDownload)
@@ -82,10 +143,19 @@ const mockGenerateScreenshotFromBuffer = jest
   .fn()
   .mockResolvedValue(Buffer.from('mock screenshot buffer'))
 
+const mockGenerateFramesFromStream = jest.fn()
+const mockGenerateFramesFromBuffer = jest.fn()
+const mockGenerateFramesFromFile = jest.fn()
+const mockGetVideoDuration = jest.fn().mockResolvedValue(null)
+
 const mockFfmpegUtil = {
   generateScreenshot: mockGenerateScreenshot,
   generateScreenshotFromStream: mockGenerateScreenshotFromStream,
   generateScreenshotFromBuffer: mockGenerateScreenshotFromBuffer,
+  generateFramesFromStream: mockGenerateFramesFromStream,
+  generateFramesFromBuffer: mockGenerateFramesFromBuffer,
+  generateFramesFromFile: mockGenerateFramesFromFile,
+  getVideoDuration: mockGetVideoDuration,
 }
 
 jest.unstable_mockModule('../src/ffmpeg-util.mjs', () => mockFfmpegUtil)
@@ -100,6 +170,9 @@ const mockFsPromises = {
 jest.unstable_mockModule('fs/promises', () => mockFsPromises)
 
 const mockNodeFs = {
+  createReadStream: jest.fn(() =>
+    Readable.from([Buffer.from('mock uploaded file data')])
+  ),
   unlink: jest.fn().mockImplementation((path, callback) => {
     callback(null) // Simulate successful deletion
   }),
@@ -124,6 +197,10 @@ const mockImageProcessingInstance = {
   processImageData: jest
     .fn()
     .mockResolvedValue(Buffer.from('processed image data')),
+  extractAnimatedFrames: jest.fn().mockResolvedValue([]),
+  computePerceptualHash: jest.fn().mockResolvedValue('ffff0000ffff0000'),
+  censorImage: jest.fn().mockResolvedValue(Buffer.from('censored image')),
+  convertImage: jest.fn().mockResolvedValue(Buffer.from('converted image')),
 }
 
 const mockResultCache = {
@@ -147,11 +224,14 @@ const mockConfig = {
   ENABLE_VIDEO_STREAM_PROCESSING: true, // Enable video stream processing for tests
   FFMPEG_PATH: 'ffmpeg',
   MAX_VIDEO_SIZE_MB: 10,
+  MAX_IMAGE_SIZE_MB: 20,
+  DEFAULT_MODEL: 'mobilenet-v1.0.0',
   REQUEST_TIMEOUT_IN_SECONDS: 30,
   USER_AGENT: 'TestAgent/1.0',
   MAX_CACHE_ITEM_NUM: 100,
   CACHE_DURATION_IN_SECONDS: 3600,
   VIDEO_PROCESSING_CONCURRENCY: 5, // Add mock value for tests
+  BATCH_PROCESSING_CONCURRENCY: 2,
 }
 
 // // Gracefully terminate the worker pools after all tests have run
@@ -164,10 +244,22 @@ describe('Prediction Handlers', () => {
   let mockReq
   let mockRes
   let dependencies
-  let predictUrlHandler, predictDataHandler
+  let predictUrlHandler,
+    predictDataHandler,
+    predictBatchHandler,
+    predictEventHandler,
+    predictFileHandler,
+    censorHandler,
+    createJobHandler,
+    getJobHandler,
+    cancelJobHandler
   beforeEach(async () => {
     jest.clearAllMocks()
     mockMutexes.clear()
+    mockOpenDownload.mockImplementation(async () => opened())
+    mockStreamToBuffer.mockImplementation(async () =>
+      Buffer.from('mock stream buffer')
+    )
     mockResultCache.get.mockReset()
     mockImageProcessingInstance.processImageData.mockImplementation(() => {
       return Promise.resolve(Buffer.from('processed image data'))
@@ -184,6 +276,13 @@ describe('Prediction Handlers', () => {
     const predictionHandler = await import('../src/prediction-handler.mjs')
     predictUrlHandler = predictionHandler.predictUrlHandler
     predictDataHandler = predictionHandler.predictDataHandler
+    predictBatchHandler = predictionHandler.predictBatchHandler
+    predictEventHandler = predictionHandler.predictEventHandler
+    predictFileHandler = predictionHandler.predictFileHandler
+    censorHandler = predictionHandler.censorHandler
+    createJobHandler = predictionHandler.createJobHandler
+    getJobHandler = predictionHandler.getJobHandler
+    cancelJobHandler = predictionHandler.cancelJobHandler
 
     // Dynamically import os module within beforeEach
     const osModule = await import('os')
@@ -204,6 +303,13 @@ describe('Prediction Handlers', () => {
       config: { ...mockConfig }, // Clone config to allow modification in tests
       Mutex: jest.fn().mockImplementation(() => mockMutex),
       os: osModule, // Pass the os module to dependencies
+      modelRegistry: {
+        models: new Map([
+          ['mobilenet-v1.0.0', { id: 'mobilenet-v1.0.0' }],
+          ['custom', { id: 'custom' }],
+        ]),
+        defaultModel: 'mobilenet-v1.0.0',
+      },
     }
   })
 
@@ -244,18 +350,27 @@ describe('Prediction Handlers', () => {
       )
       expect(mockImageProcessingInstance.processImageFile).toHaveBeenCalledWith(
         expect.any(String),
-        expect.stringContaining('_final')
+        expect.stringContaining('_final'),
+        { perceptualHash: false }
       )
       expect(mockNsfwSpy.classifyImageFile).toHaveBeenCalledWith(
-        expect.stringContaining('_final')
+        expect.stringContaining('_final'),
+        'mobilenet-v1.0.0'
       )
       expect(mockResultCache.set).toHaveBeenCalledWith(
-        expect.stringContaining('url-'),
+        expect.stringContaining('content-'),
         expectedClassification
       )
+      expect(mockResultCache.set).toHaveBeenCalledWith(
+        expect.stringContaining('url-'),
+        withSource(
+          { contentCacheKey: expect.stringContaining('content-') },
+          mockImageUrl
+        )
+      )
       expect(mockRes.status).toHaveBeenCalledWith(200)
       expect(mockRes.json).toHaveBeenCalledWith({
-        data: expectedClassification,
+        data: withSource(expectedClassification, mockImageUrl),
       })
       expect(dependencies.Mutex().acquire).toHaveBeenCalled()
       expect(mockUtil.deleteFile).toHaveBeenCalledTimes(2) // For the downloaded image file and the processed file
@@ -288,18 +403,27 @@ describe('Prediction Handlers', () => {
         expect.stringContaining('url-')
       )
       expect(mockImageProcessingInstance.processImageData).toHaveBeenCalledWith(
-        expect.any(Buffer)
+        expect.any(Buffer),
+        { perceptualHash: false }
       )
       expect(mockNsfwSpy.classifyImageFromByteArray).toHaveBeenCalledWith(
-        expect.any(Buffer)
+        expect.any(Buffer),
+        'mobilenet-v1.0.0'
       )
       expect(mockResultCache.set).toHaveBeenCalledWith(
-        expect.stringContaining('url-'),
+        expect.stringContaining('content-'),
         expectedClassification
       )
+      expect(mockResultCache.set).toHaveBeenCalledWith(
+        expect.stringContaining('url-'),
+        withSource(
+          { contentCacheKey: expect.stringContaining('content-') },
+          mockImageUrl
+        )
+      )
       expect(mockRes.status).toHaveBeenCalledWith(200)
       expect(mockRes.json).toHaveBeenCalledWith({
-        data: expectedClassification,
+        data: withSource(expectedClassification, mockImageUrl),
       })
       expect(dependencies.Mutex().acquire).toHaveBeenCalled()
       // expect(mockMutexes.delete).toHaveBeenCalled() // This is no longer called with LRU cache
@@ -365,6 +489,60 @@ describe('Prediction Handlers', () => {
       // expect(mockMutexes.delete).toHaveBeenCalled() // This is no longer called with LRU cache
     })
 
+    it('should return 413 with the error code if the image is too large', async () => {
+      mockReq.body.url = 'http://example.com/huge.jpg'
+      const sizeError = new Error(
+        'Content exceeds the maximum allowed size of 20971520 bytes.'
+      )
+      sizeError.code = 'ERR_IMAGE_TOO_LARGE'
+      dependencies.config.ENABLE_BUFFER_PROCESSING = true
+      mockResultCache.get.mockReturnValue(undefined)
+      mockStreamToBuffer.mockRejectedValueOnce(sizeError)
+
+      await predictUrlHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+
+      expect(
+        mockImageProcessingInstance.processImageData
+      ).not.toHaveBeenCalled()
+      expect(mockRes.status).toHaveBeenCalledWith(413)
+      expect(mockRes.json).toHaveBeenCalledWith({
+        message: expect.stringContaining(sizeError.message),
+        code: 'ERR_IMAGE_TOO_LARGE',
+      })
+    })
+
+    it('should return 413 with the error code if the image has too many pixels', async () => {
+      mockReq.body.url = 'http://example.com/bomb.png'
+      const pixelError = new Error(
+        'Failed to process image data: Input image exceeds pixel limit'
+      )
+      pixelError.code = 'ERR_IMAGE_TOO_MANY_PIXELS'
+      dependencies.config.ENABLE_BUFFER_PROCESSING = true
+      mockResultCache.get.mockReturnValue(undefined)
+      mockImageProcessingInstance.processImageData.mockRejectedValueOnce(
+        pixelError
+      )
+
+      await predictUrlHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+
+      expect(mockNsfwSpy.classifyImageFromByteArray).not.toHaveBeenCalled()
+      expect(mockRes.status).toHaveBeenCalledWith(413)
+      expect(mockRes.json).toHaveBeenCalledWith({
+        message: expect.stringContaining('exceeds pixel limit'),
+        code: 'ERR_IMAGE_TOO_MANY_PIXELS',
+      })
+    })
+
     it('should return cached result if available for URL', async () => {
       const mockImageUrl = 'http://example.com/cached.jpg'
       mockReq.body.url = mockImageUrl
@@ -411,7 +589,9 @@ describe('Prediction Handlers', () => {
           this.push(null)
         },
       })
-      mockGetVideoStream.mockResolvedValueOnce(mockVideoStream)
+      mockOpenDownload.mockResolvedValueOnce(
+        opened({ stream: mockVideoStream })
+      )
       mockGenerateScreenshotFromStream.mockResolvedValueOnce(
         Buffer.from('mock screenshot buffer')
       )
@@ -429,26 +609,32 @@ describe('Prediction Handlers', () => {
         new AbortController().signal
       )
 
-      expect(mockGetVideoStream).toHaveBeenCalledWith(
+      // The video is streamed from the download it was routed on
+      expect(mockOpenDownload).toHaveBeenCalledTimes(1)
+      expect(mockOpenDownload).toHaveBeenCalledWith(
         mockVideoUrl,
-        expect.any(Object),
+        256,
         expect.any(Number),
+        expect.any(Object),
         expect.any(Object)
       )
+      expect(mockGetVideoStream).not.toHaveBeenCalled()
       expect(mockGenerateScreenshotFromStream).toHaveBeenCalledWith(
         mockVideoStream,
         dependencies.config.FFMPEG_PATH,
         expect.any(Object) // Match the options object
       )
       expect(mockImageProcessingInstance.processImageData).toHaveBeenCalledWith(
-        expect.any(Buffer)
+        expect.any(Buffer),
+        { perceptualHash: false }
       )
       expect(mockNsfwSpy.classifyImageFromByteArray).toHaveBeenCalledWith(
-        expect.any(Buffer)
+        expect.any(Buffer),
+        'mobilenet-v1.0.0'
       )
       expect(mockRes.status).toHaveBeenCalledWith(200)
       expect(mockRes.json).toHaveBeenCalledWith({
-        data: expectedClassificationVideo,
+        data: withSource(expectedClassificationVideo, mockVideoUrl),
       })
 
       // Ensure fallbacks were NOT called
@@ -469,11 +655,13 @@ describe('Prediction Handlers', () => {
       dependencies.config.ENABLE_VIDEO_STREAM_PROCESSING = true
 
       // Tier 1 fails
-      mockGetVideoStream.mockRejectedValueOnce(new Error('Streaming failed'))
+      mockGenerateScreenshotFromStream.mockRejectedValueOnce(
+        new Error('Streaming failed')
+      )
 
       // Tier 2 succeeds
       mockDownloadPartFileToBuffer.mockResolvedValueOnce(
-        Buffer.from('mock partial video buffer')
+        downloaded({ buffer: Buffer.from('mock partial video buffer') })
       )
       mockGenerateScreenshotFromBuffer.mockResolvedValueOnce(
         Buffer.from('mock screenshot buffer from partial')
@@ -492,7 +680,7 @@ describe('Prediction Handlers', () => {
         new AbortController().signal
       )
 
-      expect(mockGetVideoStream).toHaveBeenCalledTimes(1) // Attempted once
+      expect(mockGenerateScreenshotFromStream).toHaveBeenCalledTimes(1) // Attempted once
       expect(mockDownloadPartFileToBuffer).toHaveBeenCalledWith(
         mockVideoUrl,
         expect.any(Number),
@@ -506,14 +694,16 @@ describe('Prediction Handlers', () => {
         expect.any(Object) // Match the options object
       )
       expect(mockImageProcessingInstance.processImageData).toHaveBeenCalledWith(
-        expect.any(Buffer)
+        expect.any(Buffer),
+        { perceptualHash: false }
       )
       expect(mockNsfwSpy.classifyImageFromByteArray).toHaveBeenCalledWith(
-        expect.any(Buffer)
+        expect.any(Buffer),
+        'mobilenet-v1.0.0'
       )
       expect(mockRes.status).toHaveBeenCalledWith(200)
       expect(mockRes.json).toHaveBeenCalledWith({
-        data: expectedClassificationVideo,
+        data: withSource(expectedClassificationVideo, mockVideoUrl),
       })
 
       // Ensure Tier 3 was NOT called
@@ -531,14 +721,16 @@ describe('Prediction Handlers', () => {
       dependencies.config.ENABLE_VIDEO_STREAM_PROCESSING = true
 
       // Tier 1 fails
-      mockGetVideoStream.mockRejectedValueOnce(new Error('Streaming failed'))
+      mockGenerateScreenshotFromStream.mockRejectedValueOnce(
+        new Error('Streaming failed')
+      )
       // Tier 2 fails
       mockDownloadPartFileToBuffer.mockRejectedValueOnce(
         new Error('Partial buffer download failed')
       )
 
       // Tier 3 succeeds
-      mockDownloadPartFile.mockResolvedValueOnce(true)
+      mockDownloadPartFile.mockResolvedValueOnce(downloaded())
       mockGenerateScreenshot.mockResolvedValueOnce(true)
       mockFsPromises.readFile.mockResolvedValueOnce(
         Buffer.from('mock screenshot buffer from file')
@@ -557,7 +749,7 @@ describe('Prediction Handlers', () => {
         new AbortController().signal
       )
 
-      expect(mockGetVideoStream).toHaveBeenCalledTimes(1)
+      expect(mockGenerateScreenshotFromStream).toHaveBeenCalledTimes(1)
       expect(mockDownloadPartFileToBuffer).toHaveBeenCalledTimes(1)
       expect(mockDownloadPartFile).toHaveBeenCalledWith(
         mockVideoUrl,
@@ -576,14 +768,16 @@ describe('Prediction Handlers', () => {
         expect.stringContaining(dependencies.config.IMG_DOWNLOAD_PATH)
       )
       expect(mockImageProcessingInstance.processImageData).toHaveBeenCalledWith(
-        expect.any(Buffer)
+        expect.any(Buffer),
+        { perceptualHash: false }
       )
       expect(mockNsfwSpy.classifyImageFromByteArray).toHaveBeenCalledWith(
-        expect.any(Buffer)
+        expect.any(Buffer),
+        'mobilenet-v1.0.0'
       )
       expect(mockRes.status).toHaveBeenCalledWith(200)
       expect(mockRes.json).toHaveBeenCalledWith({
-        data: expectedClassificationVideo,
+        data: withSource(expectedClassificationVideo, mockVideoUrl),
       })
 
       // Ensure temporary files created by fallback are cleaned up
@@ -599,7 +793,9 @@ describe('Prediction Handlers', () => {
       dependencies.config.ENABLE_VIDEO_STREAM_PROCESSING = true
 
       // All tiers fail
-      mockGetVideoStream.mockRejectedValueOnce(new Error('Streaming failed'))
+      mockGenerateScreenshotFromStream.mockRejectedValueOnce(
+        new Error('Streaming failed')
+      )
       mockDownloadPartFileToBuffer.mockRejectedValueOnce(
         new Error('Partial buffer download failed')
       )
@@ -615,7 +811,7 @@ describe('Prediction Handlers', () => {
         new AbortController().signal
       )
 
-      expect(mockGetVideoStream).toHaveBeenCalledTimes(1)
+      expect(mockGenerateScreenshotFromStream).toHaveBeenCalledTimes(1)
       expect(mockDownloadPartFileToBuffer).toHaveBeenCalledTimes(1)
       expect(mockDownloadPartFile).toHaveBeenCalledTimes(1)
 
@@ -635,22 +831,16 @@ describe('Prediction Handlers', () => {
       dependencies.config.ENABLE_VIDEO_STREAM_PROCESSING = true
 
       // Mock all tiers to succeed to ensure p-limit is called on each
-      mockGetVideoStream.mockResolvedValueOnce(
-        new Readable({
-          read() {
-            this.push(Buffer.from('stream'))
-            this.push(null)
-          },
-        })
-      )
       mockGenerateScreenshotFromStream.mockResolvedValueOnce(
         Buffer.from('screenshot')
       )
-      mockDownloadPartFileToBuffer.mockResolvedValueOnce(Buffer.from('buffer'))
+      mockDownloadPartFileToBuffer.mockResolvedValueOnce(
+        downloaded({ buffer: Buffer.from('buffer') })
+      )
       mockGenerateScreenshotFromBuffer.mockResolvedValueOnce(
         Buffer.from('screenshot')
       )
-      mockDownloadPartFile.mockResolvedValueOnce(true)
+      mockDownloadPartFile.mockResolvedValueOnce(downloaded())
       mockGenerateScreenshot.mockResolvedValueOnce(true)
       mockFsPromises.readFile.mockResolvedValueOnce(Buffer.from('screenshot'))
 
@@ -679,7 +869,7 @@ describe('Prediction Handlers', () => {
       )
 
       // Assert that the primary tier functions were called (they are wrapped by p-limit)
-      expect(mockGetVideoStream).toHaveBeenCalled()
+      expect(mockOpenDownload).toHaveBeenCalled()
       expect(mockGenerateScreenshotFromStream).toHaveBeenCalled()
       expect(mockImageProcessingInstance.processImageData).toHaveBeenCalled()
       expect(mockNsfwSpy.classifyImageFromByteArray).toHaveBeenCalled()
@@ -724,19 +914,26 @@ describe('Prediction Handlers', () => {
         dependencies.config.ENABLE_BUFFER_PROCESSING = true
 
         // Reset mocks to ensure test isolation within this describe block
-        mockGetVideoStream.mockReset()
         mockDownloadPartFileToBuffer.mockReset()
         mockDownloadPartFile.mockReset()
         mockGenerateScreenshot.mockReset()
         mockFsPromises.readFile.mockReset()
 
         // Set up the baseline failure for Tiers 1 and 2 for all tests in this block
-        mockGetVideoStream.mockRejectedValue(new Error('Streaming failed'))
+        mockGenerateScreenshotFromStream.mockRejectedValue(
+          new Error('Streaming failed')
+        )
         mockDownloadPartFileToBuffer.mockRejectedValue(
           new Error('Partial buffer download failed')
         )
       })
 
+      afterEach(() => {
+        mockGenerateScreenshotFromStream.mockResolvedValue(
+          Buffer.from('mock screenshot buffer')
+        )
+      })
+
       it('should handle a failure in Tier 3 (downloadPartFile fails)', async () => {
         // Tier 3 Download fails
         mockDownloadPartFile.mockRejectedValueOnce(
@@ -761,7 +958,7 @@ describe('Prediction Handlers', () => {
 
       it('should handle a failure in Tier 3 (generateScreenshot fails)', async () => {
         // Tier 3 Download succeeds, but screenshot fails
-        mockDownloadPartFile.mockResolvedValueOnce(true)
+        mockDownloadPartFile.mockResolvedValueOnce(downloaded())
         mockGenerateScreenshot.mockResolvedValueOnce(false) // Simulate failure by returning false
 
         await predictUrlHandler(
@@ -781,7 +978,7 @@ describe('Prediction Handlers', () => {
 
       it('should handle a failure in Tier 3 (readFile fails)', async () => {
         // Tier 3 Download and screenshot succeed, but reading the file fails
-        mockDownloadPartFile.mockResolvedValueOnce(true)
+        mockDownloadPartFile.mockResolvedValueOnce(downloaded())
         mockGenerateScreenshot.mockResolvedValueOnce(true)
         mockFsPromises.readFile.mockRejectedValueOnce(
           new Error('Cannot read file')
@@ -811,7 +1008,6 @@ describe('Prediction Handlers', () => {
 
         dependencies.config.ENABLE_BUFFER_PROCESSING = false
 
-        mockDownloadPartFile.mockResolvedValueOnce({ status: 'downloaded' })
         mockGenerateScreenshot.mockResolvedValueOnce(true)
         mockUtil.moveFile.mockResolvedValueOnce(undefined)
         mockImageProcessingInstance.processImageFile.mockResolvedValueOnce({
@@ -829,15 +1025,21 @@ describe('Prediction Handlers', () => {
           new AbortController().signal
         )
 
-        // Verify file-based functions were called
-        expect(mockDownloadPartFile).toHaveBeenCalled()
+        // Verify file-based functions were called, only the beginning of a large video is kept
+        expect(mockStreamToFile).toHaveBeenCalledWith(
+          expect.any(Object),
+          expect.stringContaining('_video'),
+          dependencies.config.MAX_VIDEO_SIZE_MB * 1024 * 1024,
+          { truncate: true }
+        )
+        expect(mockDownloadPartFile).not.toHaveBeenCalled()
         expect(mockGenerateScreenshot).toHaveBeenCalled()
         expect(mockUtil.moveFile).toHaveBeenCalled()
         expect(mockImageProcessingInstance.processImageFile).toHaveBeenCalled()
         expect(mockNsfwSpy.classifyImageFile).toHaveBeenCalled()
 
         // Verify buffer-based functions were NOT called
-        expect(mockDownloadFileToBuffer).not.toHaveBeenCalled()
+        expect(mockStreamToBuffer).not.toHaveBeenCalled()
         expect(
           mockImageProcessingInstance.processImageData
         ).not.toHaveBeenCalled()
@@ -845,13 +1047,350 @@ describe('Prediction Handlers', () => {
 
         expect(mockRes.status).toHaveBeenCalledWith(200)
         expect(mockRes.json).toHaveBeenCalledWith({
-          data: expectedClassification,
+          data: withSource(expectedClassification, mockVideoUrl),
         })
         expect(mockUtil.deleteFile).toHaveBeenCalledTimes(3) // For video file, screenshot file, and processed file
       })
     })
   })
 
+  describe('Multi-frame video analysis', () => {
+    const mockVideoUrl = 'http://example.com/video.mp4'
+    const frames = [
+      { index: 0, timestamp: 1, buffer: Buffer.from('frame 0') },
+      { index: 1, timestamp: 3, buffer: Buffer.from('frame 1') },
+    ]
+    const neutralFrame = {
+      hentai: 0.05,
+      neutral: 0.9,
+      pornography: 0.03,
+      sexy: 0.02,
+      predictedLabel: 'neutral',
+    }
+    const pornFrame = {
+      hentai: 0.05,
+      neutral: 0.1,
+      pornography: 0.8,
+      sexy: 0.05,
+      predictedLabel: 'pornography',
+    }
+
+    beforeEach(() => {
+      mockReq.body.url = mockVideoUrl
+      mockResultCache.get.mockReturnValue(undefined)
+      Object.assign(dependencies.config, {
+        VIDEO_FRAME_SAMPLING_MODE: 'count',
+        VIDEO_FRAME_COUNT: 2,
+        VIDEO_FRAME_INTERVAL_SECONDS: 2,
+        FRAME_AGGREGATION_STRATEGY: 'max',
+        FRAME_NSFW_THRESHOLD: 0.5,
+      })
+      mockNsfwSpy.classifyImageFromByteArray
+        .mockResolvedValueOnce(neutralFrame)
+        .mockResolvedValueOnce(pornFrame)
+    })
+
+    it('should sample frames spread over the video duration from the buffer tier (Buffer Path)', async () => {
+      dependencies.config.ENABLE_BUFFER_PROCESSING = true
+      mockStreamToBuffer.mockResolvedValueOnce(
+        Buffer.from('mock partial video buffer')
+      )
+      mockGetVideoDuration.mockResolvedValueOnce(4)
+      mockGenerateFramesFromBuffer.mockResolvedValueOnce(frames)
+
+      await predictUrlHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+
+      // Count mode needs the duration, so the streaming tier is skipped and the download is buffered
+      expect(mockGenerateFramesFromStream).not.toHaveBeenCalled()
+      expect(mockStreamToBuffer).toHaveBeenCalledWith(
+        expect.any(Object),
+        dependencies.config.MAX_VIDEO_SIZE_MB * 1024 * 1024,
+        { truncate: true }
+      )
+      expect(mockDownloadPartFileToBuffer).not.toHaveBeenCalled()
+      expect(mockGenerateFramesFromBuffer).toHaveBeenCalledWith(
+        expect.any(Buffer),
+        dependencies.config.FFMPEG_PATH,
+        expect.objectContaining({ interval: 2, offset: 1, maxFrames: 2 })
+      )
+      expect(mockNsfwSpy.classifyImageFromByteArray).toHaveBeenCalledTimes(2)
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+      const { data } = mockRes.json.mock.calls[0][0]
+      expect(data.predictedLabel).toBe('pornography')
+      expect(data.pornography).toBe(0.8)
+      expect(data.neutral).toBe(0.1)
+      expect(data.frames).toHaveLength(2)
+      expect(data.aggregation).toEqual({
+        strategy: 'max',
+        threshold: 0.5,
+        isNsfw: true,
+        flaggedFrames: [1],
+      })
+    })
+
+    it('should sample frames from the downloaded video file (File Path)', async () => {
+      dependencies.config.ENABLE_BUFFER_PROCESSING = false
+      dependencies.config.VIDEO_FRAME_SAMPLING_MODE = 'interval'
+      mockGenerateFramesFromFile.mockResolvedValueOnce(frames)
+
+      await predictUrlHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+
+      expect(mockGenerateFramesFromFile).toHaveBeenCalledWith(
+        expect.stringContaining('_video'),
+        dependencies.config.FFMPEG_PATH,
+        expect.objectContaining({ interval: 2, offset: 0, maxFrames: 2 })
+      )
+      expect(mockGenerateScreenshot).not.toHaveBeenCalled()
+      expect(mockNsfwSpy.classifyImageFile).not.toHaveBeenCalled()
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+      const { data } = mockRes.json.mock.calls[0][0]
+      expect(data.frames.map((frame) => frame.timestamp)).toEqual([1, 3])
+      expect(mockUtil.deleteFile).toHaveBeenCalledTimes(1) // Only the downloaded video file
+    })
+  })
+
+  describe('Animated image analysis', () => {
+    const frames = [
+      { index: 0, page: 0, timestamp: 0, buffer: Buffer.from('frame 0') },
+      { index: 1, page: 9, timestamp: 4.5, buffer: Buffer.from('frame 9') },
+    ]
+
+    beforeEach(() => {
+      mockResultCache.get.mockReturnValue(undefined)
+      Object.assign(dependencies.config, {
+        ENABLE_ANIMATED_IMAGE_ANALYSIS: true,
+        ANIMATED_IMAGE_FRAME_COUNT: 2,
+        FRAME_AGGREGATION_STRATEGY: 'max',
+        FRAME_NSFW_THRESHOLD: 0.5,
+      })
+      mockImageProcessingInstance.extractAnimatedFrames.mockResolvedValue([])
+    })
+
+    it('should classify every sampled frame of an animated image', async () => {
+      mockImageProcessingInstance.extractAnimatedFrames.mockResolvedValueOnce(
+        frames
+      )
+      mockNsfwSpy.classifyImageFromByteArray
+        .mockResolvedValueOnce({
+          hentai: 0.05,
+          neutral: 0.9,
+          pornography: 0.03,
+          sexy: 0.02,
+          predictedLabel: 'neutral',
+        })
+        .mockResolvedValueOnce({
+          hentai: 0.7,
+          neutral: 0.2,
+          pornography: 0.05,
+          sexy: 0.05,
+          predictedLabel: 'hentai',
+        })
+
+      await predictDataHandler(mockReq, mockRes, dependencies)
+
+      expect(
+        mockImageProcessingInstance.extractAnimatedFrames
+      ).toHaveBeenCalledWith(expect.any(Buffer), 2)
+      expect(mockImageProcessingInstance.processImageData).toHaveBeenCalledWith(
+        frames[1].buffer
+      )
+      expect(mockNsfwSpy.classifyImageFromByteArray).toHaveBeenCalledTimes(2)
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+      const { data } = mockRes.json.mock.calls[0][0]
+      expect(data.predictedLabel).toBe('hentai')
+      expect(
+        data.frames.map(({ page, timestamp }) => [page, timestamp])
+      ).toEqual([
+        [0, 0],
+        [9, 4.5],
+      ])
+      expect(data.aggregation.flaggedFrames).toEqual([1])
+    })
+
+    it('should classify still images as a single image', async () => {
+      mockNsfwSpy.classifyImageFromByteArray.mockResolvedValueOnce({
+        hentai: 0.05,
+        neutral: 0.9,
+        pornography: 0.03,
+        sexy: 0.02,
+        predictedLabel: 'neutral',
+      })
+
+      await predictDataHandler(mockReq, mockRes, dependencies)
+
+      expect(mockNsfwSpy.classifyImageFromByteArray).toHaveBeenCalledTimes(1)
+      const { data } = mockRes.json.mock.calls[0][0]
+      expect(data).not.toHaveProperty('frames')
+    })
+
+    it('should fall back to single image processing when frame extraction fails (File Path)', async () => {
+      dependencies.config.ENABLE_BUFFER_PROCESSING = false
+      mockImageProcessingInstance.extractAnimatedFrames.mockRejectedValueOnce(
+        new Error('Failed to get image metadata')
+      )
+      mockImageProcessingInstance.processImageFile.mockResolvedValueOnce({})
+      mockNsfwSpy.classifyImageFile.mockResolvedValueOnce({
+        hentai: 0.05,
+        neutral: 0.9,
+        pornography: 0.03,
+        sexy: 0.02,
+        predictedLabel: 'neutral',
+      })
+
+      await predictDataHandler(mockReq, mockRes, dependencies)
+
+      expect(
+        mockImageProcessingInstance.extractAnimatedFrames
+      ).toHaveBeenCalledWith(expect.stringContaining('_image'), 2)
+      expect(mockNsfwSpy.classifyImageFile).toHaveBeenCalledTimes(1)
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+    })
+  })
+
+  describe('Moderation policies', () => {
+    const classification = {
+      hentai: 0.05,
+      neutral: 0.3,
+      pornography: 0.6,
+      sexy: 0.05,
+      predictedLabel: 'pornography',
+    }
+    const strictPolicy = {
+      name: 'strict',
+      rules: [
+        { category: 'sexy', threshold: 0.5, action: 'blur' },
+        { category: 'pornography', threshold: 0.5, action: 'block' },
+      ],
+      defaultAction: 'allow',
+    }
+    const blockDecision = {
+      policy: 'strict',
+      action: 'block',
+      rule: {
+        category: 'pornography',
+        threshold: 0.5,
+        action: 'block',
+        score: 0.6,
+      },
+    }
+
+    beforeEach(() => {
+      dependencies.config.ENABLE_BUFFER_PROCESSING = true
+      dependencies.moderationPolicies = new Map([['strict', strictPolicy]])
+      mockResultCache.get.mockReturnValue(undefined)
+      mockNsfwSpy.classifyImageFromByteArray.mockResolvedValue(classification)
+    })
+
+    it('should add the decision of the requested policy next to the scores', async () => {
+      mockReq.body.policy = 'strict'
+
+      await predictDataHandler(mockReq, mockRes, dependencies)
+
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+      expect(mockRes.json).toHaveBeenCalledWith({
+        data: { ...classification, moderation: blockDecision },
+      })
+      // The cached result stays policy independent
+      expect(mockResultCache.set).toHaveBeenCalledWith(
+        expect.any(String),
+        classification
+      )
+    })
+
+    it('should apply the default policy when none is requested', async () => {
+      dependencies.config.DEFAULT_MODERATION_POLICY = 'strict'
+      mockReq.body = { url: 'http://example.com/image.jpg' }
+
+      await predictUrlHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+      expect(mockRes.json.mock.calls[0][0].data.moderation).toEqual(
+        blockDecision
+      )
+    })
+
+    it('should not add a decision when no policy applies', async () => {
+      await predictDataHandler(mockReq, mockRes, dependencies)
+
+      expect(mockRes.json).toHaveBeenCalledWith({ data: classification })
+    })
+
+    it('should read the policy from the query string for raw file uploads', async () => {
+      mockReq.body = Buffer.from('raw image bytes')
+      mockReq.query = { policy: 'strict' }
+
+      await predictFileHandler(mockReq, mockRes, dependencies)
+
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+      expect(mockRes.json.mock.calls[0][0].data.moderation).toEqual(
+        blockDecision
+      )
+    })
+
+    it('should return 400 for an unknown policy before processing', async () => {
+      mockReq.body.policy = 'unknown'
+
+      await predictDataHandler(mockReq, mockRes, dependencies)
+
+      expect(mockRes.status).toHaveBeenCalledWith(400)
+      expect(mockRes.json).toHaveBeenCalledWith({
+        message: 'Unknown moderation policy: unknown',
+      })
+      expect(mockNsfwSpy.classifyImageFromByteArray).not.toHaveBeenCalled()
+    })
+
+    it('should apply the policy to every successful batch item', async () => {
+      mockReq.body = {
+        policy: 'strict',
+        items: [
+          { data: Buffer.from('testdata').toString('base64') },
+          { url: 'not a url' },
+        ],
+      }
+      mockUtil.extractUrl.mockImplementation((url) =>
+        url.startsWith('http') ? [url] : null
+      )
+
+      await predictBatchHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+
+      expect(mockRes.json).toHaveBeenCalledWith({
+        data: [
+          {
+            index: 0,
+            status: 'success',
+            data: { ...classification, moderation: blockDecision },
+          },
+          {
+            index: 1,
+            url: 'not a url',
+            status: 'error',
+            message: 'URL is not detected',
+          },
+        ],
+      })
+    })
+  })
+
   describe('predictDataHandler', () => {
     beforeEach(() => {
       mockReq.body = { data: Buffer.from('testdata').toString('base64') }
@@ -877,10 +1416,12 @@ describe('Prediction Handlers', () => {
       expect(mockImageProcessingInstance.processImageFile).toHaveBeenCalledWith(
         // Corrected assertion
         expect.stringContaining(dependencies.config.IMG_DOWNLOAD_PATH),
-        expect.stringContaining(dependencies.config.IMG_DOWNLOAD_PATH)
+        expect.stringContaining(dependencies.config.IMG_DOWNLOAD_PATH),
+        { perceptualHash: false }
       )
       expect(mockNsfwSpy.classifyImageFile).toHaveBeenCalledWith(
-        expect.stringContaining(dependencies.config.IMG_DOWNLOAD_PATH)
+        expect.stringContaining(dependencies.config.IMG_DOWNLOAD_PATH),
+        'mobilenet-v1.0.0'
       )
       expect(mockRes.status).toHaveBeenCalledWith(200)
       expect(mockRes.json).toHaveBeenCalledWith({
@@ -912,10 +1453,12 @@ describe('Prediction Handlers', () => {
       await predictDataHandler(mockReq, mockRes, dependencies)
 
       expect(mockImageProcessingInstance.processImageData).toHaveBeenCalledWith(
-        expect.any(Buffer)
+        expect.any(Buffer),
+        { perceptualHash: false }
       )
       expect(mockNsfwSpy.classifyImageFromByteArray).toHaveBeenCalledWith(
-        expect.any(Buffer)
+        expect.any(Buffer),
+        'mobilenet-v1.0.0'
       )
       expect(mockRes.status).toHaveBeenCalledWith(200)
       expect(mockRes.json).toHaveBeenCalledWith({
@@ -971,16 +1514,1236 @@ describe('Prediction Handlers', () => {
     })
   })
 
-  describe('File-Based Processing Path Failures (ENABLE_BUFFER_PROCESSING: false)', () => {
+  describe('censorHandler', () => {
+    const nsfwClassification = {
+      hentai: 0.05,
+      neutral: 0.2,
+      pornography: 0.7,
+      sexy: 0.05,
+      predictedLabel: 'pornography',
+    }
+    const neutralClassification = {
+      hentai: 0.05,
+      neutral: 0.85,
+      pornography: 0.05,
+      sexy: 0.05,
+      predictedLabel: 'neutral',
+    }
+
     beforeEach(() => {
-      dependencies.config.ENABLE_BUFFER_PROCESSING = false
+      dependencies.config.ENABLE_BUFFER_PROCESSING = true
+      Object.assign(dependencies.config, {
+        CENSOR_DEFAULT_METHOD: 'blur',
+        CENSOR_DEFAULT_STRENGTH: 30,
+        CENSOR_DEFAULT_FORMAT: 'jpeg',
+      })
+      mockResultCache.get.mockReturnValue(undefined)
+      mockRes.set = jest.fn().mockReturnThis()
+      mockRes.type = jest.fn().mockReturnThis()
+      mockRes.send = jest.fn()
     })
 
-    it('should handle video download failure', async () => {
+    it('should download the URL once and return a blurred image with the scores in headers', async () => {
+      mockReq = { body: { url: 'http://example.com/image.jpg' } }
+      mockDownloadFileToBuffer.mockResolvedValueOnce(
+        downloaded({ buffer: Buffer.from('original image') })
+      )
+      mockNsfwSpy.classifyImageFromByteArray.mockResolvedValueOnce(
+        nsfwClassification
+      )
+
+      await censorHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+
+      expect(mockDownloadFileToBuffer).toHaveBeenCalledTimes(1)
+      expect(mockImageProcessingInstance.censorImage).toHaveBeenCalledWith(
+        Buffer.from('original image'),
+        { method: 'blur', strength: 30, format: 'jpeg', response: 'image' }
+      )
+      expect(mockRes.set).toHaveBeenCalledWith(
+        expect.objectContaining({
+          'X-Censored': 'true',
+          'X-Nsfw-Pornography': '0.7',
+          'X-Nsfw-Predicted-Label': 'pornography',
+        })
+      )
+      expect(mockRes.type).toHaveBeenCalledWith('jpeg')
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+      expect(mockRes.send).toHaveBeenCalledWith(Buffer.from('censored image'))
+    })
+
+    it('should only convert safe images', async () => {
+      mockReq = {
+        body: Buffer.from('raw image bytes'),
+        query: { format: 'webp' },
+      }
+      mockNsfwSpy.classifyImageFromByteArray.mockResolvedValueOnce(
+        neutralClassification
+      )
+
+      await censorHandler(mockReq, mockRes, dependencies)
+
+      expect(mockImageProcessingInstance.censorImage).not.toHaveBeenCalled()
+      expect(mockImageProcessingInstance.convertImage).toHaveBeenCalledWith(
+        mockReq.body,
+        'webp'
+      )
+      expect(mockRes.set).toHaveBeenCalledWith(
+        expect.objectContaining({ 'X-Censored': 'false' })
+      )
+      expect(mockRes.send).toHaveBeenCalledWith(Buffer.from('converted image'))
+    })
+
+    it('should send the verdict source instead of the scores of a blocklisted image', async () => {
+      const { createHashLists } = await import('../src/hash-list.mjs')
+      dependencies.resultCache = new Map()
+      dependencies.hashLists = await createHashLists({
+        blocklistFile: '',
+        allowlistFile: '',
+        maxDistance: 4,
+        resultCache: dependencies.resultCache,
+      })
+      mockReq = { body: Buffer.from('raw image bytes') }
+      await dependencies.hashLists.add('blocklist', [
+        { type: 'sha256', hash: sha256(mockReq.body) },
+      ])
+
+      await censorHandler(mockReq, mockRes, dependencies)
+
+      expect(mockNsfwSpy.classifyImageFromByteArray).not.toHaveBeenCalled()
+      expect(mockImageProcessingInstance.censorImage).toHaveBeenCalled()
+      expect(mockRes.set).toHaveBeenCalledWith({
+        'X-Censored': 'true',
+        'X-Verdict-Source': 'blocklist',
+      })
+      expect(mockRes.send).toHaveBeenCalledWith(Buffer.from('censored image'))
+    })
+
+    it('should follow the moderation policy and return a JSON envelope', async () => {
+      dependencies.moderationPolicies = new Map([
+        [
+          'lenient',
+          {
+            name: 'lenient',
+            rules: [
+              { category: 'pornography', threshold: 0.9, action: 'block' },
+            ],
+            defaultAction: 'flag_for_review',
+          },
+        ],
+      ])
+      mockReq = {
+        body: { policy: 'lenient', response: 'json', method: 'pixelate' },
+        file: { buffer: Buffer.from('uploaded image') },
+      }
+      mockNsfwSpy.classifyImageFromByteArray.mockResolvedValueOnce(
+        nsfwClassification
+      )
+
+      await censorHandler(mockReq, mockRes, dependencies)
+
+      // flag_for_review is not censored even though neutral is below 0.5
+      expect(mockImageProcessingInstance.censorImage).not.toHaveBeenCalled()
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+      expect(mockRes.json).toHaveBeenCalledWith({
+        data: {
+          ...nsfwClassification,
+          moderation: {
+            policy: 'lenient',
+            action: 'flag_for_review',
+            rule: null,
+          },
+          censored: false,
+          image: {
+            format: 'jpeg',
+            data: Buffer.from('converted image').toString('base64'),
+          },
+        },
+      })
+    })
+
+    it('should read and delete uploads streamed to disk', async () => {
+      mockReq = { body: {}, file: { path: '/tmp/nsfw/upload-id_upload' } }
+      mockFsPromises.readFile.mockResolvedValueOnce(
+        Buffer.from('uploaded image')
+      )
+      mockNsfwSpy.classifyImageFromByteArray.mockResolvedValueOnce(
+        nsfwClassification
+      )
+
+      await censorHandler(mockReq, mockRes, dependencies)
+
+      expect(mockFsPromises.readFile).toHaveBeenCalledWith(mockReq.file.path)
+      expect(mockImageProcessingInstance.censorImage).toHaveBeenCalled()
+      expect(mockUtil.deleteFile).toHaveBeenCalledWith(mockReq.file.path)
+    })
+
+    it.each([
+      [{ method: 'smudge' }, 'method must be one of blur, pixelate'],
+      [{ strength: '0' }, 'strength must be a number between 1 and 1000'],
+      [{ format: 'gif' }, 'format must be one of jpeg, webp, png'],
+      [{ response: 'xml' }, 'response must be one of image, json'],
+    ])('should return 400 for invalid options %o', async (query, message) => {
+      mockReq = { body: { url: 'http://example.com/image.jpg' }, query }
+
+      await censorHandler(mockReq, mockRes, dependencies)
+
+      expect(mockRes.status).toHaveBeenCalledWith(400)
+      expect(mockRes.json).toHaveBeenCalledWith({ message })
+      expect(mockDownloadFileToBuffer).not.toHaveBeenCalled()
+    })
+
+    it('should return 400 for videos and empty input', async () => {
+      mockReq = { body: { url: 'http://example.com/video.mp4' } }
+      await censorHandler(mockReq, mockRes, dependencies)
+      expect(mockRes.json).toHaveBeenCalledWith({
+        message: 'Censoring is only supported for images',
+      })
+
+      mockUtil.extractUrl.mockReturnValueOnce(null)
+      mockReq = { body: {} }
+      await censorHandler(mockReq, mockRes, dependencies)
+      expect(mockRes.status).toHaveBeenLastCalledWith(400)
+      expect(mockRes.json).toHaveBeenLastCalledWith({
+        message: expect.stringContaining('Censor input is empty'),
+      })
+    })
+
+    it('should reject the censoring of a video served without extension', async () => {
+      mockReq = { body: { url: 'https://cdn.example.com/abc123' } }
+      mockDownloadFileToBuffer.mockResolvedValueOnce(
+        downloaded({
+          buffer: Buffer.from([
+            0x1a, 0x45, 0xdf, 0xa3, 0x42, 0x82, 0x84, 0x77, 0x65, 0x62, 0x6d,
+          ]), // EBML header with the webm DocType
+        })
+      )
+
+      await censorHandler(mockReq, mockRes, dependencies)
+
+      expect(mockRes.status).toHaveBeenCalledWith(400)
+      expect(mockRes.json).toHaveBeenCalledWith({
+        message: 'Censoring is only supported for images',
+      })
+      expect(mockNsfwSpy.classifyImageFromByteArray).not.toHaveBeenCalled()
+    })
+
+    it('should return 500 if censoring fails', async () => {
+      mockReq = { body: { url: 'http://example.com/image.jpg' } }
+      mockNsfwSpy.classifyImageFromByteArray.mockResolvedValueOnce(
+        nsfwClassification
+      )
+      mockImageProcessingInstance.censorImage.mockRejectedValueOnce(
+        new Error('Failed to blur image')
+      )
+
+      await censorHandler(mockReq, mockRes, dependencies)
+
+      expect(mockRes.status).toHaveBeenCalledWith(500)
+      expect(mockRes.json).toHaveBeenCalledWith({
+        message: 'Image censoring failed: Failed to blur image',
+      })
+    })
+  })
+
+  describe('Job handlers', () => {
+    const classification = {
+      hentai: 0.05,
+      neutral: 0.3,
+      pornography: 0.6,
+      sexy: 0.05,
+      predictedLabel: 'pornography',
+    }
+    const queuedJob = {
+      id: 'job-id',
+      status: 'queued',
+      input: { type: 'url', url: 'http://example.com/image.jpg' },
+      createdAt: '2024-01-01T00:00:00.000Z',
+    }
+
+    beforeEach(() => {
+      dependencies.config.ENABLE_BUFFER_PROCESSING = true
+      dependencies.jobManager = {
+        createJob: jest.fn().mockReturnValue(queuedJob),
+        getJob: jest.fn(),
+        cancelJob: jest.fn(),
+      }
+      mockResultCache.get.mockReturnValue(undefined)
+      mockNsfwSpy.classifyImageFromByteArray.mockResolvedValue(classification)
+    })
+
+    it('should enqueue a URL job running the URL prediction with the job signal', async () => {
+      mockReq.body = {
+        url: 'http://example.com/image.jpg',
+        callback_url: 'http://example.com/callback',
+        policy: 'strict',
+      }
+      dependencies.moderationPolicies = new Map([
+        [
+          'strict',
+          {
+            name: 'strict',
+            rules: [
+              { category: 'pornography', threshold: 0.5, action: 'block' },
+            ],
+            defaultAction: 'allow',
+          },
+        ],
+      ])
+
+      await createJobHandler(mockReq, mockRes, dependencies)
+
+      expect(mockRes.status).toHaveBeenCalledWith(202)
+      expect(mockRes.json).toHaveBeenCalledWith({ data: queuedJob })
+      const [input, task, options] =
+        dependencies.jobManager.createJob.mock.calls[0]
+      expect(input).toEqual({
+        type: 'url',
+        url: 'http://example.com/image.jpg',
+      })
+      expect(options).toEqual({ callbackUrl: 'http://example.com/callback' })
+      expect(mockNsfwSpy.classifyImageFromByteArray).not.toHaveBeenCalled()
+
+      const signal = new AbortController().signal
+      const result = await task(signal)
+      expect(mockOpenDownload).toHaveBeenCalledWith(
+        'http://example.com/image.jpg',
+        256,
+        expect.any(Number),
+        expect.any(Object),
+        signal
+      )
+      expect(mockStreamToBuffer).toHaveBeenCalledWith(
+        expect.any(Object),
+        20 * 1024 * 1024
+      )
+      expect(result.moderation.action).toBe('block')
+    })
+
+    it('should enqueue a data job without echoing the data', async () => {
+      await createJobHandler(mockReq, mockRes, dependencies)
+
+      const [input, task, options] =
+        dependencies.jobManager.createJob.mock.calls[0]
+      expect(input).toEqual({ type: 'data' })
+      expect(options).toEqual({ callbackUrl: undefined })
+      await expect(task(new AbortController().signal)).resolves.toEqual(
+        classification
+      )
+    })
+
+    it('should return 400 for an empty job input', async () => {
+      mockReq.body = {}
+
+      await createJobHandler(mockReq, mockRes, dependencies)
+
+      expect(mockRes.status).toHaveBeenCalledWith(400)
+      expect(dependencies.jobManager.createJob).not.toHaveBeenCalled()
+    })
+
+    it('should return a job or 404', async () => {
+      dependencies.jobManager.getJob.mockReturnValueOnce(queuedJob)
+      await getJobHandler({ params: { id: 'job-id' } }, mockRes, dependencies)
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+      expect(mockRes.json).toHaveBeenCalledWith({ data: queuedJob })
+
+      await getJobHandler({ params: { id: 'unknown' } }, mockRes, dependencies)
+      expect(mockRes.status).toHaveBeenLastCalledWith(404)
+      expect(mockRes.json).toHaveBeenLastCalledWith({
+        message: 'Job not found',
+      })
+    })
+
+    it('should cancel queued or running jobs only', async () => {
+      const cancelledJob = { ...queuedJob, status: 'cancelled' }
+      dependencies.jobManager.getJob.mockReturnValueOnce(queuedJob)
+      dependencies.jobManager.cancelJob.mockReturnValueOnce(cancelledJob)
+      await cancelJobHandler(
+        { params: { id: 'job-id' } },
+        mockRes,
+        dependencies
+      )
+      expect(dependencies.jobManager.cancelJob).toHaveBeenCalledWith('job-id')
+      expect(mockRes.json).toHaveBeenCalledWith({ data: cancelledJob })
+
+      dependencies.jobManager.getJob.mockReturnValueOnce({
+        ...queuedJob,
+        status: 'completed',
+      })
+      await cancelJobHandler(
+        { params: { id: 'job-id' } },
+        mockRes,
+        dependencies
+      )
+      expect(mockRes.status).toHaveBeenLastCalledWith(409)
+      expect(mockRes.json).toHaveBeenLastCalledWith({
+        message: 'Job is already completed',
+      })
+    })
+  })
+
+  describe('predictFileHandler', () => {
+    const classification = {
+      hentai: 0.1,
+      neutral: 0.8,
+      pornography: 0.05,
+      sexy: 0.05,
+      predictedLabel: 'neutral',
+    }
+
+    beforeEach(() => {
+      mockImageProcessingInstance.processImageFile.mockResolvedValue({})
+    })
+
+    it('should classify a multipart upload kept in memory (Buffer Path)', async () => {
+      dependencies.config.ENABLE_BUFFER_PROCESSING = true
+      mockResultCache.get.mockReturnValue(undefined)
+      mockNsfwSpy.classifyImageFromByteArray.mockResolvedValueOnce(
+        classification
+      )
+      mockReq = { body: {}, file: { buffer: Buffer.from('uploaded image') } }
+
+      await predictFileHandler(mockReq, mockRes, dependencies)
+
+      expect(mockResultCache.get).toHaveBeenCalledWith(
+        expect.stringContaining('content-')
+      )
+      expect(mockImageProcessingInstance.processImageData).toHaveBeenCalledWith(
+        mockReq.file.buffer,
+        { perceptualHash: false }
+      )
+      expect(mockResultCache.set).toHaveBeenCalledWith(
+        expect.stringContaining('content-'),
+        classification
+      )
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+      expect(mockRes.json).toHaveBeenCalledWith({ data: classification })
+      expect(mockUtil.deleteFile).not.toHaveBeenCalled()
+    })
+
+    it('should classify a raw application/octet-stream body in file path mode', async () => {
+      dependencies.config.ENABLE_BUFFER_PROCESSING = false
+      mockResultCache.get.mockReturnValue(undefined)
+      mockNsfwSpy.classifyImageFile.mockResolvedValueOnce(classification)
+      mockReq = { body: Buffer.from('raw image bytes') }
+
+      await predictFileHandler(mockReq, mockRes, dependencies)
+
+      expect(mockFsPromises.writeFile).toHaveBeenCalledWith(
+        expect.stringContaining('_image'),
+        mockReq.body
+      )
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+      expect(mockRes.json).toHaveBeenCalledWith({ data: classification })
+      // The temporary image file and the processed file
+      expect(mockUtil.deleteFile).toHaveBeenCalledTimes(2)
+    })
+
+    it('should classify an upload streamed to disk and delete it afterwards', async () => {
+      dependencies.config.ENABLE_BUFFER_PROCESSING = false
+      mockResultCache.get.mockReturnValue(undefined)
+      mockNsfwSpy.classifyImageFile.mockResolvedValueOnce(classification)
+      mockReq = { body: {}, file: { path: '__tests__/data/test.jpg' } }
+
+      await predictFileHandler(mockReq, mockRes, dependencies)
+
+      expect(mockImageProcessingInstance.processImageFile).toHaveBeenCalledWith(
+        '__tests__/data/test.jpg',
+        expect.stringContaining('_final'),
+        { perceptualHash: false }
+      )
+      expect(mockFsPromises.writeFile).not.toHaveBeenCalled()
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+      expect(mockUtil.deleteFile).toHaveBeenCalledWith(
+        '__tests__/data/test.jpg'
+      )
+    })
+
+    it('should return 400 if no file is uploaded', async () => {
+      mockReq = { body: {} }
+
+      await predictFileHandler(mockReq, mockRes, dependencies)
+
+      expect(mockRes.status).toHaveBeenCalledWith(400)
+      expect(mockRes.json).toHaveBeenCalledWith({
+        message:
+          'File input is empty, please send multipart/form-data with a "file" field or an application/octet-stream body',
+      })
+    })
+  })
+
+  describe('predictBatchHandler', () => {
+    const classification = {
+      hentai: 0.1,
+      neutral: 0.8,
+      pornography: 0.05,
+      sexy: 0.05,
+      predictedLabel: 'neutral',
+    }
+
+    beforeEach(() => {
+      dependencies.config.ENABLE_BUFFER_PROCESSING = true
+      mockNsfwSpy.classifyImageFromByteArray.mockResolvedValue(classification)
+    })
+
+    it('should return per-item results in input order', async () => {
+      mockReq.body = {
+        items: [
+          { url: 'http://example.com/first.jpg' },
+          { data: Buffer.from('testdata').toString('base64') },
+          { url: 'http://example.com/second.jpg' },
+        ],
+      }
+
+      await predictBatchHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+      expect(mockRes.json).toHaveBeenCalledWith({
+        data: [
+          {
+            index: 0,
+            url: 'http://example.com/first.jpg',
+            status: 'success',
+            data: withSource(classification, 'http://example.com/first.jpg'),
+          },
+          { index: 1, status: 'success', data: classification },
+          {
+            index: 2,
+            url: 'http://example.com/second.jpg',
+            status: 'success',
+            data: withSource(classification, 'http://example.com/second.jpg'),
+          },
+        ],
+      })
+    })
+
+    it('should report per-item errors without failing the whole batch', async () => {
+      mockReq.body = {
+        items: [
+          { url: 'http://example.com/broken.jpg' },
+          { url: 'not a url' },
+          { url: 'http://example.com/working.jpg' },
+        ],
+      }
+      mockUtil.extractUrl.mockImplementation((url) =>
+        url.startsWith('http') ? [url] : null
+      )
+      const sizeError = new Error('Content exceeds the maximum allowed size')
+      sizeError.code = 'ERR_IMAGE_TOO_LARGE'
+      // Fails the download of the broken and huge images
+      serveUrls((url) => {
+        if (url.endsWith('broken.jpg')) throw new Error('Network error')
+        return url.endsWith('huge.jpg') ? sizeError : Buffer.from('image data')
+      })
+      mockReq.body.items.push({ url: 'http://example.com/huge.jpg' })
+
+      await predictBatchHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+      const { data } = mockRes.json.mock.calls[0][0]
+      expect(data.map((item) => item.status)).toEqual([
+        'error',
+        'error',
+        'success',
+        'error',
+      ])
+      expect(data[0].message).toContain('Network error')
+      expect(data[0]).not.toHaveProperty('code')
+      expect(data[3].code).toBe('ERR_IMAGE_TOO_LARGE')
+      expect(data[1].message).toBe('URL is not detected')
+      expect(data[2].data).toEqual(
+        withSource(classification, 'http://example.com/working.jpg')
+      )
+    })
+
+    it('should download duplicated URLs only once by reusing the mutex and cache', async () => {
+      const url = 'http://example.com/duplicate.jpg'
+      const cache = new Map()
+      dependencies.resultCache = cache
+      dependencies.Mutex = (await import('async-mutex')).Mutex
+      mockReq.body = { items: [{ url }, { url }, { url }] }
+
+      await predictBatchHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+
+      expect(mockOpenDownload).toHaveBeenCalledTimes(1)
+      const { data } = mockRes.json.mock.calls[0][0]
+      expect(data).toHaveLength(3)
+      expect(data.every((item) => item.status === 'success')).toBe(true)
+    })
+
+    it('should classify duplicated data items only once by sharing a content mutex', async () => {
+      const data = Buffer.from('duplicate').toString('base64')
+      dependencies.config.ENABLE_BUFFER_PROCESSING = false
+      dependencies.resultCache = new Map()
+      dependencies.Mutex = (await import('async-mutex')).Mutex
+      mockNsfwSpy.classifyImageFile.mockResolvedValue(classification)
+      mockReq.body = { items: [{ data }, { data }] }
+
+      await predictBatchHandler(mockReq, mockRes, dependencies)
+
+      // The second item waits for the first, instead of racing on the same temporary file
+      expect(mockFsPromises.writeFile).toHaveBeenCalledTimes(1)
+      expect(mockNsfwSpy.classifyImageFile).toHaveBeenCalledTimes(1)
+      const { data: results } = mockRes.json.mock.calls[0][0]
+      expect(results.map((item) => item.status)).toEqual(['success', 'success'])
+    })
+
+    it('should return 400 if the batch is empty', async () => {
+      mockReq.body = { items: [] }
+
+      await predictBatchHandler(mockReq, mockRes, dependencies)
+
+      expect(mockRes.status).toHaveBeenCalledWith(400)
+      expect(mockRes.json).toHaveBeenCalledWith({
+        message: 'Batch input is empty, please send at least one item',
+      })
+    })
+  })
+
+  describe('predictEventHandler', () => {
+    const blockedSha256 = 'b'.repeat(64)
+    const safe = { neutral: 0.9, sexy: 0.05, predictedLabel: 'neutral' }
+    const suggestive = { neutral: 0.2, sexy: 0.7, predictedLabel: 'sexy' }
+
+    /**
+     * Creates an unsigned Nostr event.
+     * @param {string} content - The event content.
+     * @param {string[][]} [tags=[]] - The event tags.
+     * @returns {object} - The event.
+     */
+    const createEvent = (content, tags = []) => ({
+      id: 'e'.repeat(64),
+      pubkey: 'f'.repeat(64),
+      created_at: 1700000000,
+      kind: 1,
+      tags,
+      content,
+      sig: '0'.repeat(128),
+    })
+
+    beforeEach(() => {
+      dependencies.config.ENABLE_BUFFER_PROCESSING = true
+      dependencies.config.BATCH_MAX_ITEMS = 10
+      dependencies.config.VERIFY_NOSTR_EVENT_SIGNATURE = false
+      mockUtil.extractUrl.mockImplementation((text) =>
+        text.match(/https?:\/\/\S+/g)
+      )
+      serveUrls((url) => Buffer.from(url))
+      // Classify the downloaded bytes, which are the URL
+      mockImageProcessingInstance.processImageData.mockImplementation(
+        async (buffer) => buffer
+      )
+      mockNsfwSpy.classifyImageFromByteArray.mockImplementation(
+        async (buffer) =>
+          buffer.toString().endsWith('suggestive.jpg') ? suggestive : safe
+      )
+    })
+
+    afterEach(() => {
+      mockNsfwSpy.classifyImageFromByteArray.mockReset()
+    })
+
+    it('should classify every media of the event and sum up its verdict', async () => {
+      const { createHashLists } = await import('../src/hash-list.mjs')
+      dependencies.hashLists = await createHashLists({
+        blocklistFile: '',
+        allowlistFile: '',
+        maxDistance: 4,
+        resultCache: new Map(),
+      })
+      await dependencies.hashLists.add('blocklist', [
+        { type: 'sha256', hash: blockedSha256 },
+      ])
+      dependencies.moderationPolicies = new Map([
+        [
+          'strict',
+          {
+            name: 'strict',
+            rules: [{ category: 'sexy', threshold: 0.5, action: 'blur' }],
+            defaultAction: 'allow',
+          },
+        ],
+      ])
+      mockReq.body = {
+        event: createEvent(
+          'gm http://example.com/safe.jpg http://example.com/suggestive.jpg',
+          [
+            [
+              'imeta',
+              'url http://example.com/blocked',
+              'm image/jpeg',
+              `x ${blockedSha256}`,
+            ],
+          ]
+        ),
+        policy: 'strict',
+      }
+
+      await predictEventHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+
+      expect(mockOpenDownload).toHaveBeenCalledTimes(2)
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+      const { data } = mockRes.json.mock.calls[0][0]
+      expect(data).toMatchObject({
+        id: 'e'.repeat(64),
+        pubkey: 'f'.repeat(64),
+        kind: 1,
+        verdict: {
+          isNsfw: true,
+          mediaCount: 3,
+          failedCount: 0,
+          action: 'block',
+        },
+      })
+      expect(data.media).toEqual([
+        {
+          index: 0,
+          url: 'http://example.com/safe.jpg',
+          status: 'success',
+          data: expect.objectContaining({
+            ...safe,
+            moderation: { policy: 'strict', action: 'allow', rule: null },
+          }),
+        },
+        {
+          index: 1,
+          url: 'http://example.com/suggestive.jpg',
+          status: 'success',
+          data: expect.objectContaining({
+            ...suggestive,
+            moderation: expect.objectContaining({ action: 'blur' }),
+          }),
+        },
+        {
+          index: 2,
+          url: 'http://example.com/blocked',
+          mimeType: 'image/jpeg',
+          hash: blockedSha256,
+          status: 'success',
+          data: {
+            verdict: {
+              source: 'blocklist',
+              type: 'sha256',
+              hash: blockedSha256,
+            },
+            moderation: { policy: 'strict', action: 'block', rule: null },
+          },
+        },
+      ])
+    })
+
+    it('should count the media which could not be classified', async () => {
+      serveUrls((url) => {
+        if (url.endsWith('broken.jpg')) throw new Error('Network error')
+        return Buffer.from(url)
+      })
+      mockReq.body = {
+        event: createEvent(
+          'http://example.com/broken.jpg http://example.com/safe.jpg'
+        ),
+      }
+
+      await predictEventHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+
+      const { data } = mockRes.json.mock.calls[0][0]
+      expect(data.media[0]).toMatchObject({
+        status: 'error',
+        message: expect.stringContaining('Network error'),
+      })
+      expect(data.verdict).toEqual({
+        isNsfw: false,
+        mediaCount: 2,
+        failedCount: 1,
+      })
+    })
+
+    it('should return 400 for an event whose id does not match its content', async () => {
+      dependencies.config.VERIFY_NOSTR_EVENT_SIGNATURE = true
+      mockReq.body = { event: createEvent('http://example.com/safe.jpg') }
+
+      await predictEventHandler(mockReq, mockRes, dependencies)
+
+      expect(mockOpenDownload).not.toHaveBeenCalled()
+      expect(mockRes.status).toHaveBeenCalledWith(400)
+      expect(mockRes.json).toHaveBeenCalledWith({
+        message: 'Event id does not match its content',
+      })
+    })
+
+    it('should return 400 for an event with too many media', async () => {
+      dependencies.config.BATCH_MAX_ITEMS = 1
+      mockReq.body = {
+        event: createEvent(
+          'http://example.com/safe.jpg http://example.com/suggestive.jpg'
+        ),
+      }
+
+      await predictEventHandler(mockReq, mockRes, dependencies)
+
+      expect(mockRes.status).toHaveBeenCalledWith(400)
+      expect(mockRes.json).toHaveBeenCalledWith({
+        message: 'Event cannot contain more than 1 media items',
+      })
+    })
+  })
+
+  describe('File-Based Processing Path Failures (ENABLE_BUFFER_PROCESSING: false)', () => {
+    beforeEach(() => {
+      dependencies.config.ENABLE_BUFFER_PROCESSING = false
+    })
+
+    it('should handle video download failure', async () => {
       const mockVideoUrl = 'http://example.com/video.mp4'
       mockReq.body.url = mockVideoUrl
       const downloadError = new Error('Network error')
-      mockDownloadPartFile.mockRejectedValueOnce(downloadError)
+      mockStreamToFile.mockRejectedValueOnce(downloadError)
+
+      await predictUrlHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+
+      expect(mockRes.status).toHaveBeenCalledWith(500)
+      expect(mockRes.json).toHaveBeenCalledWith({
+        message: `Video download failed: ${downloadError.message}`,
+      })
+      expect(mockUtil.deleteFile).toHaveBeenCalledTimes(1) // The partially written video file
+    })
+
+    it('should handle screenshot generation failure', async () => {
+      const mockVideoUrl = 'http://example.com/video.mp4'
+      mockReq.body.url = mockVideoUrl
+      const screenshotError = new Error('FFmpeg error')
+      mockGenerateScreenshot.mockRejectedValueOnce(screenshotError)
+
+      await predictUrlHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+
+      expect(mockRes.status).toHaveBeenCalledWith(500)
+      expect(mockRes.json).toHaveBeenCalledWith({
+        message: `Screenshot generation or move failed: ${screenshotError.message}`,
+      })
+      // The downloaded video file should be cleaned up on screenshot failure.
+      expect(mockUtil.deleteFile).toHaveBeenCalledTimes(1)
+    })
+
+    it('should handle image download failure', async () => {
+      const mockImageUrl = 'http://example.com/image.jpg'
+      mockReq.body.url = mockImageUrl
+      const downloadError = new Error('Image download failed')
+      mockStreamToFile.mockRejectedValueOnce(downloadError)
+
+      await predictUrlHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+
+      expect(mockRes.status).toHaveBeenCalledWith(500)
+      expect(mockRes.json).toHaveBeenCalledWith({
+        message: `Image download failed: ${downloadError.message}`,
+      })
+      expect(mockUtil.deleteFile).toHaveBeenCalledTimes(0) // No files created yet
+    })
+
+    it('should handle image processing failure', async () => {
+      const mockImageUrl = 'http://example.com/image.jpg'
+      mockReq.body.url = mockImageUrl
+      const processError = new Error('Processing failed')
+      mockImageProcessingInstance.processImageFile.mockRejectedValueOnce(
+        processError
+      )
+
+      await predictUrlHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+
+      expect(mockRes.status).toHaveBeenCalledWith(500)
+      expect(mockRes.json).toHaveBeenCalledWith({
+        message: `Image processing failed: ${processError.message}`,
+      })
+      expect(mockUtil.deleteFile).toHaveBeenCalledTimes(2) // The initial image file and the processed file
+    })
+
+    it('should handle classification failure', async () => {
+      const mockImageUrl = 'http://example.com/image.jpg'
+      mockReq.body.url = mockImageUrl
+      const classifyError = new Error('Classification failed')
+      mockImageProcessingInstance.processImageFile.mockResolvedValueOnce({})
+      mockNsfwSpy.classifyImageFile.mockRejectedValueOnce(classifyError)
+
+      await predictUrlHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+
+      expect(mockRes.status).toHaveBeenCalledWith(500)
+      expect(mockRes.json).toHaveBeenCalledWith({
+        message: `Classification failed: ${classifyError.message}`,
+      })
+      expect(mockUtil.deleteFile).toHaveBeenCalledTimes(2) // The initial image file and the processed file
+    })
+  })
+
+  describe('Content-addressed cache', () => {
+    const expectedClassification = { neutral: 0.9, predictedLabel: 'neutral' }
+
+    beforeEach(() => {
+      dependencies.resultCache = new Map()
+      dependencies.config.ENABLE_BUFFER_PROCESSING = true
+      mockNsfwSpy.classifyImageFromByteArray.mockResolvedValue(
+        expectedClassification
+      )
+    })
+
+    afterEach(() => {
+      mockNsfwSpy.classifyImageFromByteArray.mockReset()
+    })
+
+    it('should share the result of identical media between URLs and data', async () => {
+      mockReq.body = { url: 'http://example.com/first.jpg' }
+      await predictUrlHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+      mockReq.body = { url: 'http://example.com/second.jpg' }
+      await predictUrlHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+      // Same bytes as the mocked download
+      mockReq.body = {
+        data: Buffer.from('mock stream buffer').toString('base64'),
+      }
+      await predictDataHandler(mockReq, mockRes, dependencies)
+
+      expect(mockOpenDownload).toHaveBeenCalledTimes(2)
+      expect(mockNsfwSpy.classifyImageFromByteArray).toHaveBeenCalledTimes(1)
+      expect(mockRes.json).toHaveBeenNthCalledWith(2, {
+        data: withSource(
+          expectedClassification,
+          'http://example.com/second.jpg'
+        ),
+      })
+      expect(mockRes.json).toHaveBeenNthCalledWith(3, {
+        data: expectedClassification,
+      })
+    })
+
+    it('should answer a known URL from its content entry without downloading it', async () => {
+      const url = 'http://example.com/known.jpg'
+      mockReq.body = { url }
+      await predictUrlHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+      await predictUrlHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+
+      expect(mockOpenDownload).toHaveBeenCalledTimes(1)
+      expect(mockRes.json).toHaveBeenLastCalledWith({
+        data: withSource(expectedClassification, url),
+      })
+    })
+
+    it('should classify a known URL again once its content entry is evicted', async () => {
+      const url = 'http://example.com/evicted.jpg'
+      mockReq.body = { url }
+      await predictUrlHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+      for (const key of dependencies.resultCache.keys()) {
+        if (key.startsWith('content-')) {
+          dependencies.resultCache.delete(key)
+        }
+      }
+      await predictUrlHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+
+      expect(mockOpenDownload).toHaveBeenCalledTimes(2)
+      expect(mockNsfwSpy.classifyImageFromByteArray).toHaveBeenCalledTimes(2)
+      expect(mockRes.json).toHaveBeenLastCalledWith({
+        data: withSource(expectedClassification, url),
+      })
+    })
+  })
+
+  describe('Hash lists', () => {
+    const expectedClassification = { neutral: 0.9, predictedLabel: 'neutral' }
+    // SHA256 of the mocked download
+    const downloadedSha256 = sha256(Buffer.from('mock stream buffer'))
+
+    beforeEach(async () => {
+      const { createHashLists } = await import('../src/hash-list.mjs')
+      dependencies.resultCache = new Map()
+      dependencies.hashLists = await createHashLists({
+        blocklistFile: '',
+        allowlistFile: '',
+        maxDistance: 4,
+        resultCache: dependencies.resultCache,
+      })
+      dependencies.config.ENABLE_BUFFER_PROCESSING = true
+    })
+
+    it('should give a blocklisted URL its fixed verdict without classifying it', async () => {
+      await dependencies.hashLists.add('blocklist', [
+        { type: 'sha256', hash: downloadedSha256, note: 'known' },
+      ])
+      mockReq.body = {
+        url: 'http://example.com/blocked.jpg',
+        policy: 'strict',
+      }
+      dependencies.moderationPolicies = new Map([
+        ['strict', { name: 'strict', rules: [], defaultAction: 'allow' }],
+      ])
+
+      await predictUrlHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+
+      expect(mockNsfwSpy.classifyImageFromByteArray).not.toHaveBeenCalled()
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+      expect(mockRes.json).toHaveBeenCalledWith({
+        data: {
+          ...withSource(
+            {
+              perceptualHash: 'ffff0000ffff0000',
+              verdict: {
+                source: 'blocklist',
+                type: 'sha256',
+                hash: downloadedSha256,
+                note: 'known',
+              },
+            },
+            'http://example.com/blocked.jpg'
+          ),
+          moderation: { policy: 'strict', action: 'block', rule: null },
+        },
+      })
+    })
+
+    it('should classify unlisted data and find it again once it is allowlisted', async () => {
+      mockNsfwSpy.classifyImageFromByteArray.mockResolvedValueOnce(
+        expectedClassification
+      )
+      mockReq.body = {
+        data: Buffer.from('mock file buffer').toString('base64'),
+      }
+
+      await predictDataHandler(mockReq, mockRes, dependencies)
+      expect(mockRes.json).toHaveBeenLastCalledWith({
+        data: { ...expectedClassification, perceptualHash: 'ffff0000ffff0000' },
+      })
+
+      await expect(
+        dependencies.hashLists.add('allowlist', [
+          { type: 'perceptual', hash: 'ffff0000ffff0001' },
+        ])
+      ).resolves.toEqual({ added: 1, invalidated: 1 })
+      await predictDataHandler(mockReq, mockRes, dependencies)
+
+      expect(mockNsfwSpy.classifyImageFromByteArray).toHaveBeenCalledTimes(1)
+      expect(mockRes.json).toHaveBeenLastCalledWith({
+        data: {
+          perceptualHash: 'ffff0000ffff0000',
+          verdict: {
+            source: 'allowlist',
+            type: 'perceptual',
+            hash: 'ffff0000ffff0001',
+            distance: 1,
+          },
+        },
+      })
+    })
+
+    it('should give a blocklisted video its fixed verdict without extracting its frames', async () => {
+      await dependencies.hashLists.add('blocklist', [
+        { type: 'sha256', hash: downloadedSha256 },
+      ])
+      mockReq.body = { url: 'http://example.com/blocked.mp4' }
+
+      await predictUrlHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+
+      expect(mockStreamToBuffer).toHaveBeenCalledWith(
+        expect.any(Object),
+        10 * 1024 * 1024,
+        { truncate: true }
+      )
+      expect(mockGenerateScreenshotFromStream).not.toHaveBeenCalled()
+      expect(mockGenerateScreenshotFromBuffer).not.toHaveBeenCalled()
+      expect(mockNsfwSpy.classifyImageFromByteArray).not.toHaveBeenCalled()
+      expect(mockRes.json).toHaveBeenCalledWith({
+        data: withSource(
+          {
+            verdict: {
+              source: 'blocklist',
+              type: 'sha256',
+              hash: downloadedSha256,
+            },
+          },
+          'http://example.com/blocked.mp4'
+        ),
+      })
+      expect(
+        dependencies.resultCache.get(
+          `content-mobilenet-v1.0.0-${downloadedSha256}`
+        )
+      ).toEqual({
+        verdict: expect.objectContaining({ source: 'blocklist' }),
+      })
+    })
+
+    it('should classify an unlisted video from the buffer it was hashed from', async () => {
+      mockNsfwSpy.classifyImageFromByteArray.mockResolvedValueOnce(
+        expectedClassification
+      )
+      mockReq.body = { url: 'http://example.com/video.mp4' }
+
+      await predictUrlHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+
+      expect(mockGenerateScreenshotFromStream).not.toHaveBeenCalled()
+      expect(mockDownloadPartFileToBuffer).not.toHaveBeenCalled()
+      expect(mockGenerateScreenshotFromBuffer).toHaveBeenCalledWith(
+        Buffer.from('mock stream buffer'),
+        'ffmpeg',
+        expect.any(Object)
+      )
+      expect(mockRes.json).toHaveBeenCalledWith({
+        data: withSource(
+          expectedClassification,
+          'http://example.com/video.mp4'
+        ),
+      })
+      // Cached by content, a later blocklisting invalidates it
+      await expect(
+        dependencies.hashLists.add('blocklist', [
+          { type: 'sha256', hash: downloadedSha256 },
+        ])
+      ).resolves.toEqual({ added: 1, invalidated: 1 })
+    })
+
+    it.each(['count', 'interval'])(
+      'should sample the frames of an unlisted video from the buffer it was hashed from (%s mode)',
+      async (mode) => {
+        const frames = [
+          { index: 0, timestamp: 1, buffer: Buffer.from('frame 1') },
+          { index: 1, timestamp: 3, buffer: Buffer.from('frame 3') },
+        ]
+        Object.assign(dependencies.config, {
+          VIDEO_FRAME_SAMPLING_MODE: mode,
+          VIDEO_FRAME_COUNT: 2,
+          VIDEO_FRAME_INTERVAL_SECONDS: 2,
+          FRAME_AGGREGATION_STRATEGY: 'max',
+          FRAME_NSFW_THRESHOLD: 0.5,
+        })
+        mockGenerateFramesFromBuffer.mockResolvedValueOnce(frames)
+        mockNsfwSpy.classifyImageFromByteArray.mockResolvedValue(
+          expectedClassification
+        )
+        mockReq.body = { url: 'http://example.com/video.mp4' }
+
+        await predictUrlHandler(
+          mockReq,
+          mockRes,
+          dependencies,
+          new AbortController().signal
+        )
+
+        // The download is only read once, to hash it
+        expect(mockStreamToBuffer).toHaveBeenCalledTimes(1)
+        expect(mockGenerateFramesFromStream).not.toHaveBeenCalled()
+        expect(mockDownloadPartFileToBuffer).not.toHaveBeenCalled()
+        expect(mockDownloadPartFile).not.toHaveBeenCalled()
+        expect(mockGenerateFramesFromBuffer).toHaveBeenCalledWith(
+          Buffer.from('mock stream buffer'),
+          'ffmpeg',
+          expect.any(Object)
+        )
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+        expect(mockRes.json.mock.calls[0][0].data.frames).toHaveLength(2)
+      }
+    )
+
+    it('should look up a downloaded video file before taking its screenshot', async () => {
+      dependencies.config.ENABLE_BUFFER_PROCESSING = false
+      await dependencies.hashLists.add('blocklist', [
+        {
+          type: 'sha256',
+          hash: sha256(Buffer.from('mock uploaded file data')),
+        },
+      ])
+      mockReq.body = { url: 'http://example.com/blocked.mp4' }
 
       await predictUrlHandler(
         mockReq,
@@ -989,19 +2752,173 @@ describe('Prediction Handlers', () => {
         new AbortController().signal
       )
 
-      expect(mockRes.status).toHaveBeenCalledWith(500)
+      expect(mockGenerateScreenshot).not.toHaveBeenCalled()
+      expect(mockNsfwSpy.classifyImageFile).not.toHaveBeenCalled()
       expect(mockRes.json).toHaveBeenCalledWith({
-        message: `Video download failed: ${downloadError.message}`,
+        data: withSource(
+          {
+            verdict: expect.objectContaining({ source: 'blocklist' }),
+          },
+          'http://example.com/blocked.mp4'
+        ),
       })
-      expect(mockUtil.deleteFile).toHaveBeenCalledTimes(0) // No files created yet
+      // Only the video file was downloaded
+      expect(mockUtil.deleteFile).toHaveBeenCalledTimes(1)
     })
+  })
 
-    it('should handle screenshot generation failure', async () => {
-      const mockVideoUrl = 'http://example.com/video.mp4'
-      mockReq.body.url = mockVideoUrl
-      const screenshotError = new Error('FFmpeg error')
-      mockDownloadPartFile.mockResolvedValueOnce({ status: 'downloaded' })
-      mockGenerateScreenshot.mockRejectedValueOnce(screenshotError)
+  describe('Near-duplicate lookup', () => {
+    const expectedClassification = { neutral: 0.9, predictedLabel: 'neutral' }
+
+    beforeEach(async () => {
+      const { createNearDuplicateIndex } =
+        await import('../src/perceptual-hash.mjs')
+      dependencies.nearDuplicateIndex = createNearDuplicateIndex({
+        maxDistance: 4,
+        max: 10,
+        ttl: 60000,
+      })
+      dependencies.config.ENABLE_BUFFER_PROCESSING = true
+      mockResultCache.get.mockReturnValue(undefined)
+      mockNsfwSpy.classifyImageFromByteArray.mockResolvedValueOnce(
+        expectedClassification
+      )
+    })
+
+    it('should return the result of a near-duplicate without classifying again', async () => {
+      mockImageProcessingInstance.processImageData
+        .mockResolvedValueOnce({
+          buffer: Buffer.from('processed'),
+          perceptualHash: '8f3a5c7e91d2b460',
+        })
+        .mockResolvedValueOnce({
+          buffer: Buffer.from('processed copy'),
+          perceptualHash: '8f3a5c7e91d2b463',
+        })
+
+      await predictDataHandler(mockReq, mockRes, dependencies)
+      expect(mockImageProcessingInstance.processImageData).toHaveBeenCalledWith(
+        expect.any(Buffer),
+        { perceptualHash: true }
+      )
+      expect(mockRes.json).toHaveBeenLastCalledWith({
+        data: { ...expectedClassification, perceptualHash: '8f3a5c7e91d2b460' },
+      })
+
+      mockReq.body = { data: Buffer.from('re-encoded').toString('base64') }
+      await predictDataHandler(mockReq, mockRes, dependencies)
+
+      expect(mockNsfwSpy.classifyImageFromByteArray).toHaveBeenCalledTimes(1)
+      expect(mockRes.json).toHaveBeenLastCalledWith({
+        data: {
+          ...expectedClassification,
+          perceptualHash: '8f3a5c7e91d2b463',
+          nearDuplicate: { perceptualHash: '8f3a5c7e91d2b460', distance: 2 },
+        },
+      })
+    })
+
+    it('should index animated images by their first frame and match them with each other only', async () => {
+      const frames = [
+        { index: 0, page: 0, buffer: Buffer.from('frame 0') },
+        { index: 1, page: 5, buffer: Buffer.from('frame 5') },
+      ]
+      Object.assign(dependencies.config, {
+        ENABLE_ANIMATED_IMAGE_ANALYSIS: true,
+        ANIMATED_IMAGE_FRAME_COUNT: 2,
+        FRAME_AGGREGATION_STRATEGY: 'max',
+        FRAME_NSFW_THRESHOLD: 0.5,
+      })
+      mockImageProcessingInstance.extractAnimatedFrames.mockResolvedValue(
+        frames
+      )
+      mockNsfwSpy.classifyImageFromByteArray.mockResolvedValue(
+        expectedClassification
+      )
+      mockImageProcessingInstance.processImageData
+        .mockResolvedValueOnce({
+          buffer: Buffer.from('processed'),
+          perceptualHash: '8f3a5c7e91d2b460',
+        })
+        .mockResolvedValueOnce(Buffer.from('processed frame 0'))
+        .mockResolvedValueOnce(Buffer.from('processed frame 5'))
+        .mockResolvedValueOnce({
+          buffer: Buffer.from('processed copy'),
+          perceptualHash: '8f3a5c7e91d2b463',
+        })
+
+      await predictDataHandler(mockReq, mockRes, dependencies)
+      expect(mockImageProcessingInstance.processImageData).toHaveBeenCalledWith(
+        frames[0].buffer,
+        { perceptualHash: true }
+      )
+      expect(mockRes.json.mock.calls[0][0].data).toMatchObject({
+        perceptualHash: '8f3a5c7e91d2b460',
+        frames: expect.any(Array),
+      })
+      expect(
+        dependencies.nearDuplicateIndex.find(
+          'mobilenet-v1.0.0',
+          '8f3a5c7e91d2b460'
+        )
+      ).toBeNull()
+
+      mockReq.body = { data: Buffer.from('re-encoded').toString('base64') }
+      await predictDataHandler(mockReq, mockRes, dependencies)
+
+      expect(mockNsfwSpy.classifyImageFromByteArray).toHaveBeenCalledTimes(2)
+      expect(mockRes.json.mock.calls[1][0].data).toMatchObject({
+        perceptualHash: '8f3a5c7e91d2b463',
+        nearDuplicate: { perceptualHash: '8f3a5c7e91d2b460', distance: 2 },
+      })
+    })
+
+    it('should classify images too far from the indexed ones', async () => {
+      mockNsfwSpy.classifyImageFromByteArray.mockResolvedValueOnce(
+        expectedClassification
+      )
+      mockImageProcessingInstance.processImageData
+        .mockResolvedValueOnce({
+          buffer: Buffer.from('processed'),
+          perceptualHash: '8f3a5c7e91d2b460',
+        })
+        .mockResolvedValueOnce({
+          buffer: Buffer.from('processed other'),
+          perceptualHash: '70c5a3816e2d4b9f',
+        })
+
+      await predictDataHandler(mockReq, mockRes, dependencies)
+      mockReq.body = { data: Buffer.from('other').toString('base64') }
+      await predictDataHandler(mockReq, mockRes, dependencies)
+
+      expect(mockNsfwSpy.classifyImageFromByteArray).toHaveBeenCalledTimes(2)
+      expect(mockRes.json).toHaveBeenLastCalledWith({
+        data: { ...expectedClassification, perceptualHash: '70c5a3816e2d4b9f' },
+      })
+    })
+  })
+
+  describe('Model selection', () => {
+    const expectedClassification = { nsfw: 0.1, sfw: 0.9 }
+    const censorDefaults = {
+      CENSOR_DEFAULT_METHOD: 'blur',
+      CENSOR_DEFAULT_STRENGTH: 30,
+      CENSOR_DEFAULT_FORMAT: 'jpeg',
+    }
+
+    beforeEach(() => {
+      dependencies.config.ENABLE_BUFFER_PROCESSING = true
+      mockResultCache.get.mockReturnValue(undefined)
+      mockImageProcessingInstance.processImageData.mockResolvedValue(
+        Buffer.from('processed image data')
+      )
+      mockNsfwSpy.classifyImageFromByteArray.mockResolvedValueOnce(
+        expectedClassification
+      )
+    })
+
+    it('should classify an URL with the requested model', async () => {
+      mockReq.body = { url: 'http://example.com/image.jpg', model: 'custom' }
 
       await predictUrlHandler(
         mockReq,
@@ -1010,19 +2927,42 @@ describe('Prediction Handlers', () => {
         new AbortController().signal
       )
 
-      expect(mockRes.status).toHaveBeenCalledWith(500)
-      expect(mockRes.json).toHaveBeenCalledWith({
-        message: `Screenshot generation or move failed: ${screenshotError.message}`,
-      })
-      // The downloaded video file should be cleaned up on screenshot failure.
-      expect(mockUtil.deleteFile).toHaveBeenCalledTimes(1)
+      expect(mockNsfwSpy.classifyImageFromByteArray).toHaveBeenCalledWith(
+        expect.any(Buffer),
+        'custom'
+      )
+      expect(mockResultCache.set).toHaveBeenCalledWith(
+        expect.stringContaining('content-custom-'),
+        expectedClassification
+      )
+      expect(mockResultCache.set).toHaveBeenCalledWith(
+        expect.stringContaining('url-custom-'),
+        withSource(
+          { contentCacheKey: expect.stringContaining('content-custom-') },
+          'http://example.com/image.jpg'
+        )
+      )
+      expect(mockRes.status).toHaveBeenCalledWith(200)
     })
 
-    it('should handle image download failure', async () => {
-      const mockImageUrl = 'http://example.com/image.jpg'
-      mockReq.body.url = mockImageUrl
-      const downloadError = new Error('Image download failed')
-      mockDownloadFile.mockRejectedValueOnce(downloadError)
+    it('should classify data with the model of the query string', async () => {
+      mockReq.query = { model: 'custom' }
+
+      await predictDataHandler(mockReq, mockRes, dependencies)
+
+      expect(mockNsfwSpy.classifyImageFromByteArray).toHaveBeenCalledWith(
+        expect.any(Buffer),
+        'custom'
+      )
+      expect(mockResultCache.set).toHaveBeenCalledWith(
+        expect.stringContaining('content-custom-'),
+        expectedClassification
+      )
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+    })
+
+    it('should return 400 for an unknown model', async () => {
+      mockReq.body = { url: 'http://example.com/image.jpg', model: 'missing' }
 
       await predictUrlHandler(
         mockReq,
@@ -1031,43 +2971,254 @@ describe('Prediction Handlers', () => {
         new AbortController().signal
       )
 
-      expect(mockRes.status).toHaveBeenCalledWith(500)
+      expect(mockRes.status).toHaveBeenCalledWith(400)
       expect(mockRes.json).toHaveBeenCalledWith({
-        message: `Image download failed: ${downloadError.message}`,
+        message: 'Unknown model: missing',
       })
-      expect(mockUtil.deleteFile).toHaveBeenCalledTimes(0) // No files created yet
+      expect(mockNsfwSpy.classifyImageFromByteArray).not.toHaveBeenCalled()
     })
 
-    it('should handle image processing failure', async () => {
-      const mockImageUrl = 'http://example.com/image.jpg'
-      mockReq.body.url = mockImageUrl
-      const processError = new Error('Processing failed')
-      mockDownloadFile.mockResolvedValueOnce({ status: 'downloaded' })
-      mockImageProcessingInstance.processImageFile.mockRejectedValueOnce(
-        processError
+    it('should classify every batch item with the requested model', async () => {
+      mockNsfwSpy.classifyImageFromByteArray.mockResolvedValue(
+        expectedClassification
       )
+      mockReq.body = {
+        items: [
+          { url: 'http://example.com/image.jpg' },
+          { data: Buffer.from('batch data').toString('base64') },
+        ],
+        model: 'custom',
+      }
 
-      await predictUrlHandler(
+      await predictBatchHandler(
         mockReq,
         mockRes,
         dependencies,
         new AbortController().signal
       )
 
-      expect(mockRes.status).toHaveBeenCalledWith(500)
-      expect(mockRes.json).toHaveBeenCalledWith({
-        message: `Image processing failed: ${processError.message}`,
+      expect(mockNsfwSpy.classifyImageFromByteArray).toHaveBeenCalledTimes(2)
+      for (const [, modelId] of mockNsfwSpy.classifyImageFromByteArray.mock
+        .calls) {
+        expect(modelId).toBe('custom')
+      }
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+    })
+
+    it('should classify an uploaded file and a censored image with the requested model', async () => {
+      Object.assign(dependencies.config, censorDefaults)
+      mockNsfwSpy.classifyImageFromByteArray.mockResolvedValue(
+        expectedClassification
+      )
+      mockReq = {
+        body: Buffer.from('uploaded image'),
+        query: { model: 'custom' },
+      }
+
+      await predictFileHandler(mockReq, mockRes, dependencies)
+      await censorHandler(
+        {
+          body: Buffer.from('censored image'),
+          query: { model: 'custom', response: 'json' },
+        },
+        mockRes,
+        dependencies
+      )
+
+      expect(mockNsfwSpy.classifyImageFromByteArray.mock.calls).toEqual([
+        [expect.any(Buffer), 'custom'],
+        [expect.any(Buffer), 'custom'],
+      ])
+    })
+
+    it('should run a job with the requested model', async () => {
+      const jobManager = { createJob: jest.fn(() => ({ id: 'job-1' })) }
+      mockReq.body = {
+        data: Buffer.from('job data').toString('base64'),
+        model: 'custom',
+      }
+
+      await createJobHandler(mockReq, mockRes, {
+        ...dependencies,
+        jobManager,
       })
-      expect(mockUtil.deleteFile).toHaveBeenCalledTimes(2) // The initial image file and the processed file
+      const [[, task]] = jobManager.createJob.mock.calls
+      await task(new AbortController().signal)
+
+      expect(mockRes.status).toHaveBeenCalledWith(202)
+      expect(mockNsfwSpy.classifyImageFromByteArray).toHaveBeenCalledWith(
+        expect.any(Buffer),
+        'custom'
+      )
     })
 
-    it('should handle classification failure', async () => {
-      const mockImageUrl = 'http://example.com/image.jpg'
-      mockReq.body.url = mockImageUrl
-      const classifyError = new Error('Classification failed')
-      mockDownloadFile.mockResolvedValueOnce({ status: 'downloaded' })
-      mockImageProcessingInstance.processImageFile.mockResolvedValueOnce({})
-      mockNsfwSpy.classifyImageFile.mockRejectedValueOnce(classifyError)
+    it('should return 400 for an unknown model on every endpoint', async () => {
+      Object.assign(dependencies.config, censorDefaults)
+      const jobManager = { createJob: jest.fn() }
+      const requests = [
+        [predictBatchHandler, { items: [{ url: 'http://example.com/a.jpg' }] }],
+        [predictFileHandler, Buffer.from('uploaded image')],
+        [censorHandler, Buffer.from('censored image')],
+        [createJobHandler, { url: 'http://example.com/a.jpg' }],
+      ]
+
+      for (const [handler, body] of requests) {
+        await handler(
+          { body, query: { model: 'missing' } },
+          mockRes,
+          { ...dependencies, jobManager },
+          new AbortController().signal
+        )
+      }
+
+      expect(mockRes.status.mock.calls).toEqual([[400], [400], [400], [400]])
+      expect(mockRes.json.mock.calls).toEqual(
+        Array(4).fill([{ message: 'Unknown model: missing' }])
+      )
+      expect(jobManager.createJob).not.toHaveBeenCalled()
+      expect(mockNsfwSpy.classifyImageFromByteArray).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Media type sniffing', () => {
+    const MP4_BYTES = Buffer.from([
+      0x00, 0x00, 0x00, 0x18, 0x66, 0x74, 0x79, 0x70, 0x69, 0x73, 0x6f, 0x6d,
+    ]) // ....ftypisom
+    const PNG_BYTES = Buffer.from([
+      0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+    ])
+
+    beforeEach(() => {
+      dependencies.config.ENABLE_BUFFER_PROCESSING = true
+      dependencies.config.ENABLE_VIDEO_STREAM_PROCESSING = true
+      mockResultCache.get.mockReturnValue(undefined)
+    })
+
+    it('should route a URL without extension serving a video to the video pipeline', async () => {
+      const url = 'https://cdn.example.com/abc123'
+      mockReq.body.url = url
+      const stream = { destroy: jest.fn() }
+      mockOpenDownload.mockResolvedValueOnce(
+        opened({
+          stream,
+          leadingBytes: MP4_BYTES,
+          contentType: 'application/octet-stream',
+        })
+      )
+
+      await predictUrlHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+
+      expect(mockOpenDownload).toHaveBeenCalledWith(
+        url,
+        256,
+        30000,
+        { 'User-Agent': 'TestAgent/1.0' },
+        expect.any(Object)
+      )
+      // The video is streamed from the same download, not requested again
+      expect(mockOpenDownload).toHaveBeenCalledTimes(1)
+      expect(mockGenerateScreenshotFromStream).toHaveBeenCalledWith(
+        stream,
+        dependencies.config.FFMPEG_PATH,
+        expect.any(Object)
+      )
+      expect(mockGetVideoStream).not.toHaveBeenCalled()
+      expect(mockStreamToBuffer).not.toHaveBeenCalled()
+    })
+
+    it('should route a URL with a video extension serving an image to the image pipeline', async () => {
+      const url = 'http://example.com/image.php?id=1&format=.mp4'
+      mockReq.body.url = url
+      const stream = { destroy: jest.fn() }
+      mockOpenDownload.mockResolvedValueOnce(
+        opened({ stream, leadingBytes: PNG_BYTES, contentType: 'text/html' })
+      )
+
+      await predictUrlHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+
+      expect(mockStreamToBuffer).toHaveBeenCalledWith(stream, 20 * 1024 * 1024)
+      expect(mockGenerateScreenshotFromStream).not.toHaveBeenCalled()
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+    })
+
+    it('should use the Content-Type header when the bytes are not recognized', async () => {
+      mockReq.body.url = 'http://example.com/stream'
+      mockOpenDownload.mockResolvedValueOnce(
+        opened({
+          leadingBytes: Buffer.from('unknown'),
+          contentType: 'video/x-msvideo',
+        })
+      )
+
+      await predictUrlHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+
+      expect(mockGenerateScreenshotFromStream).toHaveBeenCalled()
+      expect(mockStreamToBuffer).not.toHaveBeenCalled()
+    })
+
+    it('should fall back to the URL extension when the content is not recognized', async () => {
+      mockReq.body.url = 'http://example.com/video.mp4'
+
+      await predictUrlHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+
+      expect(mockGenerateScreenshotFromStream).toHaveBeenCalled()
+      expect(mockStreamToBuffer).not.toHaveBeenCalled()
+    })
+
+    it('should prefer the declared media type to the URL extension when the content is not recognized', async () => {
+      dependencies.config.VERIFY_NOSTR_EVENT_SIGNATURE = false
+      dependencies.config.BATCH_MAX_ITEMS = 10
+      mockUtil.extractUrl.mockReturnValueOnce(null) // No URL in the content
+      mockReq.body = {
+        event: {
+          id: 'e'.repeat(64),
+          pubkey: 'f'.repeat(64),
+          created_at: 1700000000,
+          kind: 1,
+          tags: [['imeta', 'url http://example.com/blob', 'm video/mp4']],
+          content: '',
+          sig: '0'.repeat(128),
+        },
+      }
+
+      await predictEventHandler(
+        mockReq,
+        mockRes,
+        dependencies,
+        new AbortController().signal
+      )
+
+      expect(mockGenerateScreenshotFromStream).toHaveBeenCalled()
+      expect(mockStreamToBuffer).not.toHaveBeenCalled()
+    })
+
+    it('should close the download of content which is not processed', async () => {
+      mockReq.body.url = 'http://example.com/image.jpg'
+      const stream = { destroy: jest.fn() }
+      mockOpenDownload.mockResolvedValueOnce(opened({ stream }))
+      mockImageProcessingInstance.processImageData.mockRejectedValueOnce(
+        new Error('Unsupported image format')
+      )
 
       await predictUrlHandler(
         mockReq,
@@ -1077,10 +3228,7 @@ describe('Prediction Handlers', () => {
       )
 
       expect(mockRes.status).toHaveBeenCalledWith(500)
-      expect(mockRes.json).toHaveBeenCalledWith({
-        message: `Classification failed: ${classifyError.message}`,
-      })
-      expect(mockUtil.deleteFile).toHaveBeenCalledTimes(2) // The initial image file and the processed file
+      expect(stream.destroy).toHaveBeenCalled()
     })
   })
 
@@ -1092,9 +3240,10 @@ describe('Prediction Handlers', () => {
     it('should throw an error if content type is not image or video', async () => {
       const mockUrl = 'http://example.com/document.pdf'
       mockReq.body.url = mockUrl
-      mockGetContentInfo.mockResolvedValueOnce({
-        contentType: 'application/pdf',
-      })
+      const stream = { destroy: jest.fn() }
+      mockOpenDownload.mockResolvedValueOnce(
+        opened({ stream, contentType: 'application/pdf' })
+      )
       mockUtil.isContentTypeImageType.mockReturnValueOnce(false)
       mockUtil.isContentTypeVideoType.mockReturnValueOnce(false)
 
@@ -1105,17 +3254,24 @@ describe('Prediction Handlers', () => {
         new AbortController().signal
       )
 
+      // The Content-Type of the download itself is checked, without a separate request
+      expect(mockGetContentInfo).not.toHaveBeenCalled()
+      expect(mockUtil.isContentTypeImageType).toHaveBeenCalledWith(
+        'application/pdf'
+      )
+      expect(mockStreamToBuffer).not.toHaveBeenCalled()
+      expect(stream.destroy).toHaveBeenCalled()
       expect(mockRes.status).toHaveBeenCalledWith(500)
       expect(mockRes.json).toHaveBeenCalledWith({
         message: `Only image/video URLs are acceptable for ${mockUrl}`,
       })
     })
 
-    it('should handle failure when getting content info', async () => {
+    it('should handle failure when opening the download', async () => {
       const mockUrl = 'http://example.com/image.jpg'
       mockReq.body.url = mockUrl
-      const contentInfoError = new Error('Failed to fetch headers')
-      mockGetContentInfo.mockRejectedValueOnce(contentInfoError)
+      const openError = new Error('Failed to download file. Status: 204')
+      mockOpenDownload.mockRejectedValueOnce(openError)
 
       await predictUrlHandler(
         mockReq,
@@ -1126,7 +3282,7 @@ describe('Prediction Handlers', () => {
 
       expect(mockRes.status).toHaveBeenCalledWith(500)
       expect(mockRes.json).toHaveBeenCalledWith({
-        message: `Failed to get content info for ${mockUrl}: ${contentInfoError.message}`,
+        message: `Download failed for ${mockUrl}: ${openError.message}`,
       })
     })
   })
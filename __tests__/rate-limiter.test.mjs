@@ -0,0 +1,218 @@
+import { jest } from '@jest/globals'
+import {
+  createRateLimiter,
+  getRateLimitKey,
+  createRateLimitMiddleware,
+  trackCacheHits,
+} from '../src/rate-limiter.mjs'
+import { getCachedUrlResult } from '../src/content-cache.mjs'
+
+const now = 1700000000000
+
+describe('rate-limiter', () => {
+  describe('createRateLimiter', () => {
+    it('should allow a burst then refill the bucket over time', () => {
+      const limiter = createRateLimiter({
+        capacity: 2,
+        refillPerMinute: 6,
+        maxClients: 10,
+      })
+
+      expect(limiter.take('a', now)).toEqual({
+        allowed: true,
+        limit: 2,
+        remaining: 1,
+        reset: 10,
+        retryAfter: 0,
+      })
+      expect(limiter.take('a', now).remaining).toBe(0)
+      expect(limiter.take('a', now)).toEqual({
+        allowed: false,
+        limit: 2,
+        remaining: 0,
+        reset: 20,
+        retryAfter: 10,
+      })
+      // Buckets are per client
+      expect(limiter.take('b', now).allowed).toBe(true)
+
+      expect(limiter.take('a', now + 5000)).toMatchObject({
+        allowed: false,
+        retryAfter: 5,
+      })
+      expect(limiter.take('a', now + 10000)).toMatchObject({
+        allowed: true,
+        remaining: 0,
+      })
+    })
+
+    it('should charge the cost of a request and allow a cost over the capacity from a full bucket', () => {
+      const limiter = createRateLimiter({
+        capacity: 2,
+        refillPerMinute: 6,
+        maxClients: 10,
+      })
+
+      expect(limiter.take('a', now, 5)).toEqual({
+        allowed: true,
+        limit: 2,
+        remaining: 0,
+        reset: 50,
+        retryAfter: 0,
+      })
+      // The debt is paid back before the next request
+      expect(limiter.take('a', now + 30000)).toMatchObject({
+        allowed: false,
+        retryAfter: 10,
+      })
+      expect(limiter.take('a', now + 40000).allowed).toBe(true)
+      // A cost over the capacity needs a full bucket
+      expect(limiter.take('b', now, 1).allowed).toBe(true)
+      expect(limiter.take('b', now, 3)).toMatchObject({
+        allowed: false,
+        retryAfter: 10,
+      })
+    })
+
+    it('should give a token back on refund, up to the capacity', () => {
+      const limiter = createRateLimiter({
+        capacity: 1,
+        refillPerMinute: 1,
+        maxClients: 10,
+      })
+
+      limiter.take('a', now)
+      limiter.refund('a', now)
+      limiter.refund('a', now)
+      expect(limiter.take('a', now).allowed).toBe(true)
+      expect(limiter.take('a', now).allowed).toBe(false)
+    })
+  })
+
+  describe('getRateLimitKey', () => {
+    it('should prefer the API key, then the Nostr author, then the IP address', () => {
+      expect(
+        getRateLimitKey({ apiKey: 'tenant', nostrPubkey: 'abc', ip: '::1' })
+      ).toBe('key:tenant')
+      expect(getRateLimitKey({ nostrPubkey: 'abc', ip: '::1' })).toBe(
+        'nostr:abc'
+      )
+      expect(getRateLimitKey({ ip: '::1' })).toBe('ip:::1')
+    })
+  })
+
+  describe('createRateLimitMiddleware', () => {
+    let limiter
+    let res
+    let next
+
+    beforeEach(() => {
+      limiter = createRateLimiter({
+        capacity: 1,
+        refillPerMinute: 60,
+        maxClients: 10,
+      })
+      res = {
+        statusCode: 200,
+        set: jest.fn(),
+        on: jest.fn(),
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn(),
+      }
+      next = jest.fn()
+    })
+
+    it('should set the rate limit headers and answer 429 once the bucket is empty', () => {
+      const middleware = createRateLimitMiddleware('predict', limiter)
+
+      middleware({ ip: '10.0.0.1' }, res, next)
+      expect(next).toHaveBeenCalledTimes(1)
+      expect(res.set).toHaveBeenCalledWith({
+        'RateLimit-Limit': '1',
+        'RateLimit-Remaining': '0',
+        'RateLimit-Reset': '1',
+      })
+
+      middleware({ ip: '10.0.0.1' }, res, next)
+      expect(next).toHaveBeenCalledTimes(1)
+      expect(res.set).toHaveBeenCalledWith('Retry-After', '1')
+      expect(res.status).toHaveBeenCalledWith(429)
+      expect(res.json).toHaveBeenCalledWith({ message: 'Too many requests' })
+
+      middleware({ ip: '10.0.0.2' }, res, next)
+      expect(next).toHaveBeenCalledTimes(2)
+      expect(res.on).not.toHaveBeenCalled()
+    })
+
+    it('should charge the cost of the request', () => {
+      const middleware = createRateLimitMiddleware('predict', limiter, {
+        getCost: (req) => req.body.items.length,
+      })
+
+      middleware({ ip: '10.0.0.1', body: { items: [1, 2, 3] } }, res, next)
+      middleware({ ip: '10.0.0.1', body: { items: [] } }, res, next)
+
+      expect(next).toHaveBeenCalledTimes(1)
+      expect(res.set).toHaveBeenCalledWith('Retry-After', '3')
+    })
+
+    it('should give the token of a cache hit back once the response is sent', () => {
+      const middleware = createRateLimitMiddleware('predict', limiter, {
+        skipCacheHits: true,
+      })
+      const resultCache = { get: jest.fn() }
+
+      const req = { ip: '10.0.0.1' }
+      middleware(req, res, next)
+      trackCacheHits(resultCache, req).reportHit()
+      const [[event, onFinish]] = res.on.mock.calls
+      expect(event).toBe('finish')
+      onFinish()
+
+      middleware({ ip: '10.0.0.1' }, res, next)
+      expect(next).toHaveBeenCalledTimes(2)
+      // A miss keeps its token
+      res.on.mock.calls[1][1]()
+      middleware({ ip: '10.0.0.1' }, res, next)
+      expect(res.status).toHaveBeenCalledWith(429)
+    })
+  })
+
+  describe('trackCacheHits', () => {
+    it('should only wrap the cache of rate limited requests', () => {
+      const resultCache = { get: jest.fn(), set: jest.fn() }
+      expect(trackCacheHits(resultCache, {})).toBe(resultCache)
+
+      const req = { rateLimit: { cacheHit: false } }
+      const trackedCache = trackCacheHits(resultCache, req)
+      expect(trackedCache.get).toBe(resultCache.get)
+      expect(trackedCache.set).toBe(resultCache.set)
+      expect(req.rateLimit.cacheHit).toBe(false)
+      trackedCache.reportHit()
+      expect(req.rateLimit.cacheHit).toBe(true)
+    })
+
+    it('should not count an URL entry whose content entry is evicted as a hit', () => {
+      const resultCache = new Map([
+        ['url-a', { contentCacheKey: 'content-m-abc', source: {} }],
+      ])
+      const req = { rateLimit: { cacheHit: false } }
+      const trackedCache = trackCacheHits(
+        {
+          get: (key) => resultCache.get(key),
+        },
+        req
+      )
+
+      expect(getCachedUrlResult(trackedCache, 'url-a')).toBeUndefined()
+      expect(req.rateLimit.cacheHit).toBe(false)
+
+      resultCache.set('content-m-abc', { neutral: 0.9 })
+      expect(getCachedUrlResult(trackedCache, 'url-a')).toEqual({
+        neutral: 0.9,
+        source: {},
+      })
+      expect(req.rateLimit.cacheHit).toBe(true)
+    })
+  })
+})
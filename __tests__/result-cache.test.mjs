@@ -0,0 +1,218 @@
+import { jest } from '@jest/globals'
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import {
+  createMemoryResultCache,
+  createFileResultCache,
+  createResultCache,
+} from '../src/result-cache.mjs'
+
+describe('result-cache', () => {
+  let directory
+  let filePath
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'result-cache-'))
+    filePath = join(directory, 'nested', 'cache.jsonl')
+    jest.spyOn(console, 'info').mockImplementation(() => {})
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(async () => {
+    jest.restoreAllMocks()
+    await rm(directory, { recursive: true, force: true })
+  })
+
+  /**
+   * Reads the lines of the cache file.
+   * @returns {Promise<object[]>} - The parsed lines.
+   */
+  const readLines = async () =>
+    (await readFile(filePath, 'utf8'))
+      .split('\n')
+      .filter((line) => line.length > 0)
+      .map((line) => JSON.parse(line))
+
+  describe('createMemoryResultCache', () => {
+    it('should get, set and delete results with LRU eviction', () => {
+      const cache = createMemoryResultCache({ max: 2, ttl: 60000 })
+      cache.set('url-a', { neutral: 0.1 })
+      cache.set('url-b', { neutral: 0.2 })
+      cache.set('url-c', { neutral: 0.3 })
+
+      expect(cache.get('url-a')).toBeUndefined()
+      expect(cache.get('url-c')).toEqual({ neutral: 0.3 })
+      expect(cache.delete('url-c')).toBe(true)
+      expect(cache.size()).toBe(1)
+    })
+
+    it('should iterate over the cached results', () => {
+      const cache = createMemoryResultCache({ max: 10, ttl: 60000 })
+      cache.set('url-a', { neutral: 0.1 })
+      cache.set('content-b', { neutral: 0.2 })
+
+      expect(new Map(cache.entries())).toEqual(
+        new Map([
+          ['url-a', { neutral: 0.1 }],
+          ['content-b', { neutral: 0.2 }],
+        ])
+      )
+    })
+  })
+
+  describe('createFileResultCache', () => {
+    it('should persist results across instances', async () => {
+      const cache = await createFileResultCache({
+        filePath,
+        max: 10,
+        ttl: 60000,
+      })
+      cache.set('url-a', { neutral: 0.1 })
+      cache.set('data-b', { neutral: 0.2 })
+      await cache.close()
+
+      const reloaded = await createFileResultCache({
+        filePath,
+        max: 10,
+        ttl: 60000,
+      })
+      expect(reloaded.get('url-a')).toEqual({ neutral: 0.1 })
+      expect(reloaded.get('data-b')).toEqual({ neutral: 0.2 })
+      expect(reloaded.size()).toBe(2)
+    })
+
+    it('should keep the TTL running across restarts', async () => {
+      const now = Date.now()
+      await writeFile(
+        join(directory, 'cache.jsonl'),
+        [
+          { k: 'url-expired', v: { neutral: 0.1 }, e: now - 1000 },
+          { k: 'url-live', v: { neutral: 0.2 }, e: now + 60000 },
+        ]
+          .map((line) => JSON.stringify(line) + '\n')
+          .join('')
+      )
+      filePath = join(directory, 'cache.jsonl')
+
+      const cache = await createFileResultCache({
+        filePath,
+        max: 10,
+        ttl: 3600000,
+      })
+
+      expect(cache.get('url-expired')).toBeUndefined()
+      expect(cache.get('url-live')).toEqual({ neutral: 0.2 })
+      // The remaining TTL is kept, not reset to the configured TTL
+      const [line] = await readLines()
+      expect(line.e).toBeLessThan(now + 120000)
+    })
+
+    it('should not bring back deleted results', async () => {
+      const cache = await createFileResultCache({
+        filePath,
+        max: 10,
+        ttl: 60000,
+      })
+      cache.set('url-a', { neutral: 0.1 })
+      await cache.close()
+      cache.delete('url-a')
+      await cache.close()
+
+      const reloaded = await createFileResultCache({
+        filePath,
+        max: 10,
+        ttl: 60000,
+      })
+      expect(reloaded.get('url-a')).toBeUndefined()
+    })
+
+    it('should use the last written value of a key', async () => {
+      const cache = await createFileResultCache({
+        filePath,
+        max: 10,
+        ttl: 60000,
+      })
+      cache.set('url-a', { neutral: 0.1 })
+      cache.set('url-a', { neutral: 0.9 })
+      await cache.close()
+
+      const reloaded = await createFileResultCache({
+        filePath,
+        max: 10,
+        ttl: 60000,
+      })
+      expect(reloaded.get('url-a')).toEqual({ neutral: 0.9 })
+    })
+
+    it('should compact the file to the live results', async () => {
+      const cache = await createFileResultCache({
+        filePath,
+        max: 2,
+        ttl: 60000,
+        minCompactionLines: 3,
+      })
+      for (const key of ['url-a', 'url-b', 'url-c', 'url-d', 'url-e']) {
+        cache.set(key, { neutral: 0.5 })
+      }
+      await cache.close()
+
+      const lines = await readLines()
+      expect(lines.map((line) => line.k)).toEqual(['url-d', 'url-e'])
+    })
+
+    it('should skip corrupted lines', async () => {
+      const cache = await createFileResultCache({
+        filePath,
+        max: 10,
+        ttl: 60000,
+      })
+      cache.set('url-a', { neutral: 0.1 })
+      await cache.close()
+      await writeFile(filePath, '{"k":"url-b","v":{', { flag: 'a' }) // Truncated write
+
+      const reloaded = await createFileResultCache({
+        filePath,
+        max: 10,
+        ttl: 60000,
+      })
+
+      expect(reloaded.get('url-a')).toEqual({ neutral: 0.1 })
+      expect(reloaded.size()).toBe(1)
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining('Skipped 1 corrupted lines')
+      )
+    })
+  })
+
+  describe('createResultCache', () => {
+    const config = {
+      MAX_CACHE_ITEM_NUM: 10,
+      CACHE_DURATION_IN_SECONDS: 60,
+    }
+
+    it('should create the backend selected by CACHE_BACKEND', async () => {
+      const memoryCache = await createResultCache({
+        ...config,
+        CACHE_BACKEND: 'memory',
+      })
+      memoryCache.set('url-a', { neutral: 0.1 })
+      expect(memoryCache.get('url-a')).toEqual({ neutral: 0.1 })
+
+      const fileCache = await createResultCache({
+        ...config,
+        CACHE_BACKEND: 'file',
+        CACHE_FILE_PATH: filePath,
+      })
+      fileCache.set('url-a', { neutral: 0.1 })
+      await fileCache.close()
+      expect((await readLines())[0].k).toBe('url-a')
+    })
+
+    it('should throw an error for an unknown backend', async () => {
+      await expect(
+        createResultCache({ ...config, CACHE_BACKEND: 'redis' })
+      ).rejects.toThrow('Unknown cache backend: redis')
+    })
+  })
+})
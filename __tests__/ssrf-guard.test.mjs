@@ -0,0 +1,232 @@
+import { jest } from '@jest/globals'
+import http from 'node:http'
+import {
+  isBlockedAddress,
+  parseSsrfAllowlist,
+  createSsrfGuard,
+  installSsrfGuard,
+} from '../src/ssrf-guard.mjs'
+
+/**
+ * Creates a fake DNS lookup resolving every hostname to the given addresses.
+ * @param {{address: string, family: number}[]} addresses - The resolved addresses.
+ * @returns {function} - The fake lookup.
+ */
+const resolveTo = (addresses) =>
+  jest.fn((_hostname, _options, callback) => callback(null, addresses))
+
+describe('ssrf-guard', () => {
+  describe('isBlockedAddress', () => {
+    it.each([
+      '127.0.0.1',
+      '10.1.2.3',
+      '172.16.0.1',
+      '192.168.1.1',
+      '169.254.169.254',
+      '100.100.100.200',
+      '0.0.0.0',
+      '224.0.0.1',
+      '::1',
+      '::',
+      'fd00:ec2::254',
+      'fe80::1',
+      '::ffff:127.0.0.1',
+      '::ffff:a9fe:a9fe', // 169.254.169.254
+      '64:ff9b::a9fe:a9fe',
+    ])('should block %s', (address) => {
+      expect(isBlockedAddress(address)).toBe(true)
+    })
+
+    it.each([
+      '93.184.216.34',
+      '1.1.1.1',
+      '2606:4700:4700::1111',
+      '::ffff:1.1.1.1',
+    ])('should allow %s', (address) => {
+      expect(isBlockedAddress(address)).toBe(false)
+    })
+  })
+
+  describe('parseSsrfAllowlist', () => {
+    it('should parse addresses, ranges and hostnames', () => {
+      const allowlist = parseSsrfAllowlist(
+        ' 10.0.0.5, 192.168.1.0/24 ,fd00::/8,Media.Internal,*.cdn.internal,'
+      )
+
+      expect(allowlist.addresses.check('10.0.0.5', 'ipv4')).toBe(true)
+      expect(allowlist.addresses.check('192.168.1.42', 'ipv4')).toBe(true)
+      expect(allowlist.addresses.check('fd00::1', 'ipv6')).toBe(true)
+      expect(allowlist.addresses.check('10.0.0.6', 'ipv4')).toBe(false)
+      expect(allowlist.hostnames).toEqual(['media.internal', '*.cdn.internal'])
+    })
+
+    it('should throw an error for an invalid range', () => {
+      expect(() => parseSsrfAllowlist('10.0.0.0/33')).toThrow(
+        'Invalid SSRF allowlist range: 10.0.0.0/33'
+      )
+    })
+  })
+
+  describe('createSsrfGuard', () => {
+    it('should reject URLs with blocked IP literals', () => {
+      const guard = createSsrfGuard({})
+
+      expect(() =>
+        guard.assertUrlAllowed('http://169.254.169.254/latest/meta-data/')
+      ).toThrow(
+        'Blocked request to private or reserved address 169.254.169.254'
+      )
+      expect(() => guard.assertUrlAllowed('http://[::1]:8080/')).toThrow(
+        'Blocked request to private or reserved address ::1'
+      )
+      expect(() =>
+        guard.assertUrlAllowed('http://[::ffff:127.0.0.1]/image.jpg')
+      ).toThrow('Blocked request to private or reserved address')
+      expect(() => guard.assertUrlAllowed('file:///etc/passwd')).toThrow(
+        'Blocked request with protocol file:'
+      )
+      expect(() =>
+        guard.assertUrlAllowed('https://93.184.216.34/image.jpg')
+      ).not.toThrow()
+      // Hostnames are checked when they are resolved
+      expect(() =>
+        guard.assertUrlAllowed('https://example.com/image.jpg')
+      ).not.toThrow()
+    })
+
+    it('should allow allowlisted addresses', () => {
+      const guard = createSsrfGuard({ allowlist: '10.0.0.0/24' })
+
+      expect(() =>
+        guard.assertUrlAllowed('http://10.0.0.5/image.jpg')
+      ).not.toThrow()
+      expect(() => guard.assertUrlAllowed('http://10.0.1.5/image.jpg')).toThrow(
+        'Blocked request to private or reserved address 10.0.1.5'
+      )
+    })
+
+    it('should check every redirect hop', () => {
+      const guard = createSsrfGuard({})
+
+      expect(() =>
+        guard.beforeRedirect({ protocol: 'http:', hostname: '127.0.0.1' })
+      ).toThrow('Blocked request to private or reserved address 127.0.0.1')
+      expect(() =>
+        guard.beforeRedirect({ protocol: 'https:', hostname: 'example.com' })
+      ).not.toThrow()
+    })
+
+    it('should reject hostnames resolving to a blocked address', (done) => {
+      const resolve = resolveTo([
+        { address: '93.184.216.34', family: 4 },
+        { address: '10.0.0.1', family: 4 },
+      ])
+      const guard = createSsrfGuard({ resolve })
+
+      guard.lookup('rebind.example.com', { all: true }, (err) => {
+        expect(err.message).toBe(
+          'Blocked request to rebind.example.com resolving to private or reserved address 10.0.0.1'
+        )
+        expect(err.code).toBe('ERR_SSRF_BLOCKED')
+        done()
+      })
+    })
+
+    it('should resolve allowed hostnames with the requested shape', (done) => {
+      const resolve = resolveTo([{ address: '93.184.216.34', family: 4 }])
+      const guard = createSsrfGuard({ resolve })
+
+      guard.lookup('example.com', { family: 0 }, (err, address, family) => {
+        expect(err).toBeNull()
+        expect(address).toBe('93.184.216.34')
+        expect(family).toBe(4)
+        expect(resolve).toHaveBeenCalledWith(
+          'example.com',
+          { family: 0, all: true },
+          expect.any(Function)
+        )
+        done()
+      })
+    })
+
+    it('should resolve allowlisted hostnames to any address', (done) => {
+      const resolve = resolveTo([{ address: '10.0.0.7', family: 4 }])
+      const guard = createSsrfGuard({
+        allowlist: '*.cdn.internal',
+        resolve,
+      })
+
+      guard.lookup('media.cdn.internal', { all: true }, (err, addresses) => {
+        expect(err).toBeNull()
+        expect(addresses).toEqual([{ address: '10.0.0.7', family: 4 }])
+        done()
+      })
+    })
+
+    describe('with a local server', () => {
+      let server
+      let port
+
+      beforeAll(async () => {
+        server = http.createServer((_req, res) => res.end('ok'))
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+        port = server.address().port
+      })
+
+      afterAll(async () => {
+        await new Promise((resolve) => server.close(resolve))
+      })
+
+      /**
+       * Requests the local server through `localhost` with the lookup of a guard.
+       * @param {object} guard - The SSRF guard.
+       * @returns {Promise<number>} - The response status code.
+       */
+      const requestLocalhost = (guard) =>
+        new Promise((resolve, reject) => {
+          http
+            .get(
+              { hostname: 'localhost', port, lookup: guard.lookup, family: 4 },
+              (res) => {
+                res.resume()
+                resolve(res.statusCode)
+              }
+            )
+            .on('error', reject)
+        })
+
+      it('should block the connection at lookup time', async () => {
+        await expect(requestLocalhost(createSsrfGuard({}))).rejects.toThrow(
+          'Blocked request to localhost resolving to private or reserved address 127.0.0.1'
+        )
+      })
+
+      it('should connect to allowlisted hosts', async () => {
+        await expect(
+          requestLocalhost(createSsrfGuard({ allowlist: 'localhost' }))
+        ).resolves.toBe(200)
+      })
+    })
+  })
+
+  describe('installSsrfGuard', () => {
+    it('should guard every request of an axios instance', () => {
+      const axiosInstance = {
+        defaults: {},
+        interceptors: { request: { use: jest.fn() } },
+      }
+      const guard = createSsrfGuard({})
+
+      installSsrfGuard(axiosInstance, guard)
+
+      expect(axiosInstance.defaults.lookup).toBe(guard.lookup)
+      expect(axiosInstance.defaults.beforeRedirect).toBe(guard.beforeRedirect)
+      const [interceptor] = axiosInstance.interceptors.request.use.mock.calls[0]
+      const requestConfig = { url: 'https://example.com/image.jpg' }
+      expect(interceptor(requestConfig)).toBe(requestConfig)
+      expect(() => interceptor({ url: 'http://127.0.0.1:8081/' })).toThrow(
+        'Blocked request to private or reserved address 127.0.0.1'
+      )
+    })
+  })
+})
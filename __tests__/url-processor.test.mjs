@@ -4,21 +4,17 @@ import { Mutex } from 'async-mutex'
 // This test requires mocking several dependencies to isolate the url-processor's mutex logic.
 jest.unstable_mockModule('../src/download.mjs', () => ({
   __esModule: true,
-  getContentInfo: jest.fn().mockResolvedValue({
+  openDownload: jest.fn(async () => ({
+    stream: { destroy: jest.fn() },
+    leadingBytes: Buffer.from([0xff, 0xd8, 0xff]),
     contentType: 'image/jpeg',
-    contentLength: 1234,
-    extension: 'jpg',
-  }),
-  downloadFileToBuffer: jest
-    .fn()
-    .mockResolvedValue(Buffer.from('mock-image-data')),
+  })),
+  streamToBuffer: jest.fn().mockResolvedValue(Buffer.from('mock-image-data')),
+  streamToFile: jest.fn(),
   // Add other exports from download.mjs as no-op mocks to prevent import errors
   downloadPartFileToBuffer: jest.fn(),
-  downloadFile: jest.fn(),
   downloadPartFile: jest.fn(),
-  streamToBuffer: jest.fn(),
   getVideoStream: jest.fn(),
-  getVideoBuffer: jest.fn(),
 }))
 
 describe('url-processor concurrency', () => {
@@ -59,6 +55,7 @@ describe('url-processor concurrency', () => {
         inFlight--
         return { prediction: 'mocked' }
       }),
+      runFramesPredictionPipeline: jest.fn(),
     }))
   })
 
@@ -0,0 +1,338 @@
+import { to } from 'await-to-js'
+import * as fs from 'node:fs/promises'
+import { sha256 } from 'js-sha256'
+import { z } from 'zod'
+import { apiKeyRequestsTotal } from './metrics.mjs'
+
+/**
+ * Scopes an API key can be granted.
+ * @type {string[]}
+ */
+export const API_KEY_SCOPES = ['predict', 'predict_data', 'admin']
+
+/**
+ * Scope required by each endpoint, by path prefix. Other endpoints (`/`, `/models`, `/metrics`) accept any valid key,
+ * and the admin endpoints require the `admin` scope.
+ * @type {[string, string][]}
+ */
+const ROUTE_SCOPES = [
+  ['/predict_data', 'predict_data'],
+  ['/predict_file', 'predict_data'],
+  ['/predict_batch', 'predict'],
+  ['/predict_event', 'predict'],
+  ['/predict', 'predict'],
+  ['/censor', 'predict'],
+  ['/jobs', 'predict'],
+]
+
+/**
+ * Length of the rate limit window of the `requestsPerMinute` limit.
+ * @type {number}
+ */
+const MINUTE_MS = 60 * 1000
+
+/**
+ * Length of the quota window of the `dailyQuota` limit, days start at midnight UTC.
+ * @type {number}
+ */
+const DAY_MS = 24 * 60 * MINUTE_MS
+
+/**
+ * @typedef {object} ApiKey
+ * @property {string} name - The name of the key, identifying its tenant or integration.
+ * @property {string} hash - The SHA256 of the key, as lowercase hexadecimal characters.
+ * @property {string[]} scopes - The granted scopes.
+ * @property {number} [requestsPerMinute] - Maximum number of requests per minute, unlimited if not set.
+ * @property {number} [dailyQuota] - Maximum number of requests per day (UTC), unlimited if not set.
+ */
+
+/**
+ * @typedef {object} ApiKeyUsage
+ * @property {number} lastMinute - Number of requests of the current minute.
+ * @property {number} today - Number of requests of the current day (UTC).
+ * @property {number} total - Number of requests since the server started.
+ * @property {number} rejected - Number of requests rejected by the scopes or limits of the key since the server started.
+ * @property {string|null} lastUsedAt - Date of the last request, as an ISO string.
+ */
+
+/**
+ * @typedef {object} ApiKeyStore
+ * @property {(key: string, scope?: string, now?: number) => {name: string}|null} authorize - Resolves a key and counts its request, returns null for unknown keys.
+ * @property {(now?: number) => Array<Omit<ApiKey, 'hash'> & {usage: ApiKeyUsage}>} usage - Returns the keys and their usage.
+ * @property {() => Promise<{keys: number}>} reload - Reads the key file again, the usage of the kept keys is preserved.
+ */
+
+/**
+ * Zod schema for the entries of an API key file.
+ */
+const apiKeysSchema = z
+  .array(
+    z.object({
+      name: z.string().trim().min(1, 'Name cannot be empty'),
+      hash: z
+        .string()
+        .trim()
+        .toLowerCase()
+        .regex(
+          /^[0-9a-f]{64}$/,
+          'Hash must be the SHA256 of the key (64 hexadecimal characters)'
+        ),
+      scopes: z.array(z.enum(API_KEY_SCOPES)),
+      requestsPerMinute: z.number().int().positive().optional(),
+      dailyQuota: z.number().int().positive().optional(),
+    })
+  )
+  .superRefine((keys, ctx) => {
+    for (const field of ['name', 'hash']) {
+      const seen = new Set()
+      keys.forEach((key, index) => {
+        if (seen.has(key[field])) {
+          ctx.addIssue({
+            code: 'custom',
+            path: [index, field],
+            message: `Duplicate ${field}`,
+          })
+        }
+        seen.add(key[field])
+      })
+    }
+  })
+
+/**
+ * Validates the entries of an API key file.
+ * @param {object[]} definitions - The entries, `{ name, hash, scopes, requestsPerMinute?, dailyQuota? }` objects.
+ * @returns {ApiKey[]} - The validated keys.
+ * @throws {Error} If the entries are invalid.
+ */
+export const parseApiKeys = (definitions) => {
+  const result = apiKeysSchema.safeParse(definitions)
+  if (!result.success) {
+    const issues = result.error.issues
+      .map((issue) => `${issue.path.join('.')}: ${issue.message}`)
+      .join(', ')
+    throw new Error(`Invalid API keys: ${issues}`)
+  }
+  return result.data
+}
+
+/**
+ * Reads the keys of an API key file, a JSON array of key entries.
+ * @param {string} filePath - The file path.
+ * @returns {Promise<ApiKey[]>} - The keys.
+ * @throws {Error} If the file cannot be read or parsed.
+ */
+const readApiKeyFile = async (filePath) => {
+  const [errRead, content] = await to(fs.readFile(filePath, 'utf8'))
+  if (errRead) {
+    throw new Error(`Failed to read API key file: ${errRead.message}`, {
+      cause: errRead,
+    })
+  }
+  let definitions
+  try {
+    definitions = JSON.parse(content)
+  } catch (error) {
+    throw new Error(`Failed to parse API key file: ${error.message}`, {
+      cause: error,
+    })
+  }
+  return parseApiKeys(definitions)
+}
+
+/**
+ * Gets the scope required by an endpoint.
+ * The path is matched like Express routes it: case-insensitively and with or without a trailing slash.
+ * @param {string} [requestPath] - The request path.
+ * @returns {string|undefined} - The required scope, undefined if any valid key is accepted.
+ */
+export const getRequiredScope = (requestPath) => {
+  const routePath = requestPath?.toLowerCase().replace(/\/+$/, '')
+  return ROUTE_SCOPES.find(
+    ([prefix]) => routePath === prefix || routePath?.startsWith(`${prefix}/`)
+  )?.[1]
+}
+
+/**
+ * Creates the error of a request rejected by the scopes or limits of its key.
+ * @param {string} message - The error message.
+ * @param {number} statusCode - The HTTP status of the response.
+ * @param {number} [retryAfter] - Seconds until the limit resets.
+ * @returns {Error} - The error, with its `statusCode` and `retryAfter`.
+ */
+const createApiKeyError = (message, statusCode, retryAfter) => {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  if (retryAfter !== undefined) {
+    error.retryAfter = retryAfter
+  }
+  return error
+}
+
+/**
+ * Factory function to create the API key store, loaded from its file.
+ * Keys are looked up by their SHA256, the file never holds them in plain text. Usage is counted in memory,
+ * per fixed minute and per day (UTC), and is kept across reloads for the keys whose name is unchanged.
+ * @param {object} options - Key store settings.
+ * @param {string} options.file - Path to the API key file.
+ * @returns {Promise<ApiKeyStore>} - The key store.
+ * @throws {Error} If the key file cannot be read or parsed.
+ */
+export const createApiKeyStore = async ({ file }) => {
+  let keys = new Map()
+  const usages = new Map()
+
+  /**
+   * Replaces the keys, and forgets the usage of the removed ones.
+   * @param {ApiKey[]} nextKeys - The new keys.
+   */
+  const setKeys = (nextKeys) => {
+    keys = new Map(nextKeys.map((key) => [key.hash, key]))
+    const names = new Set(nextKeys.map((key) => key.name))
+    for (const name of usages.keys()) {
+      if (!names.has(name)) {
+        usages.delete(name)
+      }
+    }
+  }
+
+  /**
+   * Gets the usage counters of a key, reset when their window has passed.
+   * @param {string} name - The key name.
+   * @param {number} now - The current time in milliseconds.
+   * @returns {object} - The usage counters.
+   */
+  const getUsage = (name, now) => {
+    const minute = Math.floor(now / MINUTE_MS)
+    const day = Math.floor(now / DAY_MS)
+    const usage = usages.get(name) ?? {
+      minute,
+      minuteCount: 0,
+      day,
+      dayCount: 0,
+      total: 0,
+      rejected: 0,
+      lastUsedAt: null,
+    }
+    if (usage.minute !== minute) {
+      Object.assign(usage, { minute, minuteCount: 0 })
+    }
+    if (usage.day !== day) {
+      Object.assign(usage, { day, dayCount: 0 })
+    }
+    usages.set(name, usage)
+    return usage
+  }
+
+  /**
+   * Checks the scope and limits of a key for a request.
+   * @param {ApiKey} key - The key.
+   * @param {object} usage - The usage counters of the key.
+   * @param {string} [scope] - The scope required by the request.
+   * @param {number} now - The current time in milliseconds.
+   * @throws {Error} If the request is not allowed, with a 403 or 429 `statusCode`.
+   */
+  const checkLimits = (key, usage, scope, now) => {
+    if (scope && !key.scopes.includes(scope)) {
+      throw createApiKeyError(`API key is missing the ${scope} scope`, 403)
+    }
+    if (key.dailyQuota && usage.dayCount >= key.dailyQuota) {
+      throw createApiKeyError(
+        'API key daily quota exceeded',
+        429,
+        Math.ceil(((usage.day + 1) * DAY_MS - now) / 1000)
+      )
+    }
+    if (key.requestsPerMinute && usage.minuteCount >= key.requestsPerMinute) {
+      throw createApiKeyError(
+        'API key rate limit exceeded',
+        429,
+        Math.ceil(((usage.minute + 1) * MINUTE_MS - now) / 1000)
+      )
+    }
+  }
+
+  setKeys(await readApiKeyFile(file))
+
+  return {
+    authorize: (value, scope, now = Date.now()) => {
+      const key = keys.get(sha256(value))
+      if (!key) {
+        return null
+      }
+      const usage = getUsage(key.name, now)
+      try {
+        checkLimits(key, usage, scope, now)
+      } catch (error) {
+        usage.rejected++
+        apiKeyRequestsTotal.inc({
+          key: key.name,
+          outcome: error.statusCode === 403 ? 'forbidden' : 'limited',
+        })
+        throw error
+      }
+      usage.minuteCount++
+      usage.dayCount++
+      usage.total++
+      usage.lastUsedAt = new Date(now).toISOString()
+      apiKeyRequestsTotal.inc({ key: key.name, outcome: 'allowed' })
+      return { name: key.name }
+    },
+    usage: (now = Date.now()) =>
+      [...keys.values()].map(
+        ({ name, scopes, requestsPerMinute, dailyQuota }) => {
+          const usage = getUsage(name, now)
+          return {
+            name,
+            scopes,
+            requestsPerMinute: requestsPerMinute ?? null,
+            dailyQuota: dailyQuota ?? null,
+            usage: {
+              lastMinute: usage.minuteCount,
+              today: usage.dayCount,
+              total: usage.total,
+              rejected: usage.rejected,
+              lastUsedAt: usage.lastUsedAt,
+            },
+          }
+        }
+      ),
+    reload: async () => {
+      setKeys(await readApiKeyFile(file))
+      console.log(`API keys reloaded: ${keys.size} keys`)
+      return { keys: keys.size }
+    },
+  }
+}
+
+/**
+ * Handles the GET /admin/api-keys endpoint which returns the API keys (without their hash) and their usage.
+ * @param {object} _req - Express request object (unused).
+ * @param {object} res - Express response object.
+ * @param {object} dependencies - Injected dependencies.
+ * @param {ApiKeyStore|null} dependencies.apiKeys - The API key store, null if API keys are disabled.
+ */
+export const listApiKeysHandler = (_req, res, { apiKeys }) => {
+  if (!apiKeys) {
+    return res.status(404).json({ message: 'API keys are disabled' })
+  }
+  res.status(200).json({ data: apiKeys.usage() })
+}
+
+/**
+ * Handles the POST /admin/api-keys/reload endpoint which reads the API key file again.
+ * The current keys stay active if the file cannot be read or is invalid.
+ * @param {object} _req - Express request object (unused).
+ * @param {object} res - Express response object.
+ * @param {object} dependencies - Injected dependencies.
+ * @param {ApiKeyStore|null} dependencies.apiKeys - The API key store, null if API keys are disabled.
+ */
+export const reloadApiKeysHandler = async (_req, res, { apiKeys }) => {
+  if (!apiKeys) {
+    return res.status(404).json({ message: 'API keys are disabled' })
+  }
+  const [err, result] = await to(apiKeys.reload())
+  if (err) {
+    return res.status(500).json({ message: err.message })
+  }
+  res.status(200).json({ data: result })
+}
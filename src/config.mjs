@@ -26,6 +26,8 @@ export const config = {
     : false,
   FFMPEG_PATH: process.env.FFMPEG_PATH || ffmpeg.path,
   MAX_VIDEO_SIZE_MB: parseInt(process.env.MAX_VIDEO_SIZE_MB || 100),
+  MAX_IMAGE_SIZE_MB: parseInt(process.env.MAX_IMAGE_SIZE_MB || 20),
+  MAX_IMAGE_PIXELS: parseInt(process.env.MAX_IMAGE_PIXELS || 100000000),
   REQUEST_TIMEOUT_IN_SECONDS: parseInt(
     process.env.REQUEST_TIMEOUT_IN_SECONDS || 60
   ),
@@ -49,6 +51,271 @@ export const config = {
   MUTEX_CACHE_TTL_IN_SECONDS: parseInt(
     process.env.MUTEX_CACHE_TTL_IN_SECONDS || 600
   ),
+  VIDEO_FRAME_SAMPLING_MODE: process.env.VIDEO_FRAME_SAMPLING_MODE || 'single',
+  VIDEO_FRAME_COUNT: parseInt(process.env.VIDEO_FRAME_COUNT || 5),
+  VIDEO_FRAME_INTERVAL_SECONDS: parseFloat(
+    process.env.VIDEO_FRAME_INTERVAL_SECONDS || 2
+  ),
+  FRAME_AGGREGATION_STRATEGY: process.env.FRAME_AGGREGATION_STRATEGY || 'max',
+  FRAME_NSFW_THRESHOLD: parseFloat(process.env.FRAME_NSFW_THRESHOLD || 0.5),
+  ENABLE_ANIMATED_IMAGE_ANALYSIS: process.env.ENABLE_ANIMATED_IMAGE_ANALYSIS
+    ? process.env.ENABLE_ANIMATED_IMAGE_ANALYSIS === 'true'
+    : true,
+  ANIMATED_IMAGE_FRAME_COUNT: parseInt(
+    process.env.ANIMATED_IMAGE_FRAME_COUNT || 5
+  ),
+  MODERATION_POLICIES: process.env.MODERATION_POLICIES || '',
+  MODERATION_POLICIES_FILE: process.env.MODERATION_POLICIES_FILE || '',
+  DEFAULT_MODERATION_POLICY: process.env.DEFAULT_MODERATION_POLICY || '',
+  CENSOR_DEFAULT_METHOD: process.env.CENSOR_DEFAULT_METHOD || 'blur',
+  CENSOR_DEFAULT_STRENGTH: parseInt(process.env.CENSOR_DEFAULT_STRENGTH || 30),
+  CENSOR_DEFAULT_FORMAT: process.env.CENSOR_DEFAULT_FORMAT || 'jpeg',
+  JOB_MAX_ITEM_NUM: parseInt(process.env.JOB_MAX_ITEM_NUM || 1000),
+  JOB_TTL_IN_SECONDS: parseInt(process.env.JOB_TTL_IN_SECONDS || 3600),
+  JOB_PROCESSING_CONCURRENCY: parseInt(
+    process.env.JOB_PROCESSING_CONCURRENCY || 5
+  ),
+  CACHE_BACKEND: process.env.CACHE_BACKEND || 'memory',
+  CACHE_FILE_PATH:
+    process.env.CACHE_FILE_PATH || '/tmp/nsfw-detector-api/result-cache.jsonl',
+  ENABLE_SSRF_PROTECTION: process.env.ENABLE_SSRF_PROTECTION
+    ? process.env.ENABLE_SSRF_PROTECTION === 'true'
+    : true,
+  SSRF_ALLOWLIST: process.env.SSRF_ALLOWLIST || '',
+  ENABLE_METRICS: process.env.ENABLE_METRICS
+    ? process.env.ENABLE_METRICS === 'true'
+    : true,
+  MAX_UPLOAD_SIZE_MB: parseInt(process.env.MAX_UPLOAD_SIZE_MB || 20),
+  BATCH_MAX_ITEMS: parseInt(process.env.BATCH_MAX_ITEMS || 50),
+  BATCH_PROCESSING_CONCURRENCY: parseInt(
+    process.env.BATCH_PROCESSING_CONCURRENCY || 5
+  ),
+  MODELS_PATH: process.env.MODELS_PATH || 'models',
+  DEFAULT_MODEL: process.env.DEFAULT_MODEL || 'mobilenet-v1.0.0',
+  MODEL_RELOAD_DRAIN_TIMEOUT_IN_SECONDS: parseInt(
+    process.env.MODEL_RELOAD_DRAIN_TIMEOUT_IN_SECONDS || 60
+  ),
+  ADMIN_API_TOKEN: process.env.ADMIN_API_TOKEN || '',
+  ENABLE_API_KEYS: process.env.ENABLE_API_KEYS
+    ? process.env.ENABLE_API_KEYS === 'true'
+    : false,
+  API_KEYS_FILE: process.env.API_KEYS_FILE || '',
+  TRUST_PROXY: process.env.TRUST_PROXY || '',
+  ENABLE_RATE_LIMIT: process.env.ENABLE_RATE_LIMIT
+    ? process.env.ENABLE_RATE_LIMIT === 'true'
+    : false,
+  RATE_LIMIT_PREDICT_PER_MINUTE: parseInt(
+    process.env.RATE_LIMIT_PREDICT_PER_MINUTE || 60
+  ),
+  RATE_LIMIT_PREDICT_BURST: parseInt(
+    process.env.RATE_LIMIT_PREDICT_BURST || 10
+  ),
+  RATE_LIMIT_PREDICT_DATA_PER_MINUTE: parseInt(
+    process.env.RATE_LIMIT_PREDICT_DATA_PER_MINUTE || 60
+  ),
+  RATE_LIMIT_PREDICT_DATA_BURST: parseInt(
+    process.env.RATE_LIMIT_PREDICT_DATA_BURST || 10
+  ),
+  RATE_LIMIT_SKIP_CACHE_HITS: process.env.RATE_LIMIT_SKIP_CACHE_HITS
+    ? process.env.RATE_LIMIT_SKIP_CACHE_HITS === 'true'
+    : false,
+  RATE_LIMIT_MAX_CLIENTS: parseInt(process.env.RATE_LIMIT_MAX_CLIENTS || 10000),
+  ENABLE_NEAR_DUPLICATE_LOOKUP: process.env.ENABLE_NEAR_DUPLICATE_LOOKUP
+    ? process.env.ENABLE_NEAR_DUPLICATE_LOOKUP === 'true'
+    : false,
+  NEAR_DUPLICATE_MAX_DISTANCE: parseInt(
+    process.env.NEAR_DUPLICATE_MAX_DISTANCE || 4
+  ),
+  ENABLE_HASH_LISTS: process.env.ENABLE_HASH_LISTS
+    ? process.env.ENABLE_HASH_LISTS === 'true'
+    : false,
+  HASH_BLOCKLIST_FILE: process.env.HASH_BLOCKLIST_FILE || '',
+  HASH_ALLOWLIST_FILE: process.env.HASH_ALLOWLIST_FILE || '',
+  HASH_LIST_MAX_DISTANCE: parseInt(process.env.HASH_LIST_MAX_DISTANCE || 4),
+  VERIFY_NOSTR_EVENT_SIGNATURE: process.env.VERIFY_NOSTR_EVENT_SIGNATURE
+    ? process.env.VERIFY_NOSTR_EVENT_SIGNATURE === 'true'
+    : true,
+  ENABLE_NOSTR_LABELER: process.env.ENABLE_NOSTR_LABELER
+    ? process.env.ENABLE_NOSTR_LABELER === 'true'
+    : false,
+  NOSTR_LABELER_RELAYS: process.env.NOSTR_LABELER_RELAYS || '',
+  NOSTR_LABELER_SECRET_KEY: process.env.NOSTR_LABELER_SECRET_KEY || '',
+  NOSTR_LABELER_NAMESPACE:
+    process.env.NOSTR_LABELER_NAMESPACE || 'nsfw-detector-api',
+  NOSTR_LABELER_KINDS: process.env.NOSTR_LABELER_KINDS || '1',
+  NOSTR_LABELER_AUTHORS: process.env.NOSTR_LABELER_AUTHORS || '',
+  NOSTR_LABELER_SEEN_MAX_ITEM_NUM: parseInt(
+    process.env.NOSTR_LABELER_SEEN_MAX_ITEM_NUM || 100000
+  ),
+  NOSTR_LABELER_CONCURRENCY: parseInt(
+    process.env.NOSTR_LABELER_CONCURRENCY || 2
+  ),
+  NOSTR_LABELER_MAX_QUEUED_EVENTS: parseInt(
+    process.env.NOSTR_LABELER_MAX_QUEUED_EVENTS || 100
+  ),
+  ENABLE_NOSTR_DVM: process.env.ENABLE_NOSTR_DVM
+    ? process.env.ENABLE_NOSTR_DVM === 'true'
+    : false,
+  NOSTR_DVM_RELAYS: process.env.NOSTR_DVM_RELAYS || '',
+  NOSTR_DVM_SECRET_KEY: process.env.NOSTR_DVM_SECRET_KEY || '',
+  NOSTR_DVM_REQUEST_KIND: parseInt(process.env.NOSTR_DVM_REQUEST_KIND || 0),
+  NOSTR_DVM_CONCURRENCY: parseInt(process.env.NOSTR_DVM_CONCURRENCY || 2),
+  NOSTR_DVM_MAX_QUEUED_JOBS: parseInt(
+    process.env.NOSTR_DVM_MAX_QUEUED_JOBS || 100
+  ),
+  NOSTR_RELAY_RECONNECT_MAX_DELAY_IN_SECONDS: parseInt(
+    process.env.NOSTR_RELAY_RECONNECT_MAX_DELAY_IN_SECONDS || 60
+  ),
+  ENABLE_NOSTR_AUTH: process.env.ENABLE_NOSTR_AUTH
+    ? process.env.ENABLE_NOSTR_AUTH === 'true'
+    : false,
+  NOSTR_AUTH_MAX_AGE_IN_SECONDS: parseInt(
+    process.env.NOSTR_AUTH_MAX_AGE_IN_SECONDS || 60
+  ),
+  NOSTR_AUTH_ALLOWED_PUBKEYS: process.env.NOSTR_AUTH_ALLOWED_PUBKEYS || '',
+  NOSTR_AUTH_BASE_URL: process.env.NOSTR_AUTH_BASE_URL || '',
+}
+
+// Validate the video frame sampling mode.
+if (
+  !['single', 'count', 'interval'].includes(config.VIDEO_FRAME_SAMPLING_MODE)
+) {
+  throw new Error(
+    `FATAL: VIDEO_FRAME_SAMPLING_MODE must be one of single, count or interval, got ${config.VIDEO_FRAME_SAMPLING_MODE}.`
+  )
+}
+
+// Validate the frame aggregation strategy, one of the strategies of frame-aggregation.mjs.
+if (!['max', 'mean', 'any'].includes(config.FRAME_AGGREGATION_STRATEGY)) {
+  throw new Error(
+    `FATAL: FRAME_AGGREGATION_STRATEGY must be one of max, mean or any, got ${config.FRAME_AGGREGATION_STRATEGY}.`
+  )
+}
+
+// Validate the near-duplicate distance, a 64 bits hash within half of its bits is not a near-duplicate.
+if (
+  !(
+    config.NEAR_DUPLICATE_MAX_DISTANCE >= 0 &&
+    config.NEAR_DUPLICATE_MAX_DISTANCE <= 32
+  )
+) {
+  throw new Error(
+    `FATAL: NEAR_DUPLICATE_MAX_DISTANCE must be between 0 and 32, got ${config.NEAR_DUPLICATE_MAX_DISTANCE}.`
+  )
+}
+
+// Validate the perceptual distance of the hash lists, like the near-duplicate one.
+if (
+  !(config.HASH_LIST_MAX_DISTANCE >= 0 && config.HASH_LIST_MAX_DISTANCE <= 32)
+) {
+  throw new Error(
+    `FATAL: HASH_LIST_MAX_DISTANCE must be between 0 and 32, got ${config.HASH_LIST_MAX_DISTANCE}.`
+  )
+}
+
+// Validate the Nostr labeler settings, labels cannot be published without relays and a valid key.
+if (config.ENABLE_NOSTR_LABELER) {
+  const relays = config.NOSTR_LABELER_RELAYS.split(',')
+    .map((relay) => relay.trim())
+    .filter(Boolean)
+  if (
+    relays.length === 0 ||
+    !relays.every((relay) => /^wss?:\/\//.test(relay))
+  ) {
+    throw new Error(
+      'FATAL: NOSTR_LABELER_RELAYS must be a comma separated list of ws:// or wss:// URLs when ENABLE_NOSTR_LABELER is true.'
+    )
+  }
+  if (!/^[0-9a-f]{64}$/.test(config.NOSTR_LABELER_SECRET_KEY)) {
+    throw new Error(
+      'FATAL: NOSTR_LABELER_SECRET_KEY must be a hex encoded secret key (64 lowercase hexadecimal characters) when ENABLE_NOSTR_LABELER is true.'
+    )
+  }
+  if (
+    !config.NOSTR_LABELER_KINDS.split(',').every((kind) =>
+      /^\d+$/.test(kind.trim())
+    )
+  ) {
+    throw new Error(
+      `FATAL: NOSTR_LABELER_KINDS must be a comma separated list of event kinds, got ${config.NOSTR_LABELER_KINDS}.`
+    )
+  }
+}
+
+// Validate the Nostr DVM settings, job requests need a kind of the NIP-90 range and results a valid key.
+if (config.ENABLE_NOSTR_DVM) {
+  const relays = config.NOSTR_DVM_RELAYS.split(',')
+    .map((relay) => relay.trim())
+    .filter(Boolean)
+  if (
+    relays.length === 0 ||
+    !relays.every((relay) => /^wss?:\/\//.test(relay))
+  ) {
+    throw new Error(
+      'FATAL: NOSTR_DVM_RELAYS must be a comma separated list of ws:// or wss:// URLs when ENABLE_NOSTR_DVM is true.'
+    )
+  }
+  if (!/^[0-9a-f]{64}$/.test(config.NOSTR_DVM_SECRET_KEY)) {
+    throw new Error(
+      'FATAL: NOSTR_DVM_SECRET_KEY must be a hex encoded secret key (64 lowercase hexadecimal characters) when ENABLE_NOSTR_DVM is true.'
+    )
+  }
+  if (
+    !(
+      config.NOSTR_DVM_REQUEST_KIND >= 5000 &&
+      config.NOSTR_DVM_REQUEST_KIND <= 5999
+    )
+  ) {
+    throw new Error(
+      `FATAL: NOSTR_DVM_REQUEST_KIND must be a job request kind between 5000 and 5999 when ENABLE_NOSTR_DVM is true, got ${config.NOSTR_DVM_REQUEST_KIND}.`
+    )
+  }
+}
+
+// Validate the NIP-98 authentication settings, the allowlist and the public URL must be comparable with the signed events.
+if (config.ENABLE_NOSTR_AUTH) {
+  if (
+    !config.NOSTR_AUTH_ALLOWED_PUBKEYS.split(',')
+      .map((pubkey) => pubkey.trim())
+      .filter(Boolean)
+      .every((pubkey) => /^[0-9a-f]{64}$/.test(pubkey))
+  ) {
+    throw new Error(
+      'FATAL: NOSTR_AUTH_ALLOWED_PUBKEYS must be a comma separated list of hex encoded public keys (64 lowercase hexadecimal characters).'
+    )
+  }
+  if (
+    config.NOSTR_AUTH_BASE_URL &&
+    !/^https?:\/\/[^/]/.test(config.NOSTR_AUTH_BASE_URL)
+  ) {
+    throw new Error(
+      `FATAL: NOSTR_AUTH_BASE_URL must be an http:// or https:// URL, got ${config.NOSTR_AUTH_BASE_URL}.`
+    )
+  }
+}
+
+// Validate that the API key file is set if API keys are enabled.
+if (config.ENABLE_API_KEYS && !config.API_KEYS_FILE) {
+  throw new Error(
+    'FATAL: API_KEYS_FILE must be set in environment variables when ENABLE_API_KEYS is true.'
+  )
+}
+
+// Validate the rate limits, a bucket needs at least one token and a positive refill rate.
+if (config.ENABLE_RATE_LIMIT) {
+  for (const name of [
+    'RATE_LIMIT_PREDICT_PER_MINUTE',
+    'RATE_LIMIT_PREDICT_BURST',
+    'RATE_LIMIT_PREDICT_DATA_PER_MINUTE',
+    'RATE_LIMIT_PREDICT_DATA_BURST',
+    'RATE_LIMIT_MAX_CLIENTS',
+  ]) {
+    if (!(config[name] >= 1)) {
+      throw new Error(
+        `FATAL: ${name} must be a positive integer when ENABLE_RATE_LIMIT is true, got ${config[name]}.`
+      )
+    }
+  }
 }
 
 // Validate that API_TOKEN is set if authentication is enabled.
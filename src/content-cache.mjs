@@ -0,0 +1,96 @@
+import { createReadStream } from 'node:fs'
+import { sha256 } from 'js-sha256'
+
+/**
+ * Computes the SHA256 hash of a file by streaming its content.
+ * @param {string} filePath - The path to the file.
+ * @returns {Promise<string>} - The hex encoded SHA256 hash.
+ */
+export const sha256File = (filePath) => {
+  return new Promise((resolve, reject) => {
+    const hash = sha256.create()
+    const stream = createReadStream(filePath)
+    stream.on('data', (chunk) => hash.update(chunk))
+    stream.on('error', reject)
+    stream.on('end', () => resolve(hash.hex()))
+  })
+}
+
+/**
+ * Gets the result cache key of some media content.
+ * The key is derived from the media bytes, so identical media share one entry whether they were
+ * downloaded from a URL, sent as base64 data or uploaded as a file.
+ * @param {string} modelId - The id of the model classifying the content.
+ * @param {string} contentHash - The hex encoded SHA256 hash of the media bytes.
+ * @returns {string} - The cache key.
+ */
+export const getContentCacheKey = (modelId, contentHash) =>
+  `content-${modelId}-${contentHash}`
+
+/**
+ * Reports a complete cached result to the request it answers, see `trackCacheHits`.
+ * @param {import('./result-cache.mjs').ResultCache} resultCache - The result cache.
+ * @param {object|undefined} result - The cached classification result, if any.
+ * @returns {object|undefined} - The same result.
+ */
+const reportCacheHit = (resultCache, result) => {
+  if (result) {
+    resultCache.reportHit?.()
+  }
+  return result
+}
+
+/**
+ * Reads the cached classification result of some media content.
+ * @param {import('./result-cache.mjs').ResultCache} resultCache - The result cache.
+ * @param {string} contentCacheKey - The cache key of the content.
+ * @returns {object|undefined} - The classification result, if cached.
+ */
+export const getCachedContentResult = (resultCache, contentCacheKey) =>
+  reportCacheHit(resultCache, resultCache.get(contentCacheKey))
+
+/**
+ * Reads the cached classification result of a URL.
+ * The entry of a URL either holds the result itself, or points at the content entry of the downloaded bytes
+ * (`{ contentCacheKey, source }`). A pointer whose content entry has been evicted is a miss.
+ * @param {import('./result-cache.mjs').ResultCache} resultCache - The result cache.
+ * @param {string} urlCacheKey - The cache key of the URL.
+ * @returns {object|undefined} - The classification result with its `source`, if cached.
+ */
+export const getCachedUrlResult = (resultCache, urlCacheKey) => {
+  const entry = resultCache.get(urlCacheKey)
+  if (!entry?.contentCacheKey) {
+    return reportCacheHit(resultCache, entry)
+  }
+  const result = getCachedContentResult(resultCache, entry.contentCacheKey)
+  return result && { ...result, source: entry.source }
+}
+
+/**
+ * Removes the cached classification results of some models, e.g. once their files have been replaced.
+ * Both the content entries and the URL entries of the models are removed.
+ * @param {import('./result-cache.mjs').ResultCache} resultCache - The result cache.
+ * @param {string[]} modelIds - The model ids.
+ * @returns {number} - The number of removed entries.
+ */
+export const invalidateModelResults = (resultCache, modelIds) => {
+  // Keys end with the hex encoded SHA256 of the URL or content, so model ids containing `-` can not be mistaken
+  const prefixes = modelIds.flatMap((modelId) => [
+    `url-${modelId}-`,
+    `content-${modelId}-`,
+  ])
+  const keys = []
+  for (const [key] of resultCache.entries()) {
+    if (
+      prefixes.some(
+        (prefix) =>
+          key.startsWith(prefix) &&
+          /^[0-9a-f]{64}$/.test(key.slice(prefix.length))
+      )
+    ) {
+      keys.push(key)
+    }
+  }
+  keys.forEach((key) => resultCache.delete(key))
+  return keys.length
+}
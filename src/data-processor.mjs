@@ -3,6 +3,43 @@ import * as fs from 'fs/promises'
 import { sha256 } from 'js-sha256'
 import { deleteFile } from './util.mjs'
 import { runImagePredictionPipeline } from './image-prediction-pipeline.mjs'
+import { recordPrediction } from './metrics.mjs'
+import { bindModel } from './model-registry.mjs'
+import {
+  sha256File,
+  getContentCacheKey,
+  getCachedContentResult,
+} from './content-cache.mjs'
+import { lookupHashLists } from './hash-list.mjs'
+
+/**
+ * Runs a task holding the mutex of a content hash, like the per-URL mutex of the URL processing:
+ * identical content sent concurrently (e.g. duplicated batch items) is classified once, the other requests
+ * getting the cached result, and never races on the same temporary file.
+ * @param {string} contentHash - The SHA256 of the content.
+ * @param {object} dependencies - Injected dependencies.
+ * @param {Map<string, import('async-mutex').Mutex>} [dependencies.mutexes] - Map of mutexes for concurrency control, the task runs without mutex if not set.
+ * @param {typeof import('async-mutex').Mutex} [dependencies.Mutex] - The Mutex class.
+ * @param {() => Promise<object>} task - The task.
+ * @returns {Promise<object>} - The result of the task.
+ */
+const withContentMutex = async (contentHash, { mutexes, Mutex }, task) => {
+  if (!mutexes || !Mutex) {
+    return task()
+  }
+  const key = `content-${contentHash}`
+  let mutex = mutexes.get(key)
+  if (!mutex) {
+    mutex = new Mutex()
+    mutexes.set(key, mutex)
+  }
+  const release = await mutex.acquire()
+  try {
+    return await task()
+  } finally {
+    release()
+  }
+}
 
 /**
  * Processes base64 image data for NSFW detection.
@@ -14,68 +51,244 @@ import { runImagePredictionPipeline } from './image-prediction-pipeline.mjs'
  * @param {object} dependencies.config - Configuration setting
  * @param {string} dependencies.config.IMG_DOWNLOAD_PATH - Directory for temporary files.
  * @param {boolean} dependencies.config.ENABLE_BUFFER_PROCESSING - Flag to enable buffer processing.
+ * @param {string} dependencies.config.DEFAULT_MODEL - Id of the model used when none is given.
+ * @param {string} [dependencies.model] - Id of the model classifying the content, DEFAULT_MODEL if not set.
+ * @param {import("./perceptual-hash.mjs").NearDuplicateIndex|null} [dependencies.nearDuplicateIndex] - The index of classified images by perceptual hash, near-duplicates are not looked up if not set.
+ * @param {import("./hash-list.mjs").HashLists|null} [dependencies.hashLists] - The hash lists giving fixed verdicts to known images, not checked if not set.
+ * @param {Map<string, import('async-mutex').Mutex>} [dependencies.mutexes] - Map of mutexes for concurrency control, identical content is processed one at a time if set.
+ * @param {typeof import('async-mutex').Mutex} [dependencies.Mutex] - The Mutex class.
  * @returns {Promise<object>} - The classification result.
  * @throws {Error} If any step in the process fails.
  */
 export const processDataForPrediction = async (
   base64_data,
-  { nsfwSpy, imageProcessingInstance, resultCache, config }
+  {
+    nsfwSpy,
+    imageProcessingInstance,
+    resultCache,
+    config,
+    model,
+    nearDuplicateIndex,
+    hashLists,
+    mutexes,
+    Mutex,
+  }
 ) => {
   const buffer = Buffer.from(base64_data, 'base64')
-  const filename = sha256(base64_data)
-  const { IMG_DOWNLOAD_PATH, ENABLE_BUFFER_PROCESSING } = config
+  // Keyed on the decoded bytes, so the same image downloaded from a URL shares the entry
+  const filename = sha256(buffer)
+  const { IMG_DOWNLOAD_PATH, ENABLE_BUFFER_PROCESSING, DEFAULT_MODEL } = config
+  // Results of different models never share a cache entry
+  const modelId = model ?? DEFAULT_MODEL
+  const cacheKey = getContentCacheKey(modelId, filename)
 
-  // Check cache first
-  let cache = resultCache.get('data' + '-' + filename)
-  if (cache) {
-    return cache // Return cached result
-  }
+  return withContentMutex(filename, { mutexes, Mutex }, async () => {
+    // Check cache first
+    let cache = getCachedContentResult(resultCache, cacheKey)
+    if (cache) {
+      return cache // Return cached result
+    }
 
-  let imageDataForPipeline = buffer // Default to buffer for buffer processing path
+    let imageDataForPipeline = buffer // Default to buffer for buffer processing path
 
-  try {
-    if (!ENABLE_BUFFER_PROCESSING) {
-      // For file-based processing, save buffer to a temporary file first
-      const imageFile = IMG_DOWNLOAD_PATH + filename + '_image'
-      const [errWriteFile] = await to(fs.writeFile(imageFile, buffer))
-      if (errWriteFile) {
-        throw new Error(`Failed to write image file: ${errWriteFile.message}`)
+    try {
+      if (!ENABLE_BUFFER_PROCESSING) {
+        // For file-based processing, save buffer to a temporary file first
+        const imageFile = IMG_DOWNLOAD_PATH + filename + '_image'
+        const [errWriteFile] = await to(fs.writeFile(imageFile, buffer))
+        if (errWriteFile) {
+          throw new Error(`Failed to write image file: ${errWriteFile.message}`)
+        }
+        imageDataForPipeline = imageFile // Pass file path to pipeline
       }
-      imageDataForPipeline = imageFile // Pass file path to pipeline
-    }
 
-    // Run the common image prediction pipeline
-    const [errPrediction, predictionResult] = await to(
-      runImagePredictionPipeline(imageDataForPipeline, filename, {
-        nsfwSpy,
-        imageProcessingInstance,
-        config,
-      })
-    )
-
-    if (errPrediction) {
-      throw errPrediction
-    }
-    cache = predictionResult
-
-    // Store result in cache
-    resultCache.set('data' + '-' + filename, cache)
-    console.debug('Classification result:', cache)
-    return cache // Return the classification result
-  } catch (error) {
-    console.error(error)
-    throw error // Re-throw the error to be caught by the handler
-  } finally {
-    // Cleanup temporary files only for the file-based path
-    if (!ENABLE_BUFFER_PROCESSING) {
-      const [err] = await to(
-        deleteFile(IMG_DOWNLOAD_PATH + filename + '_image')
+      // Listed images get the fixed verdict of their hash list without running the model
+      const listed = hashLists
+        ? await lookupHashLists(imageDataForPipeline, filename, {
+            hashLists,
+            imageProcessingInstance,
+          })
+        : null
+      if (listed?.verdict) {
+        resultCache.set(cacheKey, listed)
+        return listed
+      }
+
+      // Run the common image prediction pipeline
+      const [errPrediction, predictionResult] = await to(
+        runImagePredictionPipeline(imageDataForPipeline, filename, {
+          nsfwSpy: bindModel(nsfwSpy, modelId),
+          imageProcessingInstance,
+          config,
+          nearDuplicateIndex,
+          modelId,
+        })
       )
-      if (err) {
-        console.warn(
-          `[Cleanup Warning] Failed to delete temporary image file ${IMG_DOWNLOAD_PATH + filename + '_image'}: ${err.message}`
+
+      if (errPrediction) {
+        throw errPrediction
+      }
+      cache = listed
+        ? { ...predictionResult, perceptualHash: listed.perceptualHash }
+        : predictionResult
+      recordPrediction(cache)
+
+      // Store result in cache
+      resultCache.set(cacheKey, cache)
+      console.debug('Classification result:', cache)
+      return cache // Return the classification result
+    } catch (error) {
+      console.error(error)
+      throw error // Re-throw the error to be caught by the handler
+    } finally {
+      // Cleanup temporary files only for the file-based path
+      if (!ENABLE_BUFFER_PROCESSING) {
+        const [err] = await to(
+          deleteFile(IMG_DOWNLOAD_PATH + filename + '_image')
         )
+        if (err) {
+          console.warn(
+            `[Cleanup Warning] Failed to delete temporary image file ${IMG_DOWNLOAD_PATH + filename + '_image'}: ${err.message}`
+          )
+        }
       }
     }
+  })
+}
+
+/**
+ * Processes an uploaded image file for NSFW detection.
+ * The upload is either kept in memory (`buffer`) or already streamed to disk (`path`),
+ * it is converted to whichever form the configured processing path needs.
+ * Deleting the uploaded file itself is left to the caller.
+ * @param {{buffer?: Buffer, path?: string}} upload - The uploaded file, as a Buffer or a path on disk.
+ * @param {object} dependencies - Injected dependencies.
+ * @param {import("./nsfw-detector.mjs").NsfwSpy} dependencies.nsfwSpy - The NSFW detector instance.
+ * @param {import("./nsfw-detector-factory.mjs").ImageProcessingWorkerInterface} dependencies.imageProcessingInstance - The image processing instance.
+ * @param {object} dependencies.resultCache - The LRU cache instance.
+ * @param {object} dependencies.config - Configuration setting
+ * @param {string} dependencies.config.IMG_DOWNLOAD_PATH - Directory for temporary files.
+ * @param {boolean} dependencies.config.ENABLE_BUFFER_PROCESSING - Flag to enable buffer processing.
+ * @param {string} dependencies.config.DEFAULT_MODEL - Id of the model used when none is given.
+ * @param {string} [dependencies.model] - Id of the model classifying the content, DEFAULT_MODEL if not set.
+ * @param {import("./perceptual-hash.mjs").NearDuplicateIndex|null} [dependencies.nearDuplicateIndex] - The index of classified images by perceptual hash, near-duplicates are not looked up if not set.
+ * @param {import("./hash-list.mjs").HashLists|null} [dependencies.hashLists] - The hash lists giving fixed verdicts to known images, not checked if not set.
+ * @param {Map<string, import('async-mutex').Mutex>} [dependencies.mutexes] - Map of mutexes for concurrency control, identical content is processed one at a time if set.
+ * @param {typeof import('async-mutex').Mutex} [dependencies.Mutex] - The Mutex class.
+ * @returns {Promise<object>} - The classification result.
+ * @throws {Error} If any step in the process fails.
+ */
+export const processFileForPrediction = async (
+  upload,
+  {
+    nsfwSpy,
+    imageProcessingInstance,
+    resultCache,
+    config,
+    model,
+    nearDuplicateIndex,
+    hashLists,
+    mutexes,
+    Mutex,
+  }
+) => {
+  const { IMG_DOWNLOAD_PATH, ENABLE_BUFFER_PROCESSING, DEFAULT_MODEL } = config
+  const modelId = model ?? DEFAULT_MODEL
+
+  const [errHash, filename] = await to(
+    upload.buffer
+      ? Promise.resolve(sha256(upload.buffer))
+      : sha256File(upload.path)
+  )
+  if (errHash) {
+    throw new Error(`Failed to read uploaded file: ${errHash.message}`)
   }
+
+  const cacheKey = getContentCacheKey(modelId, filename)
+  return withContentMutex(filename, { mutexes, Mutex }, async () => {
+    // Check cache first
+    let cache = getCachedContentResult(resultCache, cacheKey)
+    if (cache) {
+      return cache // Return cached result
+    }
+
+    let imageDataForPipeline
+    let temporaryImageFile = null
+
+    try {
+      if (ENABLE_BUFFER_PROCESSING) {
+        if (upload.buffer) {
+          imageDataForPipeline = upload.buffer
+        } else {
+          const [errReadFile, buffer] = await to(fs.readFile(upload.path))
+          if (errReadFile) {
+            throw new Error(
+              `Failed to read uploaded file: ${errReadFile.message}`
+            )
+          }
+          imageDataForPipeline = buffer
+        }
+      } else if (upload.path) {
+        imageDataForPipeline = upload.path // Uploaded file is already on disk
+      } else {
+        // For file-based processing, save buffer to a temporary file first
+        temporaryImageFile = IMG_DOWNLOAD_PATH + filename + '_image'
+        const [errWriteFile] = await to(
+          fs.writeFile(temporaryImageFile, upload.buffer)
+        )
+        if (errWriteFile) {
+          throw new Error(`Failed to write image file: ${errWriteFile.message}`)
+        }
+        imageDataForPipeline = temporaryImageFile
+      }
+
+      // Listed images get the fixed verdict of their hash list without running the model
+      const listed = hashLists
+        ? await lookupHashLists(imageDataForPipeline, filename, {
+            hashLists,
+            imageProcessingInstance,
+          })
+        : null
+      if (listed?.verdict) {
+        resultCache.set(cacheKey, listed)
+        return listed
+      }
+
+      // Run the common image prediction pipeline
+      const [errPrediction, predictionResult] = await to(
+        runImagePredictionPipeline(imageDataForPipeline, filename, {
+          nsfwSpy: bindModel(nsfwSpy, modelId),
+          imageProcessingInstance,
+          config,
+          nearDuplicateIndex,
+          modelId,
+        })
+      )
+
+      if (errPrediction) {
+        throw errPrediction
+      }
+      cache = listed
+        ? { ...predictionResult, perceptualHash: listed.perceptualHash }
+        : predictionResult
+      recordPrediction(cache)
+
+      // Store result in cache
+      resultCache.set(cacheKey, cache)
+      console.debug('Classification result:', cache)
+      return cache // Return the classification result
+    } catch (error) {
+      console.error(error)
+      throw error // Re-throw the error to be caught by the handler
+    } finally {
+      if (temporaryImageFile) {
+        const [err] = await to(deleteFile(temporaryImageFile))
+        if (err) {
+          console.warn(
+            `[Cleanup Warning] Failed to delete temporary image file ${temporaryImageFile}: ${err.message}`
+          )
+        }
+      }
+    }
+  })
 }
@@ -1,39 +1,179 @@
 import * as fs from 'node:fs'
+import { Readable } from 'node:stream'
 import axios from 'axios'
 import mime from 'mime'
+import { ERR_IMAGE_TOO_LARGE } from './errors.mjs'
 
 const MAX_REDIRECTS = 5
 
 /**
- * Handles redirects for a given URL.
- * @param {string} url - The URL to check for redirects.
- * @param {object} [extraHeaders={}] - Additional headers for the request.
- * @param {number} [timeout=60000] - The request timeout in milliseconds.
- * @returns {Promise<string>} - The final URL after following redirects.
+ * HTTP status codes of redirect responses.
+ * @type {number[]}
+ */
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308]
+
+/**
+ * HTTP status codes of servers rejecting HEAD requests (while still answering GET requests).
+ * @type {number[]}
+ */
+const HEAD_REJECTED_STATUSES = [403, 405, 501]
+
+/**
+ * @typedef {object} DownloadSource
+ * @property {string} finalUrl - The URL the content was downloaded from, after following redirects.
+ * @property {string[]} redirectChain - The URLs which redirected, in order, starting with the requested URL (empty without redirects).
  */
-const handleRedirects = async (url, extraHeaders = {}, timeout = 60000) => {
+
+/**
+ * Creates an error for a download over its size limit.
+ * @param {number} maxSize - The maximum allowed size in bytes.
+ * @returns {Error} - The error, with the `ERR_IMAGE_TOO_LARGE` code.
+ */
+const createTooLargeError = (maxSize) => {
+  const error = new Error(
+    `Content exceeds the maximum allowed size of ${maxSize} bytes.`
+  )
+  error.code = ERR_IMAGE_TOO_LARGE
+  return error
+}
+
+/**
+ * Rejects a response announcing a body over the size limit in its Content-Length header, before reading it.
+ * @param {object} response - The Axios response object with a stream data.
+ * @param {number} [maxSize] - The maximum allowed size in bytes, unlimited if not set.
+ * @throws {Error} If the Content-Length exceeds the size limit.
+ */
+const assertContentLength = (response, maxSize) => {
+  const contentLength = parseInt(response.headers['content-length'])
+  if (maxSize && contentLength > maxSize) {
+    response.data.destroy()
+    throw createTooLargeError(maxSize)
+  }
+}
+
+/**
+ * Accepts successful and redirect responses, redirects are followed by `followRedirects`.
+ * @param {number} status - The HTTP status code.
+ * @returns {boolean} - True if the response should not be rejected.
+ */
+const isSuccessOrRedirect = (status) =>
+  (status >= 200 && status < 300) || REDIRECT_STATUSES.includes(status)
+
+/**
+ * Sends a request and follows its redirects, resolving relative `Location` headers against the current URL.
+ * Redirects are never followed by axios itself (`maxRedirects: 0`), so every hop is a separate request
+ * going through the axios interceptors (e.g. the SSRF guard).
+ * @param {(url: string) => Promise<import('axios').AxiosResponse>} request - Sends the request for a URL.
+ * @param {string} url - The URL to request.
+ * @param {string[]} [redirectChain=[]] - The redirect chain so far, when continuing from an earlier request.
+ * @returns {Promise<DownloadSource & {response: import('axios').AxiosResponse}>} - The final response and where it came from.
+ * @throws {Error} If the request fails, there are more than MAX_REDIRECTS redirects or a redirect leaves HTTP(S).
+ */
+const followRedirects = async (request, url, redirectChain = []) => {
   let currentUrl = url
-  let response = await axios.head(currentUrl, {
-    headers: extraHeaders,
-    timeout: timeout,
-  })
-  let redirectCount = 0
-
-  while (response.headers.get('location') !== undefined) {
-    const newUrl = response.headers.get('location')
-    currentUrl = newUrl
-    response = await axios.head(currentUrl, {
-      headers: extraHeaders,
-      timeout: timeout,
-    })
-    redirectCount++
+  let response = await request(currentUrl)
+
+  while (
+    REDIRECT_STATUSES.includes(response.status) &&
+    response.headers?.['location']
+  ) {
+    // Discard the body of a streamed redirect response
+    response.data?.destroy?.()
 
-    if (redirectCount > MAX_REDIRECTS) {
+    if (redirectChain.length >= MAX_REDIRECTS) {
       throw new Error('Too many redirects')
     }
+
+    const nextUrl = new URL(response.headers['location'], currentUrl)
+    if (nextUrl.protocol !== 'http:' && nextUrl.protocol !== 'https:') {
+      throw new Error(`Unsupported redirect protocol: ${nextUrl.protocol}`)
+    }
+    redirectChain = [...redirectChain, currentUrl]
+    currentUrl = nextUrl.href
+    response = await request(currentUrl)
+  }
+
+  return { response, finalUrl: currentUrl, redirectChain }
+}
+
+/**
+ * Builds the axios options of a request whose redirects are followed by `followRedirects`.
+ * @param {object} extraHeaders - Headers for the request.
+ * @param {number} timeout - The request timeout in milliseconds.
+ * @param {AbortSignal} [signal] - Signal to abort the request.
+ * @returns {object} - The axios request options.
+ */
+const getRequestOptions = (extraHeaders, timeout, signal) => ({
+  headers: extraHeaders,
+  timeout: timeout,
+  signal,
+  maxRedirects: 0,
+  validateStatus: isSuccessOrRedirect,
+})
+
+/**
+ * Gets the status and headers of a URL after following redirects, with a HEAD request.
+ * Servers rejecting HEAD requests are probed with a GET request of the first byte instead,
+ * reading the total size from its `Content-Range` header.
+ * @param {string} url - The URL to probe.
+ * @param {object} extraHeaders - Additional headers for the request.
+ * @param {number} timeout - The request timeout in milliseconds.
+ * @param {AbortSignal} [signal] - Signal to abort the request.
+ * @returns {Promise<DownloadSource & {status: number, contentLength: number, contentType: string|undefined}>} - The probe result, `contentLength` is NaN if unknown.
+ * @throws {Error} If the request fails or there are too many redirects.
+ */
+const probeUrl = async (url, extraHeaders, timeout, signal) => {
+  const head = await followRedirects(
+    (currentUrl) =>
+      axios.head(currentUrl, {
+        ...getRequestOptions(extraHeaders, timeout, signal),
+        validateStatus: () => true,
+      }),
+    url
+  )
+
+  if (!HEAD_REJECTED_STATUSES.includes(head.response.status)) {
+    return {
+      finalUrl: head.finalUrl,
+      redirectChain: head.redirectChain,
+      status: head.response.status,
+      contentLength: parseInt(head.response.headers['content-length']),
+      contentType: head.response.headers['content-type'],
+    }
   }
 
-  return { finalUrl: currentUrl, response }
+  console.debug(
+    `HEAD request rejected with status ${head.response.status} for ${head.finalUrl}, retrying with a ranged GET request`
+  )
+  const { response, finalUrl, redirectChain } = await followRedirects(
+    (currentUrl) =>
+      axios.get(currentUrl, {
+        ...getRequestOptions(
+          { ...extraHeaders, Range: 'bytes=0-0' },
+          timeout,
+          signal
+        ),
+        responseType: 'stream',
+        validateStatus: () => true,
+      }),
+    head.finalUrl,
+    head.redirectChain
+  )
+  // Only the headers are needed
+  response.data?.destroy?.()
+
+  // e.g. "bytes 0-0/1234", the total size is "*" when unknown
+  const totalSize = /\/(\d+)$/.exec(response.headers['content-range'] ?? '')
+  return {
+    finalUrl,
+    redirectChain,
+    status: response.status === 206 ? 200 : response.status,
+    contentLength:
+      response.status === 206
+        ? parseInt(totalSize?.[1])
+        : parseInt(response.headers['content-length']),
+    contentType: response.headers['content-type'],
+  }
 }
 
 /**
@@ -42,27 +182,33 @@ const handleRedirects = async (url, extraHeaders = {}, timeout = 60000) => {
  * @param {string} dest - The destination path to save the file.
  * @param {number} [timeout=60000] - The download timeout in milliseconds.
  * @param {object} [extraHeaders={}] - Additional headers for the request.
- * @returns {Promise<boolean>} - A promise that resolves to true on successful download.
- * @throws {Error} If the download fails.
+ * @param {AbortSignal} [signal] - Signal to abort the download.
+ * @param {number} [maxSize] - The maximum file size in bytes, the download is aborted as soon as it is exceeded (unlimited if not set).
+ * @returns {Promise<DownloadSource>} - A promise that resolves to where the file was downloaded from on successful download.
+ * @throws {Error} If the download fails, with the `ERR_IMAGE_TOO_LARGE` code if the file exceeds `maxSize`.
  */
 export const downloadFile = async function (
   src,
   dest,
   timeout = 60000,
   extraHeaders = {},
-  signal
+  signal,
+  maxSize
 ) {
   try {
-    const response = await axios({
-      method: 'GET',
-      url: src,
-      responseType: 'stream',
-      headers: extraHeaders,
-      timeout: timeout,
-      signal,
-    })
+    const { response, finalUrl, redirectChain } = await followRedirects(
+      (currentUrl) =>
+        axios({
+          method: 'GET',
+          url: currentUrl,
+          responseType: 'stream',
+          ...getRequestOptions(extraHeaders, timeout, signal),
+        }),
+      src
+    )
 
     if (response?.data && response.status === 200) {
+      assertContentLength(response, maxSize)
       const writer = fs.createWriteStream(dest)
 
       // Pipe the result stream into a file on disk
@@ -70,13 +216,27 @@ export const downloadFile = async function (
 
       // Return a promise and resolve when download finishes
       return new Promise((resolve, reject) => {
+        if (maxSize) {
+          let receivedLength = 0
+          response.data.on('data', (chunk) => {
+            receivedLength += chunk.length
+            if (receivedLength > maxSize) {
+              // Abort the download immediately, the Content-Length may be missing or wrong
+              response.data.destroy()
+              writer.destroy()
+              fs.unlink(dest, () => {})
+              reject(createTooLargeError(maxSize))
+            }
+          })
+        }
+
         response.data.on('error', (error) => {
           writer.close()
           reject(error)
         })
 
         writer.on('finish', () => {
-          resolve(true)
+          resolve({ finalUrl, redirectChain })
         })
 
         writer.on('error', (error) => {
@@ -99,27 +259,34 @@ export const downloadFile = async function (
  * @param {string} src - The source URL of the file.
  * @param {number} [timeout=60000] - The download timeout in milliseconds.
  * @param {object} [extraHeaders={}] - Additional headers for the request.
- * @returns {Promise<Buffer>} - A promise that resolves with the downloaded file as a Buffer.
- * @throws {Error} If the download fails.
+ * @param {AbortSignal} [signal] - Signal to abort the download.
+ * @param {number} [maxSize] - The maximum file size in bytes, the download is aborted as soon as it is exceeded (unlimited if not set).
+ * @returns {Promise<DownloadSource & {buffer: Buffer}>} - A promise that resolves with the downloaded file as a Buffer and where it was downloaded from.
+ * @throws {Error} If the download fails, with the `ERR_IMAGE_TOO_LARGE` code if the file exceeds `maxSize`.
  */
 export const downloadFileToBuffer = async function (
   src,
   timeout = 60000,
   extraHeaders = {},
-  signal
+  signal,
+  maxSize
 ) {
   try {
-    const response = await axios({
-      method: 'GET',
-      url: src,
-      responseType: 'arraybuffer',
-      headers: extraHeaders,
-      timeout: timeout,
-      signal,
-    })
+    const { response, finalUrl, redirectChain } = await followRedirects(
+      (currentUrl) =>
+        axios({
+          method: 'GET',
+          url: currentUrl,
+          responseType: 'stream',
+          ...getRequestOptions(extraHeaders, timeout, signal),
+        }),
+      src
+    )
 
     if (response?.data && response.status === 200) {
-      return Buffer.from(response.data)
+      assertContentLength(response, maxSize)
+      const buffer = await streamToBuffer(response.data, maxSize)
+      return { buffer, finalUrl, redirectChain }
     } else {
       throw new Error(`Failed to download file. Status: ${response.status}`)
     }
@@ -179,7 +346,7 @@ const saveOutput = async (outputFile, response, size) => {
  * @param {number} [maxVideoSize=104857600] - The maximum size to download in bytes (default: 100MB).
  * @param {number} [timeout=60000] - The download timeout in milliseconds.
  * @param {object} [extraHeaders={}] - Additional headers for the request.
- * @returns {Promise<boolean>} - A promise that resolves to true on successful download of the part.
+ * @returns {Promise<DownloadSource>} - A promise that resolves to where the file was downloaded from on successful download of the part.
  * @throws {Error} If the download fails or the server does not support range requests.
  */
 export const downloadPartFile = async (
@@ -190,13 +357,9 @@ export const downloadPartFile = async (
   extraHeaders = {},
   signal
 ) => {
-  const { finalUrl: redirectedUrl, response } = await handleRedirects(
-    url,
-    extraHeaders,
-    timeout
-  )
+  const probe = await probeUrl(url, extraHeaders, timeout, signal)
 
-  let fileSize = parseInt(response.headers['content-length'])
+  let fileSize = probe.contentLength
   // Workaround for unreliable Content-Length: assume fileSize if not available or invalid
   if (isNaN(fileSize) || fileSize <= 0) {
     fileSize = maxVideoSize
@@ -205,14 +368,17 @@ export const downloadPartFile = async (
   // Download immediately if file is smaller than or equal to target maxVideoSize
   const downloadSize = Math.min(fileSize, maxVideoSize)
   if (fileSize <= maxVideoSize) {
-    const getResponse = await axios.get(redirectedUrl, {
-      headers: extraHeaders,
-      responseType: 'stream',
-      timeout: timeout,
-      signal,
-    })
+    const { response: getResponse, ...source } = await followRedirects(
+      (currentUrl) =>
+        axios.get(currentUrl, {
+          ...getRequestOptions(extraHeaders, timeout, signal),
+          responseType: 'stream',
+        }),
+      probe.finalUrl,
+      probe.redirectChain
+    )
     await saveOutput(outputFile, getResponse, downloadSize)
-    return true
+    return source
   }
 
   // Set range headers to download with partial bytes size
@@ -221,17 +387,20 @@ export const downloadPartFile = async (
     Range: `bytes=0-${maxVideoSize - 1}`,
   }
 
-  const partialResponse = await axios.get(redirectedUrl, {
-    headers: rangeHeaders,
-    responseType: 'stream',
-    timeout: timeout,
-    signal,
-  })
+  const { response: partialResponse, ...source } = await followRedirects(
+    (currentUrl) =>
+      axios.get(currentUrl, {
+        ...getRequestOptions(rangeHeaders, timeout, signal),
+        responseType: 'stream',
+      }),
+    probe.finalUrl,
+    probe.redirectChain
+  )
 
   if (partialResponse.status === 206 || partialResponse.status === 200) {
     // console.log("Server returned partial content.");
     await saveOutput(outputFile, partialResponse, downloadSize)
-    return true
+    return source
   } else if (partialResponse.status === 416) {
     throw new Error('Server does not support Range header request.')
   } else {
@@ -251,7 +420,7 @@ export const downloadPartFile = async (
  * @param {number} [maxVideoSize=104857600] - The maximum size to download in bytes (default: 100MB).
  * @param {number} [timeout=60000] - The download timeout in milliseconds.
  * @param {object} [extraHeaders={}] - Additional headers for the request.
- * @returns {Promise<Buffer>} - A promise that resolves with the downloaded part of the file as a Buffer.
+ * @returns {Promise<DownloadSource & {buffer: Buffer}>} - A promise that resolves with the downloaded part of the file as a Buffer and where it was downloaded from.
  * @throws {Error} If the download fails or the server does not support range requests.
  */
 export const downloadPartFileToBuffer = async (
@@ -261,13 +430,9 @@ export const downloadPartFileToBuffer = async (
   extraHeaders = {},
   signal
 ) => {
-  const { finalUrl: redirectedUrl, response } = await handleRedirects(
-    url,
-    extraHeaders,
-    timeout
-  )
+  const probe = await probeUrl(url, extraHeaders, timeout, signal)
 
-  let fileSize = parseInt(response.headers['content-length'])
+  let fileSize = probe.contentLength
   // Workaround for unreliable Content-Length: assume fileSize if not available or invalid
   if (isNaN(fileSize) || fileSize <= 0) {
     fileSize = maxVideoSize
@@ -276,14 +441,17 @@ export const downloadPartFileToBuffer = async (
   // Download immediately if file is smaller than or equal to target maxVideoSize
   // const downloadSize = Math.min(fileSize, maxVideoSize)
   if (fileSize <= maxVideoSize) {
-    const getResponse = await axios.get(redirectedUrl, {
-      headers: extraHeaders,
-      responseType: 'arraybuffer',
-      timeout: timeout,
-      signal,
-    })
+    const { response: getResponse, ...source } = await followRedirects(
+      (currentUrl) =>
+        axios.get(currentUrl, {
+          ...getRequestOptions(extraHeaders, timeout, signal),
+          responseType: 'arraybuffer',
+        }),
+      probe.finalUrl,
+      probe.redirectChain
+    )
     if (getResponse?.data && getResponse.status === 200) {
-      return Buffer.from(getResponse.data)
+      return { buffer: Buffer.from(getResponse.data), ...source }
     } else {
       throw new Error(`Failed to download file. Status: ${getResponse.status}`)
     }
@@ -295,17 +463,20 @@ export const downloadPartFileToBuffer = async (
     Range: `bytes=0-${maxVideoSize - 1}`,
   }
 
-  const partialResponse = await axios.get(redirectedUrl, {
-    headers: rangeHeaders,
-    responseType: 'arraybuffer',
-    timeout: timeout,
-    signal,
-  })
+  const { response: partialResponse, ...source } = await followRedirects(
+    (currentUrl) =>
+      axios.get(currentUrl, {
+        ...getRequestOptions(rangeHeaders, timeout, signal),
+        responseType: 'arraybuffer',
+      }),
+    probe.finalUrl,
+    probe.redirectChain
+  )
 
   if (partialResponse.status === 206 || partialResponse.status === 200) {
     // console.log("Server returned partial content.");
     if (partialResponse?.data) {
-      return Buffer.from(partialResponse.data)
+      return { buffer: Buffer.from(partialResponse.data), ...source }
     }
     throw new Error(
       `Downloaded part successfully (status ${partialResponse.status}) but no data received.`
@@ -323,11 +494,12 @@ export const downloadPartFileToBuffer = async (
 }
 
 /**
- * Gets content information (content length, content type, extension) for a given URL using a HEAD request.
+ * Gets content information (content length, content type, extension) for a given URL using a HEAD request
+ * (or a ranged GET request when the server rejects HEAD requests).
  * @param {string} src - The source URL.
  * @param {number} [timeout=60000] - The request timeout in milliseconds.
  * @param {object} [extraHeaders={}] - Additional headers for the request.
- * @returns {Promise<{contentLength: number, contentType: string, extension: string}>} - A promise that resolves to an object containing content information.
+ * @returns {Promise<DownloadSource & {contentLength: number, contentType: string, extension: string}>} - A promise that resolves to an object containing content information.
  * @throws {Error} If the HEAD request fails.
  */
 export const getContentInfo = async function (
@@ -335,35 +507,178 @@ export const getContentInfo = async function (
   timeout = 60000,
   extraHeaders = {}
 ) {
-  const { response } = await handleRedirects(src, extraHeaders, timeout)
+  const probe = await probeUrl(src, extraHeaders, timeout)
 
-  if (response?.headers && response.status === 200) {
-    let contentLength = parseInt(response.headers['content-length'])
+  if (probe.status === 200) {
+    let contentLength = probe.contentLength
     if (isNaN(contentLength)) {
       contentLength = 0
     }
-    const contentType = response.headers['content-type']
+    const contentType = probe.contentType
     const extension = mime.getExtension(contentType)
 
     const output = {
       contentLength: contentLength,
       contentType: contentType ?? 'application/octet-stream',
       extension: extension ?? 'bin',
+      finalUrl: probe.finalUrl,
+      redirectChain: probe.redirectChain,
     }
 
     return output
   } else {
-    console.error(`Failed to get content info. Status: ${response.status}`)
-    throw new Error(`Failed to get content info. Status: ${response.status}`)
+    console.error(`Failed to get content info. Status: ${probe.status}`)
+    throw new Error(`Failed to get content info. Status: ${probe.status}`)
   }
 }
 
+/**
+ * Reads the first chunks of a stream until they hold at least `byteCount` bytes, without losing them.
+ * @param {import('stream').Readable} source - The readable stream.
+ * @param {number} byteCount - The number of bytes to read.
+ * @returns {Promise<{leadingBytes: Buffer, stream: import('stream').Readable}>} - The first bytes (fewer if the stream ends before),
+ * and a stream yielding the whole content, the first bytes included. Destroying it destroys the source stream.
+ */
+const peekLeadingBytes = async (source, byteCount) => {
+  const iterator = source[Symbol.asyncIterator]()
+  const chunks = []
+  let receivedLength = 0
+  let done = false
+  while (!done && receivedLength < byteCount) {
+    const next = await iterator.next()
+    done = next.done
+    if (!done) {
+      chunks.push(next.value)
+      receivedLength += next.value.length
+    }
+  }
+
+  /**
+   * Yields the chunks already read, then the rest of the source stream.
+   * @yields {Buffer} - The chunks of the content.
+   */
+  const replay = async function* () {
+    yield* chunks
+    while (!done) {
+      const next = await iterator.next()
+      done = next.done
+      if (!done) {
+        yield next.value
+      }
+    }
+  }
+  const stream = Readable.from(replay(), { objectMode: false })
+  stream.once('close', () => source.destroy())
+  return {
+    leadingBytes: Buffer.concat(chunks).subarray(0, byteCount),
+    stream,
+  }
+}
+
+/**
+ * Starts downloading a URL and reads the first bytes of the content, to sniff its media type before choosing how
+ * to process it. The content is requested once: the returned stream yields all of it, the first bytes included,
+ * so the media is routed on exactly the bytes which are then processed.
+ * The caller owns the stream and must consume or destroy it.
+ * @param {string} src - The source URL.
+ * @param {number} byteCount - The number of leading bytes to read.
+ * @param {number} [timeout=60000] - The request timeout in milliseconds.
+ * @param {object} [extraHeaders={}] - Additional headers for the request.
+ * @param {AbortSignal} [signal] - Signal to abort the download.
+ * @returns {Promise<DownloadSource & {stream: import('stream').Readable, leadingBytes: Buffer, contentType: string|undefined}>} - The content stream,
+ * its first bytes and the Content-Type header of the response.
+ * @throws {Error} If the request fails or the response is not successful.
+ */
+export const openDownload = async (
+  src,
+  byteCount,
+  timeout = 60000,
+  extraHeaders = {},
+  signal
+) => {
+  const { response, finalUrl, redirectChain } = await followRedirects(
+    (currentUrl) =>
+      axios({
+        method: 'GET',
+        url: currentUrl,
+        responseType: 'stream',
+        ...getRequestOptions(extraHeaders, timeout, signal),
+      }),
+    src
+  )
+
+  if (response.status !== 200) {
+    response.data?.destroy?.()
+    throw new Error(`Failed to download file. Status: ${response.status}`)
+  }
+
+  const { leadingBytes, stream } = await peekLeadingBytes(
+    response.data,
+    byteCount
+  )
+  return {
+    stream,
+    leadingBytes,
+    contentType: response.headers['content-type'],
+    finalUrl,
+    redirectChain,
+  }
+}
+
+/**
+ * Writes a readable stream to a file, with a size limit.
+ * @param {import('stream').Readable} stream - The readable stream to consume.
+ * @param {string} dest - The destination path to save the file.
+ * @param {number} [maxSize] - The maximum size in bytes, the stream is destroyed as soon as it is exceeded (unlimited if not set).
+ * @param {object} [options] - Write options.
+ * @param {boolean} [options.truncate=false] - Whether to keep the first `maxSize` bytes of a larger content (e.g. the beginning of a video) instead of failing.
+ * @returns {Promise<void>} - A promise that resolves once the file is written.
+ * @throws {Error} If reading or writing fails, with the `ERR_IMAGE_TOO_LARGE` code if the content exceeds `maxSize` and is not truncated.
+ */
+export const streamToFile = (
+  stream,
+  dest,
+  maxSize,
+  { truncate = false } = {}
+) =>
+  new Promise((resolve, reject) => {
+    const writer = fs.createWriteStream(dest)
+    let receivedLength = 0
+
+    stream.on('data', (chunk) => {
+      receivedLength += chunk.length
+      if (!maxSize || receivedLength <= maxSize) {
+        if (!writer.write(chunk)) {
+          stream.pause()
+          writer.once('drain', () => stream.resume())
+        }
+        return
+      }
+      // Stop the download immediately, the Content-Length may be missing or wrong
+      stream.destroy()
+      if (truncate) {
+        writer.end(chunk.subarray(0, chunk.length - (receivedLength - maxSize)))
+        return
+      }
+      writer.destroy()
+      fs.unlink(dest, () => {})
+      reject(createTooLargeError(maxSize))
+    })
+    stream.on('end', () => writer.end())
+    stream.on('error', (error) => {
+      writer.destroy()
+      reject(error)
+    })
+    writer.on('finish', () => resolve())
+    writer.on('error', reject)
+  })
+
 /**
  * Fetches a video URL and returns the response body as a readable stream.
  * Throws an error on network issues or non-successful HTTP status codes.
- * IMPORTANT: Ensure SSRF protection is applied to the URL *before* calling this.
+ * SSRF protection is applied to every request (and redirect hop) of the default axios instance, see `installSsrfGuard`.
  * @param {string} url - The validated video URL to fetch.
- * @returns {Promise<ReadableStream>} - A promise resolving to the readable stream.
+ * @returns {Promise<DownloadSource & {stream: ReadableStream}>} - A promise resolving to the readable stream and where it comes from.
  */
 export async function getVideoStream(
   url,
@@ -373,13 +688,19 @@ export async function getVideoStream(
 ) {
   let response
   try {
-    response = await axios.get(url, {
-      responseType: 'stream',
-      timeout: timeout,
-      headers: { 'User-Agent': extraHeaders['User-Agent'] },
-      maxRedirects: 5, // Follow redirects
-      signal,
-    })
+    let source
+    ;({ response, ...source } = await followRedirects(
+      (currentUrl) =>
+        axios.get(currentUrl, {
+          ...getRequestOptions(
+            { 'User-Agent': extraHeaders['User-Agent'] },
+            timeout,
+            signal
+          ),
+          responseType: 'stream',
+        }),
+      url
+    ))
 
     // Axios generally throws for >= 400, but explicit check is safe
     if (response.status < 200 || response.status >= 300) {
@@ -402,7 +723,7 @@ export async function getVideoStream(
     // Optional: Consider adding maxContentLength to axios.get options to prevent unbounded downloads
     // maxContentLength: MAX_VIDEO_SIZE_BYTES, // Define MAX_VIDEO_SIZE_BYTES based on MAX_VIDEO_SIZE_MB
 
-    return response.data // response.data is the readable stream
+    return { stream: response.data, ...source } // response.data is the readable stream
   } catch (error) {
     if (axios.isAxiosError(error)) {
       console.error(
@@ -430,12 +751,29 @@ export async function getVideoStream(
  * Reads a readable stream completely into a single Buffer.
  * This is the crucial step to ensure the entire file is in memory before processing.
  * @param {import('stream').Readable} stream - The readable stream to consume.
+ * @param {number} [maxSize] - The maximum size in bytes, the stream is destroyed as soon as it is exceeded (unlimited if not set).
+ * @param {object} [options] - Read options.
+ * @param {boolean} [options.truncate=false] - Whether to keep the first `maxSize` bytes of a larger content (e.g. the beginning of a video) instead of failing.
  * @returns {Promise<Buffer>} A promise that resolves with the full file buffer.
  */
-export function streamToBuffer(stream) {
+export function streamToBuffer(stream, maxSize, { truncate = false } = {}) {
   return new Promise((resolve, reject) => {
     const chunks = []
+    let receivedLength = 0
     stream.on('data', (chunk) => {
+      receivedLength += chunk.length
+      if (maxSize && receivedLength > maxSize) {
+        stream.destroy()
+        if (truncate) {
+          chunks.push(
+            chunk.subarray(0, chunk.length - (receivedLength - maxSize))
+          )
+          resolve(Buffer.concat(chunks))
+          return
+        }
+        reject(createTooLargeError(maxSize))
+        return
+      }
       chunks.push(chunk)
     })
     stream.on('error', (err) => {
@@ -453,17 +791,22 @@ export function streamToBuffer(stream) {
  * Fetches a video URL and returns its complete content as a Buffer.
  * This is the most robust method for handling redirects and ensuring file integrity.
  * @param {string} url - The validated video URL to fetch.
- * @returns {Promise<Buffer>} - A promise resolving to the complete video buffer.
+ * @returns {Promise<DownloadSource & {buffer: Buffer}>} - A promise resolving to the complete video buffer and where it comes from.
  */
 export async function getVideoBuffer(url, extraHeaders = {}, timeout = 30000) {
   try {
-    const response = await axios.get(url, {
-      // CRITICAL CHANGE: Tell axios to download the whole file and give us a buffer.
-      responseType: 'arraybuffer',
-      timeout: timeout,
-      headers: { 'User-Agent': extraHeaders['User-Agent'] },
-      maxRedirects: 5,
-    })
+    const { response, ...source } = await followRedirects(
+      (currentUrl) =>
+        axios.get(currentUrl, {
+          ...getRequestOptions(
+            { 'User-Agent': extraHeaders['User-Agent'] },
+            timeout
+          ),
+          // CRITICAL CHANGE: Tell axios to download the whole file and give us a buffer.
+          responseType: 'arraybuffer',
+        }),
+      url
+    )
 
     // Axios with arraybuffer gives a Buffer-like object in response.data.
     // We explicitly convert it to a Node.js Buffer for consistency.
@@ -477,7 +820,7 @@ export async function getVideoBuffer(url, extraHeaders = {}, timeout = 30000) {
       )
     }
 
-    return videoBuffer
+    return { buffer: videoBuffer, ...source }
   } catch (error) {
     if (axios.isAxiosError(error)) {
       console.error(
@@ -0,0 +1,28 @@
+/**
+ * Error code of images larger than MAX_IMAGE_SIZE_MB.
+ * @type {string}
+ */
+export const ERR_IMAGE_TOO_LARGE = 'ERR_IMAGE_TOO_LARGE'
+
+/**
+ * Error code of images with more pixels than MAX_IMAGE_PIXELS.
+ * @type {string}
+ */
+export const ERR_IMAGE_TOO_MANY_PIXELS = 'ERR_IMAGE_TOO_MANY_PIXELS'
+
+/**
+ * Gets the code of an error caused by an image over the size or pixel limits, looking through the wrapped errors (`cause`).
+ * @param {Error} error - The error to inspect.
+ * @returns {string|undefined} - ERR_IMAGE_TOO_LARGE or ERR_IMAGE_TOO_MANY_PIXELS, undefined for any other error.
+ */
+export const getImageTooLargeErrorCode = (error) => {
+  for (let current = error; current; current = current.cause) {
+    if (
+      current.code === ERR_IMAGE_TOO_LARGE ||
+      current.code === ERR_IMAGE_TOO_MANY_PIXELS
+    ) {
+      return current.code
+    }
+  }
+  return undefined
+}
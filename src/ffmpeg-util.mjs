@@ -297,3 +297,285 @@ export function generateScreenshotFromStream(
     })
   })
 }
+
+/**
+ * @typedef {object} FrameSamplingOptions
+ * @property {number} [interval=1] - Seconds between two sampled frames.
+ * @property {number} [offset=0] - Seconds from the start of the video to the first sampled frame.
+ * @property {number} [maxFrames=5] - Maximum number of frames to extract.
+ * @property {number} [timeout=30000] - The maximum time in milliseconds to allow the FFmpeg process to run.
+ * @property {AbortSignal} [signal] - Signal to abort the FFmpeg process.
+ */
+
+/**
+ * @typedef {object} VideoFrame
+ * @property {number} index - The position of the frame among the sampled frames.
+ * @property {number} timestamp - The approximate position of the frame in the video in seconds.
+ * @property {Buffer} buffer - The JPEG encoded frame.
+ */
+
+/**
+ * Splits a concatenated MJPEG stream (as written by FFmpeg's image2pipe muxer) into single JPEG images.
+ * Each image starts with the SOI marker (FF D8) and ends with the EOI marker (FF D9).
+ * @param {Buffer} buffer - The concatenated JPEG images.
+ * @returns {Buffer[]} - The separate JPEG images.
+ */
+export const splitJpegFrames = (buffer) => {
+  const frames = []
+  let start = buffer.indexOf(Buffer.from([0xff, 0xd8]))
+  while (start !== -1) {
+    // An EOI marker directly followed by the next SOI marker closes the current frame
+    let end = buffer.indexOf(Buffer.from([0xff, 0xd9, 0xff, 0xd8]), start + 2)
+    if (end === -1) {
+      frames.push(buffer.subarray(start))
+      break
+    }
+    frames.push(buffer.subarray(start, end + 2))
+    start = end + 2
+  }
+  return frames
+}
+
+/**
+ * Runs FFmpeg to sample several frames from a video input and returns them as JPEG buffers.
+ * @param {string} input - The FFmpeg input (a file path or 'pipe:0').
+ * @param {import('stream').Readable|null} inputStream - The stream to pipe into FFmpeg's stdin, if any.
+ * @param {string} ffmpegPath - The path to the FFmpeg executable.
+ * @param {FrameSamplingOptions} options - Frame sampling settings.
+ * @returns {Promise<VideoFrame[]>} - A promise that resolves with the sampled frames.
+ */
+const extractFrames = (input, inputStream, ffmpegPath, options) => {
+  const {
+    interval = 1,
+    offset = 0,
+    maxFrames = 5,
+    timeout = 30000,
+    signal,
+  } = options
+
+  const ffmpegArgs = [
+    '-ignore_unknown',
+    '-hide_banner',
+    '-loglevel',
+    'error',
+    '-i',
+    input,
+    // Seek *after* the input so it also works on non-seekable streams
+    '-ss',
+    String(offset),
+    '-y',
+    '-an',
+    '-dn',
+    '-vf',
+    `fps=1/${interval}`,
+    '-frames:v',
+    String(maxFrames),
+    '-f',
+    'image2pipe',
+    '-vcodec',
+    'mjpeg',
+    'pipe:1',
+  ]
+
+  return new Promise((resolve, reject) => {
+    const ffmpegProcess = spawn(ffmpegPath, ffmpegArgs, {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      signal,
+    })
+
+    let outputBuffer = Buffer.alloc(0)
+    let stderrOutput = ''
+    let processError = null
+
+    const cleanup = (error) => {
+      if (error && !processError) {
+        processError = error
+      }
+      if (inputStream && !inputStream.destroyed) {
+        inputStream.destroy()
+      }
+      if (ffmpegProcess.stdout && !ffmpegProcess.stdout.destroyed) {
+        ffmpegProcess.stdout.destroy()
+      }
+      if (ffmpegProcess.stderr && !ffmpegProcess.stderr.destroyed) {
+        ffmpegProcess.stderr.destroy()
+      }
+      if (!ffmpegProcess.killed) {
+        ffmpegProcess.kill('SIGKILL')
+      }
+    }
+
+    const timeoutHandle = setTimeout(() => {
+      cleanup(new Error(`FFmpeg process timed out after ${timeout}ms.`))
+    }, timeout)
+
+    if (inputStream) {
+      const expectedErrors = ['EPIPE', 'ECONNRESET']
+      pipeline(inputStream, ffmpegProcess.stdin, (err) => {
+        if (processError) return
+        // FFmpeg closes its stdin once the last requested frame is written
+        if (err && !expectedErrors.includes(err.code)) {
+          console.error('Unexpected frame extraction pipeline error:', err)
+          cleanup(err)
+        }
+      })
+    } else {
+      ffmpegProcess.stdin.end()
+    }
+
+    ffmpegProcess.stdout.on('data', (data) => {
+      outputBuffer = Buffer.concat([outputBuffer, data])
+    })
+    ffmpegProcess.stderr.on('data', (data) => {
+      stderrOutput += data.toString()
+    })
+    ffmpegProcess.on('error', (err) => {
+      console.error(
+        `FFmpeg process error: ${err.message}. Aborted: ${signal?.aborted}`
+      )
+      cleanup(err)
+    })
+
+    ffmpegProcess.on('close', (code) => {
+      clearTimeout(timeoutHandle)
+      if (processError) return reject(processError)
+
+      if (code !== 0) {
+        return reject(
+          new Error(
+            `FFmpeg process exited with code ${code}. Stderr: ${stderrOutput}`
+          )
+        )
+      }
+
+      const frames = splitJpegFrames(outputBuffer)
+      if (frames.length === 0) {
+        return reject(
+          new Error(
+            `FFmpeg exited successfully but produced no frames. Stderr: ${stderrOutput}`
+          )
+        )
+      }
+
+      resolve(
+        frames.map((buffer, index) => ({
+          index,
+          timestamp: offset + index * interval,
+          buffer,
+        }))
+      )
+    })
+  })
+}
+
+/**
+ * Samples several frames from a video stream by piping it directly into FFmpeg.
+ * @param {import('stream').Readable} videoStream - A readable stream of the video data.
+ * @param {string} ffmpegPath - The path to the FFmpeg executable.
+ * @param {FrameSamplingOptions} [options={}] - Frame sampling settings.
+ * @returns {Promise<VideoFrame[]>} - A promise that resolves with the sampled frames.
+ */
+export function generateFramesFromStream(
+  videoStream,
+  ffmpegPath,
+  options = {}
+) {
+  return extractFrames('pipe:0', videoStream, ffmpegPath, options)
+}
+
+/**
+ * Samples several frames from a complete, in-memory video.
+ * @param {Buffer} videoBuffer - The video content as a Buffer.
+ * @param {string} ffmpegPath - The path to the FFmpeg executable.
+ * @param {FrameSamplingOptions} [options={}] - Frame sampling settings.
+ * @returns {Promise<VideoFrame[]>} - A promise that resolves with the sampled frames.
+ */
+export function generateFramesFromBuffer(
+  videoBuffer,
+  ffmpegPath,
+  options = {}
+) {
+  return extractFrames(
+    'pipe:0',
+    Readable.from(videoBuffer),
+    ffmpegPath,
+    options
+  )
+}
+
+/**
+ * Samples several frames from a video file.
+ * @param {string} inputFile - The path to the input video file.
+ * @param {string} ffmpegPath - The path to the FFmpeg executable.
+ * @param {FrameSamplingOptions} [options={}] - Frame sampling settings.
+ * @returns {Promise<VideoFrame[]>} - A promise that resolves with the sampled frames.
+ */
+export function generateFramesFromFile(inputFile, ffmpegPath, options = {}) {
+  return extractFrames(inputFile, null, ffmpegPath, options)
+}
+
+/**
+ * Parses the duration reported by FFmpeg (e.g. "Duration: 00:01:02.50") into seconds.
+ * @param {string} output - The FFmpeg stderr output.
+ * @returns {number|null} - The duration in seconds, or null if it is not reported.
+ */
+export const parseDuration = (output) => {
+  const match = output.match(/Duration:\s*(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/)
+  if (!match) {
+    return null
+  }
+  const [, hours, minutes, seconds] = match
+  return parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseFloat(seconds)
+}
+
+/**
+ * Reads the duration of a video file or buffer from FFmpeg's input information.
+ * FFmpeg exits with an error because no output is given, so only the reported duration is used.
+ * @param {string|Buffer} input - The path to the video file or the video content as a Buffer.
+ * @param {string} ffmpegPath - The path to the FFmpeg executable.
+ * @param {object} [options={}] - Optional settings.
+ * @param {number} [options.timeout=15000] - The maximum time in milliseconds to allow the FFmpeg process to run.
+ * @param {AbortSignal} [options.signal] - Signal to abort the FFmpeg process.
+ * @returns {Promise<number|null>} - The duration in seconds, or null if it cannot be determined (e.g. for some non-seekable inputs).
+ */
+export function getVideoDuration(input, ffmpegPath, options = {}) {
+  const { timeout = 15000, signal } = options
+  const isBuffer = Buffer.isBuffer(input)
+  const ffmpegArgs = ['-hide_banner', '-i', isBuffer ? 'pipe:0' : input]
+
+  return new Promise((resolve, reject) => {
+    const ffmpegProcess = spawn(ffmpegPath, ffmpegArgs, {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      signal,
+    })
+
+    let stderrOutput = ''
+    let processError = null
+
+    const timeoutHandle = setTimeout(() => {
+      processError = new Error(`FFmpeg process timed out after ${timeout}ms.`)
+      ffmpegProcess.kill('SIGKILL')
+    }, timeout)
+
+    if (isBuffer) {
+      pipeline(Readable.from(input), ffmpegProcess.stdin, () => {
+        // FFmpeg stops reading once the input information is known (EPIPE is expected)
+      })
+    } else {
+      ffmpegProcess.stdin.end()
+    }
+
+    ffmpegProcess.stdout.resume()
+    ffmpegProcess.stderr.on('data', (data) => {
+      stderrOutput += data.toString()
+    })
+    ffmpegProcess.on('error', (err) => {
+      processError = processError ?? err
+    })
+    ffmpegProcess.on('close', () => {
+      clearTimeout(timeoutHandle)
+      if (processError) return reject(processError)
+      resolve(parseDuration(stderrOutput))
+    })
+  })
+}
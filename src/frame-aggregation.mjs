@@ -0,0 +1,109 @@
+/**
+ * Classification categories reported by the NSFW detector.
+ * @type {string[]}
+ */
+const CATEGORIES = ['hentai', 'neutral', 'pornography', 'sexy']
+
+/**
+ * Supported strategies to combine per-frame scores into one verdict.
+ * - `max`: the highest hentai/pornography/sexy score and the lowest neutral score over all frames.
+ * - `mean`: the average of every score over all frames.
+ * - `any`: the scores of the most NSFW frame; the content is NSFW if any frame is over the threshold.
+ * @type {string[]}
+ */
+export const FRAME_AGGREGATION_STRATEGIES = ['max', 'mean', 'any']
+
+/**
+ * @typedef {object} FramePrediction
+ * @property {number} index - The position of the frame among the sampled frames.
+ * @property {number} [timestamp] - The position of the frame in the media in seconds, if known.
+ * @property {number} [page] - The page (frame number) of the frame in an animated image.
+ * @property {object} prediction - The classification result of the frame (hentai, neutral, pornography, sexy).
+ */
+
+/**
+ * Returns the category with the highest score.
+ * @param {object} scores - The scores per category.
+ * @returns {string} - The predicted label.
+ */
+const getPredictedLabel = (scores) => {
+  return CATEGORIES.reduce((best, category) =>
+    scores[category] > scores[best] ? category : best
+  )
+}
+
+/**
+ * Combines the classification results of several frames (video or animated image) into one result.
+ * The top-level scores and `predictedLabel` keep the shape of a single image result,
+ * while `frames` lists the per-frame scores and `aggregation` describes the verdict.
+ * A frame is considered NSFW when its NSFW score (1 - neutral) reaches the threshold.
+ * @param {FramePrediction[]} framePredictions - The per-frame classification results.
+ * @param {object} [options={}] - Aggregation settings.
+ * @param {string} [options.strategy='max'] - One of FRAME_AGGREGATION_STRATEGIES.
+ * @param {number} [options.threshold=0.5] - The NSFW score from which a frame is considered NSFW.
+ * @returns {object} - The aggregated classification result.
+ * @throws {Error} If there is no frame or the strategy is unknown.
+ */
+export const aggregateFramePredictions = (
+  framePredictions,
+  { strategy = 'max', threshold = 0.5 } = {}
+) => {
+  if (framePredictions.length === 0) {
+    throw new Error('Cannot aggregate predictions without any frame')
+  }
+  if (!FRAME_AGGREGATION_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown frame aggregation strategy: ${strategy}`)
+  }
+
+  const frames = framePredictions.map(
+    ({ index, timestamp, page, prediction }) => ({
+      index,
+      ...(page !== undefined && { page }),
+      ...(timestamp !== undefined && { timestamp }),
+      hentai: prediction.hentai,
+      neutral: prediction.neutral,
+      pornography: prediction.pornography,
+      sexy: prediction.sexy,
+      predictedLabel:
+        prediction.predictedLabel ?? getPredictedLabel(prediction),
+    })
+  )
+
+  const nsfwScore = (frame) => 1 - frame.neutral
+  const flaggedFrames = frames
+    .filter((frame) => nsfwScore(frame) >= threshold)
+    .map((frame) => frame.index)
+
+  const scores = {}
+  if (strategy === 'mean') {
+    for (const category of CATEGORIES) {
+      scores[category] =
+        frames.reduce((sum, frame) => sum + frame[category], 0) / frames.length
+    }
+  } else if (strategy === 'max') {
+    for (const category of CATEGORIES) {
+      const values = frames.map((frame) => frame[category])
+      scores[category] =
+        category === 'neutral' ? Math.min(...values) : Math.max(...values)
+    }
+  } else {
+    const worstFrame = frames.reduce((worst, frame) =>
+      nsfwScore(frame) > nsfwScore(worst) ? frame : worst
+    )
+    for (const category of CATEGORIES) {
+      scores[category] = worstFrame[category]
+    }
+  }
+
+  const isNsfw =
+    strategy === 'any'
+      ? flaggedFrames.length > 0
+      : 1 - scores.neutral >= threshold
+
+  return {
+    ...scores,
+    predictedLabel: getPredictedLabel(scores),
+    frames,
+    aggregation: { strategy, threshold, isNsfw, flaggedFrames },
+  }
+}
@@ -0,0 +1,437 @@
+import { to } from 'await-to-js'
+import * as fs from 'node:fs/promises'
+import path from 'node:path'
+import { z } from 'zod'
+import { hammingDistance } from './perceptual-hash.mjs'
+import { hashListMatchesTotal } from './metrics.mjs'
+
+/**
+ * Names of the hash lists, by decreasing precedence: media on both lists are blocked.
+ * @type {string[]}
+ */
+export const HASH_LIST_NAMES = ['blocklist', 'allowlist']
+
+/**
+ * Pattern of a SHA256 hash of the media bytes.
+ * @type {RegExp}
+ */
+const SHA256_PATTERN = /^[0-9a-f]{64}$/
+
+/**
+ * Pattern of a perceptual hash (dHash) of an image.
+ * @type {RegExp}
+ */
+const PERCEPTUAL_HASH_PATTERN = /^[0-9a-f]{16}$/
+
+/**
+ * @typedef {object} HashListEntry
+ * @property {'sha256'|'perceptual'} type - The hash type, given by its length.
+ * @property {string} hash - The SHA256 hash of the media bytes, or the perceptual hash of the image, as lowercase hexadecimal characters.
+ * @property {string} [note] - Why the media is listed.
+ */
+
+/**
+ * @typedef {HashListEntry & {source: 'blocklist'|'allowlist', distance?: number}} HashListVerdict
+ * The fixed verdict of listed media: the list (`source`) and entry they matched, with the Hamming distance for perceptual hashes.
+ */
+
+/**
+ * @typedef {object} HashLists
+ * @property {(contentHash: string, perceptualHash?: string) => HashListVerdict|null} match - Returns the verdict of the first list matching the media, if any.
+ * @property {() => Object<string, HashListEntry[]>} entries - Returns the entries of every list, keyed by list name.
+ * @property {(name: string, entries: HashListEntry[]) => Promise<{added: number, invalidated: number}>} add - Adds or updates entries, persists the list and invalidates the affected cached results.
+ * @property {(name: string, hash: string) => Promise<{removed: boolean, invalidated: number}>} remove - Removes an entry, persists the list and invalidates the affected cached results.
+ */
+
+/**
+ * Zod schema for the entries of a hash list file or admin request.
+ */
+const hashListEntriesSchema = z.array(
+  z.object({
+    hash: z
+      .string()
+      .trim()
+      .toLowerCase()
+      .refine(
+        (hash) =>
+          SHA256_PATTERN.test(hash) || PERCEPTUAL_HASH_PATTERN.test(hash),
+        'Hash must be a SHA256 (64 hexadecimal characters) or a perceptual hash (16 hexadecimal characters)'
+      ),
+    note: z.string().optional(),
+  })
+)
+
+/**
+ * Validates hash list entries.
+ * @param {string} name - The list name, for error messages.
+ * @param {object[]} definitions - The entries, `{ hash, note? }` objects.
+ * @returns {HashListEntry[]} - The validated entries, with their type.
+ * @throws {Error} If the entries are invalid.
+ */
+export const parseHashListEntries = (name, definitions) => {
+  const result = hashListEntriesSchema.safeParse(definitions)
+  if (!result.success) {
+    const issues = result.error.issues
+      .map((issue) => `${issue.path.join('.')}: ${issue.message}`)
+      .join(', ')
+    throw new Error(`Invalid ${name} entries: ${issues}`)
+  }
+
+  return result.data.map(({ hash, note }) => ({
+    type: SHA256_PATTERN.test(hash) ? 'sha256' : 'perceptual',
+    hash,
+    ...(note !== undefined && { note }),
+  }))
+}
+
+/**
+ * Reads the entries of a hash list file, a JSON array of `{ hash, note? }` objects.
+ * A missing file is an empty list, it is created on the first change.
+ * @param {string} name - The list name, for error messages.
+ * @param {string} filePath - The file path, the list is kept in memory only if empty.
+ * @returns {Promise<HashListEntry[]>} - The entries.
+ * @throws {Error} If the file cannot be read or parsed.
+ */
+const readHashListFile = async (name, filePath) => {
+  if (!filePath) {
+    return []
+  }
+  const [errRead, content] = await to(fs.readFile(filePath, 'utf8'))
+  if (errRead?.code === 'ENOENT') {
+    return []
+  }
+  if (errRead) {
+    throw new Error(`Failed to read ${name} file: ${errRead.message}`)
+  }
+  let definitions
+  try {
+    definitions = JSON.parse(content)
+  } catch (error) {
+    throw new Error(`Failed to parse ${name} file: ${error.message}`, {
+      cause: error,
+    })
+  }
+  return parseHashListEntries(name, definitions)
+}
+
+/**
+ * Writes the entries of a hash list file, through a temporary file so that a crash never leaves it truncated.
+ * @param {string} filePath - The file path.
+ * @param {HashListEntry[]} entries - The entries.
+ * @returns {Promise<void>}
+ */
+const writeHashListFile = async (filePath, entries) => {
+  const temporaryFile = `${filePath}.tmp`
+  await fs.mkdir(path.dirname(filePath), { recursive: true })
+  await fs.writeFile(
+    temporaryFile,
+    JSON.stringify(
+      entries.map(({ hash, note }) => ({ hash, note })),
+      null,
+      2
+    ) + '\n'
+  )
+  await fs.rename(temporaryFile, filePath)
+}
+
+/**
+ * Factory function to create the hash lists of known media, loaded from their files.
+ * SHA256 entries match identical bytes; perceptual entries match images within `maxDistance` bits, they are compared one by one.
+ * Cached results of the media affected by a change (content entries of a listed SHA256 hash or whose perceptual hash is close to a listed one)
+ * are removed from the result cache, so that the next request gets the new verdict.
+ * @param {object} options - Hash list settings.
+ * @param {string} options.blocklistFile - Path to the blocklist file, kept in memory only if empty.
+ * @param {string} options.allowlistFile - Path to the allowlist file, kept in memory only if empty.
+ * @param {number} options.maxDistance - Maximum Hamming distance between a perceptual entry and a matching image.
+ * @param {import('./result-cache.mjs').ResultCache} options.resultCache - The result cache to invalidate on changes.
+ * @returns {Promise<HashLists>} - The hash lists.
+ * @throws {Error} If a list file cannot be read or parsed.
+ */
+export const createHashLists = async ({
+  blocklistFile,
+  allowlistFile,
+  maxDistance,
+  resultCache,
+}) => {
+  const files = { blocklist: blocklistFile, allowlist: allowlistFile }
+  const lists = new Map()
+  for (const name of HASH_LIST_NAMES) {
+    const entries = await readHashListFile(name, files[name])
+    lists.set(name, new Map(entries.map((entry) => [entry.hash, entry])))
+  }
+  let queue = Promise.resolve()
+
+  /**
+   * Runs list changes one at a time, so that concurrent changes are all persisted.
+   * @param {() => Promise<*>} task - The change.
+   * @returns {Promise<*>} - The result of the change.
+   */
+  const enqueue = (task) => {
+    const run = queue.then(task)
+    queue = run.catch(() => {})
+    return run
+  }
+
+  /**
+   * Finds the entry of a list matching some media, SHA256 entries first then the closest perceptual one.
+   * @param {string} name - The list name.
+   * @param {string} contentHash - The SHA256 hash of the media bytes.
+   * @param {string} [perceptualHash] - The perceptual hash of the image.
+   * @returns {HashListVerdict|null} - The verdict, null if the media are not listed.
+   */
+  const matchList = (name, contentHash, perceptualHash) => {
+    const list = lists.get(name)
+    const exact = list.get(contentHash)
+    if (exact?.type === 'sha256') {
+      return { source: name, ...exact }
+    }
+    if (!perceptualHash) {
+      return null
+    }
+    let closest = null
+    for (const entry of list.values()) {
+      if (entry.type !== 'perceptual') {
+        continue
+      }
+      const distance = hammingDistance(perceptualHash, entry.hash)
+      if (
+        distance <= maxDistance &&
+        (!closest || distance < closest.distance)
+      ) {
+        closest = { source: name, ...entry, distance }
+      }
+    }
+    return closest
+  }
+
+  /**
+   * Removes the cached results of the media matching some entries, whatever their model.
+   * @param {HashListEntry[]} entries - The changed entries.
+   * @returns {number} - The number of removed results.
+   */
+  const invalidate = (entries) => {
+    const isAffected = (key, result) =>
+      entries.some((entry) =>
+        entry.type === 'sha256'
+          ? key.endsWith(`-${entry.hash}`)
+          : Boolean(result?.perceptualHash) &&
+            hammingDistance(result.perceptualHash, entry.hash) <= maxDistance
+      )
+    const keys = []
+    for (const [key, result] of resultCache.entries()) {
+      if (key.startsWith('content-') && isAffected(key, result)) {
+        keys.push(key)
+      }
+    }
+    keys.forEach((key) => resultCache.delete(key))
+    return keys.length
+  }
+
+  /**
+   * Replaces the entries of a list once they are persisted.
+   * @param {string} name - The list name.
+   * @param {Map<string, HashListEntry>} next - The new entries, keyed by hash.
+   * @returns {Promise<void>}
+   */
+  const commit = async (name, next) => {
+    if (files[name]) {
+      const [errWrite] = await to(
+        writeHashListFile(files[name], [...next.values()])
+      )
+      if (errWrite) {
+        throw new Error(`Failed to write ${name} file: ${errWrite.message}`, {
+          cause: errWrite,
+        })
+      }
+    }
+    lists.set(name, next)
+  }
+
+  return {
+    match: (contentHash, perceptualHash) => {
+      for (const name of HASH_LIST_NAMES) {
+        const verdict = matchList(name, contentHash, perceptualHash)
+        if (verdict) {
+          return verdict
+        }
+      }
+      return null
+    },
+    entries: () =>
+      Object.fromEntries(
+        HASH_LIST_NAMES.map((name) => [name, [...lists.get(name).values()]])
+      ),
+    add: (name, entries) =>
+      enqueue(async () => {
+        const next = new Map(lists.get(name))
+        entries.forEach((entry) => next.set(entry.hash, entry))
+        await commit(name, next)
+        return { added: entries.length, invalidated: invalidate(entries) }
+      }),
+    remove: (name, hash) =>
+      enqueue(async () => {
+        const entry = lists.get(name).get(hash)
+        if (!entry) {
+          return { removed: false, invalidated: 0 }
+        }
+        const next = new Map(lists.get(name))
+        next.delete(hash)
+        await commit(name, next)
+        return { removed: true, invalidated: invalidate([entry]) }
+      }),
+  }
+}
+
+/**
+ * Looks up an image in the hash lists, before it is classified.
+ * The perceptual hash is computed for every image, and kept with its result,
+ * so that the cached results affected by perceptual entries added later can be found.
+ * @param {Buffer|string} imageData - The image data (Buffer for buffer-based, file path string for file-based).
+ * @param {string} contentHash - The SHA256 hash of the image bytes.
+ * @param {object} dependencies - Injected dependencies.
+ * @param {HashLists} dependencies.hashLists - The hash lists.
+ * @param {import("./nsfw-detector-factory.mjs").ImageProcessingWorkerInterface} dependencies.imageProcessingInstance - The image processing instance.
+ * @returns {Promise<{perceptualHash: string, verdict: HashListVerdict|null}>} - The perceptual hash of the image and its verdict if it is listed.
+ * @throws {Error} If the image cannot be decoded.
+ */
+export const lookupHashLists = async (
+  imageData,
+  contentHash,
+  { hashLists, imageProcessingInstance }
+) => {
+  const [errHash, perceptualHash] = await to(
+    imageProcessingInstance.computePerceptualHash(imageData)
+  )
+  if (errHash) {
+    throw new Error(`Image processing failed: ${errHash.message}`, {
+      cause: errHash,
+    })
+  }
+  const verdict = hashLists.match(contentHash, perceptualHash)
+  if (verdict) {
+    hashListMatchesTotal.inc({ list: verdict.source })
+    console.debug(
+      `Image ${contentHash} matched the ${verdict.source} (${verdict.type} ${verdict.hash})`
+    )
+  }
+  return { perceptualHash, verdict }
+}
+
+/**
+ * Looks up media in the hash lists by the SHA256 hash of its bytes only, e.g. a video which has no perceptual hash.
+ * @param {string} contentHash - The SHA256 hash of the media bytes.
+ * @param {object} dependencies - Injected dependencies.
+ * @param {HashLists} dependencies.hashLists - The hash lists.
+ * @returns {HashListVerdict|null} - The verdict, null if the media are not listed.
+ */
+export const matchContentHash = (contentHash, { hashLists }) => {
+  const verdict = hashLists.match(contentHash)
+  if (verdict) {
+    hashListMatchesTotal.inc({ list: verdict.source })
+    console.debug(`Media ${contentHash} matched the ${verdict.source}`)
+  }
+  return verdict
+}
+
+/**
+ * Looks up the SHA256 a client declares for some media (e.g. the `x` field of a Nostr `imeta` tag), before it is downloaded.
+ * Only the blocklist is trusted: declaring the hash of an allowlisted image must not skip the classification of other media.
+ * @param {string} declaredHash - The declared SHA256 hash of the media bytes.
+ * @param {object} dependencies - Injected dependencies.
+ * @param {HashLists} dependencies.hashLists - The hash lists.
+ * @returns {HashListVerdict|null} - The blocklist verdict, null if the hash is not blocklisted.
+ */
+export const matchDeclaredHash = (declaredHash, { hashLists }) => {
+  const verdict = hashLists.match(declaredHash)
+  if (verdict?.source !== 'blocklist') {
+    return null
+  }
+  hashListMatchesTotal.inc({ list: verdict.source })
+  console.debug(`Declared hash ${declaredHash} matched the blocklist`)
+  return verdict
+}
+
+/**
+ * Gets the hash list named in the request path.
+ * @param {object} req - Express request object, with the `list` path parameter.
+ * @param {object} res - Express response object.
+ * @param {HashLists|null} hashLists - The hash lists, null if they are disabled.
+ * @returns {string|null} - The list name, null if a 404 response has been sent.
+ */
+const resolveHashList = (req, res, hashLists) => {
+  if (!hashLists) {
+    res.status(404).json({ message: 'Hash lists are disabled' })
+    return null
+  }
+  if (!HASH_LIST_NAMES.includes(req.params.list)) {
+    res.status(404).json({ message: `Unknown hash list: ${req.params.list}` })
+    return null
+  }
+  return req.params.list
+}
+
+/**
+ * Handles the GET /admin/hash-lists endpoint which returns the entries of every hash list.
+ * @param {object} _req - Express request object (unused).
+ * @param {object} res - Express response object.
+ * @param {object} dependencies - Injected dependencies.
+ * @param {HashLists|null} dependencies.hashLists - The hash lists, null if they are disabled.
+ */
+export const listHashListsHandler = (_req, res, { hashLists }) => {
+  if (!hashLists) {
+    return res.status(404).json({ message: 'Hash lists are disabled' })
+  }
+  res.status(200).json({ data: hashLists.entries() })
+}
+
+/**
+ * Handles the POST /admin/hash-lists/:list endpoint which adds entries (`{ entries: [{ hash, note? }] }`) to a hash list.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {object} dependencies - Injected dependencies.
+ * @param {HashLists|null} dependencies.hashLists - The hash lists, null if they are disabled.
+ */
+export const addHashListEntriesHandler = async (req, res, { hashLists }) => {
+  const name = resolveHashList(req, res, hashLists)
+  if (!name) {
+    return
+  }
+  let entries
+  try {
+    entries = parseHashListEntries(name, req.body?.entries)
+  } catch (error) {
+    return res.status(400).json({ message: error.message })
+  }
+
+  const [err, result] = await to(hashLists.add(name, entries))
+  if (err) {
+    return res.status(500).json({ message: err.message })
+  }
+  res.status(200).json({ data: { list: name, ...result } })
+}
+
+/**
+ * Handles the DELETE /admin/hash-lists/:list/:hash endpoint which removes an entry from a hash list.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {object} dependencies - Injected dependencies.
+ * @param {HashLists|null} dependencies.hashLists - The hash lists, null if they are disabled.
+ */
+export const removeHashListEntryHandler = async (req, res, { hashLists }) => {
+  const name = resolveHashList(req, res, hashLists)
+  if (!name) {
+    return
+  }
+  const hash = req.params.hash.toLowerCase()
+
+  const [err, result] = await to(hashLists.remove(name, hash))
+  if (err) {
+    return res.status(500).json({ message: err.message })
+  }
+  if (!result.removed) {
+    return res.status(404).json({ message: `Hash is not listed: ${hash}` })
+  }
+  res.status(200).json({
+    data: { list: name, hash, invalidated: result.invalidated },
+  })
+}
@@ -0,0 +1,193 @@
+import { to } from 'await-to-js'
+import * as fs from 'node:fs/promises'
+import { constants } from 'node:fs'
+
+/**
+ * A 1x1 PNG image used to warm up and probe the worker pools.
+ * @type {Buffer}
+ */
+export const PROBE_IMAGE = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+  'base64'
+)
+
+/**
+ * @typedef {object} HealthCheck
+ * @property {boolean} ok - Whether the check passed.
+ * @property {string} [error] - The reason of the failure.
+ */
+
+/**
+ * @typedef {object} Readiness
+ * @property {boolean} ready - Whether the service can take traffic.
+ * @property {{shutdown: HealthCheck, model: HealthCheck, imageProcessing: HealthCheck, downloadPath: HealthCheck, ffmpeg: HealthCheck}} checks - The result of each check.
+ */
+
+/**
+ * @typedef {object} HealthMonitor
+ * @property {() => Promise<boolean>} warmup - Runs a warmup inference on the NSFW detector workers, resolves to whether it succeeded.
+ * @property {() => Promise<Readiness>} checkReadiness - Runs the readiness checks.
+ * @property {() => void} markShuttingDown - Makes the service not ready for good.
+ */
+
+/**
+ * Rejects if a promise does not settle in time.
+ * @param {Promise<any>} promise - The promise to wait for.
+ * @param {number} timeout - The timeout in milliseconds.
+ * @returns {Promise<any>} - The promise result.
+ * @throws {Error} If the promise rejects or the timeout expires.
+ */
+const withTimeout = (promise, timeout) => {
+  let timer
+  return Promise.race([
+    promise,
+    new Promise((_resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`Timed out after ${timeout} ms`)),
+        timeout
+      )
+    }),
+  ]).finally(() => clearTimeout(timer))
+}
+
+/**
+ * Runs a check and converts its outcome to a HealthCheck.
+ * @param {() => Promise<any>} check - The check, failing by throwing.
+ * @returns {Promise<HealthCheck>} - The check result.
+ */
+const runCheck = async (check) => {
+  const [err] = await to(check())
+  return err ? { ok: false, error: err.message } : { ok: true }
+}
+
+/**
+ * Factory function to create the health monitor behind the /readyz endpoint.
+ * The service is ready once a warmup inference went through the NSFW detector workers (so the model is loaded),
+ * the image processing workers answer, IMG_DOWNLOAD_PATH is writable and FFMPEG_PATH is executable.
+ * @param {object} dependencies - Injected dependencies.
+ * @param {import("./nsfw-detector-factory.mjs").NsfwSpyWorkerInterface} dependencies.nsfwSpy - The NSFW detector instance.
+ * @param {import("./nsfw-detector-factory.mjs").ImageProcessingWorkerInterface} dependencies.imageProcessingInstance - The image processing instance.
+ * @param {object} dependencies.config - Configuration setting
+ * @param {string} dependencies.config.IMG_DOWNLOAD_PATH - Directory for temporary files.
+ * @param {string} dependencies.config.FFMPEG_PATH - Path of the FFmpeg executable.
+ * @param {number} dependencies.config.WORKER_POOL_MIN_WORKERS - Number of workers warmed up at once.
+ * @param {number} [dependencies.checkTimeout=5000] - Timeout of the image processing probe in milliseconds.
+ * @returns {HealthMonitor} - The health monitor.
+ */
+export const createHealthMonitor = ({
+  nsfwSpy,
+  imageProcessingInstance,
+  config,
+  checkTimeout = 5000,
+}) => {
+  let warmedUp = false
+  let warmupError = 'Warmup has not run yet'
+  let warmupPromise = null
+  let shuttingDown = false
+
+  /**
+   * Classifies the probe image once per minimum worker, so that every started worker has loaded the model.
+   * @returns {Promise<void>}
+   */
+  const runWarmup = async () => {
+    console.time('warmup')
+    const processedBuffer =
+      await imageProcessingInstance.processImageData(PROBE_IMAGE)
+    await Promise.all(
+      Array.from({ length: Math.max(1, config.WORKER_POOL_MIN_WORKERS) }, () =>
+        nsfwSpy.classifyImageFromByteArray(processedBuffer)
+      )
+    )
+    console.timeEnd('warmup')
+  }
+
+  /**
+   * Runs the warmup once, concurrent calls share the same run and a failed warmup can be retried.
+   * @returns {Promise<boolean>} - Whether the warmup succeeded.
+   */
+  const warmup = () => {
+    if (warmedUp) {
+      return Promise.resolve(true)
+    }
+    if (!warmupPromise) {
+      warmupPromise = to(runWarmup()).then(([err]) => {
+        warmupPromise = null
+        if (err) {
+          warmupError = `Warmup failed: ${err.message}`
+          console.error(`[Health] ${warmupError}`)
+          return false
+        }
+        warmedUp = true
+        return true
+      })
+    }
+    return warmupPromise
+  }
+
+  /**
+   * Runs the readiness checks, the image processing, download path and FFmpeg ones on every call.
+   * @returns {Promise<Readiness>} - The readiness and the result of each check.
+   */
+  const checkReadiness = async () => {
+    if (!warmedUp && !warmupPromise) {
+      warmup() // Retry a failed warmup in the background
+    }
+
+    const [imageProcessing, downloadPath, ffmpeg] = await Promise.all([
+      runCheck(() =>
+        withTimeout(
+          imageProcessingInstance.processImageData(PROBE_IMAGE),
+          checkTimeout
+        )
+      ),
+      runCheck(() => fs.access(config.IMG_DOWNLOAD_PATH, constants.W_OK)),
+      runCheck(() => fs.access(config.FFMPEG_PATH, constants.X_OK)),
+    ])
+    const checks = {
+      shutdown: shuttingDown
+        ? { ok: false, error: 'Service is shutting down' }
+        : { ok: true },
+      model: warmedUp ? { ok: true } : { ok: false, error: warmupError },
+      imageProcessing,
+      downloadPath,
+      ffmpeg,
+    }
+
+    return {
+      ready: Object.values(checks).every((check) => check.ok),
+      checks,
+    }
+  }
+
+  return {
+    warmup,
+    checkReadiness,
+    markShuttingDown: () => {
+      shuttingDown = true
+    },
+  }
+}
+
+/**
+ * Handles the /healthz endpoint, answering as long as the process serves requests.
+ * @param {object} _req - Express request object (unused).
+ * @param {object} res - Express response object.
+ */
+export const livenessHandler = (_req, res) => {
+  res.status(200).json({ data: { status: 'ok' } })
+}
+
+/**
+ * Handles the /readyz endpoint, answering 503 until the service can take traffic.
+ * @param {object} _req - Express request object (unused).
+ * @param {object} res - Express response object.
+ * @param {object} dependencies - Injected dependencies.
+ * @param {HealthMonitor} dependencies.healthMonitor - The health monitor.
+ */
+export const readinessHandler = async (_req, res, { healthMonitor }) => {
+  const { ready, checks } = await healthMonitor.checkReadiness()
+  if (!ready) {
+    return res.status(503).json({ message: 'Service is not ready', checks })
+  }
+  res.status(200).json({ data: { status: 'ready', checks } })
+}
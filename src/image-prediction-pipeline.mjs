@@ -1,9 +1,54 @@
 import { to } from 'await-to-js'
 import { deleteFile } from './util.mjs'
+import { aggregateFramePredictions } from './frame-aggregation.mjs'
+import { stageDurationSeconds } from './metrics.mjs'
+
+/**
+ * Looks up an image already classified with the same model whose perceptual hash is close enough.
+ * @param {import("./perceptual-hash.mjs").NearDuplicateIndex} nearDuplicateIndex - The near-duplicate index.
+ * @param {string} modelId - The id of the model classifying the image.
+ * @param {string} perceptualHash - The perceptual hash of the image.
+ * @param {string} filename - A unique identifier for the image, for logging.
+ * @returns {object|null} - The classification result of the near-duplicate with a `nearDuplicate` field, null if there is none.
+ */
+const findNearDuplicate = (
+  nearDuplicateIndex,
+  modelId,
+  perceptualHash,
+  filename
+) => {
+  const match = nearDuplicateIndex.find(modelId, perceptualHash)
+  if (!match) {
+    return null
+  }
+  console.debug(
+    `Near-duplicate of ${filename} found: ${match.perceptualHash} (distance ${match.distance})`
+  )
+  return {
+    ...match.result,
+    perceptualHash,
+    nearDuplicate: {
+      perceptualHash: match.perceptualHash,
+      distance: match.distance,
+    },
+  }
+}
+
+/**
+ * Gets the near-duplicate index namespace of the animated images classified by a model.
+ * Animated images are only matched with each other: a still copy of their first frame says nothing about the other frames.
+ * @param {string} modelId - The id of the model classifying the images.
+ * @returns {string} - The namespace, used in place of the model id.
+ */
+export const getAnimatedIndexId = (modelId) => `${modelId}#animated`
 
 /**
  * Runs the image preprocessing and classification pipeline.
  * This function handles both buffer-based and file-based processing.
+ * Animated images (GIF, WebP) are classified frame by frame when animated image analysis is enabled.
+ * With a near-duplicate index, the perceptual hash of the image (of the first frame for animated images) is computed
+ * during preprocessing and returned with the result; the classification is skipped when an image within the maximum
+ * Hamming distance was already classified.
  * @param {Buffer|string} imageData - The image data (Buffer for buffer-based, file path string for file-based).
  * @param {string} filename - A unique identifier for the image (e.g., SHA256 hash).
  * @param {object} dependencies - Injected dependencies.
@@ -12,35 +57,128 @@ import { deleteFile } from './util.mjs'
  * @param {object} dependencies.config - Configuration setting
  * @param {string} dependencies.config.IMG_DOWNLOAD_PATH - Directory for temporary files.
  * @param {boolean} dependencies.config.ENABLE_BUFFER_PROCESSING - Flag to enable buffer processing.
+ * @param {boolean} dependencies.config.ENABLE_ANIMATED_IMAGE_ANALYSIS - Flag to classify every sampled frame of animated images.
+ * @param {number} dependencies.config.ANIMATED_IMAGE_FRAME_COUNT - Maximum number of frames sampled from an animated image.
+ * @param {import("./perceptual-hash.mjs").NearDuplicateIndex|null} [dependencies.nearDuplicateIndex] - The near-duplicate index, near-duplicates are not looked up if not set.
+ * @param {string} [dependencies.modelId] - The id of the model classifying the image, required with a near-duplicate index.
  * @returns {Promise<object>} - The classification result.
  * @throws {Error} If any step in the process fails.
  */
 export const runImagePredictionPipeline = async (
   imageData,
   filename,
-  { nsfwSpy, imageProcessingInstance, config }
+  { nsfwSpy, imageProcessingInstance, config, nearDuplicateIndex, modelId }
 ) => {
-  const { IMG_DOWNLOAD_PATH, ENABLE_BUFFER_PROCESSING } = config
+  const {
+    IMG_DOWNLOAD_PATH,
+    ENABLE_BUFFER_PROCESSING,
+    ENABLE_ANIMATED_IMAGE_ANALYSIS,
+    ANIMATED_IMAGE_FRAME_COUNT,
+  } = config
+  const processingOptions = { perceptualHash: Boolean(nearDuplicateIndex) }
   let classificationResult
+  let perceptualHash
 
   try {
+    if (ENABLE_ANIMATED_IMAGE_ANALYSIS) {
+      console.time(`Extract Animated Frames ${filename}`)
+      const endExtractFrames = stageDurationSeconds.startTimer({
+        stage: 'extract_frames',
+      })
+      const [errFrames, frames] = await to(
+        imageProcessingInstance.extractAnimatedFrames(
+          imageData,
+          ANIMATED_IMAGE_FRAME_COUNT
+        )
+      )
+      endExtractFrames()
+      console.timeEnd(`Extract Animated Frames ${filename}`)
+      if (errFrames) {
+        // Let the single image path report whether the image can be processed at all
+        console.warn(
+          `Animated frame extraction failed, processing as a still image: ${errFrames.message}`
+        )
+      } else if (frames.length > 1) {
+        const animatedIndexId = getAnimatedIndexId(modelId)
+        if (nearDuplicateIndex) {
+          const [errHash, processed] = await to(
+            imageProcessingInstance.processImageData(frames[0].buffer, {
+              perceptualHash: true,
+            })
+          )
+          if (errHash) {
+            throw new Error(`Image processing failed: ${errHash.message}`, {
+              cause: errHash,
+            })
+          }
+          perceptualHash = processed.perceptualHash
+          const nearDuplicate = findNearDuplicate(
+            nearDuplicateIndex,
+            animatedIndexId,
+            perceptualHash,
+            filename
+          )
+          if (nearDuplicate) {
+            return nearDuplicate
+          }
+        }
+
+        classificationResult = await runFramesPredictionPipeline(
+          frames,
+          filename,
+          { nsfwSpy, imageProcessingInstance, config }
+        )
+        if (nearDuplicateIndex) {
+          classificationResult = { ...classificationResult, perceptualHash }
+          nearDuplicateIndex.add(
+            animatedIndexId,
+            perceptualHash,
+            classificationResult
+          )
+        }
+        return classificationResult
+      }
+    }
+
     if (ENABLE_BUFFER_PROCESSING) {
       console.debug(
         `Running Prediction Pipeline (Buffer Processing Path): Filename: ${filename}`
       )
       console.time(`Preprocess Image Buffer ${filename}`)
-      const [errProcess, processedBuffer] = await to(
-        imageProcessingInstance.processImageData(imageData)
+      const endPreprocess = stageDurationSeconds.startTimer({
+        stage: 'preprocess',
+      })
+      const [errProcess, processed] = await to(
+        imageProcessingInstance.processImageData(imageData, processingOptions)
       )
+      endPreprocess()
       console.timeEnd(`Preprocess Image Buffer ${filename}`)
       if (errProcess) {
-        throw new Error(`Image processing failed: ${errProcess.message}`)
+        throw new Error(`Image processing failed: ${errProcess.message}`, {
+          cause: errProcess,
+        })
+      }
+      const processedBuffer = nearDuplicateIndex ? processed.buffer : processed
+
+      if (nearDuplicateIndex) {
+        perceptualHash = processed.perceptualHash
+        const nearDuplicate = findNearDuplicate(
+          nearDuplicateIndex,
+          modelId,
+          perceptualHash,
+          filename
+        )
+        if (nearDuplicate) {
+          return nearDuplicate
+        }
       }
 
       console.time(`Classify Buffer ${filename}`)
+      const endClassify = stageDurationSeconds.startTimer({ stage: 'classify' })
       const [errClassify, prediction] = await to(
         nsfwSpy.classifyImageFromByteArray(processedBuffer)
       )
+      endClassify()
       console.timeEnd(`Classify Buffer ${filename}`)
       if (errClassify) {
         throw new Error(`Classification failed: ${errClassify.message}`)
@@ -54,18 +192,43 @@ export const runImagePredictionPipeline = async (
       const processedFile = IMG_DOWNLOAD_PATH + filename + '_final'
 
       console.time(`Preprocess Image File ${filename}`)
-      const [errProcessFile] = await to(
-        imageProcessingInstance.processImageFile(imageFile, processedFile)
+      const endPreprocess = stageDurationSeconds.startTimer({
+        stage: 'preprocess',
+      })
+      const [errProcessFile, outputInfo] = await to(
+        imageProcessingInstance.processImageFile(
+          imageFile,
+          processedFile,
+          processingOptions
+        )
       )
+      endPreprocess()
       console.timeEnd(`Preprocess Image File ${filename}`)
       if (errProcessFile) {
-        throw new Error(`Image processing failed: ${errProcessFile.message}`)
+        throw new Error(`Image processing failed: ${errProcessFile.message}`, {
+          cause: errProcessFile,
+        })
+      }
+
+      if (nearDuplicateIndex) {
+        perceptualHash = outputInfo.perceptualHash
+        const nearDuplicate = findNearDuplicate(
+          nearDuplicateIndex,
+          modelId,
+          perceptualHash,
+          filename
+        )
+        if (nearDuplicate) {
+          return nearDuplicate
+        }
       }
 
       console.time(`Classify ${filename}`)
+      const endClassify = stageDurationSeconds.startTimer({ stage: 'classify' })
       const [errClassifyFile, prediction] = await to(
         nsfwSpy.classifyImageFile(processedFile)
       )
+      endClassify()
       console.timeEnd(`Classify ${filename}`)
       if (errClassifyFile) {
         throw new Error(`Classification failed: ${errClassifyFile.message}`)
@@ -73,6 +236,10 @@ export const runImagePredictionPipeline = async (
       classificationResult = prediction
     }
 
+    if (nearDuplicateIndex) {
+      classificationResult = { ...classificationResult, perceptualHash }
+      nearDuplicateIndex.add(modelId, perceptualHash, classificationResult)
+    }
     return classificationResult
   } catch (error) {
     console.error(error)
@@ -91,3 +258,81 @@ export const runImagePredictionPipeline = async (
     }
   }
 }
+
+/**
+ * Runs the image preprocessing and classification pipeline on several frames (e.g. sampled video frames)
+ * and aggregates the per-frame results into one verdict.
+ * Frames are already in memory, so they always go through the buffer-based path.
+ * @param {{index: number, timestamp?: number, page?: number, buffer: Buffer}[]} frames - The frames to classify.
+ * @param {string} filename - A unique identifier for the media (e.g., SHA256 hash).
+ * @param {object} dependencies - Injected dependencies.
+ * @param {import("./nsfw-detector.mjs").NsfwSpy} dependencies.nsfwSpy - The NSFW detector instance.
+ * @param {import("./nsfw-detector-factory.mjs").ImageProcessingWorkerInterface} dependencies.imageProcessingInstance - The image processing instance.
+ * @param {object} dependencies.config - Configuration setting
+ * @param {string} dependencies.config.FRAME_AGGREGATION_STRATEGY - Strategy to combine per-frame scores (max, mean or any).
+ * @param {number} dependencies.config.FRAME_NSFW_THRESHOLD - NSFW score from which a frame is considered NSFW.
+ * @returns {Promise<object>} - The aggregated classification result with per-frame scores.
+ * @throws {Error} If any frame fails to be processed or classified.
+ */
+export const runFramesPredictionPipeline = async (
+  frames,
+  filename,
+  { nsfwSpy, imageProcessingInstance, config }
+) => {
+  const { FRAME_AGGREGATION_STRATEGY, FRAME_NSFW_THRESHOLD } = config
+
+  console.debug(
+    `Running Prediction Pipeline (Frames): Filename: ${filename}, Frames: ${frames.length}`
+  )
+  console.time(`Classify Frames ${filename}`)
+  const [errFrames, framePredictions] = await to(
+    Promise.all(
+      frames.map(async (frame) => {
+        const endPreprocess = stageDurationSeconds.startTimer({
+          stage: 'preprocess',
+        })
+        const [errProcess, processedBuffer] = await to(
+          imageProcessingInstance.processImageData(frame.buffer)
+        )
+        endPreprocess()
+        if (errProcess) {
+          throw new Error(
+            `Image processing failed for frame ${frame.index}: ${errProcess.message}`,
+            { cause: errProcess }
+          )
+        }
+
+        const endClassify = stageDurationSeconds.startTimer({
+          stage: 'classify',
+        })
+        const [errClassify, prediction] = await to(
+          nsfwSpy.classifyImageFromByteArray(processedBuffer)
+        )
+        endClassify()
+        if (errClassify) {
+          throw new Error(
+            `Classification failed for frame ${frame.index}: ${errClassify.message}`
+          )
+        }
+
+        return {
+          index: frame.index,
+          timestamp: frame.timestamp,
+          page: frame.page,
+          prediction,
+        }
+      })
+    )
+  )
+  console.timeEnd(`Classify Frames ${filename}`)
+
+  if (errFrames) {
+    console.error(errFrames)
+    throw errFrames
+  }
+
+  return aggregateFramePredictions(framePredictions, {
+    strategy: FRAME_AGGREGATION_STRATEGY,
+    threshold: FRAME_NSFW_THRESHOLD,
+  })
+}
@@ -1,12 +1,26 @@
 import * as workerpool from 'workerpool'
-import { processImageFile, processImageData } from './image-processor.mjs'
+import { config } from './config.mjs'
+import {
+  setMaxInputPixels,
+  processImageFile,
+  processImageData,
+  computePerceptualHash,
+  extractAnimatedFrames,
+  censorImage,
+  convertImage,
+} from './image-processor.mjs'
 
 // Expose the classify function to the worker pool
 if (!workerpool.isMainThread) {
   try {
+    setMaxInputPixels(config.MAX_IMAGE_PIXELS)
     workerpool.worker({
       processImageFile: processImageFile,
       processImageData: processImageData,
+      computePerceptualHash: computePerceptualHash,
+      extractAnimatedFrames: extractAnimatedFrames,
+      censorImage: censorImage,
+      convertImage: convertImage,
     })
   } catch (error) {
     console.error('workerpool worker error', error)
@@ -1,5 +1,86 @@
 import sharp from 'sharp'
 import { to } from 'await-to-js'
+import { ERR_IMAGE_TOO_MANY_PIXELS } from './errors.mjs'
+import {
+  DIFFERENCE_HASH_THUMBNAIL_WIDTH,
+  DIFFERENCE_HASH_THUMBNAIL_HEIGHT,
+  computeDifferenceHash,
+} from './perceptual-hash.mjs'
+
+/**
+ * Maximum number of pixels (width x height) of an input image, larger images are rejected before being decoded.
+ * Defaults to the sharp default, the image processing worker sets it from MAX_IMAGE_PIXELS.
+ * @type {number}
+ */
+let maxInputPixels = 0x3fff * 0x3fff
+
+/**
+ * Sets the maximum number of pixels of the images opened by this module.
+ * @param {number} pixels - The maximum number of pixels (width x height).
+ */
+export const setMaxInputPixels = (pixels) => {
+  maxInputPixels = pixels
+}
+
+/**
+ * Opens an input image with sharp, limited to `maxInputPixels` pixels to protect against decompression bombs.
+ * @param {Buffer|string} input - The image data buffer or the path to the image file.
+ * @param {import('sharp').SharpOptions} [options={}] - Additional sharp options.
+ * @returns {import('sharp').Sharp} - The sharp instance.
+ */
+const openImage = (input, options = {}) =>
+  sharp(input, { ...options, limitInputPixels: maxInputPixels })
+
+/**
+ * Creates the error of a failed sharp operation.
+ * @param {string} message - What failed.
+ * @param {Error} err - The sharp error.
+ * @returns {Error} - The error, with the `ERR_IMAGE_TOO_MANY_PIXELS` code if the image exceeds the pixel limit.
+ */
+const createImageError = (message, err) => {
+  const error = new Error(`${message}: ${err.message}`)
+  if (err.message.includes('exceeds pixel limit')) {
+    error.code = ERR_IMAGE_TOO_MANY_PIXELS
+  }
+  return error
+}
+
+/**
+ * Computes the perceptual hash (dHash) of an input image.
+ * The image is auto-oriented and flattened first, so that stripped EXIF orientation or transparency do not change the hash.
+ * @param {Buffer|string} input - The image data buffer or the path to the image file.
+ * @returns {Promise<string>} - The hash as 16 hexadecimal characters.
+ * @throws {Error} If the image cannot be decoded.
+ */
+export const computePerceptualHash = async (input) => {
+  const img = openImage(input)
+  try {
+    const [hashErr, thumbnail] = await to(
+      img
+        .rotate()
+        .flatten({ background: '#ffffff' })
+        .greyscale()
+        .resize(
+          DIFFERENCE_HASH_THUMBNAIL_WIDTH,
+          DIFFERENCE_HASH_THUMBNAIL_HEIGHT,
+          { fit: 'fill' }
+        )
+        .raw()
+        .toBuffer({ resolveWithObject: true })
+    )
+    if (hashErr) {
+      throw createImageError('Failed to compute perceptual hash', hashErr)
+    }
+    return computeDifferenceHash(thumbnail.data, thumbnail.info.channels)
+  } finally {
+    img?.destroy()
+  }
+}
+
+/**
+ * @typedef {object} ImageProcessingOptions
+ * @property {boolean} [perceptualHash=false] - Whether to also compute the perceptual hash of the input image.
+ */
 
 /**
  * @typedef {object} ImageProcessingOutputInfo
@@ -9,16 +90,18 @@ import { to } from 'await-to-js'
  * @property {number} height - The output image height in pixels.
  * @property {number} channels - The number of channels in the output image.
  * @property {boolean} premultiplied - Whether the image is premultiplied.
+ * @property {string} [perceptualHash] - The perceptual hash of the input image, if requested.
  */
 /**
  * Processes an image file by resizing and converting it to JPEG format.
  * @param {string} filePath - The path to the input image file.
  * @param {string} outputPath - The path to save the processed output image file.
+ * @param {ImageProcessingOptions} [options={}] - Processing options.
  * @returns {Promise<ImageProcessingOutputInfo>} - A promise that resolves with information about the output image.
  * @throws {Error} If image processing fails.
  */
-export const processImageFile = async (filePath, outputPath) => {
-  const img = sharp(filePath)
+export const processImageFile = async (filePath, outputPath, options = {}) => {
+  const img = openImage(filePath)
   try {
     // Optional: Load metadata for debugging
     const [metadataErr] = await to(img.metadata())
@@ -34,11 +117,18 @@ export const processImageFile = async (filePath, outputPath) => {
     )
 
     if (processErr) {
-      throw new Error(
-        `Failed to process image file ${filePath}: ${processErr.message}`
+      throw createImageError(
+        `Failed to process image file ${filePath}`,
+        processErr
       )
     }
 
+    if (options.perceptualHash) {
+      return {
+        ...outputInfo,
+        perceptualHash: await computePerceptualHash(filePath),
+      }
+    }
     return outputInfo
   } finally {
     img?.destroy()
@@ -48,11 +138,13 @@ export const processImageFile = async (filePath, outputPath) => {
 /**
  * Processes image data from a buffer by resizing and converting it to JPEG format.
  * @param {Buffer} buffer - The input image data buffer.
- * @returns {Promise<Buffer>} - A promise that resolves with the processed image buffer.
+ * @param {ImageProcessingOptions} [options={}] - Processing options.
+ * @returns {Promise<Buffer|{buffer: Buffer, perceptualHash: string}>} - A promise that resolves with the processed image buffer,
+ * along with the perceptual hash of the input image if requested.
  * @throws {Error} If image data processing fails.
  */
-export const processImageData = async (buffer) => {
-  const img = sharp(buffer)
+export const processImageData = async (buffer, options = {}) => {
+  const img = openImage(buffer)
   try {
     // Optional: Load metadata for debugging
     const [metadataErr] = await to(img.metadata())
@@ -67,11 +159,198 @@ export const processImageData = async (buffer) => {
       img.resize(224).jpeg().withMetadata().toBuffer()
     )
     if (processErr) {
-      throw new Error(`Failed to process image data: ${processErr.message}`)
+      throw createImageError('Failed to process image data', processErr)
     }
 
+    if (options.perceptualHash) {
+      return {
+        buffer: processedBuffer,
+        perceptualHash: await computePerceptualHash(buffer),
+      }
+    }
     return processedBuffer
   } finally {
     img?.destroy()
   }
 }
+
+/**
+ * @typedef {object} AnimatedImageFrame
+ * @property {number} index - The position of the frame among the extracted frames.
+ * @property {number} page - The page (frame number) of the frame in the animated image.
+ * @property {number} [timestamp] - The time at which the frame is displayed in seconds, if the frame delays are known.
+ * @property {Buffer} buffer - The frame encoded as PNG.
+ */
+
+/**
+ * Picks up to `maxFrames` page indices evenly spread from the first to the last page.
+ * @param {number} pages - The number of pages in the image.
+ * @param {number} maxFrames - The maximum number of pages to pick.
+ * @returns {number[]} - The picked page indices in ascending order.
+ */
+export const pickFramePages = (pages, maxFrames) => {
+  if (pages <= maxFrames) {
+    return Array.from({ length: pages }, (_, page) => page)
+  }
+  if (maxFrames <= 1) {
+    return [0]
+  }
+  return Array.from({ length: maxFrames }, (_, index) =>
+    Math.round((index * (pages - 1)) / (maxFrames - 1))
+  )
+}
+
+/**
+ * Extracts frames from an animated image (GIF or WebP).
+ * Each frame is decoded on its own (sharp `page` option) to keep memory usage low on long animations.
+ * Returns an empty array for still images, so callers can fall back to single image processing.
+ * @param {Buffer|string} input - The image data buffer or the path to the image file.
+ * @param {number} maxFrames - The maximum number of frames to extract, evenly spread over the animation.
+ * @returns {Promise<AnimatedImageFrame[]>} - A promise that resolves with the extracted frames.
+ * @throws {Error} If the image metadata cannot be read or a frame fails to be extracted.
+ */
+export const extractAnimatedFrames = async (input, maxFrames) => {
+  const img = openImage(input)
+  let metadata
+  try {
+    const [metadataErr, result] = await to(img.metadata())
+    if (metadataErr) {
+      throw createImageError('Failed to get image metadata', metadataErr)
+    }
+    metadata = result
+  } finally {
+    img?.destroy()
+  }
+
+  if (!metadata.pages || metadata.pages <= 1) {
+    return []
+  }
+
+  const frames = []
+  for (const [index, page] of pickFramePages(
+    metadata.pages,
+    maxFrames
+  ).entries()) {
+    const frameImg = openImage(input, { page })
+    try {
+      const [frameErr, buffer] = await to(frameImg.png().toBuffer())
+      if (frameErr) {
+        throw createImageError(
+          `Failed to extract frame ${page} of animated image`,
+          frameErr
+        )
+      }
+
+      frames.push({
+        index,
+        page,
+        ...(Array.isArray(metadata.delay) && {
+          timestamp:
+            metadata.delay
+              .slice(0, page)
+              .reduce((sum, delay) => sum + delay, 0) / 1000,
+        }),
+        buffer,
+      })
+    } finally {
+      frameImg?.destroy()
+    }
+  }
+
+  return frames
+}
+
+/**
+ * Output formats supported by `censorImage` and `convertImage`.
+ * @type {string[]}
+ */
+export const OUTPUT_IMAGE_FORMATS = ['jpeg', 'webp', 'png']
+
+/**
+ * Censoring methods supported by `censorImage`.
+ * - `blur`: Gaussian blur, the strength is the blur sigma.
+ * - `pixelate`: blocks of `strength` x `strength` pixels.
+ * @type {string[]}
+ */
+export const CENSOR_METHODS = ['blur', 'pixelate']
+
+/**
+ * Produces a censored (blurred or pixelated) copy of an image.
+ * Animated images are censored on their first frame only.
+ * @param {Buffer} buffer - The input image data buffer.
+ * @param {object} options - Censoring options.
+ * @param {string} options.method - One of CENSOR_METHODS.
+ * @param {number} options.strength - The blur sigma or the pixel block size.
+ * @param {string} options.format - One of OUTPUT_IMAGE_FORMATS.
+ * @returns {Promise<Buffer>} - A promise that resolves with the censored image buffer.
+ * @throws {Error} If the image cannot be censored.
+ */
+export const censorImage = async (buffer, { method, strength, format }) => {
+  const img = openImage(buffer).rotate() // Apply EXIF orientation before censoring
+  try {
+    if (method === 'pixelate') {
+      const [metadataErr, metadata] = await to(img.metadata())
+      if (metadataErr) {
+        throw createImageError('Failed to get image metadata', metadataErr)
+      }
+      const swapSides = metadata.orientation >= 5 // 90 or 270 degrees rotation
+      const width = swapSides ? metadata.height : metadata.width
+      const height = swapSides ? metadata.width : metadata.height
+
+      // Downscale to one pixel per block, then scale back up without smoothing
+      const [downscaleErr, downscaled] = await to(
+        img
+          .resize(
+            Math.max(1, Math.round(width / strength)),
+            Math.max(1, Math.round(height / strength)),
+            { fit: 'fill', kernel: sharp.kernel.nearest }
+          )
+          .toBuffer()
+      )
+      if (downscaleErr) {
+        throw createImageError('Failed to pixelate image', downscaleErr)
+      }
+
+      const [pixelateErr, pixelated] = await to(
+        sharp(downscaled)
+          .resize(width, height, { fit: 'fill', kernel: sharp.kernel.nearest })
+          .toFormat(format)
+          .toBuffer()
+      )
+      if (pixelateErr) {
+        throw new Error(`Failed to pixelate image: ${pixelateErr.message}`)
+      }
+      return pixelated
+    }
+
+    const [blurErr, blurred] = await to(
+      img.blur(strength).toFormat(format).toBuffer()
+    )
+    if (blurErr) {
+      throw createImageError('Failed to blur image', blurErr)
+    }
+    return blurred
+  } finally {
+    img?.destroy()
+  }
+}
+
+/**
+ * Converts an image to another format without altering its content.
+ * @param {Buffer} buffer - The input image data buffer.
+ * @param {string} format - One of OUTPUT_IMAGE_FORMATS.
+ * @returns {Promise<Buffer>} - A promise that resolves with the converted image buffer.
+ * @throws {Error} If the image cannot be converted.
+ */
+export const convertImage = async (buffer, format) => {
+  const img = openImage(buffer).rotate() // Apply EXIF orientation like censorImage
+  try {
+    const [convertErr, converted] = await to(img.toFormat(format).toBuffer())
+    if (convertErr) {
+      throw createImageError('Failed to convert image', convertErr)
+    }
+    return converted
+  } finally {
+    img?.destroy()
+  }
+}
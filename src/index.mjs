@@ -1,28 +1,106 @@
 import express from 'express'
 import bodyparser from 'body-parser'
-import { cleanupTemporaryFile } from './util.mjs'
-import { predictUrlHandler, predictDataHandler } from './prediction-handler.mjs'
+import { cleanupTemporaryFile, deleteFile } from './util.mjs'
+import {
+  predictUrlHandler,
+  predictDataHandler,
+  predictBatchHandler,
+  predictEventHandler,
+  predictFileHandler,
+  censorHandler,
+  createJobHandler,
+  getJobHandler,
+  cancelJobHandler,
+} from './prediction-handler.mjs'
 import { Mutex } from 'async-mutex'
 import bearerToken from 'express-bearer-token'
 import { config } from './config.mjs'
 import {
-  nsfwDetectorWorkerPool,
   imageProcessingWorkerPool,
   nsfwSpy,
   imageProcessingInstance,
   resultCache,
   mutexes,
+  moderationPolicies,
+  jobManager,
+  healthMonitor,
+  modelRegistry,
+  modelReloader,
+  nearDuplicateIndex,
+  hashLists,
+  apiKeys,
 } from './resources.mjs'
+import { metricsMiddleware, metricsHandler } from './metrics.mjs'
+import { livenessHandler, readinessHandler } from './health.mjs'
+import { listModelsHandler } from './model-registry.mjs'
+import { reloadModelsHandler } from './model-reloader.mjs'
+import {
+  listHashListsHandler,
+  addHashListEntriesHandler,
+  removeHashListEntryHandler,
+} from './hash-list.mjs'
+import {
+  getRequiredScope,
+  listApiKeysHandler,
+  reloadApiKeysHandler,
+} from './api-keys.mjs'
+import {
+  createRateLimiter,
+  createRateLimitMiddleware,
+  trackCacheHits,
+} from './rate-limiter.mjs'
+import { createNostrLabeler } from './nostr-labeler.mjs'
+import { createNostrDvm } from './nostr-dvm.mjs'
+import { parseNostrEvent, extractEventMedia } from './nostr-event.mjs'
+import {
+  isNostrAuthorization,
+  verifyNostrAuthorization,
+  getRequestUrl,
+} from './nostr-auth.mjs'
 import { z } from 'zod' // Import Zod
 import pLimit from 'p-limit'
+import multer from 'multer'
+import { randomUUID } from 'node:crypto'
+import { to } from 'await-to-js'
 
 // --- Global Concurrency Limiter ---
 const limit = pLimit(config.VIDEO_PROCESSING_CONCURRENCY)
 
 export const app = express()
 
+/**
+ * Parses the TRUST_PROXY setting into an Express `trust proxy` value: a boolean,
+ * a number of proxy hops, or comma separated addresses, subnets or names (e.g. `loopback`).
+ * @param {string} value - The setting.
+ * @returns {boolean|number|string} - The `trust proxy` value.
+ */
+const parseTrustProxy = (value) => {
+  if (value === 'true' || value === 'false') {
+    return value === 'true'
+  }
+  return /^\d+$/.test(value) ? parseInt(value) : value
+}
+
+// Behind a reverse proxy, read the client IP and protocol from the X-Forwarded-* headers
+if (config.TRUST_PROXY) {
+  app.set('trust proxy', parseTrustProxy(config.TRUST_PROXY))
+}
+
+// Count requests and measure their latency, including the rejected ones
+if (config.ENABLE_METRICS) {
+  app.use(metricsMiddleware)
+}
+
 // Middleware to parse JSON request bodies
-app.use(bodyparser.json({ limit: '5mb' }))
+app.use(
+  bodyparser.json({
+    limit: '5mb',
+    // Keep the raw body, NIP-98 authorizations may sign its SHA256
+    verify: (req, _res, buffer) => {
+      req.rawBody = buffer
+    },
+  })
+)
 
 /**
  * Middleware to log incoming requests.
@@ -38,16 +116,98 @@ const requestLogger = function (req, _res, next) {
 app.use(requestLogger)
 
 /**
- * Simple authentication middleware using bearer token.
+ * Handles the /healthz endpoint (liveness probe), registered before authentication for load balancers and orchestrators.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+app.get('/healthz', livenessHandler)
+
+/**
+ * Handles the /readyz endpoint (readiness probe), registered before authentication for load balancers and orchestrators.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+app.get('/readyz', async (req, res) => {
+  await readinessHandler(req, res, { healthMonitor })
+})
+
+// Hex public keys allowed to authenticate with NIP-98, every author if empty
+const nostrAuthAllowedPubkeys = config.ENABLE_NOSTR_AUTH
+  ? config.NOSTR_AUTH_ALLOWED_PUBKEYS.split(',')
+      .map((pubkey) => pubkey.trim())
+      .filter(Boolean)
+  : []
+
+/**
+ * Authenticates a request with a named API key, counting it against the scopes and limits of the key.
+ * @param {object} req - Express request object, with the key as `req.token`.
+ * @param {object} res - Express response object.
+ * @param {function} next - The next middleware function.
+ * @param {string} [scope] - The scope required by the endpoint.
+ * @returns {object|void} - Returns a 401, 403 or 429 JSON response if the key is not allowed, otherwise proceeds to the next middleware.
+ */
+const authorizeApiKey = (req, res, next, scope) => {
+  let key
+  try {
+    key = apiKeys.authorize(req.token, scope)
+  } catch (error) {
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter))
+    }
+    return res.status(error.statusCode).json({ message: error.message })
+  }
+  if (!key) {
+    return res.status(401).json({ message: 'Invalid API key' })
+  }
+  req.apiKey = key.name
+  next()
+}
+
+/**
+ * Simple authentication middleware using bearer token or NIP-98 HTTP auth.
  * Checks for the presence and validity of an API token if ENABLE_API_TOKEN is true.
+ * If ENABLE_API_KEYS is true, the named keys of API_KEYS_FILE are accepted as bearer tokens too,
+ * within their scopes and limits, and the key name is set as `req.apiKey`.
+ * If ENABLE_NOSTR_AUTH is true, a signed `Authorization: Nostr <base64 event>` header is accepted instead,
+ * and the public key of its author is set as `req.nostrPubkey`.
  * @param {object} req - Express request object. Expected to have a `req.token` property from `express-bearer-token`.
  * @param {object} res - Express response object.
  * @param {function} next - The next middleware function.
- * @returns {object|void} - Returns a 401 JSON response if authentication fails, otherwise proceeds to the next middleware.
+ * @returns {object|void} - Returns a 401, 403 or 429 JSON response if authentication fails, otherwise proceeds to the next middleware.
  */
 const authMiddleware = function (req, res, next) {
+  const authorization = req.headers?.authorization
+  if (config.ENABLE_NOSTR_AUTH && isNostrAuthorization(authorization)) {
+    try {
+      req.nostrPubkey = verifyNostrAuthorization(
+        authorization,
+        {
+          method: req.method,
+          url: getRequestUrl(req, config.NOSTR_AUTH_BASE_URL),
+          body: req.rawBody,
+        },
+        {
+          maxAge: config.NOSTR_AUTH_MAX_AGE_IN_SECONDS,
+          allowedPubkeys: nostrAuthAllowedPubkeys,
+        }
+      )
+    } catch (error) {
+      return res.status(401).json({ message: error.message })
+    }
+    return next()
+  }
+
+  const token = typeof req.token !== 'undefined' ? req.token : null
+  // The shared API_TOKEN keeps working alongside the named keys
+  if (
+    apiKeys &&
+    token &&
+    !(config.ENABLE_API_TOKEN && config.API_TOKEN === token)
+  ) {
+    return authorizeApiKey(req, res, next, getRequiredScope(req.path))
+  }
+
   if (config.ENABLE_API_TOKEN) {
-    const token = typeof req.token !== 'undefined' ? req.token : null
     if (!token) {
       const error = new Error('Missing API token')
       error.statusCode = 401
@@ -59,6 +219,10 @@ const authMiddleware = function (req, res, next) {
       error.statusCode = 401
       return res.status(401).json({ message: error.message })
     }
+  } else if (apiKeys) {
+    return res.status(401).json({ message: 'Missing API key' })
+  } else if (config.ENABLE_NOSTR_AUTH) {
+    return res.status(401).json({ message: 'Missing Nostr authorization' })
   }
   next()
 }
@@ -66,15 +230,231 @@ const authMiddleware = function (req, res, next) {
 // Extract bearer token from Authorization header
 app.use(bearerToken())
 
+/**
+ * Authentication middleware of the admin endpoints, using a bearer token distinct from API_TOKEN,
+ * or a named API key with the `admin` scope if ENABLE_API_KEYS is true.
+ * The admin endpoints are disabled unless ADMIN_API_TOKEN is set or API keys are enabled.
+ * @param {object} req - Express request object. Expected to have a `req.token` property from `express-bearer-token`.
+ * @param {object} res - Express response object.
+ * @param {function} next - The next middleware function.
+ * @returns {object|void} - Returns a 403, 401 or 429 JSON response if authentication fails, otherwise proceeds to the next middleware.
+ */
+const adminAuthMiddleware = function (req, res, next) {
+  if (!config.ADMIN_API_TOKEN && !apiKeys) {
+    return res.status(403).json({ message: 'Admin API is disabled' })
+  }
+  if (!req.token) {
+    return res.status(401).json({ message: 'Missing admin API token' })
+  }
+  if (config.ADMIN_API_TOKEN && config.ADMIN_API_TOKEN === req.token) {
+    return next()
+  }
+  if (apiKeys) {
+    return authorizeApiKey(req, res, next, 'admin')
+  }
+  return res.status(401).json({ message: 'Invalid admin API token' })
+}
+
+/**
+ * Handles the POST /admin/models/reload endpoint which loads the models into new workers and switches the traffic to them.
+ * Registered before the API token authentication, it has its own admin token.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+app.post('/admin/models/reload', adminAuthMiddleware, async (req, res) => {
+  await reloadModelsHandler(req, res, { modelReloader })
+})
+
+/**
+ * Handles the GET /admin/hash-lists endpoint which returns the entries of the hash blocklist and allowlist.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+app.get('/admin/hash-lists', adminAuthMiddleware, (req, res) => {
+  listHashListsHandler(req, res, { hashLists })
+})
+
+/**
+ * Handles the POST /admin/hash-lists/:list endpoint which adds entries to the hash blocklist or allowlist.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+app.post('/admin/hash-lists/:list', adminAuthMiddleware, async (req, res) => {
+  await addHashListEntriesHandler(req, res, { hashLists })
+})
+
+/**
+ * Handles the DELETE /admin/hash-lists/:list/:hash endpoint which removes an entry from the hash blocklist or allowlist.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+app.delete(
+  '/admin/hash-lists/:list/:hash',
+  adminAuthMiddleware,
+  async (req, res) => {
+    await removeHashListEntryHandler(req, res, { hashLists })
+  }
+)
+
+/**
+ * Handles the GET /admin/api-keys endpoint which returns the API keys and their usage.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+app.get('/admin/api-keys', adminAuthMiddleware, (req, res) => {
+  listApiKeysHandler(req, res, { apiKeys })
+})
+
+/**
+ * Handles the POST /admin/api-keys/reload endpoint which reads the API key file again.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+app.post('/admin/api-keys/reload', adminAuthMiddleware, async (req, res) => {
+  await reloadApiKeysHandler(req, res, { apiKeys })
+})
+
 // Apply authentication middleware
 app.use(authMiddleware)
 
+// Rate limits of the prediction endpoints, applied after the authentication to count requests per API key,
+// and after the validation of the request so that invalid requests are not charged.
+// URLs take the /predict limit, base64 data and uploads the /predict_data limit.
+const predictRateLimiter = config.ENABLE_RATE_LIMIT
+  ? createRateLimiter({
+      capacity: config.RATE_LIMIT_PREDICT_BURST,
+      refillPerMinute: config.RATE_LIMIT_PREDICT_PER_MINUTE,
+      maxClients: config.RATE_LIMIT_MAX_CLIENTS,
+    })
+  : null
+const predictDataRateLimiter = config.ENABLE_RATE_LIMIT
+  ? createRateLimiter({
+      capacity: config.RATE_LIMIT_PREDICT_DATA_BURST,
+      refillPerMinute: config.RATE_LIMIT_PREDICT_DATA_PER_MINUTE,
+      maxClients: config.RATE_LIMIT_MAX_CLIENTS,
+    })
+  : null
+
+/**
+ * Creates the rate limit middlewares of an endpoint, none if rate limiting is disabled.
+ * @param {string} name - The limit name (`predict` or `predict_data`).
+ * @param {object} [options] - Middleware settings, see `createRateLimitMiddleware`.
+ * @returns {function[]} - The middlewares.
+ */
+const createRateLimit = (name, options = {}) =>
+  config.ENABLE_RATE_LIMIT
+    ? [
+        createRateLimitMiddleware(
+          name,
+          name === 'predict' ? predictRateLimiter : predictDataRateLimiter,
+          { skipCacheHits: config.RATE_LIMIT_SKIP_CACHE_HITS, ...options }
+        ),
+      ]
+    : []
+
+const predictRateLimit = createRateLimit('predict')
+const predictDataRateLimit = createRateLimit('predict_data')
+
+/**
+ * Creates the rate limit middlewares of an endpoint taking either a URL or data, which is limited like its input.
+ * @param {function(object): boolean} isDataRequest - Tells whether a request sends data rather than a URL.
+ * @returns {function[]} - The middlewares.
+ */
+const createInputRateLimit = (isDataRequest) =>
+  config.ENABLE_RATE_LIMIT
+    ? [
+        (req, res, next) =>
+          (isDataRequest(req) ? predictDataRateLimit : predictRateLimit)[0](
+            req,
+            res,
+            next
+          ),
+      ]
+    : []
+
+// Batches are charged one token per item, their cache hits are not given back
+const predictBatchRateLimit = createRateLimit('predict', {
+  skipCacheHits: false,
+  getCost: (req) => req.body.items.length,
+})
+
+/**
+ * Counts the media of the event of a /predict_event request, each one is charged like a batch item.
+ * @param {object} req - Express request object.
+ * @returns {number} - The number of media, 1 for an invalid event which is rejected by the handler.
+ */
+const countEventMedia = (req) => {
+  try {
+    return extractEventMedia(parseNostrEvent(req.body.event)).length
+  } catch {
+    return 1
+  }
+}
+const predictEventRateLimit = createRateLimit('predict', {
+  skipCacheHits: false,
+  getCost: countEventMedia,
+})
+
+/**
+ * Deletes the upload streamed to disk of a request rejected by its rate limit, the handler deletes the others.
+ * @param {{path: string}} upload - The uploaded file.
+ * @returns {Promise<void>}
+ */
+const deleteRejectedUpload = async (upload) => {
+  const [err] = await to(deleteFile(upload.path))
+  if (err) {
+    console.warn(
+      `[Cleanup Warning] Failed to delete uploaded file ${upload.path}: ${err.message}`
+    )
+  }
+}
+
+/**
+ * Wraps the rate limit middlewares of an upload endpoint, which run once the upload is read,
+ * to delete the uploads of the rejected requests.
+ * @param {function[]} rateLimit - The rate limit middlewares.
+ * @returns {function[]} - The middlewares.
+ */
+const withRejectedUploadCleanup = (rateLimit) =>
+  rateLimit.map((middleware) => (req, res, next) => {
+    let allowed = false
+    middleware(req, res, () => {
+      allowed = true
+      next()
+    })
+    if (!allowed && req.file?.path) {
+      deleteRejectedUpload(req.file)
+    }
+  })
+
+const predictFileRateLimit = withRejectedUploadCleanup(predictDataRateLimit)
+const censorRateLimit = withRejectedUploadCleanup(
+  createInputRateLimit((req) =>
+    req.is(['multipart/form-data', 'application/octet-stream'])
+  )
+)
+const createJobRateLimit = createInputRateLimit(
+  (req) => typeof req.body.data === 'string'
+)
+
+/**
+ * Zod schema for the optional moderation policy name of a request.
+ */
+const policySchema = z.string().min(1, 'Policy cannot be empty').optional()
+
+/**
+ * Zod schema for the optional model id of a request.
+ */
+const modelSchema = z.string().min(1, 'Model cannot be empty').optional()
+
 /**
  * Zod schema for validating the request body of the /predict endpoint.
  * Ensures the presence and correct format of the 'url' field.
  */
 const predictUrlSchema = z.object({
   url: z.string().url('Invalid URL format'),
+  policy: policySchema,
+  model: modelSchema,
 })
 
 /**
@@ -83,8 +463,60 @@ const predictUrlSchema = z.object({
  */
 const predictDataSchema = z.object({
   data: z.string().min(1, 'Data cannot be empty'),
+  policy: policySchema,
+  model: modelSchema,
+})
+
+/**
+ * Zod schema for validating the request body of the /predict_batch endpoint.
+ * Each item must carry either a 'url' or a base64 'data' field.
+ */
+const predictBatchSchema = z.object({
+  items: z
+    .array(
+      z.union([
+        z.object({ url: z.string().min(1, 'URL cannot be empty') }),
+        z.object({ data: z.string().min(1, 'Data cannot be empty') }),
+      ])
+    )
+    .min(1, 'Batch cannot be empty')
+    .max(
+      config.BATCH_MAX_ITEMS,
+      `Batch cannot contain more than ${config.BATCH_MAX_ITEMS} items`
+    ),
+  policy: policySchema,
+  model: modelSchema,
 })
 
+/**
+ * Zod schema for validating the request body of the /predict_event endpoint.
+ * The Nostr event itself is validated by the handler, which reports its invalid fields.
+ */
+const predictEventSchema = z.object({
+  event: z.looseObject({}),
+  policy: policySchema,
+  model: modelSchema,
+})
+
+/**
+ * Zod schema for validating the request body of the POST /jobs endpoint.
+ * The job input is either a 'url' or a base64 'data' field, with an optional 'callback_url'.
+ */
+const createJobSchema = z.union([
+  z.object({
+    url: z.string().url('Invalid URL format'),
+    callback_url: z.string().url('Invalid callback URL format').optional(),
+    policy: policySchema,
+    model: modelSchema,
+  }),
+  z.object({
+    data: z.string().min(1, 'Data cannot be empty'),
+    callback_url: z.string().url('Invalid callback URL format').optional(),
+    policy: policySchema,
+    model: modelSchema,
+  }),
+])
+
 /**
  * Middleware factory to validate request bodies against a given Zod schema.
  * @param {z.ZodSchema} schema - The Zod schema to validate against.
@@ -104,6 +536,68 @@ const validateRequest = (schema) => (req, res, next) => {
   }
 }
 
+// --- File Upload Parsers ---
+const MAX_UPLOAD_SIZE_BYTES = config.MAX_UPLOAD_SIZE_MB * 1024 * 1024
+
+// Keep uploads in memory for buffer processing, otherwise stream them to disk
+const uploadStorage = config.ENABLE_BUFFER_PROCESSING
+  ? multer.memoryStorage()
+  : multer.diskStorage({
+      destination: config.IMG_DOWNLOAD_PATH,
+      filename: (_req, _file, callback) =>
+        callback(null, `${randomUUID()}_upload`),
+    })
+
+const multipartUpload = multer({
+  storage: uploadStorage,
+  limits: { fileSize: MAX_UPLOAD_SIZE_BYTES, files: 1 },
+}).single('file')
+
+const rawUpload = bodyparser.raw({
+  type: 'application/octet-stream',
+  limit: MAX_UPLOAD_SIZE_BYTES,
+})
+
+/**
+ * Middleware to parse an uploaded file from either a multipart/form-data body (`file` field)
+ * or a raw application/octet-stream body, enforcing MAX_UPLOAD_SIZE_MB.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - The next middleware function.
+ * @returns {object|void} - Returns a 413 or 400 JSON response if parsing fails, otherwise proceeds to the next middleware.
+ */
+const uploadMiddleware = function (req, res, next) {
+  const parser = req.is('multipart/form-data') ? multipartUpload : rawUpload
+  parser(req, res, (err) => {
+    if (!err) {
+      return next()
+    }
+    if (err.code === 'LIMIT_FILE_SIZE' || err.type === 'entity.too.large') {
+      return res.status(413).json({
+        message: `File exceeds maximum allowed size of ${config.MAX_UPLOAD_SIZE_MB} MB`,
+      })
+    }
+    return res
+      .status(400)
+      .json({ message: `Invalid file upload: ${err.message}` })
+  })
+}
+
+/**
+ * Middleware to parse the input of the /censor endpoint.
+ * JSON bodies are already parsed; uploaded files go through the upload middleware.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - The next middleware function.
+ * @returns {object|void} - Proceeds to the next middleware, or returns the error response of the upload middleware.
+ */
+const censorInputMiddleware = function (req, res, next) {
+  if (req.is(['multipart/form-data', 'application/octet-stream'])) {
+    return uploadMiddleware(req, res, next)
+  }
+  next()
+}
+
 /**
  * Handles the root endpoint and returns a welcome message.
  * @param {object} req - Express request object.
@@ -116,38 +610,65 @@ app.get('/', (req, res) => {
 })
 
 /**
- * Handles the /predict endpoint for URL-based NSFW detection.
+ * Handles the /metrics endpoint which returns the service metrics in Prometheus text format.
  * @param {object} req - Express request object.
  * @param {object} res - Express response object.
  */
-app.post('/predict', validateRequest(predictUrlSchema), async (req, res) => {
-  const abortController = new AbortController()
-  req.on('aborted', () => {
-    if (res.writableEnded) {
-      // If response has already been sent, no need to abort
-      return
-    }
-    abortController.abort()
-    console.log('Client disconnected, aborting request.')
-  })
+if (config.ENABLE_METRICS) {
+  app.get('/metrics', metricsHandler)
+}
 
-  await predictUrlHandler(
-    req,
-    res,
-    {
-      nsfwSpy,
-      imageProcessingInstance,
-      resultCache,
-      mutexes,
-      limit,
-      config,
-      cleanupTemporaryFile,
-      Mutex,
-    },
-    abortController.signal
-  )
+/**
+ * Handles the GET /models endpoint which lists the available models.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+app.get('/models', (req, res) => {
+  listModelsHandler(req, res, { modelRegistry })
 })
 
+/**
+ * Handles the /predict endpoint for URL-based NSFW detection.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+app.post(
+  '/predict',
+  validateRequest(predictUrlSchema),
+  ...predictRateLimit,
+  async (req, res) => {
+    const abortController = new AbortController()
+    req.on('aborted', () => {
+      if (res.writableEnded) {
+        // If response has already been sent, no need to abort
+        return
+      }
+      abortController.abort()
+      console.log('Client disconnected, aborting request.')
+    })
+
+    await predictUrlHandler(
+      req,
+      res,
+      {
+        nsfwSpy,
+        imageProcessingInstance,
+        resultCache: trackCacheHits(resultCache, req),
+        mutexes,
+        limit,
+        config,
+        cleanupTemporaryFile,
+        Mutex,
+        moderationPolicies,
+        nearDuplicateIndex,
+        hashLists,
+        modelRegistry,
+      },
+      abortController.signal
+    )
+  }
+)
+
 /**
  * Handles the /predict_data endpoint for base64 image data NSFW detection.
  * @param {object} req - Express request object.
@@ -156,23 +677,258 @@ app.post('/predict', validateRequest(predictUrlSchema), async (req, res) => {
 app.post(
   '/predict_data',
   validateRequest(predictDataSchema),
+  ...predictDataRateLimit,
   async (req, res) => {
     await predictDataHandler(req, res, {
       nsfwSpy,
       imageProcessingInstance,
-      resultCache,
+      resultCache: trackCacheHits(resultCache, req),
+      mutexes,
+      Mutex,
       config, // Pass the config object
       cleanupTemporaryFile, // Although not strictly needed in predictDataHandler, keeping consistent
+      moderationPolicies,
+      nearDuplicateIndex,
+      hashLists,
+      modelRegistry,
+    })
+  }
+)
+
+/**
+ * Handles the /predict_file endpoint for uploaded image file NSFW detection.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+app.post(
+  '/predict_file',
+  uploadMiddleware,
+  ...predictFileRateLimit,
+  async (req, res) => {
+    await predictFileHandler(req, res, {
+      nsfwSpy,
+      imageProcessingInstance,
+      resultCache: trackCacheHits(resultCache, req),
+      mutexes,
+      Mutex,
+      config,
+      moderationPolicies,
+      nearDuplicateIndex,
+      hashLists,
+      modelRegistry,
     })
   }
 )
 
+/**
+ * Handles the /predict_batch endpoint for NSFW detection of many URLs or base64 items in one call.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+app.post(
+  '/predict_batch',
+  validateRequest(predictBatchSchema),
+  ...predictBatchRateLimit,
+  async (req, res) => {
+    const abortController = new AbortController()
+    req.on('aborted', () => {
+      if (res.writableEnded) {
+        return
+      }
+      abortController.abort()
+      console.log('Client disconnected, aborting batch request.')
+    })
+
+    await predictBatchHandler(
+      req,
+      res,
+      {
+        nsfwSpy,
+        imageProcessingInstance,
+        resultCache,
+        mutexes,
+        limit,
+        config,
+        cleanupTemporaryFile,
+        Mutex,
+        moderationPolicies,
+        nearDuplicateIndex,
+        hashLists,
+        modelRegistry,
+      },
+      abortController.signal
+    )
+  }
+)
+
+/**
+ * Handles the /predict_event endpoint for NSFW detection of every media item of a Nostr event.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+app.post(
+  '/predict_event',
+  validateRequest(predictEventSchema),
+  ...predictEventRateLimit,
+  async (req, res) => {
+    const abortController = new AbortController()
+    req.on('aborted', () => {
+      if (res.writableEnded) {
+        return
+      }
+      abortController.abort()
+      console.log('Client disconnected, aborting event request.')
+    })
+
+    await predictEventHandler(
+      req,
+      res,
+      {
+        nsfwSpy,
+        imageProcessingInstance,
+        resultCache,
+        mutexes,
+        limit,
+        config,
+        cleanupTemporaryFile,
+        Mutex,
+        moderationPolicies,
+        nearDuplicateIndex,
+        hashLists,
+        modelRegistry,
+      },
+      abortController.signal
+    )
+  }
+)
+
+/**
+ * Handles the /censor endpoint which returns a blurred or pixelated copy of NSFW images.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+app.post(
+  '/censor',
+  censorInputMiddleware,
+  ...censorRateLimit,
+  async (req, res) => {
+    const abortController = new AbortController()
+    req.on('aborted', () => {
+      if (res.writableEnded) {
+        return
+      }
+      abortController.abort()
+      console.log('Client disconnected, aborting censor request.')
+    })
+
+    await censorHandler(
+      req,
+      res,
+      {
+        nsfwSpy,
+        imageProcessingInstance,
+        resultCache,
+        mutexes,
+        Mutex,
+        config,
+        moderationPolicies,
+        nearDuplicateIndex,
+        hashLists,
+        modelRegistry,
+      },
+      abortController.signal
+    )
+  }
+)
+
+/**
+ * Handles the POST /jobs endpoint which enqueues an asynchronous URL or data prediction.
+ * Jobs are not bound to the request, they keep running after the response and are cancelled with DELETE /jobs/:id.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+app.post(
+  '/jobs',
+  validateRequest(createJobSchema),
+  ...createJobRateLimit,
+  async (req, res) => {
+    await createJobHandler(req, res, {
+      nsfwSpy,
+      imageProcessingInstance,
+      resultCache,
+      mutexes,
+      limit,
+      config,
+      cleanupTemporaryFile,
+      Mutex,
+      moderationPolicies,
+      nearDuplicateIndex,
+      hashLists,
+      modelRegistry,
+      jobManager,
+    })
+  }
+)
+
+/**
+ * Handles the GET /jobs/:id endpoint which returns the status and result of a job.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+app.get('/jobs/:id', async (req, res) => {
+  await getJobHandler(req, res, { jobManager })
+})
+
+/**
+ * Handles the DELETE /jobs/:id endpoint which cancels a queued or running job.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+app.delete('/jobs/:id', async (req, res) => {
+  await cancelJobHandler(req, res, { jobManager })
+})
+
+// --- Nostr Labeler (labels the media of the notes of the configured relays) ---
+const nostrLabeler = config.ENABLE_NOSTR_LABELER
+  ? createNostrLabeler({
+      nsfwSpy,
+      imageProcessingInstance,
+      resultCache,
+      mutexes,
+      limit,
+      config,
+      Mutex,
+      nearDuplicateIndex,
+      hashLists,
+    })
+  : null
+
+// --- Nostr DVM (answers the NIP-90 classification job requests of the configured relays) ---
+const nostrDvm = config.ENABLE_NOSTR_DVM
+  ? createNostrDvm({
+      nsfwSpy,
+      imageProcessingInstance,
+      resultCache,
+      mutexes,
+      limit,
+      config,
+      Mutex,
+      nearDuplicateIndex,
+      hashLists,
+      modelRegistry,
+    })
+  : null
+
 // Graceful shutdown
 const gracefulShutdown = async () => {
   console.log('Shutting down gracefully...')
+  healthMonitor.markShuttingDown() // Load balancers stop routing to us
   await Promise.allSettled([
-    nsfwDetectorWorkerPool.terminate(false, 2000),
+    nostrLabeler?.stop(),
+    nostrDvm?.stop(),
+    modelReloader.terminate(false, 2000),
     imageProcessingWorkerPool.terminate(false, 2000),
+    resultCache.close(),
   ])
   console.log('NSFW detector worker pool terminated.')
   console.log('Image processing worker pool terminated.')
@@ -182,7 +938,24 @@ const gracefulShutdown = async () => {
 process.on('SIGTERM', gracefulShutdown)
 process.on('SIGINT', gracefulShutdown) // Ctrl+C
 
+// Reload the models (and the API keys) without restarting, the current ones stay active if the reload fails
+process.on('SIGHUP', async () => {
+  console.log('SIGHUP received, reloading models...')
+  await to(modelReloader.reload()) // The reloader logs the outcome
+  if (apiKeys) {
+    const [err] = await to(apiKeys.reload())
+    if (err) {
+      console.error(
+        `API key reload failed, keeping the current keys: ${err.message}`
+      )
+    }
+  }
+})
+
 // Start the Express server
 app.listen(config.PORT, () => {
   console.log(`Listening on port ${config.PORT} ...`)
+  healthMonitor.warmup() // /readyz fails until the warmup succeeds
+  nostrLabeler?.start()
+  nostrDvm?.start()
 })
@@ -0,0 +1,227 @@
+import axios from 'axios'
+import pLimit from 'p-limit'
+import { LRUCache } from 'lru-cache'
+import { randomUUID } from 'node:crypto'
+import { getImageTooLargeErrorCode } from './errors.mjs'
+
+/**
+ * Job statuses. `completed`, `failed` and `cancelled` are terminal.
+ * @type {string[]}
+ */
+export const JOB_STATUSES = [
+  'queued',
+  'running',
+  'completed',
+  'failed',
+  'cancelled',
+]
+
+/**
+ * @typedef {object} JobView
+ * @property {string} id - The job id.
+ * @property {string} status - One of JOB_STATUSES.
+ * @property {{type: string, url?: string}} input - The job input (base64 data is not echoed).
+ * @property {string} createdAt - ISO date of the job creation.
+ * @property {string} [startedAt] - ISO date of the job start.
+ * @property {string} [finishedAt] - ISO date of the job end.
+ * @property {object} [result] - The prediction result of a completed job.
+ * @property {string} [error] - The error message of a failed job.
+ * @property {string} [errorCode] - The error code of a job failed on an image over the size or pixel limits (`ERR_IMAGE_TOO_LARGE` or `ERR_IMAGE_TOO_MANY_PIXELS`).
+ * @property {{url: string, status: string, statusCode?: number, error?: string}} [callback] - The completion callback delivery.
+ */
+
+/**
+ * @typedef {object} JobManager
+ * @property {(input: {type: string, url?: string}, task: (signal: AbortSignal) => Promise<object>, options?: {callbackUrl?: string}) => JobView} createJob - Enqueues a job and returns it immediately.
+ * @property {(id: string) => JobView|undefined} getJob - Returns a job.
+ * @property {(id: string) => JobView|undefined} cancelJob - Cancels a queued or running job.
+ */
+
+/**
+ * Posts the job to its callback URL.
+ * @param {string} callbackUrl - The callback URL.
+ * @param {JobView} job - The finished job.
+ * @param {object} options - Request options.
+ * @param {number} options.timeout - The request timeout in milliseconds.
+ * @param {object} [options.headers={}] - Additional headers for the request.
+ * @returns {Promise<number>} - The response status code.
+ * @throws {Error} If the request fails or the response status is not 2xx.
+ */
+export const postJobCallback = async (
+  callbackUrl,
+  job,
+  { timeout, headers = {} }
+) => {
+  const response = await axios.post(
+    callbackUrl,
+    { data: job },
+    { timeout, headers, maxRedirects: 0 }
+  )
+  return response.status
+}
+
+/**
+ * Factory function to create an in-memory job manager.
+ * Jobs run with bounded concurrency, each with its own AbortController so they can be cancelled.
+ * Finished jobs are kept for polling until they expire or are evicted by newer jobs.
+ * @param {object} options - Job manager settings.
+ * @param {number} options.maxJobs - Maximum number of jobs kept in memory.
+ * @param {number} options.ttlInSeconds - Time to keep a job after its last update.
+ * @param {number} options.concurrency - Maximum number of jobs running concurrently.
+ * @param {number} options.callbackTimeout - The callback request timeout in milliseconds.
+ * @param {object} [options.callbackHeaders={}] - Additional headers for callback requests.
+ * @param {typeof postJobCallback} [options.sendCallback=postJobCallback] - Function delivering completion callbacks.
+ * @returns {JobManager} - The job manager.
+ */
+export const createJobManager = ({
+  maxJobs,
+  ttlInSeconds,
+  concurrency,
+  callbackTimeout,
+  callbackHeaders = {},
+  sendCallback = postJobCallback,
+}) => {
+  const jobs = new LRUCache({
+    max: maxJobs,
+    ttl: ttlInSeconds * 1000,
+    // Evicted or expired jobs must not keep running
+    dispose: (job) => job.abortController.abort(),
+  })
+  const limit = pLimit(concurrency)
+
+  /**
+   * Builds the public view of a job.
+   * @param {object} job - The internal job record.
+   * @returns {JobView} - The public view.
+   */
+  const toView = (job) => ({
+    id: job.id,
+    status: job.status,
+    input: job.input,
+    createdAt: job.createdAt,
+    ...(job.startedAt && { startedAt: job.startedAt }),
+    ...(job.finishedAt && { finishedAt: job.finishedAt }),
+    ...(job.result !== undefined && { result: job.result }),
+    ...(job.error !== undefined && { error: job.error }),
+    ...(job.errorCode && { errorCode: job.errorCode }),
+    ...(job.callback && { callback: { ...job.callback } }),
+  })
+
+  /**
+   * Updates a job and refreshes its time to live.
+   * Jobs removed in the meantime (evicted or expired) are not brought back.
+   * @param {object} job - The internal job record.
+   * @param {object} changes - The fields to update.
+   */
+  const updateJob = (job, changes) => {
+    Object.assign(job, changes)
+    if (jobs.peek(job.id) === job) {
+      jobs.set(job.id, job)
+    }
+  }
+
+  /**
+   * Delivers the completion callback of a finished job, if it has one.
+   * @param {object} job - The internal job record.
+   */
+  const notify = async (job) => {
+    if (!job.callback) {
+      return
+    }
+    try {
+      const statusCode = await sendCallback(job.callback.url, toView(job), {
+        timeout: callbackTimeout,
+        headers: callbackHeaders,
+      })
+      updateJob(job, {
+        callback: { ...job.callback, status: 'delivered', statusCode },
+      })
+    } catch (error) {
+      console.warn(
+        `[Job ${job.id}] Failed to deliver callback to ${job.callback.url}: ${error.message}`
+      )
+      updateJob(job, {
+        callback: {
+          ...job.callback,
+          status: 'failed',
+          ...(error.response?.status && { statusCode: error.response.status }),
+          error: error.message,
+        },
+      })
+    }
+  }
+
+  /**
+   * Runs a job task and records its outcome.
+   * @param {object} job - The internal job record.
+   * @param {(signal: AbortSignal) => Promise<object>} task - The job task.
+   */
+  const run = async (job, task) => {
+    if (job.status === 'cancelled' || job.abortController.signal.aborted) {
+      return // Cancelled or evicted while queued
+    }
+    updateJob(job, { status: 'running', startedAt: new Date().toISOString() })
+
+    try {
+      const result = await task(job.abortController.signal)
+      if (job.abortController.signal.aborted) {
+        return // Cancelled at the end of the task, keep the cancelled status
+      }
+      updateJob(job, {
+        status: 'completed',
+        finishedAt: new Date().toISOString(),
+        result,
+      })
+    } catch (error) {
+      if (job.abortController.signal.aborted) {
+        return
+      }
+      updateJob(job, {
+        status: 'failed',
+        finishedAt: new Date().toISOString(),
+        error: error.message,
+        errorCode: getImageTooLargeErrorCode(error),
+      })
+    }
+
+    await notify(job)
+  }
+
+  return {
+    createJob: (input, task, { callbackUrl } = {}) => {
+      const job = {
+        id: randomUUID(),
+        status: 'queued',
+        input,
+        createdAt: new Date().toISOString(),
+        abortController: new AbortController(),
+        ...(callbackUrl && {
+          callback: { url: callbackUrl, status: 'pending' },
+        }),
+      }
+      jobs.set(job.id, job)
+      limit(() => run(job, task))
+      return toView(job)
+    },
+
+    getJob: (id) => {
+      const job = jobs.get(id)
+      return job ? toView(job) : undefined
+    },
+
+    cancelJob: (id) => {
+      const job = jobs.get(id)
+      if (!job) {
+        return undefined
+      }
+      if (job.status === 'queued' || job.status === 'running') {
+        updateJob(job, {
+          status: 'cancelled',
+          finishedAt: new Date().toISOString(),
+        })
+        job.abortController.abort()
+      }
+      return toView(job)
+    },
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * Number of leading bytes needed to recognize the supported formats.
+ * Covers the ISO-BMFF `ftyp` box with its compatible brands and the Matroska EBML header with its DocType.
+ * @type {number}
+ */
+export const SNIFF_BYTE_COUNT = 256
+
+/**
+ * ISO-BMFF brands of AVIF images, the other brands are handled as MP4 videos.
+ * @type {string[]}
+ */
+const AVIF_BRANDS = ['avif', 'avis']
+
+/**
+ * Top-level QuickTime atoms found at the start of files without an `ftyp` box.
+ * @type {string[]}
+ */
+const QUICKTIME_ATOMS = ['moov', 'mdat', 'wide']
+
+/**
+ * @typedef {object} MediaFormat
+ * @property {'image'|'video'} type - The media type.
+ * @property {string} format - The container or image format (jpeg, png, gif, webp, avif, mp4, quicktime, webm or matroska).
+ */
+
+/**
+ * Checks whether bytes start with a signature at a given offset.
+ * @param {Buffer} bytes - The leading bytes of the content.
+ * @param {number[]|string} signature - The expected bytes, or an ASCII string.
+ * @param {number} [offset=0] - Offset of the signature.
+ * @returns {boolean} - True if the signature matches.
+ */
+const hasSignature = (bytes, signature, offset = 0) => {
+  const expected = Buffer.from(signature)
+  return (
+    bytes.length >= offset + expected.length &&
+    bytes.subarray(offset, offset + expected.length).equals(expected)
+  )
+}
+
+/**
+ * Recognizes an ISO-BMFF file (MP4, QuickTime, AVIF) from its `ftyp` box.
+ * @param {Buffer} bytes - The leading bytes of the content.
+ * @returns {MediaFormat|null} - The format, null if the content does not start with an `ftyp` box.
+ */
+const sniffIsoBmff = (bytes) => {
+  if (!hasSignature(bytes, 'ftyp', 4) || bytes.length < 12) {
+    return null
+  }
+  const boxSize = Math.min(bytes.readUInt32BE(0), bytes.length)
+  const majorBrand = bytes.toString('latin1', 8, 12)
+  // The major brand, then the compatible brands after the minor version
+  const brands = [majorBrand]
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+    brands.push(bytes.toString('latin1', offset, offset + 4))
+  }
+
+  if (brands.some((brand) => AVIF_BRANDS.includes(brand))) {
+    return { type: 'image', format: 'avif' }
+  }
+  if (majorBrand === 'qt  ') {
+    return { type: 'video', format: 'quicktime' }
+  }
+  return { type: 'video', format: 'mp4' }
+}
+
+/**
+ * Recognizes a Matroska file from its EBML header, WebM being identified by its DocType.
+ * @param {Buffer} bytes - The leading bytes of the content.
+ * @returns {MediaFormat|null} - The format, null if the content does not start with an EBML header.
+ */
+const sniffMatroska = (bytes) => {
+  if (!hasSignature(bytes, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return null
+  }
+  // DocType element (0x4282), its one byte size and the "webm" value
+  const docType = bytes.indexOf(Buffer.from([0x42, 0x82]))
+  if (docType !== -1 && hasSignature(bytes, 'webm', docType + 3)) {
+    return { type: 'video', format: 'webm' }
+  }
+  return { type: 'video', format: 'matroska' }
+}
+
+/**
+ * Recognizes the media format from the magic numbers of the first bytes of the content.
+ * @param {Buffer} bytes - The leading bytes of the content (at least SNIFF_BYTE_COUNT bytes when available).
+ * @returns {MediaFormat|null} - The format, null if it is not a supported image or video format.
+ */
+export const sniffMediaFormat = (bytes) => {
+  if (!bytes?.length) {
+    return null
+  }
+  if (hasSignature(bytes, [0xff, 0xd8, 0xff])) {
+    return { type: 'image', format: 'jpeg' }
+  }
+  if (hasSignature(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return { type: 'image', format: 'png' }
+  }
+  if (hasSignature(bytes, 'GIF87a') || hasSignature(bytes, 'GIF89a')) {
+    return { type: 'image', format: 'gif' }
+  }
+  if (hasSignature(bytes, 'RIFF') && hasSignature(bytes, 'WEBP', 8)) {
+    return { type: 'image', format: 'webp' }
+  }
+  const isoBmff = sniffIsoBmff(bytes)
+  if (isoBmff) {
+    return isoBmff
+  }
+  const matroska = sniffMatroska(bytes)
+  if (matroska) {
+    return matroska
+  }
+  if (QUICKTIME_ATOMS.some((atom) => hasSignature(bytes, atom, 4))) {
+    return { type: 'video', format: 'quicktime' }
+  }
+  return null
+}
+
+/**
+ * Detects whether content is an image or a video.
+ * The magic numbers of the content take precedence over the Content-Type header, which servers often get wrong
+ * (e.g. `application/octet-stream` or `image/jpeg` for every file).
+ * @param {Buffer} [bytes] - The leading bytes of the content.
+ * @param {string} [contentType] - The Content-Type header of the response.
+ * @returns {'image'|'video'|null} - The media type, null if neither the bytes nor the header are recognized.
+ */
+export const detectMediaType = (bytes, contentType) => {
+  const sniffed = sniffMediaFormat(bytes)
+  if (sniffed) {
+    return sniffed.type
+  }
+  const mimeType = (contentType ?? '').split(';')[0].trim().toLowerCase()
+  if (mimeType.startsWith('image/')) {
+    return 'image'
+  }
+  if (mimeType.startsWith('video/')) {
+    return 'video'
+  }
+  return null
+}
@@ -0,0 +1,210 @@
+import {
+  Registry,
+  Counter,
+  Gauge,
+  Histogram,
+  collectDefaultMetrics,
+} from 'prom-client'
+
+/**
+ * Prometheus registry holding every metric of the service, exposed by GET /metrics.
+ */
+export const registry = new Registry()
+
+// Process metrics (CPU, memory, event loop lag, ...)
+collectDefaultMetrics({ register: registry })
+
+/**
+ * Buckets in seconds shared by the latency histograms, from fast cache hits to slow video downloads.
+ * @type {number[]}
+ */
+const DURATION_BUCKETS = [
+  0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60,
+]
+
+export const httpRequestsTotal = new Counter({
+  name: 'http_requests_total',
+  help: 'Number of HTTP requests by route and status code',
+  labelNames: ['method', 'route', 'status_code'],
+  registers: [registry],
+})
+
+export const httpRequestDurationSeconds = new Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by route and status code in seconds',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: DURATION_BUCKETS,
+  registers: [registry],
+})
+
+export const cacheRequestsTotal = new Counter({
+  name: 'nsfw_detector_cache_requests_total',
+  help: 'Number of result cache lookups by key type (url, content) and result (hit, miss)',
+  labelNames: ['type', 'result'],
+  registers: [registry],
+})
+
+export const videoDownloadTiersTotal = new Counter({
+  name: 'nsfw_detector_video_download_tiers_total',
+  help: 'Number of video download attempts by fallback tier (stream, buffer, file) and outcome (success, failure)',
+  labelNames: ['tier', 'outcome'],
+  registers: [registry],
+})
+
+export const stageDurationSeconds = new Histogram({
+  name: 'nsfw_detector_stage_duration_seconds',
+  help: 'Duration of the prediction stages (download, extract_frames, preprocess, classify) in seconds',
+  labelNames: ['stage'],
+  buckets: DURATION_BUCKETS,
+  registers: [registry],
+})
+
+export const hashListMatchesTotal = new Counter({
+  name: 'nsfw_detector_hash_list_matches_total',
+  help: 'Number of images given the fixed verdict of a hash list (blocklist, allowlist)',
+  labelNames: ['list'],
+  registers: [registry],
+})
+
+export const nostrLabelerMediaTotal = new Counter({
+  name: 'nsfw_detector_nostr_labeler_media_total',
+  help: 'Number of media of relay events processed by the Nostr labeler by outcome (labeled, failed, dropped)',
+  labelNames: ['outcome'],
+  registers: [registry],
+})
+
+export const nostrDvmJobsTotal = new Counter({
+  name: 'nsfw_detector_nostr_dvm_jobs_total',
+  help: 'Number of job requests answered by the Nostr DVM by outcome (succeeded, failed, rejected)',
+  labelNames: ['outcome'],
+  registers: [registry],
+})
+
+export const apiKeyRequestsTotal = new Counter({
+  name: 'nsfw_detector_api_key_requests_total',
+  help: 'Number of requests authenticated with an API key by key name and outcome (allowed, forbidden, limited)',
+  labelNames: ['key', 'outcome'],
+  registers: [registry],
+})
+
+export const rateLimitedRequestsTotal = new Counter({
+  name: 'nsfw_detector_rate_limited_requests_total',
+  help: 'Number of requests rejected by the rate limit by limit (predict, predict_data)',
+  labelNames: ['limit'],
+  registers: [registry],
+})
+
+export const predictionsTotal = new Counter({
+  name: 'nsfw_detector_predictions_total',
+  help: 'Number of classified media by predicted label (cache hits excluded)',
+  labelNames: ['label'],
+  registers: [registry],
+})
+
+/**
+ * Worker pools reported by the worker pool gauges, keyed by pool name.
+ * @type {Map<string, import('workerpool').Pool>}
+ */
+const workerPools = new Map()
+
+new Gauge({
+  name: 'nsfw_detector_worker_pool_pending_tasks',
+  help: 'Number of tasks waiting for a free worker',
+  labelNames: ['pool'],
+  registers: [registry],
+  collect() {
+    for (const [name, pool] of workerPools) {
+      this.set({ pool: name }, pool.stats().pendingTasks)
+    }
+  },
+})
+
+new Gauge({
+  name: 'nsfw_detector_worker_pool_busy_workers',
+  help: 'Number of workers running a task',
+  labelNames: ['pool'],
+  registers: [registry],
+  collect() {
+    for (const [name, pool] of workerPools) {
+      this.set({ pool: name }, pool.stats().busyWorkers)
+    }
+  },
+})
+
+new Gauge({
+  name: 'nsfw_detector_worker_pool_workers',
+  help: 'Number of workers in the pool',
+  labelNames: ['pool'],
+  registers: [registry],
+  collect() {
+    for (const [name, pool] of workerPools) {
+      this.set({ pool: name }, pool.stats().totalWorkers)
+    }
+  },
+})
+
+/**
+ * Adds a worker pool to the worker pool gauges, its stats are read on every scrape.
+ * @param {string} name - The pool name used as `pool` label.
+ * @param {import('workerpool').Pool} pool - The worker pool.
+ */
+export const registerWorkerPoolMetrics = (name, pool) => {
+  workerPools.set(name, pool)
+}
+
+/**
+ * Wraps a result cache to count its lookups as hits or misses.
+ * The key type is the key prefix (`url` or `content`).
+ * @param {import('./result-cache.mjs').ResultCache} resultCache - The result cache.
+ * @returns {import('./result-cache.mjs').ResultCache} - The same cache, with counted lookups.
+ */
+export const withCacheMetrics = (resultCache) => ({
+  ...resultCache,
+  get: (key) => {
+    const value = resultCache.get(key)
+    cacheRequestsTotal.inc({
+      type: key.split('-')[0],
+      result: value === undefined ? 'miss' : 'hit',
+    })
+    return value
+  },
+})
+
+/**
+ * Counts a classification result by its predicted label.
+ * @param {{predictedLabel?: string}} result - The classification result.
+ */
+export const recordPrediction = (result) => {
+  predictionsTotal.inc({ label: result?.predictedLabel || 'unknown' })
+}
+
+/**
+ * Middleware to count HTTP requests and measure their latency.
+ * Requests are labelled with their matched route pattern (e.g. `/jobs/:id`) to keep the label cardinality bounded.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const metricsMiddleware = (req, res, next) => {
+  const end = httpRequestDurationSeconds.startTimer()
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? (req.baseUrl || '') + req.route.path : 'unmatched',
+      status_code: res.statusCode,
+    }
+    end(labels)
+    httpRequestsTotal.inc(labels)
+  })
+  next()
+}
+
+/**
+ * Handles GET /metrics and returns the metrics in Prometheus text format.
+ * @param {object} _req - Express request object (unused).
+ * @param {object} res - Express response object.
+ */
+export const metricsHandler = async (_req, res) => {
+  res.set('Content-Type', registry.contentType)
+  res.status(200).send(await registry.metrics())
+}
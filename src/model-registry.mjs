@@ -0,0 +1,159 @@
+import { to } from 'await-to-js'
+import * as fs from 'node:fs/promises'
+import path from 'node:path'
+import { z } from 'zod'
+
+/**
+ * Name of the manifest file describing a model in its directory.
+ * @type {string}
+ */
+const MANIFEST_FILENAME = 'manifest.json'
+
+/**
+ * @typedef {object} ModelManifest
+ * @property {string} id - The model id, the name of its directory.
+ * @property {string} description - A human readable description of the model.
+ * @property {string} modelPath - The `file://` URL of the TensorFlow.js graph model (model.json).
+ * @property {number} inputSize - The width and height of the model input in pixels.
+ * @property {string} inputNode - The name of the input tensor.
+ * @property {string} outputNode - The name of the output tensor.
+ * @property {string[]} labels - The labels of the output scores, in order.
+ * @property {{mean: number, std: number}} normalization - The input pixels (0-255) are normalized as `(pixel - mean) / std`.
+ */
+
+/**
+ * @typedef {object} ModelRegistry
+ * @property {Map<string, ModelManifest>} models - The available models, keyed by id.
+ * @property {string} defaultModel - The id of the model used when none is requested.
+ */
+
+/**
+ * Zod schema for the content of a model manifest.
+ */
+const modelManifestSchema = z.object({
+  description: z.string().default(''),
+  modelFile: z.string().min(1).default('model.json'),
+  inputSize: z.number().int().positive(),
+  inputNode: z.string().min(1, 'Input node cannot be empty'),
+  outputNode: z.string().min(1, 'Output node cannot be empty'),
+  labels: z.array(z.string().min(1)).min(1, 'Labels cannot be empty'),
+  normalization: z
+    .object({
+      mean: z.number().default(0),
+      std: z.number().positive().default(255),
+    })
+    .default({ mean: 0, std: 255 }),
+})
+
+/**
+ * Validates the manifest of a model.
+ * @param {string} id - The model id.
+ * @param {object} definition - The parsed content of the manifest.
+ * @param {string} modelDirectory - The directory of the model files.
+ * @returns {ModelManifest} - The validated manifest.
+ * @throws {Error} If the manifest is invalid.
+ */
+export const parseModelManifest = (id, definition, modelDirectory) => {
+  const result = modelManifestSchema.safeParse(definition)
+  if (!result.success) {
+    const issues = result.error.issues
+      .map((issue) => `${issue.path.join('.')}: ${issue.message}`)
+      .join(', ')
+    throw new Error(`Invalid manifest of model ${id}: ${issues}`)
+  }
+
+  const { modelFile, ...manifest } = result.data
+  return {
+    id,
+    ...manifest,
+    modelPath: 'file://' + path.join(modelDirectory, modelFile),
+  }
+}
+
+/**
+ * Loads the models described by a `<MODELS_PATH>/<id>/manifest.json` file.
+ * Directories without a manifest are skipped.
+ * @param {object} config - Configuration setting
+ * @param {string} config.MODELS_PATH - Directory of the models.
+ * @param {string} config.DEFAULT_MODEL - Id of the model used when none is requested.
+ * @returns {Promise<ModelRegistry>} - The model registry.
+ * @throws {Error} If the models directory or a manifest cannot be read or parsed, or the default model is not defined.
+ */
+export const loadModelRegistry = async ({ MODELS_PATH, DEFAULT_MODEL }) => {
+  const [errList, entries] = await to(
+    fs.readdir(MODELS_PATH, { withFileTypes: true })
+  )
+  if (errList) {
+    throw new Error(`Failed to read models directory: ${errList.message}`)
+  }
+
+  const models = new Map()
+  for (const entry of entries.filter((entry) => entry.isDirectory())) {
+    const modelDirectory = path.join(MODELS_PATH, entry.name)
+    const [errRead, content] = await to(
+      fs.readFile(path.join(modelDirectory, MANIFEST_FILENAME), 'utf8')
+    )
+    if (errRead?.code === 'ENOENT') {
+      console.warn(
+        `Skipping model ${entry.name}: ${MANIFEST_FILENAME} not found`
+      )
+      continue
+    }
+    if (errRead) {
+      throw new Error(
+        `Failed to read manifest of model ${entry.name}: ${errRead.message}`
+      )
+    }
+    let definition
+    try {
+      definition = JSON.parse(content)
+    } catch (error) {
+      throw new Error(
+        `Failed to parse manifest of model ${entry.name}: ${error.message}`,
+        { cause: error }
+      )
+    }
+    models.set(
+      entry.name,
+      parseModelManifest(entry.name, definition, modelDirectory)
+    )
+  }
+
+  if (!models.has(DEFAULT_MODEL)) {
+    throw new Error(`Default model is not defined: ${DEFAULT_MODEL}`)
+  }
+
+  return { models, defaultModel: DEFAULT_MODEL }
+}
+
+/**
+ * Binds an NSFW detector to one model, so that the prediction pipelines classify with it.
+ * @param {import("./nsfw-detector-factory.mjs").NsfwSpyWorkerInterface} nsfwSpy - The NSFW detector instance.
+ * @param {string} [modelId] - The model id, the default model of the workers if not set.
+ * @returns {import("./nsfw-detector-factory.mjs").NsfwSpyWorkerInterface} - The NSFW detector classifying with the model.
+ */
+export const bindModel = (nsfwSpy, modelId) => ({
+  classifyImageFile: (filePath) => nsfwSpy.classifyImageFile(filePath, modelId),
+  classifyImageFromByteArray: (imageBuffer) =>
+    nsfwSpy.classifyImageFromByteArray(imageBuffer, modelId),
+})
+
+/**
+ * Handles the GET /models endpoint which lists the available models.
+ * @param {object} _req - Express request object (unused).
+ * @param {object} res - Express response object.
+ * @param {object} dependencies - Injected dependencies.
+ * @param {ModelRegistry} dependencies.modelRegistry - The model registry.
+ */
+export const listModelsHandler = (_req, res, { modelRegistry }) => {
+  const models = [...modelRegistry.models.values()].map(
+    ({ id, description, inputSize, labels }) => ({
+      id,
+      description,
+      inputSize,
+      labels,
+      default: id === modelRegistry.defaultModel,
+    })
+  )
+  res.status(200).json({ data: models })
+}
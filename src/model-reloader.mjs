@@ -0,0 +1,271 @@
+import { to } from 'await-to-js'
+import { loadModelRegistry } from './model-registry.mjs'
+import { PROBE_IMAGE } from './health.mjs'
+import { registerWorkerPoolMetrics } from './metrics.mjs'
+import { invalidateModelResults } from './content-cache.mjs'
+import { getAnimatedIndexId } from './image-prediction-pipeline.mjs'
+
+/**
+ * @typedef {object} ModelReloadResult
+ * @property {string[]} models - The ids of the loaded models.
+ * @property {string} defaultModel - The id of the default model.
+ * @property {number} durationMs - Time spent loading and checking the models, in milliseconds.
+ */
+
+/**
+ * @typedef {object} ModelReloader
+ * @property {import("./nsfw-detector-factory.mjs").NsfwSpyWorkerInterface} nsfwSpy - The NSFW detector instance, always classifying with the active worker pool.
+ * @property {() => Promise<ModelReloadResult>} reload - Loads the models into a new worker pool and switches the traffic to it.
+ * @property {(force?: boolean, timeout?: number) => Promise<void>} terminate - Terminates the active and draining worker pools.
+ */
+
+/**
+ * Waits until a worker pool has no queued nor running task, or the timeout expires.
+ * @param {import('workerpool').Pool} pool - The worker pool.
+ * @param {number} timeout - The maximum time to wait in milliseconds.
+ * @param {number} interval - The time between two checks in milliseconds.
+ * @returns {Promise<boolean>} - Whether the pool drained before the timeout.
+ */
+const waitForDrain = async (pool, timeout, interval) => {
+  const deadline = Date.now() + timeout
+  for (;;) {
+    const { pendingTasks, activeTasks } = pool.stats()
+    if (pendingTasks === 0 && activeTasks === 0) {
+      return true
+    }
+    if (Date.now() >= deadline) {
+      return false
+    }
+    await new Promise((resolve) => setTimeout(resolve, interval))
+  }
+}
+
+/**
+ * Checks that a classification result has a score between 0 and 1 for every label of the model.
+ * @param {import("./model-registry.mjs").ModelManifest} manifest - The manifest of the model.
+ * @param {object} result - The classification result.
+ * @throws {Error} If a score is missing or out of range.
+ */
+const assertSaneResult = (manifest, result) => {
+  for (const label of manifest.labels) {
+    const score = result?.[label]
+    if (!Number.isFinite(score) || score < 0 || score > 1) {
+      throw new Error(
+        `Sanity inference of model ${manifest.id} returned an invalid ${label} score: ${score}`
+      )
+    }
+  }
+}
+
+/**
+ * Factory function to create the model reloader, which swaps the NSFW detector worker pool without restarting the server.
+ * A reload loads the models of MODELS_PATH into a new worker pool, warms up its workers, runs a sanity inference
+ * with every model, then switches the traffic to it. The previous pool is terminated once its queued and running
+ * classifications are done. If anything fails, the new pool is terminated and the previous one stays active.
+ * The cached results and near-duplicates of the reloaded models are removed on the switch, and again once the previous
+ * pool is terminated since its last classifications may be cached after the switch.
+ * @param {object} dependencies - Injected dependencies.
+ * @param {object} dependencies.config - Configuration setting
+ * @param {number} dependencies.config.WORKER_POOL_MIN_WORKERS - Number of workers warmed up at once.
+ * @param {number} dependencies.config.MODEL_RELOAD_DRAIN_TIMEOUT_IN_SECONDS - Maximum time to wait for the previous pool to drain.
+ * @param {import("./model-registry.mjs").ModelRegistry} dependencies.modelRegistry - The model registry, updated in place on a switch.
+ * @param {import('workerpool').Pool} dependencies.nsfwDetectorWorkerPool - The initial NSFW detector worker pool.
+ * @param {import("./nsfw-detector-factory.mjs").NsfwSpyWorkerInterface} dependencies.nsfwSpy - The NSFW detector instance of the initial pool.
+ * @param {import("./nsfw-detector-factory.mjs").ImageProcessingWorkerInterface} dependencies.imageProcessingInstance - The image processing instance, preparing the probe image.
+ * @param {typeof import("./nsfw-detector-factory.mjs").createNsfwDetectorWorkerPool} dependencies.createNsfwDetectorWorkerPool - Factory of the new worker pools.
+ * @param {typeof import("./nsfw-detector-factory.mjs").createNsfwSpyInstanceFromWorker} dependencies.createNsfwSpyInstanceFromWorker - Factory of the NSFW detector instances of the new pools.
+ * @param {import('./result-cache.mjs').ResultCache} [dependencies.resultCache] - The result cache, cleared of the results of the reloaded models.
+ * @param {import("./perceptual-hash.mjs").NearDuplicateIndex|null} [dependencies.nearDuplicateIndex] - The near-duplicate index, cleared of the images of the reloaded models.
+ * @param {number} [dependencies.drainInterval=500] - Time between two checks of the previous pool, in milliseconds.
+ * @returns {ModelReloader} - The model reloader.
+ */
+export const createModelReloader = ({
+  config,
+  modelRegistry,
+  nsfwDetectorWorkerPool,
+  nsfwSpy,
+  imageProcessingInstance,
+  createNsfwDetectorWorkerPool,
+  createNsfwSpyInstanceFromWorker,
+  resultCache,
+  nearDuplicateIndex,
+  drainInterval = 500,
+}) => {
+  let active = { pool: nsfwDetectorWorkerPool, nsfwSpy }
+  const drainingPools = new Set()
+  let reloading = false
+
+  /**
+   * Removes the cached results and the near-duplicates of some models, so that their previous verdicts are not served anymore.
+   * @param {string[]} modelIds - The ids of the reloaded models.
+   */
+  const clearModelResults = (modelIds) => {
+    const invalidated = resultCache
+      ? invalidateModelResults(resultCache, modelIds)
+      : 0
+    for (const modelId of nearDuplicateIndex ? modelIds : []) {
+      nearDuplicateIndex.deleteModel(modelId)
+      nearDuplicateIndex.deleteModel(getAnimatedIndexId(modelId))
+    }
+    if (invalidated > 0) {
+      console.log(
+        `[Model Reload] Removed ${invalidated} cached results of the reloaded models.`
+      )
+    }
+  }
+
+  /**
+   * Terminates a previous worker pool once it has drained.
+   * @param {import('workerpool').Pool} pool - The previous worker pool.
+   * @param {string[]} modelIds - The ids of the reloaded models, whose results are removed once the pool is terminated.
+   * @returns {Promise<void>}
+   */
+  const retirePool = async (pool, modelIds) => {
+    drainingPools.add(pool)
+    const drained = await waitForDrain(
+      pool,
+      config.MODEL_RELOAD_DRAIN_TIMEOUT_IN_SECONDS * 1000,
+      drainInterval
+    )
+    if (!drained) {
+      console.warn(
+        '[Model Reload] Previous worker pool did not drain in time, terminating it.'
+      )
+    }
+    const [err] = await to(pool.terminate(!drained))
+    drainingPools.delete(pool)
+    // Results of the previous pool may have been cached while it drained
+    clearModelResults(modelIds)
+    if (err) {
+      console.error(
+        `[Model Reload] Failed to terminate previous worker pool: ${err.message}`
+      )
+      return
+    }
+    console.log('[Model Reload] Previous worker pool terminated.')
+  }
+
+  /**
+   * Warms up every worker of a new pool with the default model, then checks the output of every model.
+   * @param {import("./nsfw-detector-factory.mjs").NsfwSpyWorkerInterface} candidate - The NSFW detector instance of the new pool.
+   * @param {import("./model-registry.mjs").ModelRegistry} registry - The models loaded by the new pool.
+   * @returns {Promise<void>}
+   * @throws {Error} If a worker fails to load the models or a model returns invalid scores.
+   */
+  const checkCandidate = async (candidate, registry) => {
+    const processedBuffer =
+      await imageProcessingInstance.processImageData(PROBE_IMAGE)
+    await Promise.all(
+      Array.from({ length: Math.max(1, config.WORKER_POOL_MIN_WORKERS) }, () =>
+        candidate.classifyImageFromByteArray(
+          processedBuffer,
+          registry.defaultModel
+        )
+      )
+    )
+    for (const manifest of registry.models.values()) {
+      const result = await candidate.classifyImageFromByteArray(
+        processedBuffer,
+        manifest.id
+      )
+      assertSaneResult(manifest, result)
+    }
+  }
+
+  /**
+   * Loads the models into a new worker pool and switches the traffic to it once it is checked.
+   * @returns {Promise<ModelReloadResult>} - The loaded models.
+   * @throws {Error} If a reload is already running (code `ERR_MODEL_RELOAD_IN_PROGRESS`) or the new models fail to load.
+   */
+  const reload = async () => {
+    if (reloading) {
+      const error = new Error('Model reload already in progress')
+      error.code = 'ERR_MODEL_RELOAD_IN_PROGRESS'
+      throw error
+    }
+    reloading = true
+    const startTime = Date.now()
+    let pool = null
+    try {
+      const registry = await loadModelRegistry(config)
+      pool = await createNsfwDetectorWorkerPool(config)
+      const candidate = await createNsfwSpyInstanceFromWorker(pool)
+      await checkCandidate(candidate, registry)
+
+      // Switch: classifications from now on go to the new pool
+      const previous = active
+      const reloadedModels = [
+        ...new Set([...modelRegistry.models.keys(), ...registry.models.keys()]),
+      ]
+      active = { pool, nsfwSpy: candidate }
+      modelRegistry.models = registry.models
+      modelRegistry.defaultModel = registry.defaultModel
+      registerWorkerPoolMetrics('nsfw_detector', pool)
+      clearModelResults(reloadedModels)
+      retirePool(previous.pool, reloadedModels)
+
+      const result = {
+        models: [...registry.models.keys()],
+        defaultModel: registry.defaultModel,
+        durationMs: Date.now() - startTime,
+      }
+      console.log(
+        `[Model Reload] Switched to models ${result.models.join(', ')} in ${result.durationMs} ms.`
+      )
+      return result
+    } catch (error) {
+      if (pool) {
+        await to(pool.terminate(true))
+      }
+      console.error(`[Model Reload] Failed, keeping current models: ${error}`)
+      throw new Error(`Model reload failed: ${error.message}`, {
+        cause: error,
+      })
+    } finally {
+      reloading = false
+    }
+  }
+
+  /**
+   * Terminates the active worker pool and the pools still draining.
+   * @param {boolean} [force=false] - Whether to stop the running tasks.
+   * @param {number} [timeout] - Time to wait for the workers to stop, in milliseconds.
+   * @returns {Promise<void>}
+   */
+  const terminate = async (force = false, timeout) => {
+    await Promise.allSettled(
+      [active.pool, ...drainingPools].map((pool) =>
+        pool.terminate(force, timeout)
+      )
+    )
+  }
+
+  return {
+    nsfwSpy: {
+      classifyImageFile: (filePath, modelId) =>
+        active.nsfwSpy.classifyImageFile(filePath, modelId),
+      classifyImageFromByteArray: (imageBuffer, modelId) =>
+        active.nsfwSpy.classifyImageFromByteArray(imageBuffer, modelId),
+    },
+    reload,
+    terminate,
+  }
+}
+
+/**
+ * Handles the POST /admin/models/reload endpoint which reloads the models without restarting the server.
+ * @param {object} _req - Express request object (unused).
+ * @param {object} res - Express response object.
+ * @param {object} dependencies - Injected dependencies.
+ * @param {ModelReloader} dependencies.modelReloader - The model reloader.
+ */
+export const reloadModelsHandler = async (_req, res, { modelReloader }) => {
+  const [err, result] = await to(modelReloader.reload())
+  if (err?.code === 'ERR_MODEL_RELOAD_IN_PROGRESS') {
+    return res.status(409).json({ message: err.message })
+  }
+  if (err) {
+    return res.status(500).json({ message: err.message })
+  }
+  res.status(200).json({ data: result })
+}
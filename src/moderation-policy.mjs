@@ -0,0 +1,173 @@
+import { to } from 'await-to-js'
+import * as fs from 'node:fs/promises'
+import { z } from 'zod'
+
+/**
+ * Moderation actions ordered by increasing severity.
+ * When several rules of a policy match, the most severe action wins.
+ * @type {string[]}
+ */
+export const MODERATION_ACTIONS = ['allow', 'blur', 'flag_for_review', 'block']
+
+/**
+ * Score categories a moderation rule can be applied on.
+ * @type {string[]}
+ */
+export const MODERATION_CATEGORIES = ['hentai', 'pornography', 'sexy']
+
+/**
+ * @typedef {object} ModerationRule
+ * @property {string} category - One of MODERATION_CATEGORIES.
+ * @property {number} threshold - The score from which the rule matches (inclusive).
+ * @property {string} action - One of MODERATION_ACTIONS.
+ */
+
+/**
+ * @typedef {object} ModerationPolicy
+ * @property {string} name - The policy name.
+ * @property {ModerationRule[]} rules - The policy rules.
+ * @property {string} defaultAction - The action when no rule matches.
+ */
+
+/**
+ * @typedef {object} ModerationDecision
+ * @property {string} policy - The name of the applied policy.
+ * @property {string} action - The decided action.
+ * @property {(ModerationRule & {score: number})|null} rule - The rule which triggered the action, null if no rule matched.
+ */
+
+/**
+ * Zod schema for the moderation policy definitions, keyed by policy name.
+ */
+const moderationPoliciesSchema = z.record(
+  z.string().min(1, 'Policy name cannot be empty'),
+  z.object({
+    rules: z.array(
+      z.object({
+        category: z.enum(MODERATION_CATEGORIES),
+        threshold: z.number().min(0).max(1),
+        action: z.enum(MODERATION_ACTIONS),
+      })
+    ),
+    defaultAction: z.enum(MODERATION_ACTIONS).default('allow'),
+  })
+)
+
+/**
+ * Validates moderation policy definitions.
+ * @param {object} definitions - The policy definitions, keyed by policy name.
+ * @returns {Map<string, ModerationPolicy>} - The validated policies, keyed by policy name.
+ * @throws {Error} If the definitions are invalid.
+ */
+export const parseModerationPolicies = (definitions) => {
+  const result = moderationPoliciesSchema.safeParse(definitions)
+  if (!result.success) {
+    const issues = result.error.issues
+      .map((issue) => `${issue.path.join('.')}: ${issue.message}`)
+      .join(', ')
+    throw new Error(`Invalid moderation policies: ${issues}`)
+  }
+
+  return new Map(
+    Object.entries(result.data).map(([name, policy]) => [
+      name,
+      { name, ...policy },
+    ])
+  )
+}
+
+/**
+ * Loads the moderation policies defined in a JSON file and/or a JSON string.
+ * Policies from MODERATION_POLICIES override the ones with the same name from MODERATION_POLICIES_FILE.
+ * @param {object} config - Configuration setting
+ * @param {string} config.MODERATION_POLICIES - JSON string of policy definitions.
+ * @param {string} config.MODERATION_POLICIES_FILE - Path to a JSON file of policy definitions.
+ * @param {string} config.DEFAULT_MODERATION_POLICY - Name of the policy applied when none is requested.
+ * @returns {Promise<Map<string, ModerationPolicy>>} - The loaded policies, keyed by policy name.
+ * @throws {Error} If a definition cannot be read or parsed, or the default policy is not defined.
+ */
+export const loadModerationPolicies = async ({
+  MODERATION_POLICIES,
+  MODERATION_POLICIES_FILE,
+  DEFAULT_MODERATION_POLICY,
+}) => {
+  let definitions = {}
+
+  if (MODERATION_POLICIES_FILE) {
+    const [errRead, content] = await to(
+      fs.readFile(MODERATION_POLICIES_FILE, 'utf8')
+    )
+    if (errRead) {
+      throw new Error(
+        `Failed to read moderation policies file: ${errRead.message}`
+      )
+    }
+    try {
+      definitions = JSON.parse(content)
+    } catch (error) {
+      throw new Error(
+        `Failed to parse moderation policies file: ${error.message}`,
+        { cause: error }
+      )
+    }
+  }
+
+  if (MODERATION_POLICIES) {
+    try {
+      definitions = { ...definitions, ...JSON.parse(MODERATION_POLICIES) }
+    } catch (error) {
+      throw new Error(`Failed to parse MODERATION_POLICIES: ${error.message}`, {
+        cause: error,
+      })
+    }
+  }
+
+  const policies = parseModerationPolicies(definitions)
+
+  if (DEFAULT_MODERATION_POLICY && !policies.has(DEFAULT_MODERATION_POLICY)) {
+    throw new Error(
+      `Default moderation policy is not defined: ${DEFAULT_MODERATION_POLICY}`
+    )
+  }
+
+  return policies
+}
+
+/**
+ * Applies a moderation policy on classification scores.
+ * Every rule whose category score reaches its threshold matches; the most severe action wins,
+ * ties are broken by rule order. Media with the fixed verdict of a hash list are blocked (blocklist) or allowed (allowlist).
+ * @param {ModerationPolicy} policy - The policy to apply.
+ * @param {object} scores - The classification scores (hentai, neutral, pornography, sexy), or the `verdict` of a hash list.
+ * @returns {ModerationDecision} - The moderation decision.
+ */
+export const evaluateModerationPolicy = (policy, scores) => {
+  if (scores.verdict) {
+    return {
+      policy: policy.name,
+      action: scores.verdict.source === 'blocklist' ? 'block' : 'allow',
+      rule: null,
+    }
+  }
+
+  let triggeredRule = null
+  for (const rule of policy.rules) {
+    const score = scores[rule.category]
+    if (!(score >= rule.threshold)) {
+      continue
+    }
+    if (
+      triggeredRule === null ||
+      MODERATION_ACTIONS.indexOf(rule.action) >
+        MODERATION_ACTIONS.indexOf(triggeredRule.action)
+    ) {
+      triggeredRule = { ...rule, score }
+    }
+  }
+
+  return {
+    policy: policy.name,
+    action: triggeredRule ? triggeredRule.action : policy.defaultAction,
+    rule: triggeredRule,
+  }
+}
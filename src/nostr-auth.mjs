@@ -0,0 +1,134 @@
+import { sha256 } from 'js-sha256'
+import { parseNostrEvent, verifyNostrEvent } from './nostr-event.mjs'
+
+/**
+ * Kind of the NIP-98 HTTP auth events.
+ * @type {number}
+ */
+export const HTTP_AUTH_EVENT_KIND = 27235
+
+/**
+ * Scheme of the NIP-98 `Authorization` header.
+ * @type {string}
+ */
+const AUTHORIZATION_SCHEME = 'Nostr'
+
+/**
+ * Creates the error of a rejected NIP-98 authorization.
+ * @param {string} message - The error message.
+ * @param {Error} [cause] - The underlying error.
+ * @returns {Error} - The error, with the `ERR_NOSTR_AUTH` code.
+ */
+const createAuthError = (message, cause) => {
+  const error = new Error(message, { cause })
+  error.code = 'ERR_NOSTR_AUTH'
+  return error
+}
+
+/**
+ * Checks whether an `Authorization` header uses the NIP-98 `Nostr` scheme.
+ * @param {string|undefined} authorization - The `Authorization` header.
+ * @returns {boolean} - True for a `Nostr <base64 event>` header.
+ */
+export const isNostrAuthorization = (authorization) =>
+  typeof authorization === 'string' &&
+  authorization.startsWith(`${AUTHORIZATION_SCHEME} `)
+
+/**
+ * Gets the absolute URL of a request, as signed in the `u` tag of its NIP-98 event.
+ * Behind a reverse proxy, the public base URL replaces the protocol and host seen by the server.
+ * @param {object} req - Express request object.
+ * @param {string} [baseUrl] - The public base URL of the service, the protocol and host of the request if not set.
+ * @returns {string} - The request URL.
+ */
+export const getRequestUrl = (req, baseUrl) =>
+  baseUrl
+    ? `${baseUrl.replace(/\/+$/, '')}${req.originalUrl}`
+    : `${req.protocol}://${req.get('host')}${req.originalUrl}`
+
+/**
+ * Normalizes a URL, so that equivalent spellings (host case, default port, empty path) compare equal.
+ * @param {string} url - The URL.
+ * @returns {string|null} - The normalized URL, null if it cannot be parsed.
+ */
+const normalizeUrl = (url) => (URL.canParse(url) ? new URL(url).href : null)
+
+/**
+ * Gets the value of the first tag of an event with a given name.
+ * @param {import('./nostr-event.mjs').NostrEvent} event - The event.
+ * @param {string} name - The tag name.
+ * @returns {string|undefined} - The tag value.
+ */
+const getTagValue = (event, name) =>
+  event.tags.find(([tagName]) => tagName === name)?.[1]
+
+/**
+ * Verifies a NIP-98 `Authorization: Nostr <base64 event>` header against the request it authorizes.
+ * The event must be a validly signed HTTP auth event (kind 27235) created within `maxAge` seconds of now,
+ * whose `u` and `method` tags match the request URL and method, and whose author is allowed if an allowlist is set.
+ * The optional `payload` tag, the SHA256 of the request body, must match the raw body: events carrying one are rejected
+ * when the raw body is not known (e.g. uploads, which are parsed after authentication), as they could be replayed with another body.
+ * @param {string} authorization - The `Authorization` header.
+ * @param {object} request - The authorized request.
+ * @param {string} request.method - The HTTP method.
+ * @param {string} request.url - The absolute request URL.
+ * @param {Buffer} [request.body] - The raw request body, events with a `payload` tag are rejected if not set.
+ * @param {object} options - Verification options.
+ * @param {number} options.maxAge - Maximum difference in seconds between the event creation and now.
+ * @param {string[]} [options.allowedPubkeys=[]] - Hex public keys of the allowed authors, every author if empty.
+ * @param {number} [options.now] - The current Unix timestamp in seconds.
+ * @returns {string} - The hex public key of the authenticated author.
+ * @throws {Error} If the authorization is invalid, with the `ERR_NOSTR_AUTH` code.
+ */
+export const verifyNostrAuthorization = (
+  authorization,
+  { method, url, body },
+  { maxAge, allowedPubkeys = [], now = Math.floor(Date.now() / 1000) }
+) => {
+  let event
+  try {
+    const encoded = authorization.slice(AUTHORIZATION_SCHEME.length).trim()
+    event = parseNostrEvent(
+      JSON.parse(Buffer.from(encoded, 'base64').toString('utf8'))
+    )
+    verifyNostrEvent(event)
+  } catch (error) {
+    throw createAuthError(
+      `Invalid Nostr authorization: ${error.message}`,
+      error
+    )
+  }
+
+  if (event.kind !== HTTP_AUTH_EVENT_KIND) {
+    throw createAuthError(
+      `Nostr authorization event must be of kind ${HTTP_AUTH_EVENT_KIND}`
+    )
+  }
+  if (Math.abs(now - event.created_at) > maxAge) {
+    throw createAuthError('Nostr authorization event has expired')
+  }
+  const signedUrl = getTagValue(event, 'u')
+  if (!signedUrl || normalizeUrl(signedUrl) !== normalizeUrl(url)) {
+    throw createAuthError('Nostr authorization URL does not match the request')
+  }
+  if (getTagValue(event, 'method')?.toUpperCase() !== method.toUpperCase()) {
+    throw createAuthError(
+      'Nostr authorization method does not match the request'
+    )
+  }
+  const payload = getTagValue(event, 'payload')
+  if (payload && !body) {
+    throw createAuthError(
+      'Nostr authorization payload cannot be checked for this request body'
+    )
+  }
+  if (payload && payload.toLowerCase() !== sha256(body)) {
+    throw createAuthError(
+      'Nostr authorization payload does not match the request body'
+    )
+  }
+  if (allowedPubkeys.length > 0 && !allowedPubkeys.includes(event.pubkey)) {
+    throw createAuthError('Nostr public key is not allowed')
+  }
+  return event.pubkey
+}
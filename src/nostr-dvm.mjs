@@ -0,0 +1,302 @@
+import pLimit from 'p-limit'
+import { to } from 'await-to-js'
+import { getPublicKey, signNostrEvent } from './nostr-event.mjs'
+import { createRelayPool, splitList } from './nostr-relay-pool.mjs'
+import { processUrlForPrediction } from './url-processor.mjs'
+import { nostrDvmJobsTotal } from './metrics.mjs'
+
+/**
+ * Kind of the NIP-90 job feedback events.
+ * @type {number}
+ */
+export const JOB_FEEDBACK_KIND = 7000
+
+/**
+ * Number of job request ids remembered to answer each request once.
+ * @type {number}
+ */
+const SEEN_JOB_MAX_ITEM_NUM = 10000
+
+/**
+ * @typedef {object} JobRequest
+ * @property {string[]} urls - The URLs of the media to classify.
+ * @property {string} modelId - The id of the model classifying the media.
+ */
+
+/**
+ * @typedef {object} NostrDvm
+ * @property {() => void} start - Connects to the relays and subscribes to the job requests.
+ * @property {() => Promise<void>} stop - Closes the relay connections and aborts the running jobs.
+ */
+
+/**
+ * Creates the error of a job request which cannot be processed.
+ * @param {string} message - The error message, sent back to the customer.
+ * @returns {Error} - The error, with the `ERR_INVALID_JOB` code.
+ */
+const createJobError = (message) => {
+  const error = new Error(message)
+  error.code = 'ERR_INVALID_JOB'
+  return error
+}
+
+/**
+ * Reads the inputs and parameters of a NIP-90 job request.
+ * Inputs are `["i", "<url>", "url"]` tags, and the model is the optional `["param", "model", "<id>"]` tag.
+ * Encrypted requests and other input types are not supported.
+ * @param {import('./nostr-event.mjs').NostrEvent} event - The validated job request.
+ * @param {object} options - Parsing options.
+ * @param {import('./model-registry.mjs').ModelRegistry} [options.modelRegistry] - The available models.
+ * @param {string} options.defaultModel - Id of the model used when none is requested.
+ * @param {number} options.maxInputs - Maximum number of inputs of a job.
+ * @returns {JobRequest} - The job to run.
+ * @throws {Error} If the request cannot be processed, with the `ERR_INVALID_JOB` code.
+ */
+export const parseJobRequest = (
+  event,
+  { modelRegistry, defaultModel, maxInputs }
+) => {
+  if (event.tags.some(([name]) => name === 'encrypted')) {
+    throw createJobError('Encrypted job requests are not supported')
+  }
+
+  const urls = []
+  for (const [name, value, type] of event.tags) {
+    if (name !== 'i') {
+      continue
+    }
+    if (type !== 'url') {
+      throw createJobError(`Unsupported input type: ${type}`)
+    }
+    if (!URL.canParse(value) || !/^https?:$/.test(new URL(value).protocol)) {
+      throw createJobError(`Invalid input URL: ${value}`)
+    }
+    urls.push(value)
+  }
+  if (urls.length === 0) {
+    throw createJobError('Job request has no url input')
+  }
+  if (urls.length > maxInputs) {
+    throw createJobError(
+      `Job request cannot contain more than ${maxInputs} inputs`
+    )
+  }
+
+  const modelParam = event.tags.find(
+    ([name, key]) => name === 'param' && key === 'model'
+  )
+  const modelId = modelParam?.[2] ?? defaultModel
+  if (modelParam && !modelRegistry?.models.has(modelId)) {
+    throw createJobError(`Unknown model: ${modelId}`)
+  }
+  return { urls, modelId }
+}
+
+/**
+ * Builds a NIP-90 job feedback event.
+ * @param {import('./nostr-event.mjs').NostrEvent} request - The job request.
+ * @param {'processing'|'error'|'success'} status - The job status.
+ * @param {object} options - Feedback options.
+ * @param {string} options.relayUrl - The relay the request was received from.
+ * @param {string} [options.info] - Additional information about the status, such as an error message.
+ * @returns {{kind: number, tags: string[][], content: string}} - The unsigned feedback event.
+ */
+export const createJobFeedbackEvent = (
+  request,
+  status,
+  { relayUrl, info }
+) => ({
+  kind: JOB_FEEDBACK_KIND,
+  tags: [
+    ['status', status, ...(info ? [info] : [])],
+    ['e', request.id, relayUrl],
+    ['p', request.pubkey],
+  ],
+  content: '',
+})
+
+/**
+ * Builds the NIP-90 job result event of a classification job.
+ * Its kind is the request kind plus 1000, and its content the model id and the scores of every input as JSON.
+ * @param {import('./nostr-event.mjs').NostrEvent} request - The job request.
+ * @param {{url: string}[]} results - The classification result of every input, with its URL.
+ * @param {object} options - Result options.
+ * @param {string} options.modelId - The id of the model which classified the inputs.
+ * @param {string} options.relayUrl - The relay the request was received from.
+ * @returns {{kind: number, tags: string[][], content: string}} - The unsigned result event.
+ */
+export const createJobResultEvent = (
+  request,
+  results,
+  { modelId, relayUrl }
+) => ({
+  kind: request.kind + 1000,
+  tags: [
+    ['request', JSON.stringify(request)],
+    ['e', request.id, relayUrl],
+    ...request.tags.filter(([name]) => name === 'i'),
+    ['p', request.pubkey],
+  ],
+  content: JSON.stringify({ model: modelId, results }),
+})
+
+/**
+ * Factory function to create the Nostr Data Vending Machine (NIP-90).
+ * The DVM subscribes to the job requests of NOSTR_DVM_REQUEST_KIND on every relay, and answers the validly signed ones
+ * which are addressed to it (or to any service provider): every `url` input is classified through `processUrlForPrediction`,
+ * then a job result event with the model id and the scores is published, preceded by a `processing` and followed by
+ * a `success` job feedback, or replaced by an `error` job feedback.
+ * Requests received while NOSTR_DVM_MAX_QUEUED_JOBS jobs wait for a free slot are rejected with an `error` job feedback.
+ * Jobs are free, `bid` amounts are ignored and no payment is requested.
+ * @param {object} dependencies - Injected dependencies, passed on to `processUrlForPrediction`.
+ * @param {import('./model-registry.mjs').ModelRegistry} [dependencies.modelRegistry] - The available models.
+ * @param {object} dependencies.config - Configuration setting
+ * @param {string} dependencies.config.NOSTR_DVM_RELAYS - Comma separated relay URLs.
+ * @param {string} dependencies.config.NOSTR_DVM_SECRET_KEY - Hex encoded secret key of the service, signing the job events.
+ * @param {number} dependencies.config.NOSTR_DVM_REQUEST_KIND - Kind of the job requests.
+ * @param {number} dependencies.config.NOSTR_DVM_CONCURRENCY - Maximum number of jobs processed concurrently.
+ * @param {number} dependencies.config.NOSTR_DVM_MAX_QUEUED_JOBS - Maximum number of jobs waiting for a free slot.
+ * @param {number} dependencies.config.NOSTR_RELAY_RECONNECT_MAX_DELAY_IN_SECONDS - Maximum delay between two reconnections to a relay.
+ * @param {number} dependencies.config.BATCH_MAX_ITEMS - Maximum number of inputs of a job.
+ * @param {string} dependencies.config.DEFAULT_MODEL - Id of the model used when none is requested.
+ * @param {typeof processUrlForPrediction} [dependencies.processUrl=processUrlForPrediction] - Function classifying a media URL.
+ * @param {typeof import('ws').WebSocket} [dependencies.WebSocket] - The WebSocket client class of the relay pool.
+ * @param {number} [dependencies.reconnectBaseDelay] - Delay before the first reconnection in milliseconds.
+ * @returns {NostrDvm} - The DVM.
+ */
+export const createNostrDvm = ({
+  processUrl = processUrlForPrediction,
+  WebSocket,
+  reconnectBaseDelay,
+  ...dependencies
+}) => {
+  const { config, modelRegistry } = dependencies
+  const servicePubkey = getPublicKey(config.NOSTR_DVM_SECRET_KEY)
+  const limit = pLimit(config.NOSTR_DVM_CONCURRENCY)
+  let abortController = null
+
+  /**
+   * Signs and publishes a job event.
+   * @param {{kind: number, tags: string[][], content: string}} template - The unsigned event.
+   */
+  const publish = (template) => {
+    pool.publish(signNostrEvent(template, config.NOSTR_DVM_SECRET_KEY))
+  }
+
+  /**
+   * Runs a job request and publishes its feedback and result.
+   * @param {import('./nostr-event.mjs').NostrEvent} request - The validated job request.
+   * @param {string} relayUrl - The relay the request was received from.
+   * @returns {Promise<void>}
+   */
+  const runJob = async (request, relayUrl) => {
+    const { signal } = abortController
+    let job
+    try {
+      job = parseJobRequest(request, {
+        modelRegistry,
+        defaultModel: modelRegistry?.defaultModel ?? config.DEFAULT_MODEL,
+        maxInputs: config.BATCH_MAX_ITEMS,
+      })
+    } catch (error) {
+      nostrDvmJobsTotal.inc({ outcome: 'rejected' })
+      publish(
+        createJobFeedbackEvent(request, 'error', {
+          relayUrl,
+          info: error.message,
+        })
+      )
+      return
+    }
+
+    publish(createJobFeedbackEvent(request, 'processing', { relayUrl }))
+    const results = []
+    for (const url of job.urls) {
+      const [err, result] = await to(
+        processUrl(url, { ...dependencies, model: job.modelId }, signal)
+      )
+      if (signal.aborted) {
+        return // The DVM was stopped
+      }
+      if (err) {
+        nostrDvmJobsTotal.inc({ outcome: 'failed' })
+        console.warn(
+          `[Nostr DVM] Job ${request.id} failed on ${url}: ${err.message}`
+        )
+        publish(
+          createJobFeedbackEvent(request, 'error', {
+            relayUrl,
+            info: `Failed to classify ${url}: ${err.message}`,
+          })
+        )
+        return
+      }
+      results.push({ url, ...result, source: undefined })
+    }
+
+    publish(
+      createJobResultEvent(request, results, {
+        modelId: job.modelId,
+        relayUrl,
+      })
+    )
+    publish(createJobFeedbackEvent(request, 'success', { relayUrl }))
+    nostrDvmJobsTotal.inc({ outcome: 'succeeded' })
+  }
+
+  /**
+   * Runs a new job request of the subscription, unless it is addressed to other service providers
+   * or the job queue is full.
+   * @param {import('./nostr-event.mjs').NostrEvent} request - The validated job request.
+   * @param {string} relayUrl - The relay the request was received from.
+   */
+  const handleRequest = (request, relayUrl) => {
+    const providers = request.tags
+      .filter(([name]) => name === 'p')
+      .map(([, pubkey]) => pubkey)
+    if (providers.length > 0 && !providers.includes(servicePubkey)) {
+      return
+    }
+    if (limit.pendingCount >= config.NOSTR_DVM_MAX_QUEUED_JOBS) {
+      nostrDvmJobsTotal.inc({ outcome: 'rejected' })
+      console.warn(
+        `[Nostr DVM] Job queue is full, rejecting job ${request.id}.`
+      )
+      publish(
+        createJobFeedbackEvent(request, 'error', {
+          relayUrl,
+          info: 'Job queue is full, please retry later',
+        })
+      )
+      return
+    }
+    limit(() => runJob(request, relayUrl)).catch((error) => {
+      console.error(
+        `[Nostr DVM] Failed to run job ${request.id}: ${error.message}`
+      )
+    })
+  }
+
+  const pool = createRelayPool({
+    name: 'Nostr DVM',
+    subscriptionPrefix: 'nsfw-dvm',
+    urls: splitList(config.NOSTR_DVM_RELAYS),
+    filter: { kinds: [config.NOSTR_DVM_REQUEST_KIND] },
+    seenMaxItemNum: SEEN_JOB_MAX_ITEM_NUM,
+    reconnectMaxDelay: config.NOSTR_RELAY_RECONNECT_MAX_DELAY_IN_SECONDS * 1000,
+    onEvent: handleRequest,
+    WebSocket,
+    reconnectBaseDelay,
+  })
+
+  return {
+    start: () => {
+      abortController = new AbortController()
+      pool.start()
+    },
+    stop: async () => {
+      abortController?.abort()
+      await pool.stop()
+    },
+  }
+}
@@ -0,0 +1,221 @@
+import { schnorr } from '@noble/curves/secp256k1.js'
+import { sha256 } from 'js-sha256'
+import { z } from 'zod'
+import { extractUrl, getUrlType } from './util.mjs'
+
+/**
+ * @typedef {object} NostrEvent
+ * @property {string} id - The hex encoded SHA256 of the serialized event.
+ * @property {string} pubkey - The hex encoded public key of the author.
+ * @property {number} created_at - The creation date as a Unix timestamp in seconds.
+ * @property {number} kind - The event kind.
+ * @property {string[][]} tags - The event tags.
+ * @property {string} content - The event content.
+ * @property {string} sig - The hex encoded Schnorr signature of the id.
+ */
+
+/**
+ * @typedef {object} EventMedia
+ * @property {string} url - The media URL.
+ * @property {'image'|'video'|null} mediaType - The media type declared by the event, null if unknown.
+ * @property {string} [mimeType] - The mime type of the `m` field of its `imeta` tag.
+ * @property {string} [hash] - The SHA256 of the `x` field of its `imeta` tag.
+ */
+
+/**
+ * Zod schema of a lowercase hexadecimal string of a given length.
+ * @param {number} length - The number of characters.
+ * @returns {z.ZodString} - The schema.
+ */
+const hexSchema = (length) =>
+  z
+    .string()
+    .regex(
+      new RegExp(`^[0-9a-f]{${length}}$`),
+      `Must be ${length} lowercase hexadecimal characters`
+    )
+
+/**
+ * Zod schema of a Nostr event (NIP-01).
+ */
+const nostrEventSchema = z.object({
+  id: hexSchema(64),
+  pubkey: hexSchema(64),
+  created_at: z.number().int().nonnegative(),
+  kind: z.number().int().min(0).max(65535),
+  tags: z.array(z.array(z.string())),
+  content: z.string(),
+  sig: hexSchema(128),
+})
+
+/**
+ * Validates a Nostr event.
+ * @param {unknown} event - The event to validate.
+ * @returns {NostrEvent} - The validated event.
+ * @throws {Error} If the event is invalid.
+ */
+export const parseNostrEvent = (event) => {
+  const result = nostrEventSchema.safeParse(event)
+  if (!result.success) {
+    const issues = result.error.issues
+      .map((issue) => `${issue.path.join('.')}: ${issue.message}`)
+      .join(', ')
+    throw new Error(`Invalid Nostr event: ${issues}`)
+  }
+  return result.data
+}
+
+/**
+ * Computes the id of a Nostr event, the SHA256 of its NIP-01 serialization.
+ * @param {NostrEvent} event - The event.
+ * @returns {string} - The hex encoded id.
+ */
+export const getEventId = ({ pubkey, created_at, kind, tags, content }) =>
+  sha256(JSON.stringify([0, pubkey, created_at, kind, tags, content]))
+
+/**
+ * Checks the Schnorr signature of the id of a Nostr event (BIP-340).
+ * @param {NostrEvent} event - The validated event.
+ * @returns {boolean} - True if the author signed the id.
+ */
+const isSignatureValid = ({ id, pubkey, sig }) => {
+  try {
+    return schnorr.verify(
+      Buffer.from(sig, 'hex'),
+      Buffer.from(id, 'hex'),
+      Buffer.from(pubkey, 'hex')
+    )
+  } catch {
+    return false // Public keys which are not on the curve
+  }
+}
+
+/**
+ * Checks that the id of a Nostr event matches its content and that it is signed by its author.
+ * @param {NostrEvent} event - The validated event.
+ * @throws {Error} If the id or the signature is invalid, with the `ERR_INVALID_EVENT` code.
+ */
+export const verifyNostrEvent = (event) => {
+  let message = null
+  if (getEventId(event) !== event.id) {
+    message = 'Event id does not match its content'
+  } else if (!isSignatureValid(event)) {
+    message = 'Invalid event signature'
+  }
+
+  if (message) {
+    const error = new Error(message)
+    error.code = 'ERR_INVALID_EVENT'
+    throw error
+  }
+}
+
+/**
+ * Gets the hex encoded public key of a secret key.
+ * @param {string} secretKey - The hex encoded secret key.
+ * @returns {string} - The hex encoded x-only public key (BIP-340).
+ */
+export const getPublicKey = (secretKey) =>
+  Buffer.from(schnorr.getPublicKey(Buffer.from(secretKey, 'hex'))).toString(
+    'hex'
+  )
+
+/**
+ * Signs a Nostr event.
+ * @param {{kind: number, tags: string[][], content: string, created_at?: number}} template - The event to sign, created now if `created_at` is not set.
+ * @param {string} secretKey - The hex encoded secret key of the author.
+ * @returns {NostrEvent} - The signed event.
+ */
+export const signNostrEvent = (
+  { kind, tags, content, created_at = Math.floor(Date.now() / 1000) },
+  secretKey
+) => {
+  const event = {
+    pubkey: getPublicKey(secretKey),
+    created_at,
+    kind,
+    tags,
+    content,
+  }
+  const id = getEventId(event)
+  const sig = schnorr.sign(
+    Buffer.from(id, 'hex'),
+    Buffer.from(secretKey, 'hex')
+  )
+  return { id, ...event, sig: Buffer.from(sig).toString('hex') }
+}
+
+/**
+ * Gets the media type of a mime type.
+ * @param {string} mimeType - The mime type.
+ * @returns {'image'|'video'|null} - The media type, null for other content.
+ */
+const getMimeMediaType = (mimeType) => {
+  const [type] = mimeType.toLowerCase().split('/')
+  return ['image', 'video'].includes(type) ? type : null
+}
+
+/**
+ * Parses the fields of a NIP-92 `imeta` tag, each one being a space separated key and value
+ * (e.g. `["imeta", "url https://example.org/image.jpg", "m image/jpeg", "x <sha256>"]`).
+ * @param {string[]} tag - The tag.
+ * @returns {{url?: string, m?: string, x?: string}} - The first value of each field.
+ */
+const parseImetaTag = (tag) => {
+  const fields = {}
+  for (const field of tag.slice(1)) {
+    const separator = field.indexOf(' ')
+    if (separator === -1) {
+      continue
+    }
+    const key = field.slice(0, separator)
+    fields[key] ??= field.slice(separator + 1).trim()
+  }
+  return fields
+}
+
+/**
+ * Extracts the media of a Nostr event.
+ * URLs of the `content` are media when their extension is an image or video one, or when an `imeta` tag describes them;
+ * `imeta` tags are media unless their `m` mime type is neither an image nor a video one.
+ * The `m` mime type decides the media type over the URL extension, and a valid `x` is kept as the declared SHA256 of the media.
+ * Every URL is returned once, in the order of the content, followed by the URLs only found in `imeta` tags.
+ * @param {NostrEvent} event - The validated event.
+ * @returns {EventMedia[]} - The media of the event.
+ */
+export const extractEventMedia = (event) => {
+  const imetas = new Map()
+  for (const tag of event.tags) {
+    if (tag[0] !== 'imeta') {
+      continue
+    }
+    const fields = parseImetaTag(tag)
+    if (fields.url && !imetas.has(fields.url)) {
+      imetas.set(fields.url, fields)
+    }
+  }
+
+  const urls = new Set([...(extractUrl(event.content) ?? []), ...imetas.keys()])
+  const media = []
+  for (const url of urls) {
+    const imeta = imetas.get(url)
+    const urlType = getUrlType(url)
+    const mediaType = imeta?.m
+      ? getMimeMediaType(imeta.m)
+      : ['image', 'video'].includes(urlType)
+        ? urlType
+        : null
+    if (!mediaType && (!imeta || imeta.m)) {
+      continue // Links to web pages and declared non media files
+    }
+
+    const hash = imeta?.x?.toLowerCase()
+    media.push({
+      url,
+      mediaType,
+      ...(imeta?.m && { mimeType: imeta.m }),
+      ...(/^[0-9a-f]{64}$/.test(hash) && { hash }),
+    })
+  }
+  return media
+}
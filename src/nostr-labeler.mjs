@@ -0,0 +1,175 @@
+import pLimit from 'p-limit'
+import { to } from 'await-to-js'
+import { extractEventMedia, signNostrEvent } from './nostr-event.mjs'
+import { createRelayPool, splitList } from './nostr-relay-pool.mjs'
+import { processUrlForPrediction } from './url-processor.mjs'
+import { nostrLabelerMediaTotal } from './metrics.mjs'
+
+/**
+ * Kind of the NIP-32 label events.
+ * @type {number}
+ */
+export const LABEL_EVENT_KIND = 1985
+
+/**
+ * @typedef {object} NostrLabeler
+ * @property {() => void} start - Connects to the relays and subscribes to their events.
+ * @property {() => Promise<void>} stop - Closes the relay connections and aborts the running classifications.
+ */
+
+/**
+ * Builds the NIP-32 label event of a classified media of a Nostr event.
+ * The label is the predicted label of the media, or the hash list of media with a fixed verdict,
+ * and the content is the classification result (scores or verdict) as JSON, without the download `source`.
+ * @param {import('./nostr-event.mjs').NostrEvent} event - The labeled event.
+ * @param {string} url - The URL of the media.
+ * @param {object} result - The classification result of the media.
+ * @param {object} options - Label options.
+ * @param {string} options.namespace - The label namespace (`L` tag).
+ * @param {string} options.relayUrl - The relay the event was received from.
+ * @returns {{kind: number, tags: string[][], content: string}} - The unsigned label event.
+ */
+export const createLabelEvent = (
+  event,
+  url,
+  result,
+  { namespace, relayUrl }
+) => ({
+  kind: LABEL_EVENT_KIND,
+  tags: [
+    ['L', namespace],
+    ['l', result.verdict?.source ?? result.predictedLabel, namespace],
+    ['e', event.id, relayUrl],
+    ['p', event.pubkey],
+    ['r', url],
+  ],
+  content: JSON.stringify({ ...result, source: undefined }),
+})
+
+/**
+ * Factory function to create the Nostr labeler.
+ * The labeler subscribes to the events of NOSTR_LABELER_KINDS (and NOSTR_LABELER_AUTHORS) on every relay,
+ * classifies the media of the validly signed ones through `processUrlForPrediction`, and publishes a signed label event
+ * per classified media to every connected relay. Event ids are remembered so that an event received from several relays,
+ * or again after a reconnection, is labeled once. Lost connections are reopened with an exponential backoff,
+ * resubscribing from the date of the last received event.
+ * Events received while NOSTR_LABELER_MAX_QUEUED_EVENTS events wait for a free slot are dropped unlabeled.
+ * @param {object} dependencies - Injected dependencies, passed on to `processUrlForPrediction`.
+ * @param {object} dependencies.config - Configuration setting
+ * @param {string} dependencies.config.NOSTR_LABELER_RELAYS - Comma separated relay URLs.
+ * @param {string} dependencies.config.NOSTR_LABELER_SECRET_KEY - Hex encoded secret key signing the labels.
+ * @param {string} dependencies.config.NOSTR_LABELER_NAMESPACE - Namespace of the labels.
+ * @param {string} dependencies.config.NOSTR_LABELER_KINDS - Comma separated kinds of the labeled events.
+ * @param {string} dependencies.config.NOSTR_LABELER_AUTHORS - Comma separated hex public keys of the labeled authors, every author if empty.
+ * @param {number} dependencies.config.NOSTR_LABELER_SEEN_MAX_ITEM_NUM - Maximum number of remembered event ids.
+ * @param {number} dependencies.config.NOSTR_LABELER_CONCURRENCY - Maximum number of events processed concurrently.
+ * @param {number} dependencies.config.NOSTR_LABELER_MAX_QUEUED_EVENTS - Maximum number of events waiting for a free slot.
+ * @param {number} dependencies.config.NOSTR_RELAY_RECONNECT_MAX_DELAY_IN_SECONDS - Maximum delay between two reconnections to a relay.
+ * @param {typeof processUrlForPrediction} [dependencies.processUrl=processUrlForPrediction] - Function classifying a media URL.
+ * @param {typeof import('ws').WebSocket} [dependencies.WebSocket] - The WebSocket client class of the relay pool.
+ * @param {number} [dependencies.reconnectBaseDelay] - Delay before the first reconnection in milliseconds.
+ * @returns {NostrLabeler} - The labeler.
+ */
+export const createNostrLabeler = ({
+  processUrl = processUrlForPrediction,
+  WebSocket,
+  reconnectBaseDelay,
+  ...dependencies
+}) => {
+  const { config } = dependencies
+  const authors = splitList(config.NOSTR_LABELER_AUTHORS)
+  const limit = pLimit(config.NOSTR_LABELER_CONCURRENCY)
+  let abortController = null
+
+  /**
+   * Classifies the media of an event and publishes their labels.
+   * Failed media are logged and left unlabeled.
+   * @param {import('./nostr-event.mjs').NostrEvent} event - The validated event.
+   * @param {import('./nostr-event.mjs').EventMedia[]} media - The media of the event.
+   * @param {string} relayUrl - The relay the event was received from.
+   * @returns {Promise<void>}
+   */
+  const labelEvent = async (event, media, relayUrl) => {
+    const { signal } = abortController
+    for (const item of media) {
+      const [err, result] = await to(
+        processUrl(
+          item.url,
+          { ...dependencies, declaredMediaType: item.mediaType },
+          signal
+        )
+      )
+      if (signal.aborted) {
+        return // The labeler was stopped
+      }
+      if (err) {
+        nostrLabelerMediaTotal.inc({ outcome: 'failed' })
+        console.warn(
+          `[Nostr Labeler] Failed to classify ${item.url} of event ${event.id}: ${err.message}`
+        )
+        continue
+      }
+      pool.publish(
+        signNostrEvent(
+          createLabelEvent(event, item.url, result, {
+            namespace: config.NOSTR_LABELER_NAMESPACE,
+            relayUrl,
+          }),
+          config.NOSTR_LABELER_SECRET_KEY
+        )
+      )
+      nostrLabelerMediaTotal.inc({ outcome: 'labeled' })
+    }
+  }
+
+  /**
+   * Labels the media of a new event of the subscription, events without media are skipped
+   * and events received while the queue is full are dropped.
+   * @param {import('./nostr-event.mjs').NostrEvent} event - The validated event.
+   * @param {string} relayUrl - The relay the event was received from.
+   */
+  const handleEvent = (event, relayUrl) => {
+    const media = extractEventMedia(event)
+    if (media.length === 0) {
+      return
+    }
+    if (limit.pendingCount >= config.NOSTR_LABELER_MAX_QUEUED_EVENTS) {
+      nostrLabelerMediaTotal.inc({ outcome: 'dropped' }, media.length)
+      console.warn(
+        `[Nostr Labeler] Event queue is full, dropping event ${event.id}.`
+      )
+      return
+    }
+    limit(() => labelEvent(event, media, relayUrl)).catch((error) => {
+      console.error(
+        `[Nostr Labeler] Failed to label event ${event.id}: ${error.message}`
+      )
+    })
+  }
+
+  const pool = createRelayPool({
+    name: 'Nostr Labeler',
+    subscriptionPrefix: 'nsfw-labeler',
+    urls: splitList(config.NOSTR_LABELER_RELAYS),
+    filter: {
+      kinds: splitList(config.NOSTR_LABELER_KINDS).map(Number),
+      ...(authors.length > 0 && { authors }),
+    },
+    seenMaxItemNum: config.NOSTR_LABELER_SEEN_MAX_ITEM_NUM,
+    reconnectMaxDelay: config.NOSTR_RELAY_RECONNECT_MAX_DELAY_IN_SECONDS * 1000,
+    onEvent: handleEvent,
+    WebSocket,
+    reconnectBaseDelay,
+  })
+
+  return {
+    start: () => {
+      abortController = new AbortController()
+      pool.start()
+    },
+    stop: async () => {
+      abortController?.abort()
+      await pool.stop()
+    },
+  }
+}
@@ -0,0 +1,215 @@
+import WebSocket from 'ws'
+import { LRUCache } from 'lru-cache'
+import { randomUUID } from 'node:crypto'
+import { parseNostrEvent, verifyNostrEvent } from './nostr-event.mjs'
+
+/**
+ * Delay before the first reconnection to a relay, doubled after every failed attempt.
+ * @type {number}
+ */
+const RECONNECT_BASE_DELAY_MS = 1000
+
+/**
+ * @typedef {object} RelayPool
+ * @property {() => void} start - Connects to the relays and subscribes to their events.
+ * @property {() => Promise<void>} stop - Closes the relay connections.
+ * @property {(event: import('./nostr-event.mjs').NostrEvent) => number} publish - Publishes a signed event to the connected relays, returns the number of relays it was sent to.
+ */
+
+/**
+ * Splits a comma separated setting.
+ * @param {string} value - The setting.
+ * @returns {string[]} - The trimmed, non empty items.
+ */
+export const splitList = (value) =>
+  (value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean)
+
+/**
+ * Factory function to create a pool of Nostr relay connections sharing one subscription.
+ * The pool subscribes to the events matching the filter on every relay and hands the validly signed ones to `onEvent`,
+ * once per event id: events received from several relays, or again after a reconnection, are skipped.
+ * Lost connections are reopened with an exponential backoff, resubscribing from the date of the last received event.
+ * @param {object} options - Pool options.
+ * @param {string} options.name - Name of the service using the pool, prefixing its logs.
+ * @param {string} options.subscriptionPrefix - Prefix of the subscription id.
+ * @param {string[]} options.urls - The relay URLs.
+ * @param {object} options.filter - The NIP-01 subscription filter, without `since`.
+ * @param {number} options.seenMaxItemNum - Maximum number of remembered event ids.
+ * @param {number} options.reconnectMaxDelay - Maximum delay between two reconnections to a relay in milliseconds.
+ * @param {(event: import('./nostr-event.mjs').NostrEvent, relayUrl: string) => void} options.onEvent - Handles a new validated event and the relay it was received from.
+ * @param {typeof WebSocket} [options.WebSocket=WebSocket] - The WebSocket client class.
+ * @param {number} [options.reconnectBaseDelay=RECONNECT_BASE_DELAY_MS] - Delay before the first reconnection in milliseconds.
+ * @returns {RelayPool} - The relay pool.
+ */
+export const createRelayPool = ({
+  name,
+  subscriptionPrefix,
+  urls,
+  filter,
+  seenMaxItemNum,
+  reconnectMaxDelay,
+  onEvent,
+  WebSocket: WebSocketClient = WebSocket,
+  reconnectBaseDelay = RECONNECT_BASE_DELAY_MS,
+}) => {
+  const subscriptionId = `${subscriptionPrefix}-${randomUUID()}`
+  const seenEvents = new LRUCache({ max: seenMaxItemNum })
+  const relays = new Map()
+
+  /**
+   * Sends a message to a relay, if it is connected.
+   * @param {object} relay - The relay state.
+   * @param {Array} message - The NIP-01 message.
+   * @returns {boolean} - True if the message was sent.
+   */
+  const send = (relay, message) => {
+    if (relay.socket?.readyState !== WebSocketClient.OPEN) {
+      return false
+    }
+    relay.socket.send(JSON.stringify(message))
+    return true
+  }
+
+  /**
+   * Publishes a signed event to every connected relay.
+   * @param {import('./nostr-event.mjs').NostrEvent} event - The signed event.
+   * @returns {number} - The number of relays the event was sent to.
+   */
+  const publish = (event) => {
+    const sentCount = [...relays.values()].filter((relay) =>
+      send(relay, ['EVENT', event])
+    ).length
+    if (sentCount === 0) {
+      console.warn(
+        `[${name}] No relay connected, event ${event.id} is dropped.`
+      )
+    }
+    return sentCount
+  }
+
+  /**
+   * Handles an event received from a relay subscription.
+   * Invalid, unsigned and already seen events are skipped.
+   * @param {object} relay - The relay state.
+   * @param {unknown} rawEvent - The received event.
+   */
+  const handleEvent = (relay, rawEvent) => {
+    let event
+    try {
+      event = parseNostrEvent(rawEvent)
+      verifyNostrEvent(event)
+    } catch (error) {
+      console.debug(
+        `[${name}] Skipping event from ${relay.url}: ${error.message}`
+      )
+      return
+    }
+    // Events dated in the future must not make the next subscriptions skip the events of now
+    relay.since = Math.max(
+      relay.since,
+      Math.min(event.created_at, Math.floor(Date.now() / 1000))
+    )
+    if (seenEvents.has(event.id)) {
+      return
+    }
+    seenEvents.set(event.id, true)
+    onEvent(event, relay.url)
+  }
+
+  /**
+   * Handles a message received from a relay.
+   * @param {object} relay - The relay state.
+   * @param {string} data - The raw NIP-01 message.
+   */
+  const handleMessage = (relay, data) => {
+    let message
+    try {
+      message = JSON.parse(data)
+    } catch {
+      console.debug(`[${name}] Ignoring invalid message from ${relay.url}`)
+      return
+    }
+    if (!Array.isArray(message)) {
+      return
+    }
+
+    const [type, ...args] = message
+    if (type === 'EVENT' && args[0] === subscriptionId) {
+      handleEvent(relay, args[1])
+    } else if (type === 'OK' && args[1] === false) {
+      console.warn(
+        `[${name}] ${relay.url} rejected event ${args[0]}: ${args[2]}`
+      )
+    } else if (type === 'NOTICE') {
+      console.warn(`[${name}] Notice from ${relay.url}: ${args[0]}`)
+    } else if (type === 'CLOSED' && args[0] === subscriptionId) {
+      console.warn(`[${name}] ${relay.url} closed the subscription: ${args[1]}`)
+      relay.socket.close() // Subscribe again after the reconnection delay
+    }
+  }
+
+  /**
+   * Opens the connection to a relay and subscribes to its events once connected.
+   * @param {object} relay - The relay state.
+   */
+  const connect = (relay) => {
+    const socket = new WebSocketClient(relay.url)
+    relay.socket = socket
+
+    socket.on('open', () => {
+      relay.attempt = 0
+      console.log(`[${name}] Connected to ${relay.url}`)
+      send(relay, ['REQ', subscriptionId, { ...filter, since: relay.since }])
+    })
+    socket.on('message', (data) => handleMessage(relay, data.toString()))
+    socket.on('error', (error) => {
+      console.warn(`[${name}] Error on ${relay.url}: ${error.message}`)
+    })
+    socket.on('close', () => {
+      if (relay.stopped) {
+        return
+      }
+      const delay = Math.min(
+        reconnectBaseDelay * 2 ** relay.attempt,
+        reconnectMaxDelay
+      )
+      relay.attempt++
+      console.warn(
+        `[${name}] Disconnected from ${relay.url}, reconnecting in ${delay}ms`
+      )
+      relay.reconnectTimer = setTimeout(() => connect(relay), delay)
+    })
+  }
+
+  return {
+    start: () => {
+      const now = Math.floor(Date.now() / 1000)
+      for (const url of urls) {
+        const relay = { url, since: now, attempt: 0, stopped: false }
+        relays.set(url, relay)
+        connect(relay)
+      }
+    },
+    stop: async () => {
+      await Promise.all(
+        [...relays.values()].map(
+          (relay) =>
+            new Promise((resolve) => {
+              relay.stopped = true
+              clearTimeout(relay.reconnectTimer)
+              if (relay.socket.readyState === WebSocketClient.CLOSED) {
+                return resolve()
+              }
+              relay.socket.once('close', resolve)
+              relay.socket.terminate()
+            })
+        )
+      )
+      relays.clear()
+    },
+    publish,
+  }
+}
@@ -19,10 +19,11 @@ const nsfwDetectorWorkerScriptPath = path.join(
 /**
  * Factory function to create and load an NsfwSpy instance.
  * @param {string} modelPath - The path to the model.json file.
+ * @param {typeof import('./nsfw-detector.mjs').DEFAULT_MODEL_OPTIONS} [modelOptions] - The input and output settings of the model (e.g. its manifest).
  * @returns {Promise<NsfwSpy>} - A promise that resolves with the loaded NsfwSpy instance.
  */
-export const createNsfwSpy = async (modelPath) => {
-  const nsfwSpy = new NsfwSpy(modelPath)
+export const createNsfwSpy = async (modelPath, modelOptions) => {
+  const nsfwSpy = new NsfwSpy(modelPath, modelOptions)
 
   console.time('load model')
   const [err] = await to(nsfwSpy.load())
@@ -34,14 +35,18 @@ export const createNsfwSpy = async (modelPath) => {
 
 /**
  * @typedef {object} NsfwSpyWorkerInterface
- * @property {typeof NsfwSpy.prototype.classifyImageFile} classifyImageFile - Classifies an image from a file path using the worker.
- * @property {typeof NsfwSpy.prototype.classifyImageFromByteArray} classifyImageFromByteArray - Classifies an image from a byte array using the worker.
+ * @property {(filePath: string, modelId?: string) => Promise<import('./nsfw-detector.mjs').NsfwSpyResult>} classifyImageFile - Classifies an image from a file path using the worker, with the default model if no model id is given.
+ * @property {(imageBuffer: Buffer, modelId?: string) => Promise<import('./nsfw-detector.mjs').NsfwSpyResult>} classifyImageFromByteArray - Classifies an image from a byte array using the worker, with the default model if no model id is given.
  */
 
 /**
  * @typedef {object} ImageProcessingWorkerInterface
- * @property {(filePath: string, outputPath: string) => Promise<import('sharp').OutputInfo>} processImageFile
- * @property {(buffer: Buffer, outputPath: string) => Promise<import('sharp').OutputInfo>} processImageData
+ * @property {(filePath: string, outputPath: string, options?: import('./image-processor.mjs').ImageProcessingOptions) => Promise<import('./image-processor.mjs').ImageProcessingOutputInfo>} processImageFile
+ * @property {(buffer: Buffer, options?: import('./image-processor.mjs').ImageProcessingOptions) => Promise<Buffer|{buffer: Buffer, perceptualHash: string}>} processImageData
+ * @property {(input: Buffer|string) => Promise<string>} computePerceptualHash
+ * @property {(input: Buffer|string, maxFrames: number) => Promise<import('./image-processor.mjs').AnimatedImageFrame[]>} extractAnimatedFrames
+ * @property {(buffer: Buffer, options: {method: string, strength: number, format: string}) => Promise<Buffer>} censorImage
+ * @property {(buffer: Buffer, format: string) => Promise<Buffer>} convertImage
  */
 
 /** Factory function to create a worker pool for NSFW detection.
@@ -84,11 +89,11 @@ export const createNsfwSpyInstanceFromWorker = async (workerpool) => {
    * @type {NsfwSpyWorkerInterface}
    */
   const nsfwSpyInterface = {
-    classifyImageFile: async (filePath) => {
-      return await proxy.classifyImageFile(filePath)
+    classifyImageFile: async (filePath, modelId) => {
+      return await proxy.classifyImageFile(filePath, modelId)
     },
-    classifyImageFromByteArray: async (imageBuffer) => {
-      return await proxy.classifyImageFromByteArray(imageBuffer)
+    classifyImageFromByteArray: async (imageBuffer, modelId) => {
+      return await proxy.classifyImageFromByteArray(imageBuffer, modelId)
     },
   }
   return nsfwSpyInterface
@@ -105,11 +110,23 @@ export const createImageProcessingInstanceFromWorker = async (workerpool) => {
    * @type {ImageProcessingWorkerInterface}
    */
   const imageProcessingInstance = {
-    processImageFile: async (filePath, outputPath) => {
-      return await proxy.processImageFile(filePath, outputPath)
+    processImageFile: async (filePath, outputPath, options) => {
+      return await proxy.processImageFile(filePath, outputPath, options)
     },
-    processImageData: async (buffer, outputPath) => {
-      return await proxy.processImageData(buffer, outputPath)
+    processImageData: async (buffer, options) => {
+      return await proxy.processImageData(buffer, options)
+    },
+    computePerceptualHash: async (input) => {
+      return await proxy.computePerceptualHash(input)
+    },
+    extractAnimatedFrames: async (input, maxFrames) => {
+      return await proxy.extractAnimatedFrames(input, maxFrames)
+    },
+    censorImage: async (buffer, options) => {
+      return await proxy.censorImage(buffer, options)
+    },
+    convertImage: async (buffer, format) => {
+      return await proxy.convertImage(buffer, format)
     },
   }
   return imageProcessingInstance
@@ -1,15 +1,41 @@
 import * as workerpool from 'workerpool'
+import { to } from 'await-to-js'
 import { createNsfwSpy } from './nsfw-detector-factory.mjs'
+import { config } from './config.mjs'
+import { loadModelRegistry } from './model-registry.mjs'
+import { handleFatalError } from './util.mjs'
 
-const nsfwSpy = await createNsfwSpy('file://models/mobilenet-v1.0.0/model.json')
+const [errRegistry, modelRegistry] = await to(loadModelRegistry(config))
+handleFatalError(errRegistry)
 
-async function classifyImageFile(imagePath) {
-  const result = await nsfwSpy.classifyImageFile(imagePath)
+// Every model of the registry is loaded once per worker
+const nsfwSpies = new Map()
+for (const manifest of modelRegistry.models.values()) {
+  nsfwSpies.set(manifest.id, await createNsfwSpy(manifest.modelPath, manifest))
+}
+
+/**
+ * Gets the NsfwSpy instance of a model.
+ * @param {string} [modelId] - The model id, the default model if not set.
+ * @returns {import('./nsfw-detector.mjs').NsfwSpy} - The NsfwSpy instance.
+ * @throws {Error} If the model is not in the registry.
+ */
+const getNsfwSpy = (modelId = modelRegistry.defaultModel) => {
+  const nsfwSpy = nsfwSpies.get(modelId)
+  if (!nsfwSpy) {
+    throw new Error(`Unknown model: ${modelId}`)
+  }
+  return nsfwSpy
+}
+
+async function classifyImageFile(imagePath, modelId) {
+  const result = await getNsfwSpy(modelId).classifyImageFile(imagePath)
   return result
 }
 
-async function classifyImageFromByteArray(imageBuffer) {
-  const result = await nsfwSpy.classifyImageFromByteArray(imageBuffer)
+async function classifyImageFromByteArray(imageBuffer, modelId) {
+  const result =
+    await getNsfwSpy(modelId).classifyImageFromByteArray(imageBuffer)
   return result
 }
 
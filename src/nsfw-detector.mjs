@@ -11,6 +11,18 @@ if (!util.isNullOrUndefined) {
 import * as tf from '@tensorflow/tfjs-node-gpu'
 import * as fs from 'fs/promises'
 
+/**
+ * Model settings of the original NsfwSpy model (models/mobilenet-v1.0.0).
+ * @type {Omit<import('./model-registry.mjs').ModelManifest, 'id' | 'description' | 'modelPath'>}
+ */
+export const DEFAULT_MODEL_OPTIONS = {
+  inputSize: 224,
+  inputNode: 'import/input',
+  outputNode: 'Score',
+  labels: ['hentai', 'neutral', 'pornography', 'sexy'],
+  normalization: { mean: 0, std: 255 },
+}
+
 /**
  * Wrapper class for the NSFW detection model.
  * Provides methods for loading the model and classifying images.
@@ -28,6 +40,12 @@ export class NsfwSpy {
    */
   modelPath
 
+  /**
+   * The input and output settings of the model (node names, labels, normalization).
+   * @type {typeof DEFAULT_MODEL_OPTIONS}
+   */
+  modelOptions
+
   /**
    * The loaded TensorFlow GraphModel instance.
    * This model is used for performing NSFW classification on images.
@@ -39,10 +57,12 @@ export class NsfwSpy {
    * Creates an instance of NsfwSpy.
    * @param {string} modelPath - The path to the model.json file containing the model's architecture and weights.
    * This path should be relative to the application's root directory or an absolute path.
+   * @param {typeof DEFAULT_MODEL_OPTIONS} [modelOptions=DEFAULT_MODEL_OPTIONS] - The input and output settings of the model, usually from its manifest.
    */
-  constructor(modelPath) {
-    this.imageSize = 224
+  constructor(modelPath, modelOptions = DEFAULT_MODEL_OPTIONS) {
+    this.imageSize = modelOptions.inputSize
     this.modelPath = modelPath
+    this.modelOptions = modelOptions
     this.model = null
   }
 
@@ -74,10 +94,12 @@ export class NsfwSpy {
       }
 
       // Decode, resize, and normalize the image
+      const { mean, std } = this.modelOptions.normalization
       const decodedImage = tf.node
         .decodeImage(imageBuffer, 3)
         .toFloat()
-        .div(tf.scalar(255))
+        .sub(tf.scalar(mean))
+        .div(tf.scalar(std))
 
       const resizedImage = tf.image.resizeBilinear(
         decodedImage,
@@ -87,7 +109,8 @@ export class NsfwSpy {
       const image = resizedImage.reshape([1, this.imageSize, this.imageSize, 3])
 
       // Execute the model
-      return this.model.execute({ 'import/input': image }, ['Score'])
+      const { inputNode, outputNode } = this.modelOptions
+      return this.model.execute({ [inputNode]: image }, [outputNode])
     })
 
     let data
@@ -98,7 +121,7 @@ export class NsfwSpy {
     }
 
     // Create and return the result object
-    const result = new NsfwSpyResult(data)
+    const result = new NsfwSpyResult(data, this.modelOptions.labels)
     return result
   }
 
@@ -119,33 +142,40 @@ export class NsfwSpy {
 /**
  * Represents the result of an NSFW classification.
  * This class encapsulates the classification scores for different categories
- * (hentai, neutral, pornography, sexy) and provides utility methods for
- * accessing and interpreting the results.
+ * (hentai, neutral, pornography, sexy with the default model, one per label of the model otherwise)
+ * and provides utility methods for accessing and interpreting the results.
  */
 export class NsfwSpyResult {
   /**
-   * Score representing the probability of the content being hentai.
-   * @type {number}
+   * Score representing the probability of the content being hentai, undefined for models without this label.
+   * @type {number|undefined}
    */
-  hentai = 0.0
+  hentai
 
   /**
    * Score representing the probability of the content being neutral.
-   * @type {number}
+   * @type {number|undefined}
    */
-  neutral = 0.0
+  neutral
 
   /**
    * Score representing the probability of the content being pornography.
-   * @type {number}
+   * @type {number|undefined}
    */
-  pornography = 0.0
+  pornography
 
   /**
    * Score representing the probability of the content being sexy.
-   * @type {number}
+   * @type {number|undefined}
+   */
+  sexy
+
+  /**
+   * The labels of the scores, in the order of the model output.
+   * Private, so that it is not sent back with the scores by the workers.
+   * @type {string[]}
    */
-  sexy = 0.0
+  #labels
 
   /**
    * The predicted label based on the highest score among all categories.
@@ -156,14 +186,14 @@ export class NsfwSpyResult {
 
   /**
    * Creates an instance of NsfwSpyResult.
-   * @param {number[]} results - An array of classification scores, expected in the order: [hentai, neutral, pornography, sexy].
-   * @throws {Error} If the results array is not of the expected length (4).
-   */
-  constructor(results) {
-    this.hentai = results[0]
-    this.neutral = results[1]
-    this.pornography = results[2]
-    this.sexy = results[3]
+   * @param {number[]} results - An array of classification scores, in the order of the labels.
+   * @param {string[]} [labels=DEFAULT_MODEL_OPTIONS.labels] - The labels of the scores (hentai, neutral, pornography, sexy by default).
+   */
+  constructor(results, labels = DEFAULT_MODEL_OPTIONS.labels) {
+    this.#labels = labels
+    labels.forEach((label, index) => {
+      this[label] = results[index]
+    })
     this.predictedLabel = this.toDictionary()[0].key
   }
 
@@ -179,17 +209,15 @@ export class NsfwSpyResult {
   /**
    * Converts the classification scores to a sorted dictionary array.
    * This method transforms the scores into an array of key-value pairs,
-   * where each pair represents a category (hentai, neutral, pornography, sexy)
+   * where each pair represents a category (one per label of the model)
    * and its corresponding score. The array is sorted in descending order based on the scores.
    * @returns {{key: string, value: number}[]} - A sorted array of results, with each element containing the category name (key) and score (value).
    */
   toDictionary() {
-    const dictionary = [
-      { key: 'hentai', value: this.hentai },
-      { key: 'neutral', value: this.neutral },
-      { key: 'pornography', value: this.pornography },
-      { key: 'sexy', value: this.sexy },
-    ]
+    const dictionary = this.#labels.map((label) => ({
+      key: label,
+      value: this[label],
+    }))
 
     return dictionary.sort((a, b) => {
       return b.value - a.value
@@ -0,0 +1,217 @@
+import { LRUCache } from 'lru-cache'
+
+/**
+ * Width of the difference hash grid, one more than the number of compared pixels per row.
+ * @type {number}
+ */
+const GRID_WIDTH = 9
+
+/**
+ * Height of the difference hash grid.
+ * @type {number}
+ */
+const GRID_HEIGHT = 8
+
+/**
+ * Side of the pixel blocks averaged into one grid cell.
+ * Averaging blocks of a larger thumbnail is less sensitive to aliasing than resizing the image straight to the grid size.
+ * @type {number}
+ */
+const BLOCK_SIZE = 4
+
+/**
+ * Width of the greyscale thumbnail a difference hash is computed from.
+ * @type {number}
+ */
+export const DIFFERENCE_HASH_THUMBNAIL_WIDTH = GRID_WIDTH * BLOCK_SIZE
+
+/**
+ * Height of the greyscale thumbnail a difference hash is computed from.
+ * @type {number}
+ */
+export const DIFFERENCE_HASH_THUMBNAIL_HEIGHT = GRID_HEIGHT * BLOCK_SIZE
+
+/**
+ * Number of bits of a difference hash.
+ * @type {number}
+ */
+const HASH_BITS = (GRID_WIDTH - 1) * GRID_HEIGHT
+
+/**
+ * Averages the pixel blocks of a greyscale thumbnail into the difference hash grid.
+ * @param {Uint8Array} pixels - The raw pixels of the thumbnail, row by row.
+ * @param {number} channels - The number of channels of the pixels, only the first one is used.
+ * @returns {number[]} - The brightness of the grid cells, row by row.
+ */
+const averageBlocks = (pixels, channels) => {
+  const grid = new Array(GRID_WIDTH * GRID_HEIGHT).fill(0)
+  for (let y = 0; y < DIFFERENCE_HASH_THUMBNAIL_HEIGHT; y++) {
+    for (let x = 0; x < DIFFERENCE_HASH_THUMBNAIL_WIDTH; x++) {
+      const cell =
+        Math.floor(y / BLOCK_SIZE) * GRID_WIDTH + Math.floor(x / BLOCK_SIZE)
+      grid[cell] += pixels[(y * DIFFERENCE_HASH_THUMBNAIL_WIDTH + x) * channels]
+    }
+  }
+  return grid
+}
+
+/**
+ * Computes the difference hash (dHash) of an image from its greyscale thumbnail.
+ * Each bit tells whether a grid cell is brighter than its right neighbour, so the hash survives
+ * re-encoding, resizing and recompression of the image.
+ * @param {Uint8Array} pixels - The raw pixels of the DIFFERENCE_HASH_THUMBNAIL_WIDTH x DIFFERENCE_HASH_THUMBNAIL_HEIGHT thumbnail, row by row.
+ * @param {number} [channels=1] - The number of channels of the pixels, only the first one is used.
+ * @returns {string} - The 64 bits hash as 16 hexadecimal characters.
+ */
+export const computeDifferenceHash = (pixels, channels = 1) => {
+  const grid = averageBlocks(pixels, channels)
+  let hash = 0n
+  for (let y = 0; y < GRID_HEIGHT; y++) {
+    for (let x = 0; x < GRID_WIDTH - 1; x++) {
+      const cell = y * GRID_WIDTH + x
+      hash = (hash << 1n) | (grid[cell] > grid[cell + 1] ? 1n : 0n)
+    }
+  }
+  return hash.toString(16).padStart(HASH_BITS / 4, '0')
+}
+
+/**
+ * Counts the bits which differ between two perceptual hashes.
+ * @param {string} hashA - A hash as hexadecimal characters.
+ * @param {string} hashB - Another hash as hexadecimal characters.
+ * @returns {number} - The Hamming distance.
+ */
+export const hammingDistance = (hashA, hashB) => {
+  let difference = BigInt(`0x${hashA}`) ^ BigInt(`0x${hashB}`)
+  let distance = 0
+  while (difference) {
+    difference &= difference - 1n
+    distance++
+  }
+  return distance
+}
+
+/**
+ * Splits a hash into chunks of bits.
+ * @param {string} hash - The hash as hexadecimal characters.
+ * @param {number} chunkCount - The number of chunks.
+ * @returns {string[]} - The chunks, as hexadecimal characters.
+ */
+const splitHash = (hash, chunkCount) => {
+  const value = BigInt(`0x${hash}`)
+  const chunkBits = Math.ceil(HASH_BITS / chunkCount)
+  const mask = (1n << BigInt(chunkBits)) - 1n
+  return Array.from({ length: chunkCount }, (_, index) =>
+    ((value >> BigInt(index * chunkBits)) & mask).toString(16)
+  )
+}
+
+/**
+ * @typedef {object} NearDuplicateMatch
+ * @property {object} result - The classification result of the matched image.
+ * @property {string} perceptualHash - The perceptual hash of the matched image.
+ * @property {number} distance - The Hamming distance between both hashes.
+ */
+
+/**
+ * @typedef {object} NearDuplicateIndex
+ * @property {(modelId: string, perceptualHash: string) => NearDuplicateMatch|null} find - Returns the closest classified image within the maximum distance, if any.
+ * @property {(modelId: string, perceptualHash: string, result: object) => void} add - Indexes the classification result of an image.
+ * @property {(modelId: string) => number} deleteModel - Removes the images classified by a model, returning their number.
+ * @property {() => number} size - Returns the number of indexed images.
+ */
+
+/**
+ * Factory function to create the index of classified images by perceptual hash.
+ * Hashes are split into `maxDistance + 1` chunks: two hashes within `maxDistance` bits of each other
+ * share at least one identical chunk, so a lookup only compares the hashes sharing a chunk with the searched one.
+ * Results of different models are never matched together.
+ * @param {object} options - Index options.
+ * @param {number} options.maxDistance - Maximum Hamming distance between near-duplicate hashes.
+ * @param {number} options.max - Maximum number of indexed images, the least recently used ones are evicted.
+ * @param {number} options.ttl - Time to keep an indexed image in milliseconds.
+ * @returns {NearDuplicateIndex} - The index.
+ */
+export const createNearDuplicateIndex = ({ maxDistance, max, ttl }) => {
+  const chunkCount = maxDistance + 1
+  const buckets = new Map()
+
+  /**
+   * Gets the bucket keys of a hash, one per chunk.
+   * @param {string} modelId - The model id.
+   * @param {string} perceptualHash - The hash.
+   * @returns {string[]} - The bucket keys.
+   */
+  const getBucketKeys = (modelId, perceptualHash) =>
+    splitHash(perceptualHash, chunkCount).map(
+      (chunk, index) => `${modelId}-${index}-${chunk}`
+    )
+
+  const entries = new LRUCache({
+    max,
+    ttl,
+    // Keep the buckets in sync with evicted, expired and replaced entries
+    dispose: (entry, key) => {
+      for (const bucketKey of getBucketKeys(
+        entry.modelId,
+        entry.perceptualHash
+      )) {
+        const bucket = buckets.get(bucketKey)
+        bucket?.delete(key)
+        if (bucket?.size === 0) {
+          buckets.delete(bucketKey)
+        }
+      }
+    },
+  })
+
+  return {
+    find: (modelId, perceptualHash) => {
+      let closest = null
+      const candidates = new Set(
+        getBucketKeys(modelId, perceptualHash).flatMap((bucketKey) => [
+          ...(buckets.get(bucketKey) ?? []),
+        ])
+      )
+      for (const key of candidates) {
+        const entry = entries.get(key) // Expired entries are removed here
+        if (entry?.modelId !== modelId) {
+          continue
+        }
+        const distance = hammingDistance(perceptualHash, entry.perceptualHash)
+        if (
+          distance <= maxDistance &&
+          (!closest || distance < closest.distance)
+        ) {
+          closest = {
+            result: entry.result,
+            perceptualHash: entry.perceptualHash,
+            distance,
+          }
+        }
+      }
+      return closest
+    },
+    add: (modelId, perceptualHash, result) => {
+      const key = `${modelId}-${perceptualHash}`
+      entries.set(key, { modelId, perceptualHash, result })
+      for (const bucketKey of getBucketKeys(modelId, perceptualHash)) {
+        if (!buckets.has(bucketKey)) {
+          buckets.set(bucketKey, new Set())
+        }
+        buckets.get(bucketKey).add(key)
+      }
+    },
+    deleteModel: (modelId) => {
+      const keys = []
+      for (const [key, entry] of entries.entries()) {
+        if (entry.modelId === modelId) {
+          keys.push(key)
+        }
+      }
+      keys.forEach((key) => entries.delete(key)) // The buckets are cleaned up on dispose
+      return keys.length
+    },
+    size: () => entries.size,
+  }
+}
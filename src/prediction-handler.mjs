@@ -1,7 +1,26 @@
 import { to } from 'await-to-js'
-import { extractUrl } from './util.mjs'
+import pLimit from 'p-limit'
+import * as fs from 'fs/promises'
+import { extractUrl, deleteFile, getUrlType } from './util.mjs'
+import { downloadFileToBuffer } from './download.mjs'
 import { processUrlForPrediction } from './url-processor.mjs'
-import { processDataForPrediction } from './data-processor.mjs'
+import {
+  processDataForPrediction,
+  processFileForPrediction,
+} from './data-processor.mjs'
+import {
+  MODERATION_ACTIONS,
+  evaluateModerationPolicy,
+} from './moderation-policy.mjs'
+import { CENSOR_METHODS, OUTPUT_IMAGE_FORMATS } from './image-processor.mjs'
+import { getImageTooLargeErrorCode } from './errors.mjs'
+import { sniffMediaFormat } from './media-sniffer.mjs'
+import {
+  parseNostrEvent,
+  verifyNostrEvent,
+  extractEventMedia,
+} from './nostr-event.mjs'
+import { matchDeclaredHash } from './hash-list.mjs'
 
 /**
  * Processes a URL for NSFW detection by calling the core processing logic.
@@ -13,6 +32,84 @@ import { processDataForPrediction } from './data-processor.mjs'
  */
 export const processUrl = processUrlForPrediction
 export const processData = processDataForPrediction
+export const processFile = processFileForPrediction
+
+/**
+ * Resolves the moderation policy of a request.
+ * The policy is picked from the `policy` body field (JSON or multipart/form-data),
+ * then the `policy` query parameter, then DEFAULT_MODERATION_POLICY.
+ * @param {object} req - Express request object.
+ * @param {object} dependencies - Injected dependencies.
+ * @param {Map<string, import("./moderation-policy.mjs").ModerationPolicy>} [dependencies.moderationPolicies] - The configured moderation policies.
+ * @param {object} dependencies.config - Configuration setting
+ * @param {string} [dependencies.config.DEFAULT_MODERATION_POLICY] - Name of the policy applied when none is requested.
+ * @returns {{policy: import("./moderation-policy.mjs").ModerationPolicy|null, error?: string}} - The policy (null if none applies) or an error message for unknown policies.
+ */
+const resolveModerationPolicy = (req, { moderationPolicies, config }) => {
+  const requestedPolicy =
+    typeof req.body?.policy === 'string' ? req.body.policy : req.query?.policy
+  const policyName = requestedPolicy || config.DEFAULT_MODERATION_POLICY
+  if (!policyName) {
+    return { policy: null }
+  }
+
+  const policy = moderationPolicies?.get(policyName)
+  if (!policy) {
+    return {
+      policy: null,
+      error: `Unknown moderation policy: ${policyName}`,
+    }
+  }
+  return { policy }
+}
+
+/**
+ * Resolves the model of a request, from the `model` body field or query parameter.
+ * @param {object} req - Express request object.
+ * @param {object} dependencies - Injected dependencies.
+ * @param {import("./model-registry.mjs").ModelRegistry} [dependencies.modelRegistry] - The available models.
+ * @returns {{model?: string, error?: string}} - The requested model id (undefined for the default model) or an error message for unknown models.
+ */
+const resolveModel = (req, { modelRegistry }) => {
+  const requestedModel =
+    typeof req.body?.model === 'string' ? req.body.model : req.query?.model
+  if (!requestedModel) {
+    return {}
+  }
+  if (!modelRegistry?.models.has(requestedModel)) {
+    return { error: `Unknown model: ${requestedModel}` }
+  }
+  return { model: requestedModel }
+}
+
+/**
+ * Adds the moderation decision of a policy next to the classification scores.
+ * @param {object} result - The classification result.
+ * @param {import("./moderation-policy.mjs").ModerationPolicy|null} policy - The policy to apply, if any.
+ * @returns {object} - The classification result, with a `moderation` field when a policy applies.
+ */
+const applyModerationPolicy = (result, policy) => {
+  if (!policy) {
+    return result
+  }
+  return { ...result, moderation: evaluateModerationPolicy(policy, result) }
+}
+
+/**
+ * Sends the error response of a failed prediction.
+ * Images over the size or pixel limits are answered with `413` and their error `code`,
+ * so that clients can tell them apart from other failures (e.g. network errors).
+ * @param {object} res - Express response object.
+ * @param {Error} err - The prediction error.
+ * @returns {object} - The Express response.
+ */
+const sendPredictionError = (res, err) => {
+  const code = getImageTooLargeErrorCode(err)
+  if (code) {
+    return res.status(413).json({ message: err.message, code })
+  }
+  return res.status(500).json({ message: err.message })
+}
 
 /**
  * Handles the /predict endpoint for URL-based NSFW detection.
@@ -32,18 +129,27 @@ export const predictUrlHandler = async (req, res, dependencies, signal) => {
     return res.status(400).json({ message: 'Multiple URLs are not supported' })
   }
 
+  const { policy, error } = resolveModerationPolicy(req, dependencies)
+  if (error) {
+    return res.status(400).json({ message: error })
+  }
+  const { model, error: modelError } = resolveModel(req, dependencies)
+  if (modelError) {
+    return res.status(400).json({ message: modelError })
+  }
+
   // Process the URL and get the prediction result
   const [err, result] = await to(
-    processUrl(extractedUrl[0], dependencies, signal)
+    processUrl(extractedUrl[0], { ...dependencies, model }, signal)
   )
 
   if (err) {
     // Error handling is now centralized in processUrlForPrediction, just return the error response
-    return res.status(500).json({ message: err.message })
+    return sendPredictionError(res, err)
   }
 
   // Send the successful result
-  res.status(200).json({ data: result })
+  res.status(200).json({ data: applyModerationPolicy(result, policy) })
 }
 
 /**
@@ -62,14 +168,673 @@ export const predictDataHandler = async (req, res, dependencies) => {
     })
   }
 
+  const { policy, error } = resolveModerationPolicy(req, dependencies)
+  if (error) {
+    return res.status(400).json({ message: error })
+  }
+  const { model, error: modelError } = resolveModel(req, dependencies)
+  if (modelError) {
+    return res.status(400).json({ message: modelError })
+  }
+
   // Process the base64 data and get the prediction result
-  const [err, result] = await to(processData(base64_data, dependencies))
+  const [err, result] = await to(
+    processData(base64_data, { ...dependencies, model })
+  )
 
   if (err) {
     // Error handling is now centralized in processDataForPrediction, just return the error response
-    return res.status(500).json({ message: err.message })
+    return sendPredictionError(res, err)
   }
 
   // Send the successful result
-  res.status(200).json({ data: result })
+  res.status(200).json({ data: applyModerationPolicy(result, policy) })
+}
+
+/**
+ * Gets the uploaded file of a request parsed by the upload middleware.
+ * @param {object} req - Express request object.
+ * @returns {{buffer?: Buffer, path?: string}|null} - The uploaded file as a Buffer or a path on disk, null if there is none.
+ */
+const getUploadedFile = (req) => {
+  if (req.file) {
+    return req.file.buffer
+      ? { buffer: req.file.buffer }
+      : { path: req.file.path }
+  }
+  if (Buffer.isBuffer(req.body) && req.body.length > 0) {
+    return { buffer: req.body }
+  }
+  return null
+}
+
+/**
+ * Handles the /predict_file endpoint for NSFW detection of an uploaded image file.
+ * Accepts either a multipart/form-data upload parsed into `req.file` (in memory or on disk)
+ * or a raw application/octet-stream body parsed into a Buffer.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {object} dependencies - Injected dependencies.
+ */
+export const predictFileHandler = async (req, res, dependencies) => {
+  const upload = getUploadedFile(req)
+
+  if (upload === null) {
+    return res.status(400).json({
+      message:
+        'File input is empty, please send multipart/form-data with a "file" field or an application/octet-stream body',
+    })
+  }
+
+  try {
+    const { policy, error } = resolveModerationPolicy(req, dependencies)
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+    const { model, error: modelError } = resolveModel(req, dependencies)
+    if (modelError) {
+      return res.status(400).json({ message: modelError })
+    }
+
+    // Process the uploaded file and get the prediction result
+    const [err, result] = await to(
+      processFile(upload, { ...dependencies, model })
+    )
+
+    if (err) {
+      return sendPredictionError(res, err)
+    }
+
+    // Send the successful result
+    res.status(200).json({ data: applyModerationPolicy(result, policy) })
+  } finally {
+    // Uploads streamed to disk are owned by this request
+    if (upload.path) {
+      const [err] = await to(deleteFile(upload.path))
+      if (err) {
+        console.warn(
+          `[Cleanup Warning] Failed to delete uploaded file ${upload.path}: ${err.message}`
+        )
+      }
+    }
+  }
+}
+
+/**
+ * Processes a single item of a batch request.
+ * Errors are captured and reported per item so that one failure does not fail the whole batch.
+ * @param {{url?: string, data?: string}} item - The batch item, either a URL or base64 image data.
+ * @param {number} index - The position of the item in the batch.
+ * @param {object} dependencies - Injected dependencies.
+ * @param {AbortSignal} [signal] - Signal to abort URL downloads.
+ * @returns {Promise<object>} - The per-item result or error.
+ */
+const processBatchItem = async (item, index, dependencies, signal) => {
+  if (typeof item.url === 'string') {
+    const extractedUrl = extractUrl(item.url)
+    if (extractedUrl === null) {
+      return {
+        index,
+        url: item.url,
+        status: 'error',
+        message: 'URL is not detected',
+      }
+    }
+    if (extractedUrl.length > 1) {
+      return {
+        index,
+        url: item.url,
+        status: 'error',
+        message: 'Multiple URLs are not supported',
+      }
+    }
+
+    const [err, result] = await to(
+      processUrl(extractedUrl[0], dependencies, signal)
+    )
+    if (err) {
+      const code = getImageTooLargeErrorCode(err)
+      return {
+        index,
+        url: item.url,
+        status: 'error',
+        message: err.message,
+        ...(code && { code }),
+      }
+    }
+    return { index, url: item.url, status: 'success', data: result }
+  }
+
+  const [err, result] = await to(processData(item.data, dependencies))
+  if (err) {
+    const code = getImageTooLargeErrorCode(err)
+    return {
+      index,
+      status: 'error',
+      message: err.message,
+      ...(code && { code }),
+    }
+  }
+  return { index, status: 'success', data: result }
+}
+
+/**
+ * Handles the /predict_batch endpoint for NSFW detection of many URLs or base64 items in one call.
+ * Items are processed with bounded concurrency and results are returned in input order.
+ * The moderation policy of the request applies to every successful item.
+ * Duplicated items inside a batch share the per-URL or per-content mutex and the result cache, so they are downloaded and classified only once.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {object} dependencies - Injected dependencies.
+ * @param {number} dependencies.config.BATCH_PROCESSING_CONCURRENCY - Maximum number of items processed concurrently.
+ * @param {AbortSignal} [signal] - Signal to abort URL downloads.
+ */
+export const predictBatchHandler = async (req, res, dependencies, signal) => {
+  const items = req.body.items ?? []
+
+  if (items.length === 0) {
+    return res.status(400).json({
+      message: 'Batch input is empty, please send at least one item',
+    })
+  }
+
+  const { policy, error } = resolveModerationPolicy(req, dependencies)
+  if (error) {
+    return res.status(400).json({ message: error })
+  }
+  const { model, error: modelError } = resolveModel(req, dependencies)
+  if (modelError) {
+    return res.status(400).json({ message: modelError })
+  }
+
+  const batchLimit = pLimit(dependencies.config.BATCH_PROCESSING_CONCURRENCY)
+  const results = await Promise.all(
+    items.map((item, index) =>
+      batchLimit(() =>
+        processBatchItem(item, index, { ...dependencies, model }, signal)
+      )
+    )
+  )
+
+  res.status(200).json({
+    data: results.map((itemResult) =>
+      itemResult.status === 'success'
+        ? {
+            ...itemResult,
+            data: applyModerationPolicy(itemResult.data, policy),
+          }
+        : itemResult
+    ),
+  })
+}
+
+/**
+ * Processes a media item of a Nostr event.
+ * Media whose declared SHA256 is blocklisted get the blocklist verdict without being downloaded.
+ * @param {import("./nostr-event.mjs").EventMedia} media - The media item.
+ * @param {number} index - The position of the media in the event.
+ * @param {object} dependencies - Injected dependencies.
+ * @param {AbortSignal} [signal] - Signal to abort the download.
+ * @returns {Promise<object>} - The per-media result or error, with the declared `mimeType` and `hash`.
+ */
+const processEventMedia = async (media, index, dependencies, signal) => {
+  const declared = {
+    ...(media.mimeType && { mimeType: media.mimeType }),
+    ...(media.hash && { hash: media.hash }),
+  }
+  const verdict =
+    media.hash && dependencies.hashLists
+      ? matchDeclaredHash(media.hash, dependencies)
+      : null
+  if (verdict) {
+    return {
+      index,
+      url: media.url,
+      ...declared,
+      status: 'success',
+      data: { verdict },
+    }
+  }
+
+  const itemResult = await processBatchItem(
+    { url: media.url },
+    index,
+    { ...dependencies, declaredMediaType: media.mediaType },
+    signal
+  )
+  return { ...itemResult, ...declared }
+}
+
+/**
+ * Sums up the results of the media of an event.
+ * The event is NSFW if any classified media is; with a moderation policy, the most severe decision is the event action
+ * (the default action of the policy for events without classified media).
+ * Failed media are only counted, clients decide whether an incomplete verdict is enough.
+ * @param {object[]} results - The per-media results, with their moderation decision if a policy applies.
+ * @param {import("./moderation-policy.mjs").ModerationPolicy|null} policy - The applied policy, if any.
+ * @returns {{isNsfw: boolean, mediaCount: number, failedCount: number, action?: string}} - The event verdict.
+ */
+const getEventVerdict = (results, policy) => {
+  const classified = results
+    .filter((itemResult) => itemResult.status === 'success')
+    .map((itemResult) => itemResult.data)
+  const verdict = {
+    isNsfw: classified.some(isNsfwResult),
+    mediaCount: results.length,
+    failedCount: results.length - classified.length,
+  }
+  if (!policy) {
+    return verdict
+  }
+
+  const action = classified
+    .map((result) => result.moderation.action)
+    .reduce(
+      (mostSevere, current) =>
+        MODERATION_ACTIONS.indexOf(current) >
+        MODERATION_ACTIONS.indexOf(mostSevere)
+          ? current
+          : mostSevere,
+      classified.length > 0 ? 'allow' : policy.defaultAction
+    )
+  return { ...verdict, action }
+}
+
+/**
+ * Handles the /predict_event endpoint for NSFW detection of every media item of a Nostr event.
+ * Media are extracted from the URLs of the event content and from its NIP-92 `imeta` tags,
+ * then processed like /predict_batch items, with bounded concurrency and in event order.
+ * With VERIFY_NOSTR_EVENT_SIGNATURE, events whose id or signature is invalid are rejected.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {object} dependencies - Injected dependencies.
+ * @param {boolean} dependencies.config.VERIFY_NOSTR_EVENT_SIGNATURE - Flag to verify the id and signature of events.
+ * @param {number} dependencies.config.BATCH_MAX_ITEMS - Maximum number of media items of an event.
+ * @param {number} dependencies.config.BATCH_PROCESSING_CONCURRENCY - Maximum number of media items processed concurrently.
+ * @param {AbortSignal} [signal] - Signal to abort URL downloads.
+ */
+export const predictEventHandler = async (req, res, dependencies, signal) => {
+  const { config } = dependencies
+  let event
+  let media
+  try {
+    event = parseNostrEvent(req.body?.event)
+    if (config.VERIFY_NOSTR_EVENT_SIGNATURE) {
+      verifyNostrEvent(event)
+    }
+    media = extractEventMedia(event)
+  } catch (error) {
+    return res.status(400).json({ message: error.message })
+  }
+  if (media.length > config.BATCH_MAX_ITEMS) {
+    return res.status(400).json({
+      message: `Event cannot contain more than ${config.BATCH_MAX_ITEMS} media items`,
+    })
+  }
+
+  const { policy, error } = resolveModerationPolicy(req, dependencies)
+  if (error) {
+    return res.status(400).json({ message: error })
+  }
+  const { model, error: modelError } = resolveModel(req, dependencies)
+  if (modelError) {
+    return res.status(400).json({ message: modelError })
+  }
+
+  const mediaLimit = pLimit(config.BATCH_PROCESSING_CONCURRENCY)
+  const results = (
+    await Promise.all(
+      media.map((item, index) =>
+        mediaLimit(() =>
+          processEventMedia(item, index, { ...dependencies, model }, signal)
+        )
+      )
+    )
+  ).map((itemResult) =>
+    itemResult.status === 'success'
+      ? { ...itemResult, data: applyModerationPolicy(itemResult.data, policy) }
+      : itemResult
+  )
+
+  res.status(200).json({
+    data: {
+      id: event.id,
+      pubkey: event.pubkey,
+      kind: event.kind,
+      media: results,
+      verdict: getEventVerdict(results, policy),
+    },
+  })
+}
+
+/**
+ * Reads and validates the censoring options of a request.
+ * Options are picked from the body fields (JSON or multipart/form-data), then the query string, then the configured defaults.
+ * @param {object} req - Express request object.
+ * @param {object} config - Configuration setting
+ * @param {string} config.CENSOR_DEFAULT_METHOD - Default censoring method (blur or pixelate).
+ * @param {number} config.CENSOR_DEFAULT_STRENGTH - Default blur sigma or pixel block size.
+ * @param {string} config.CENSOR_DEFAULT_FORMAT - Default output format (jpeg, webp or png).
+ * @returns {{options?: {method: string, strength: number, format: string, response: string}, error?: string}} - The options or an error message.
+ */
+const parseCensorOptions = (req, config) => {
+  const fields = {
+    ...req.query,
+    ...(req.body && !Buffer.isBuffer(req.body) ? req.body : {}),
+  }
+  const method = fields.method ?? config.CENSOR_DEFAULT_METHOD
+  const strength = Number(fields.strength ?? config.CENSOR_DEFAULT_STRENGTH)
+  const format =
+    fields.format === 'jpg'
+      ? 'jpeg'
+      : (fields.format ?? config.CENSOR_DEFAULT_FORMAT)
+  const response = fields.response ?? 'image'
+
+  if (!CENSOR_METHODS.includes(method)) {
+    return { error: `method must be one of ${CENSOR_METHODS.join(', ')}` }
+  }
+  if (!Number.isFinite(strength) || strength < 1 || strength > 1000) {
+    return { error: 'strength must be a number between 1 and 1000' }
+  }
+  if (!OUTPUT_IMAGE_FORMATS.includes(format)) {
+    return {
+      error: `format must be one of ${OUTPUT_IMAGE_FORMATS.join(', ')}`,
+    }
+  }
+  if (!['image', 'json'].includes(response)) {
+    return { error: 'response must be one of image, json' }
+  }
+
+  return { options: { method, strength, format, response } }
+}
+
+/**
+ * Decides whether a classification result is NSFW, regardless of moderation policies.
+ * The hash list of listed media, the aggregated verdict of sampled frames or the neutral score (below 0.5) decides.
+ * @param {object} result - The classification result.
+ * @returns {boolean} - True if the media is NSFW.
+ */
+const isNsfwResult = (result) => {
+  if (result.verdict) {
+    return result.verdict.source === 'blocklist'
+  }
+  return result.aggregation?.isNsfw ?? result.neutral < 0.5
+}
+
+/**
+ * Decides whether a classification result must be censored.
+ * With a moderation policy, `blur` and `block` decisions are censored; otherwise NSFW images are.
+ * @param {object} result - The classification result, with its moderation decision if a policy applies.
+ * @returns {boolean} - True if the image must be censored.
+ */
+const isCensorRequired = (result) => {
+  if (result.moderation) {
+    return ['blur', 'block'].includes(result.moderation.action)
+  }
+  return isNsfwResult(result)
+}
+
+/**
+ * Reads the image to censor from the uploaded file or downloads it from the URL of the request.
+ * @param {{buffer?: Buffer, path?: string}|null} upload - The uploaded file, if any.
+ * @param {string} url - The image URL, used when there is no upload.
+ * @param {object} config - Configuration setting
+ * @param {AbortSignal} [signal] - Signal to abort the download.
+ * @returns {Promise<Buffer>} - The image data.
+ * @throws {Error} If the image cannot be read or downloaded.
+ */
+const readCensorInput = async (upload, url, config, signal) => {
+  if (upload?.buffer) {
+    return upload.buffer
+  }
+  if (upload?.path) {
+    const [errReadFile, buffer] = await to(fs.readFile(upload.path))
+    if (errReadFile) {
+      throw new Error(`Failed to read uploaded file: ${errReadFile.message}`)
+    }
+    return buffer
+  }
+
+  const [errDownload, download] = await to(
+    downloadFileToBuffer(
+      url,
+      config.REQUEST_TIMEOUT_IN_SECONDS * 1000,
+      { 'User-Agent': config.USER_AGENT },
+      signal,
+      config.MAX_IMAGE_SIZE_MB * 1024 * 1024
+    )
+  )
+  if (errDownload) {
+    throw new Error(`Download failed for ${url}: ${errDownload.message}`, {
+      cause: errDownload,
+    })
+  }
+  return download.buffer
+}
+
+/**
+ * Handles the /censor endpoint which returns a blurred or pixelated copy of NSFW images.
+ * The image comes from a `url` field or an uploaded file (multipart/form-data or application/octet-stream).
+ * It is classified like on /predict_file, then censored when the moderation policy (or the NSFW verdict) requires it,
+ * otherwise it is only converted to the requested format.
+ * The image is sent with the scores in `X-Nsfw-*` headers, or in a JSON envelope with the `response=json` option.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {object} dependencies - Injected dependencies.
+ * @param {import("./nsfw-detector-factory.mjs").ImageProcessingWorkerInterface} dependencies.imageProcessingInstance - The image processing instance.
+ * @param {AbortSignal} [signal] - Signal to abort the download.
+ */
+export const censorHandler = async (req, res, dependencies, signal) => {
+  const { imageProcessingInstance, config } = dependencies
+  const upload = getUploadedFile(req)
+
+  try {
+    const { options, error: optionsError } = parseCensorOptions(req, config)
+    if (optionsError) {
+      return res.status(400).json({ message: optionsError })
+    }
+
+    const { policy, error: policyError } = resolveModerationPolicy(
+      req,
+      dependencies
+    )
+    if (policyError) {
+      return res.status(400).json({ message: policyError })
+    }
+    const { model, error: modelError } = resolveModel(req, dependencies)
+    if (modelError) {
+      return res.status(400).json({ message: modelError })
+    }
+
+    let url = null
+    if (upload === null) {
+      const extractedUrl = extractUrl(req.body?.url ?? '')
+      if (extractedUrl === null) {
+        return res.status(400).json({
+          message:
+            'Censor input is empty, please send a "url" field, a multipart/form-data "file" field or an application/octet-stream body',
+        })
+      }
+      if (extractedUrl.length > 1) {
+        return res
+          .status(400)
+          .json({ message: 'Multiple URLs are not supported' })
+      }
+      url = extractedUrl[0]
+      if (getUrlType(url) === 'video') {
+        return res
+          .status(400)
+          .json({ message: 'Censoring is only supported for images' })
+      }
+    }
+
+    const [errInput, buffer] = await to(
+      readCensorInput(upload, url, config, signal)
+    )
+    if (errInput) {
+      return sendPredictionError(res, errInput)
+    }
+    // Videos served without a video extension are only recognized by their content
+    if (sniffMediaFormat(buffer)?.type === 'video') {
+      return res
+        .status(400)
+        .json({ message: 'Censoring is only supported for images' })
+    }
+
+    const [errPredict, prediction] = await to(
+      processFile({ buffer }, { ...dependencies, model })
+    )
+    if (errPredict) {
+      return sendPredictionError(res, errPredict)
+    }
+
+    const result = applyModerationPolicy(prediction, policy)
+    const censored = isCensorRequired(result)
+
+    const [errImage, image] = await to(
+      censored
+        ? imageProcessingInstance.censorImage(buffer, options)
+        : imageProcessingInstance.convertImage(buffer, options.format)
+    )
+    if (errImage) {
+      return res
+        .status(500)
+        .json({ message: `Image censoring failed: ${errImage.message}` })
+    }
+    // Buffers returned by worker threads arrive as Uint8Array
+    const imageBuffer = Buffer.from(image)
+
+    if (options.response === 'json') {
+      return res.status(200).json({
+        data: {
+          ...result,
+          censored,
+          image: {
+            format: options.format,
+            data: imageBuffer.toString('base64'),
+          },
+        },
+      })
+    }
+
+    res.set({
+      'X-Censored': String(censored),
+      // Listed images get the verdict of their hash list instead of scores
+      ...(result.verdict
+        ? { 'X-Verdict-Source': result.verdict.source }
+        : {
+            'X-Nsfw-Hentai': String(result.hentai),
+            'X-Nsfw-Neutral': String(result.neutral),
+            'X-Nsfw-Pornography': String(result.pornography),
+            'X-Nsfw-Sexy': String(result.sexy),
+            'X-Nsfw-Predicted-Label': result.predictedLabel,
+          }),
+      ...(result.moderation && {
+        'X-Moderation-Policy': result.moderation.policy,
+        'X-Moderation-Action': result.moderation.action,
+      }),
+    })
+    res.type(options.format).status(200).send(imageBuffer)
+  } finally {
+    // Uploads streamed to disk are owned by this request
+    if (upload?.path) {
+      const [err] = await to(deleteFile(upload.path))
+      if (err) {
+        console.warn(
+          `[Cleanup Warning] Failed to delete uploaded file ${upload.path}: ${err.message}`
+        )
+      }
+    }
+  }
+}
+
+/**
+ * Handles the POST /jobs endpoint which enqueues a URL or base64 data prediction.
+ * The job id is returned immediately (202), the result is polled with GET /jobs/:id
+ * and optionally posted to `callback_url` when the job is done.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {object} dependencies - Injected dependencies.
+ * @param {import("./job-manager.mjs").JobManager} dependencies.jobManager - The job manager.
+ */
+export const createJobHandler = async (req, res, dependencies) => {
+  const { jobManager } = dependencies
+  const { url, data, callback_url: callbackUrl } = req.body
+
+  const { policy, error } = resolveModerationPolicy(req, dependencies)
+  if (error) {
+    return res.status(400).json({ message: error })
+  }
+  const { model, error: modelError } = resolveModel(req, dependencies)
+  if (modelError) {
+    return res.status(400).json({ message: modelError })
+  }
+
+  let input
+  let task
+  if (typeof url === 'string') {
+    const extractedUrl = extractUrl(url)
+    if (extractedUrl === null) {
+      return res.status(400).json({ message: 'URL is not detected' })
+    }
+    if (extractedUrl.length > 1) {
+      return res
+        .status(400)
+        .json({ message: 'Multiple URLs are not supported' })
+    }
+    input = { type: 'url', url: extractedUrl[0] }
+    task = async (signal) =>
+      applyModerationPolicy(
+        await processUrl(extractedUrl[0], { ...dependencies, model }, signal),
+        policy
+      )
+  } else if (typeof data === 'string' && data.length > 0) {
+    input = { type: 'data' }
+    task = async () =>
+      applyModerationPolicy(
+        await processData(data, { ...dependencies, model }),
+        policy
+      )
+  } else {
+    return res.status(400).json({
+      message: 'Job input is empty, please send a "url" or a base64 "data"',
+    })
+  }
+
+  const job = jobManager.createJob(input, task, { callbackUrl })
+  res.status(202).json({ data: job })
+}
+
+/**
+ * Handles the GET /jobs/:id endpoint which returns the status and result of a job.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {object} dependencies - Injected dependencies.
+ * @param {import("./job-manager.mjs").JobManager} dependencies.jobManager - The job manager.
+ */
+export const getJobHandler = async (req, res, { jobManager }) => {
+  const job = jobManager.getJob(req.params.id)
+  if (!job) {
+    return res.status(404).json({ message: 'Job not found' })
+  }
+  res.status(200).json({ data: job })
+}
+
+/**
+ * Handles the DELETE /jobs/:id endpoint which cancels a queued or running job.
+ * Running jobs are aborted through their abort signal.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {object} dependencies - Injected dependencies.
+ * @param {import("./job-manager.mjs").JobManager} dependencies.jobManager - The job manager.
+ */
+export const cancelJobHandler = async (req, res, { jobManager }) => {
+  const job = jobManager.getJob(req.params.id)
+  if (!job) {
+    return res.status(404).json({ message: 'Job not found' })
+  }
+  if (!['queued', 'running'].includes(job.status)) {
+    return res.status(409).json({ message: `Job is already ${job.status}` })
+  }
+  res.status(200).json({ data: jobManager.cancelJob(req.params.id) })
 }
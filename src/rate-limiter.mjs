@@ -0,0 +1,164 @@
+import { LRUCache } from 'lru-cache'
+import { rateLimitedRequestsTotal } from './metrics.mjs'
+
+/**
+ * @typedef {object} RateLimitResult
+ * @property {boolean} allowed - Whether the request took a token.
+ * @property {number} limit - The bucket capacity.
+ * @property {number} remaining - Number of whole tokens left in the bucket.
+ * @property {number} reset - Seconds until the bucket is full again.
+ * @property {number} retryAfter - Seconds until the next token, 0 if the request is allowed.
+ */
+
+/**
+ * @typedef {object} RateLimiter
+ * @property {(key: string, now?: number, cost?: number) => RateLimitResult} take - Takes tokens from the bucket of a client.
+ * @property {(key: string, now?: number) => void} refund - Gives a token back to the bucket of a client.
+ */
+
+/**
+ * Factory function to create a token bucket rate limiter, with one bucket per client.
+ * A bucket holds up to `capacity` tokens (the burst) and regains `refillPerMinute` tokens per minute.
+ * Every request takes one token, or its cost in tokens.
+ * A request costing more than the capacity is allowed from a full bucket and leaves it in debt,
+ * so large requests are possible but still charged in full.
+ * Idle buckets are dropped once full again, and the least recently used ones beyond `maxClients`
+ * (a dropped bucket is a full one).
+ * @param {object} options - Rate limiter settings.
+ * @param {number} options.capacity - Maximum number of tokens of a bucket.
+ * @param {number} options.refillPerMinute - Number of tokens regained per minute.
+ * @param {number} options.maxClients - Maximum number of buckets kept in memory.
+ * @returns {RateLimiter} - The rate limiter.
+ */
+export const createRateLimiter = ({
+  capacity,
+  refillPerMinute,
+  maxClients,
+}) => {
+  const refillPerMs = refillPerMinute / (60 * 1000)
+  const buckets = new LRUCache({
+    max: maxClients,
+    ttl: Math.ceil(capacity / refillPerMs),
+  })
+
+  /**
+   * Gets the bucket of a client, refilled up to now.
+   * @param {string} key - The client key.
+   * @param {number} now - The current time in milliseconds.
+   * @returns {{tokens: number, updatedAt: number}} - The bucket.
+   */
+  const getBucket = (key, now) => {
+    const bucket = buckets.get(key) ?? { tokens: capacity, updatedAt: now }
+    bucket.tokens = Math.min(
+      capacity,
+      bucket.tokens + Math.max(0, now - bucket.updatedAt) * refillPerMs
+    )
+    bucket.updatedAt = now
+    buckets.set(key, bucket)
+    return bucket
+  }
+
+  return {
+    take: (key, now = Date.now(), cost = 1) => {
+      const bucket = getBucket(key, now)
+      const required = Math.min(cost, capacity)
+      const allowed = bucket.tokens >= required
+      if (allowed) {
+        bucket.tokens -= cost
+      }
+      return {
+        allowed,
+        limit: capacity,
+        remaining: Math.max(0, Math.floor(bucket.tokens)),
+        reset: Math.ceil((capacity - bucket.tokens) / refillPerMs / 1000),
+        retryAfter: allowed
+          ? 0
+          : Math.ceil((required - bucket.tokens) / refillPerMs / 1000),
+      }
+    },
+    refund: (key, now = Date.now()) => {
+      const bucket = getBucket(key, now)
+      bucket.tokens = Math.min(capacity, bucket.tokens + 1)
+    },
+  }
+}
+
+/**
+ * Gets the client a request is counted for: its named API key, its NIP-98 author, or its IP address
+ * (the forwarded one if the proxy is trusted, see the Express `trust proxy` setting).
+ * @param {object} req - Express request object.
+ * @returns {string} - The client key.
+ */
+export const getRateLimitKey = (req) => {
+  if (req.apiKey) {
+    return `key:${req.apiKey}`
+  }
+  if (req.nostrPubkey) {
+    return `nostr:${req.nostrPubkey}`
+  }
+  return `ip:${req.ip}`
+}
+
+/**
+ * Creates a middleware limiting the request rate of each client, answering `429` with a `Retry-After` header
+ * once its bucket is empty. The `RateLimit-Limit`, `RateLimit-Remaining` and `RateLimit-Reset` headers
+ * are set on every response.
+ * If cache hits are skipped, the token of a request answered from the result cache is given back once
+ * the response is sent, the handler reporting its cache hits through `trackCacheHits`.
+ * @param {string} name - The limit name, used as `limit` label of the metrics.
+ * @param {RateLimiter} limiter - The rate limiter.
+ * @param {object} [options] - Middleware settings.
+ * @param {boolean} [options.skipCacheHits=false] - Whether the requests answered from the result cache are free.
+ * @param {function(object): number} [options.getCost] - Gets the number of tokens of a request (e.g. its number of items), one if not set.
+ * @returns {function(object, object, function): object|void} - The middleware function.
+ */
+export const createRateLimitMiddleware =
+  (name, limiter, { skipCacheHits = false, getCost = () => 1 } = {}) =>
+  (req, res, next) => {
+    const key = getRateLimitKey(req)
+    const cost = Math.max(1, getCost(req))
+    const { allowed, limit, remaining, reset, retryAfter } = limiter.take(
+      key,
+      Date.now(),
+      cost
+    )
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(remaining),
+      'RateLimit-Reset': String(reset),
+    })
+    if (!allowed) {
+      rateLimitedRequestsTotal.inc({ limit: name })
+      res.set('Retry-After', String(retryAfter))
+      return res.status(429).json({ message: 'Too many requests' })
+    }
+    if (skipCacheHits) {
+      req.rateLimit = { cacheHit: false }
+      res.on('finish', () => {
+        if (req.rateLimit.cacheHit && res.statusCode < 400) {
+          limiter.refund(key)
+        }
+      })
+    }
+    next()
+  }
+
+/**
+ * Wraps the result cache of a request to report its cache hits to the rate limit middleware.
+ * Only complete results count as hits (see `getCachedUrlResult` and `getCachedContentResult`), not the
+ * URL entries pointing at an evicted content entry.
+ * @param {import('./result-cache.mjs').ResultCache} resultCache - The result cache.
+ * @param {object} req - Express request object.
+ * @returns {import('./result-cache.mjs').ResultCache} - The wrapped cache, or the same cache if cache hits are not skipped.
+ */
+export const trackCacheHits = (resultCache, req) => {
+  if (!req.rateLimit) {
+    return resultCache
+  }
+  return {
+    ...resultCache,
+    reportHit: () => {
+      req.rateLimit.cacheHit = true
+    },
+  }
+}
@@ -1,5 +1,19 @@
 import { LRUCache } from 'lru-cache'
+import axios from 'axios'
+import { to } from 'await-to-js'
+import { createResultCache } from './result-cache.mjs'
 import { config } from './config.mjs'
+import { handleFatalError } from './util.mjs'
+import { loadModerationPolicies } from './moderation-policy.mjs'
+import { createJobManager } from './job-manager.mjs'
+import { registerWorkerPoolMetrics, withCacheMetrics } from './metrics.mjs'
+import { createHealthMonitor } from './health.mjs'
+import { createSsrfGuard, installSsrfGuard } from './ssrf-guard.mjs'
+import { loadModelRegistry } from './model-registry.mjs'
+import { createModelReloader } from './model-reloader.mjs'
+import { createNearDuplicateIndex } from './perceptual-hash.mjs'
+import { createHashLists } from './hash-list.mjs'
+import { createApiKeyStore } from './api-keys.mjs'
 import {
   createNsfwDetectorWorkerPool,
   createImageProcessingWorkerPool,
@@ -7,26 +21,108 @@ import {
   createImageProcessingInstanceFromWorker,
 } from './nsfw-detector-factory.mjs'
 
+// --- SSRF Protection (every outbound request goes through the default axios instance) ---
+if (config.ENABLE_SSRF_PROTECTION) {
+  try {
+    installSsrfGuard(
+      axios,
+      createSsrfGuard({ allowlist: config.SSRF_ALLOWLIST })
+    )
+  } catch (error) {
+    handleFatalError(error) // Invalid allowlist is a configuration error
+  }
+}
+
+// --- Models (the workers load every model of the registry) ---
+const [errModels, models] = await to(loadModelRegistry(config))
+handleFatalError(errModels) // Invalid manifests are a configuration error
+export const modelRegistry = models
+
 // --- Shared Worker Pools ---
-export const nsfwDetectorWorkerPool = await createNsfwDetectorWorkerPool(config)
+const nsfwDetectorWorkerPool = await createNsfwDetectorWorkerPool(config)
 export const imageProcessingWorkerPool =
   await createImageProcessingWorkerPool(config)
+registerWorkerPoolMetrics('nsfw_detector', nsfwDetectorWorkerPool)
+registerWorkerPoolMetrics('image_processing', imageProcessingWorkerPool)
 
 // --- Shared Service Instances from Workers ---
-export const nsfwSpy = await createNsfwSpyInstanceFromWorker(
-  nsfwDetectorWorkerPool
-)
 export const imageProcessingInstance =
   await createImageProcessingInstanceFromWorker(imageProcessingWorkerPool)
 
 // --- Shared Caches ---
-export const resultCache = new LRUCache({
-  max: config.MAX_CACHE_ITEM_NUM,
-  ttl: config.CACHE_DURATION_IN_SECONDS * 1000, // time to live in ms
+const [errCache, cache] = await to(createResultCache(config))
+handleFatalError(errCache)
+export const resultCache = withCacheMetrics(cache)
+
+// Perceptual hashes of the cached results, to reuse the verdict of re-encoded or resized copies
+export const nearDuplicateIndex = config.ENABLE_NEAR_DUPLICATE_LOOKUP
+  ? createNearDuplicateIndex({
+      maxDistance: config.NEAR_DUPLICATE_MAX_DISTANCE,
+      max: config.MAX_CACHE_ITEM_NUM,
+      ttl: config.CACHE_DURATION_IN_SECONDS * 1000,
+    })
+  : null
+
+// The reloader owns the NSFW detector worker pool, so that new models can be swapped in without a restart
+export const modelReloader = createModelReloader({
+  config,
+  modelRegistry,
+  nsfwDetectorWorkerPool,
+  nsfwSpy: await createNsfwSpyInstanceFromWorker(nsfwDetectorWorkerPool),
+  imageProcessingInstance,
+  createNsfwDetectorWorkerPool,
+  createNsfwSpyInstanceFromWorker,
+  resultCache,
+  nearDuplicateIndex,
 })
+export const nsfwSpy = modelReloader.nsfwSpy
+
+// --- Hash Lists (fixed verdicts of known media) ---
+const [errHashLists, lists] = await to(
+  config.ENABLE_HASH_LISTS
+    ? createHashLists({
+        blocklistFile: config.HASH_BLOCKLIST_FILE,
+        allowlistFile: config.HASH_ALLOWLIST_FILE,
+        maxDistance: config.HASH_LIST_MAX_DISTANCE,
+        resultCache,
+      })
+    : Promise.resolve(null)
+)
+handleFatalError(errHashLists) // Invalid list files are a configuration error
+export const hashLists = lists
+
+// --- API Keys (named keys with scopes, rate limits and quotas) ---
+const [errApiKeys, keyStore] = await to(
+  config.ENABLE_API_KEYS
+    ? createApiKeyStore({ file: config.API_KEYS_FILE })
+    : Promise.resolve(null)
+)
+handleFatalError(errApiKeys) // Invalid key files are a configuration error
+export const apiKeys = keyStore
 
 // LRU Cache for Mutexes to prevent unbounded growth (solves Issue #1)
 export const mutexes = new LRUCache({
   max: config.MUTEX_CACHE_MAX_ITEM_NUM,
   ttl: config.MUTEX_CACHE_TTL_IN_SECONDS * 1000,
 })
+
+// --- Moderation Policies ---
+const [errPolicies, policies] = await to(loadModerationPolicies(config))
+handleFatalError(errPolicies) // Invalid policies are a configuration error
+export const moderationPolicies = policies
+
+// --- Asynchronous Jobs ---
+export const jobManager = createJobManager({
+  maxJobs: config.JOB_MAX_ITEM_NUM,
+  ttlInSeconds: config.JOB_TTL_IN_SECONDS,
+  concurrency: config.JOB_PROCESSING_CONCURRENCY,
+  callbackTimeout: config.REQUEST_TIMEOUT_IN_SECONDS * 1000,
+  callbackHeaders: { 'User-Agent': config.USER_AGENT },
+})
+
+// --- Health ---
+export const healthMonitor = createHealthMonitor({
+  nsfwSpy,
+  imageProcessingInstance,
+  config,
+})
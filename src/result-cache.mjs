@@ -0,0 +1,268 @@
+import { LRUCache } from 'lru-cache'
+import { to } from 'await-to-js'
+import * as fs from 'node:fs/promises'
+import { createReadStream } from 'node:fs'
+import path from 'node:path'
+import readline from 'node:readline'
+
+/**
+ * Supported result cache backends.
+ * - `memory`: in-process LRU cache, lost on restart.
+ * - `file`: in-process LRU cache persisted to an append-only JSON lines file, reloaded on start.
+ * @type {string[]}
+ */
+export const CACHE_BACKENDS = ['memory', 'file']
+
+/**
+ * @typedef {object} ResultCache
+ * @property {(key: string) => object|undefined} get - Returns a cached classification result.
+ * @property {(key: string, value: object) => void} set - Caches a classification result.
+ * @property {(key: string) => boolean} delete - Removes a cached classification result.
+ * @property {() => number} size - Returns the number of cached results.
+ * @property {() => Iterable<[string, object]>} entries - Iterates over the live cached results, without refreshing their recency.
+ * @property {() => Promise<void>} close - Flushes pending writes and releases the backend.
+ * @property {() => void} [reportHit] - Reports a complete cached result to the request it answers, only set on the cache of a request (see `trackCacheHits`).
+ */
+
+/**
+ * Creates an in-process LRU result cache.
+ * @param {object} options - Cache settings.
+ * @param {number} options.max - Maximum number of cached results.
+ * @param {number} options.ttl - Time to live of a cached result in milliseconds.
+ * @returns {ResultCache} - The result cache.
+ */
+export const createMemoryResultCache = ({ max, ttl }) => {
+  const lru = new LRUCache({ max, ttl })
+
+  return {
+    get: (key) => lru.get(key),
+    set: (key, value) => {
+      lru.set(key, value)
+    },
+    delete: (key) => lru.delete(key),
+    size: () => lru.size,
+    entries: () => lru.entries(),
+    close: async () => {},
+  }
+}
+
+/**
+ * Reads the entries of a cache file, skipping expired and corrupted lines.
+ * Lines are JSON objects `{"k": key, "v": value, "e": expiresAt}` in write order,
+ * a later line for the same key overrides the earlier ones (an expired line removes the key).
+ * @param {string} filePath - The cache file path.
+ * @param {number} now - The current time in milliseconds.
+ * @returns {Promise<{entries: Map<string, {v: object, e: number}>, skipped: number}>} - The live entries, least recently written first, and the number of corrupted lines.
+ */
+const readCacheFile = async (filePath, now) => {
+  const entries = new Map()
+  let skipped = 0
+
+  const input = createReadStream(filePath, { encoding: 'utf8' })
+  const reader = readline.createInterface({ input, crlfDelay: Infinity })
+  try {
+    for await (const line of reader) {
+      if (line.length === 0) {
+        continue
+      }
+      try {
+        const entry = JSON.parse(line)
+        if (typeof entry.k !== 'string' || typeof entry.e !== 'number') {
+          skipped++
+          continue
+        }
+        entries.delete(entry.k) // Keep the write order of the last line
+        if (entry.e > now) {
+          entries.set(entry.k, { v: entry.v, e: entry.e })
+        }
+      } catch {
+        skipped++ // e.g. last line truncated by a crash
+      }
+    }
+  } finally {
+    reader.close()
+    input.destroy()
+  }
+
+  return { entries, skipped }
+}
+
+/**
+ * Creates a result cache persisted to an append-only JSON lines file.
+ * Results live in an in-process LRU cache; every `set` is appended to the file in batches,
+ * and the file is rewritten with the live results only (compaction) on start
+ * and whenever it holds more than twice as many lines as live results.
+ * Expiry times are stored as absolute dates so the TTL keeps running across restarts.
+ * @param {object} options - Cache settings.
+ * @param {string} options.filePath - The cache file path, its directory is created if needed.
+ * @param {number} options.max - Maximum number of cached results.
+ * @param {number} options.ttl - Time to live of a cached result in milliseconds.
+ * @param {number} [options.minCompactionLines=1000] - Minimum number of lines before a compaction.
+ * @returns {Promise<ResultCache>} - The result cache, loaded from the file.
+ * @throws {Error} If the cache file cannot be read or written.
+ */
+export const createFileResultCache = async ({
+  filePath,
+  max,
+  ttl,
+  minCompactionLines = 1000,
+}) => {
+  const lru = new LRUCache({ max, ttl })
+  const tempFilePath = filePath + '.tmp'
+
+  let pendingLines = []
+  let flushScheduled = false
+  let fileLines = 0
+  let queue = Promise.resolve()
+
+  /**
+   * Runs a file operation after the previous ones, so that appends and compactions never overlap.
+   * @param {() => Promise<void>} operation - The file operation.
+   * @returns {Promise<void>} - Resolves when the operation is done.
+   */
+  const enqueue = (operation) => {
+    queue = queue.then(operation).catch((error) => {
+      console.warn(`[Cache Warning] ${error.message}`)
+    })
+    return queue
+  }
+
+  /**
+   * Serializes a cache entry to a JSON line.
+   * @param {string} key - The cache key.
+   * @param {object} value - The cached result.
+   * @param {number} expiresAt - The expiry time in milliseconds.
+   * @returns {string} - The JSON line.
+   */
+  const toLine = (key, value, expiresAt) =>
+    JSON.stringify({ k: key, v: value, e: expiresAt }) + '\n'
+
+  /**
+   * Rewrites the cache file with the live results only, least recently used first.
+   */
+  const compact = async () => {
+    const now = Date.now()
+    const lines = []
+    for (const [key, value] of lru.rentries()) {
+      lines.push(toLine(key, value, Math.round(now + lru.getRemainingTTL(key))))
+    }
+    try {
+      await fs.writeFile(tempFilePath, lines.join(''))
+      await fs.rename(tempFilePath, filePath)
+    } catch (error) {
+      throw new Error(`Failed to compact cache file: ${error.message}`, {
+        cause: error,
+      })
+    }
+    fileLines = lines.length
+  }
+
+  /**
+   * Appends the pending lines to the cache file, then compacts it if it grew too much.
+   */
+  const flush = async () => {
+    if (pendingLines.length === 0) {
+      return
+    }
+    const lines = pendingLines
+    pendingLines = []
+    try {
+      await fs.appendFile(filePath, lines.join(''))
+    } catch (error) {
+      throw new Error(`Failed to append to cache file: ${error.message}`, {
+        cause: error,
+      })
+    }
+    fileLines += lines.length
+    if (fileLines > Math.max(minCompactionLines, lru.size * 2)) {
+      await compact()
+    }
+  }
+
+  /**
+   * Schedules a flush of the pending lines, batching the writes of the same event loop turn.
+   */
+  const scheduleFlush = () => {
+    if (flushScheduled) {
+      return
+    }
+    flushScheduled = true
+    setImmediate(() => {
+      flushScheduled = false
+      enqueue(flush)
+    })
+  }
+
+  // Load the previous results, most recently written last
+  await fs.mkdir(path.dirname(filePath), { recursive: true })
+  const now = Date.now()
+  const [errRead, loaded] = await to(readCacheFile(filePath, now))
+  if (errRead && errRead.code !== 'ENOENT') {
+    throw new Error(`Failed to read cache file: ${errRead.message}`, {
+      cause: errRead,
+    })
+  }
+  if (loaded) {
+    for (const [key, entry] of loaded.entries) {
+      lru.set(key, entry.v, { ttl: Math.min(entry.e - now, ttl) })
+    }
+    if (loaded.skipped > 0) {
+      console.warn(
+        `[Cache Warning] Skipped ${loaded.skipped} corrupted lines in cache file ${filePath}`
+      )
+    }
+    console.info(`Loaded ${lru.size} cached results from ${filePath}`)
+  }
+  await compact()
+
+  return {
+    get: (key) => lru.get(key),
+    set: (key, value) => {
+      lru.set(key, value)
+      pendingLines.push(toLine(key, value, Date.now() + ttl))
+      scheduleFlush()
+    },
+    delete: (key) => {
+      const deleted = lru.delete(key)
+      if (deleted) {
+        // An already expired entry hides the previous lines of the key on reload
+        pendingLines.push(toLine(key, null, 0))
+        scheduleFlush()
+      }
+      return deleted
+    },
+    size: () => lru.size,
+    entries: () => lru.entries(),
+    close: async () => {
+      await enqueue(flush)
+    },
+  }
+}
+
+/**
+ * Factory function to create the result cache selected by CACHE_BACKEND.
+ * @param {object} config - Configuration setting
+ * @param {string} config.CACHE_BACKEND - One of CACHE_BACKENDS.
+ * @param {string} config.CACHE_FILE_PATH - The cache file path of the `file` backend.
+ * @param {number} config.MAX_CACHE_ITEM_NUM - Maximum number of cached results.
+ * @param {number} config.CACHE_DURATION_IN_SECONDS - Time to live of a cached result in seconds.
+ * @returns {Promise<ResultCache>} - The result cache.
+ * @throws {Error} If the backend is unknown or fails to load.
+ */
+export const createResultCache = async (config) => {
+  const options = {
+    max: config.MAX_CACHE_ITEM_NUM,
+    ttl: config.CACHE_DURATION_IN_SECONDS * 1000, // time to live in ms
+  }
+
+  if (config.CACHE_BACKEND === 'memory') {
+    return createMemoryResultCache(options)
+  }
+  if (config.CACHE_BACKEND === 'file') {
+    return await createFileResultCache({
+      ...options,
+      filePath: config.CACHE_FILE_PATH,
+    })
+  }
+  throw new Error(`Unknown cache backend: ${config.CACHE_BACKEND}`)
+}
@@ -0,0 +1,277 @@
+import net from 'node:net'
+import dns from 'node:dns'
+
+/**
+ * IPv4 ranges which must not be reached from user supplied URLs:
+ * "this" network, private, carrier-grade NAT (includes some cloud metadata endpoints), loopback,
+ * link-local (includes the 169.254.169.254 metadata endpoint), IETF protocol assignments, documentation,
+ * 6to4 relay, benchmarking, multicast and reserved ranges.
+ * @type {[string, number][]}
+ */
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.88.99.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+]
+
+/**
+ * IPv6 ranges which must not be reached from user supplied URLs:
+ * unspecified, loopback and IPv4-compatible, NAT64, discard, Teredo, documentation, 6to4,
+ * unique local (includes the fd00:ec2::254 metadata endpoint), link-local, site-local and multicast ranges.
+ * IPv4-mapped addresses (::ffff:0:0/96) are checked as IPv4 addresses instead.
+ * @type {[string, number][]}
+ */
+const BLOCKED_IPV6_RANGES = [
+  ['::', 96],
+  ['64:ff9b::', 96],
+  ['64:ff9b:1::', 48],
+  ['100::', 64],
+  ['2001::', 32],
+  ['2001:db8::', 32],
+  ['2002::', 16],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['fec0::', 10],
+  ['ff00::', 8],
+]
+
+const blockedRanges = new net.BlockList()
+for (const [address, prefix] of BLOCKED_IPV4_RANGES) {
+  blockedRanges.addSubnet(address, prefix, 'ipv4')
+}
+for (const [address, prefix] of BLOCKED_IPV6_RANGES) {
+  blockedRanges.addSubnet(address, prefix, 'ipv6')
+}
+
+/**
+ * @typedef {object} SsrfAllowlist
+ * @property {net.BlockList} addresses - Allowed IP addresses and ranges.
+ * @property {string[]} hostnames - Allowed hostnames, `*.example.com` also allows every subdomain.
+ */
+
+/**
+ * @typedef {object} SsrfGuard
+ * @property {(address: string) => boolean} isAddressAllowed - Whether an IP address can be reached.
+ * @property {(url: string) => void} assertUrlAllowed - Throws if a URL can not be requested.
+ * @property {typeof dns.lookup} lookup - DNS lookup rejecting hostnames which resolve to blocked addresses.
+ * @property {(options: {protocol?: string, hostname?: string}) => void} beforeRedirect - Throws if a redirect hop can not be followed.
+ */
+
+/**
+ * Returns the IPv4 address embedded in an IPv4-mapped IPv6 address (e.g. `::ffff:127.0.0.1` or `::ffff:7f00:1`).
+ * @param {string} address - An IPv6 address.
+ * @returns {string|null} - The IPv4 address, null if the address is not IPv4-mapped.
+ */
+const getMappedIPv4Address = (address) => {
+  const match = /^(?:0{0,4}:){0,5}:?ffff:(.+)$/i.exec(address)
+  if (!match) {
+    return null
+  }
+  if (net.isIPv4(match[1])) {
+    return match[1]
+  }
+  const hexMatch = /^([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(match[1])
+  if (!hexMatch) {
+    return null
+  }
+  const high = parseInt(hexMatch[1], 16)
+  const low = parseInt(hexMatch[2], 16)
+  return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.')
+}
+
+/**
+ * Parses the SSRF allowlist.
+ * @param {string} value - Comma separated IP addresses, CIDR ranges and hostnames (e.g. `10.0.0.5,192.168.1.0/24,media.internal,*.cdn.internal`).
+ * @returns {SsrfAllowlist} - The parsed allowlist.
+ * @throws {Error} If a CIDR range is invalid.
+ */
+export const parseSsrfAllowlist = (value) => {
+  const addresses = new net.BlockList()
+  const hostnames = []
+
+  for (const entry of (value || '').split(',')) {
+    const item = entry.trim().toLowerCase()
+    if (!item) {
+      continue
+    }
+    const [address, prefix] = item.split('/')
+    const family = net.isIP(address)
+    if (family === 0) {
+      hostnames.push(item)
+      continue
+    }
+    const type = family === 4 ? 'ipv4' : 'ipv6'
+    if (prefix === undefined) {
+      addresses.addAddress(address, type)
+      continue
+    }
+    const prefixLength = Number(prefix)
+    if (
+      !Number.isInteger(prefixLength) ||
+      prefixLength < 0 ||
+      prefixLength > (family === 4 ? 32 : 128)
+    ) {
+      throw new Error(`Invalid SSRF allowlist range: ${item}`)
+    }
+    addresses.addSubnet(address, prefixLength, type)
+  }
+
+  return { addresses, hostnames }
+}
+
+/**
+ * Checks whether an IP address is in a private, loopback, link-local, metadata or otherwise reserved range.
+ * @param {string} address - An IPv4 or IPv6 address.
+ * @returns {boolean} - True if the address is blocked.
+ */
+export const isBlockedAddress = (address) => {
+  const family = net.isIP(address)
+  if (family === 0) {
+    return true // Not an IP address, never connect to it
+  }
+  if (family === 6) {
+    const mappedAddress = getMappedIPv4Address(address)
+    if (mappedAddress) {
+      return blockedRanges.check(mappedAddress, 'ipv4')
+    }
+    return blockedRanges.check(address, 'ipv6')
+  }
+  return blockedRanges.check(address, 'ipv4')
+}
+
+/**
+ * Creates an error for a blocked request.
+ * @param {string} message - The error message.
+ * @returns {Error} - The error, with the `ERR_SSRF_BLOCKED` code.
+ */
+const createBlockedError = (message) => {
+  const error = new Error(message)
+  error.code = 'ERR_SSRF_BLOCKED'
+  return error
+}
+
+/**
+ * Factory function to create an SSRF guard.
+ * Addresses are checked when connecting: hostnames after DNS resolution (so a hostname can not be
+ * rebound to an internal address between a check and the request) and IP literals before the request and before every redirect.
+ * @param {object} options - Guard settings.
+ * @param {string} [options.allowlist=''] - Comma separated IP addresses, CIDR ranges and hostnames which are always allowed.
+ * @param {typeof dns.lookup} [options.resolve=dns.lookup] - The DNS lookup function.
+ * @returns {SsrfGuard} - The SSRF guard.
+ * @throws {Error} If the allowlist is invalid.
+ */
+export const createSsrfGuard = ({ allowlist = '', resolve = dns.lookup }) => {
+  const allowed = parseSsrfAllowlist(allowlist)
+
+  /**
+   * Checks whether a hostname is in the allowlist.
+   * @param {string} hostname - The hostname.
+   * @returns {boolean} - True if the hostname is allowed.
+   */
+  const isHostnameAllowed = (hostname) => {
+    const name = hostname.toLowerCase()
+    return allowed.hostnames.some((entry) =>
+      entry.startsWith('*.') ? name.endsWith(entry.slice(1)) : name === entry
+    )
+  }
+
+  /**
+   * Checks whether an IP address can be reached.
+   * @param {string} address - An IPv4 or IPv6 address.
+   * @returns {boolean} - True if the address is allowlisted or not blocked.
+   */
+  const isAddressAllowed = (address) => {
+    const type = net.isIPv4(address) ? 'ipv4' : 'ipv6'
+    return allowed.addresses.check(address, type) || !isBlockedAddress(address)
+  }
+
+  /**
+   * Throws if a host can not be requested. Only IP literals are checked here, hostnames are checked by `lookup`.
+   * @param {string} protocol - The URL protocol (e.g. `https:`).
+   * @param {string} hostname - The URL hostname, IPv6 literals may be enclosed in brackets.
+   * @throws {Error} If the protocol is not HTTP(S) or the host is a blocked IP address.
+   */
+  const assertHostAllowed = (protocol, hostname) => {
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      throw createBlockedError(`Blocked request with protocol ${protocol}`)
+    }
+    const address = hostname.replace(/^\[|\]$/g, '')
+    if (net.isIP(address) && !isAddressAllowed(address)) {
+      throw createBlockedError(
+        `Blocked request to private or reserved address ${address}`
+      )
+    }
+  }
+
+  /**
+   * DNS lookup with the signature of `dns.lookup`, failing if any resolved address is blocked.
+   * @param {string} hostname - The hostname to resolve.
+   * @param {object} options - The `dns.lookup` options.
+   * @param {function} callback - Called with the resolved address(es).
+   */
+  const lookup = (hostname, options, callback) => {
+    if (typeof options === 'function') {
+      callback = options
+      options = {}
+    }
+    resolve(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) {
+        return callback(err)
+      }
+      if (!isHostnameAllowed(hostname)) {
+        const blocked = addresses.find(
+          ({ address }) => !isAddressAllowed(address)
+        )
+        if (blocked) {
+          return callback(
+            createBlockedError(
+              `Blocked request to ${hostname} resolving to private or reserved address ${blocked.address}`
+            )
+          )
+        }
+      }
+      if (options.all) {
+        return callback(null, addresses)
+      }
+      callback(null, addresses[0].address, addresses[0].family)
+    })
+  }
+
+  return {
+    isAddressAllowed,
+    assertUrlAllowed: (url) => {
+      const { protocol, hostname } = new URL(url)
+      assertHostAllowed(protocol, hostname)
+    },
+    lookup,
+    beforeRedirect: (options) => {
+      assertHostAllowed(options.protocol, options.hostname ?? '')
+    },
+  }
+}
+
+/**
+ * Applies an SSRF guard to every request of an axios instance, including every redirect hop.
+ * @param {import('axios').AxiosInstance} axiosInstance - The axios instance (e.g. the default one).
+ * @param {SsrfGuard} guard - The SSRF guard.
+ */
+export const installSsrfGuard = (axiosInstance, guard) => {
+  axiosInstance.defaults.lookup = guard.lookup
+  axiosInstance.defaults.beforeRedirect = guard.beforeRedirect
+  axiosInstance.interceptors.request.use((requestConfig) => {
+    guard.assertUrlAllowed(requestConfig.url)
+    return requestConfig
+  })
+}
@@ -1,10 +1,5 @@
 import { to } from 'await-to-js'
-import {
-  downloadFile,
-  downloadPartFile,
-  getContentInfo,
-  downloadFileToBuffer,
-} from './download.mjs'
+import { openDownload, streamToBuffer, streamToFile } from './download.mjs'
 import {
   isContentTypeImageType,
   isContentTypeVideoType,
@@ -12,11 +7,31 @@ import {
   moveFile,
   deleteFile,
 } from './util.mjs'
-import { generateScreenshot } from './ffmpeg-util.mjs'
+import {
+  generateScreenshot,
+  generateFramesFromFile,
+  getVideoDuration,
+} from './ffmpeg-util.mjs'
 import { sha256 } from 'js-sha256'
 import pMemoize from 'p-memoize'
-import { getScreenshotBufferWithFallbacks } from './video-processor.mjs'
-import { runImagePredictionPipeline } from './image-prediction-pipeline.mjs'
+import {
+  getScreenshotBufferWithFallbacks,
+  resolveFrameSamplingOptions,
+} from './video-processor.mjs'
+import {
+  runImagePredictionPipeline,
+  runFramesPredictionPipeline,
+} from './image-prediction-pipeline.mjs'
+import { stageDurationSeconds, recordPrediction } from './metrics.mjs'
+import { SNIFF_BYTE_COUNT, detectMediaType } from './media-sniffer.mjs'
+import { bindModel } from './model-registry.mjs'
+import {
+  sha256File,
+  getContentCacheKey,
+  getCachedUrlResult,
+  getCachedContentResult,
+} from './content-cache.mjs'
+import { lookupHashLists, matchContentHash } from './hash-list.mjs'
 
 /** * Retrieves or creates a mutex for the given filename.
  * Uses pMemoize to ensure that the mutex is created only once per filename.
@@ -35,6 +50,20 @@ const getOrCreateMutex = pMemoize(async (filename, mutexes, Mutex) => {
   return newMutex
 })
 
+/**
+ * Detects whether a URL serves an image or a video from the first bytes of its download and its Content-Type header.
+ * Falls back to the declared media type, then to the URL extension, when the content is not recognized
+ * (anything but a video extension is handled as an image).
+ * @param {string} url - The URL of the content.
+ * @param {{leadingBytes: Buffer, contentType: string|undefined}} download - The opened download of the URL.
+ * @param {'image'|'video'|null} [declaredMediaType] - The media type declared by the client, if any.
+ * @returns {'image'|'video'} - The media type.
+ */
+const detectDownloadMediaType = (url, download, declaredMediaType) =>
+  detectMediaType(download.leadingBytes, download.contentType) ??
+  declaredMediaType ??
+  (getUrlType(url) === 'video' ? 'video' : 'image')
+
 /**
  * Downloads, processes, and classifies content from a URL.
  * Handles temporary files, video screenshots, and concurrency.
@@ -50,10 +79,19 @@ const getOrCreateMutex = pMemoize(async (filename, mutexes, Mutex) => {
  * @param {boolean} dependencies.config.ENABLE_BUFFER_PROCESSING - Flag to enable buffer processing.
  * @param {string} dependencies.config.FFMPEG_PATH - Path to the FFmpeg binary.
  * @param {number} dependencies.config.MAX_VIDEO_SIZE_MB - Maximum video size in MB.
+ * @param {number} dependencies.config.MAX_IMAGE_SIZE_MB - Maximum image size in MB, larger image downloads are aborted.
  * @param {number} dependencies.config.REQUEST_TIMEOUT_IN_SECONDS - Request timeout in seconds.
  * @param {string} dependencies.config.USER_AGENT - User agent string for downloads.
+ * @param {string} dependencies.config.VIDEO_FRAME_SAMPLING_MODE - Video frame sampling mode (single, count or interval).
+ * @param {number} dependencies.config.VIDEO_FRAME_COUNT - Number of video frames to sample.
+ * @param {number} dependencies.config.VIDEO_FRAME_INTERVAL_SECONDS - Seconds between two sampled video frames.
+ * @param {string} dependencies.config.DEFAULT_MODEL - Id of the model used when none is given.
  * @param {import('async-mutex').Mutex} dependencies.Mutex - The Mutex class. This function uses `p-memoize` to ensure atomic mutex creation.
- * @returns {Promise<object>} - The classification result.
+ * @param {string} [dependencies.model] - Id of the model classifying the content, DEFAULT_MODEL if not set.
+ * @param {import("./perceptual-hash.mjs").NearDuplicateIndex|null} [dependencies.nearDuplicateIndex] - The index of classified images by perceptual hash, near-duplicates are not looked up if not set.
+ * @param {import("./hash-list.mjs").HashLists|null} [dependencies.hashLists] - The hash lists giving fixed verdicts to known images, not checked if not set.
+ * @param {'image'|'video'|null} [dependencies.declaredMediaType] - The media type declared by the client (e.g. the mime type of a Nostr `imeta` tag), used when the content cannot be sniffed.
+ * @returns {Promise<object>} - The classification result, with the `source` the media was downloaded from (final URL and redirect chain).
  * @throws {Error} If any step in the process fails.
  */
 export const processUrlForPrediction = async (
@@ -66,6 +104,10 @@ export const processUrlForPrediction = async (
     limit,
     config,
     Mutex,
+    model,
+    nearDuplicateIndex,
+    hashLists,
+    declaredMediaType,
   },
   signal
 ) => {
@@ -75,19 +117,56 @@ export const processUrlForPrediction = async (
     ENABLE_BUFFER_PROCESSING,
     FFMPEG_PATH,
     MAX_VIDEO_SIZE_MB,
+    MAX_IMAGE_SIZE_MB,
     REQUEST_TIMEOUT_IN_SECONDS,
     USER_AGENT,
+    VIDEO_FRAME_SAMPLING_MODE = 'single',
+    VIDEO_FRAME_COUNT,
+    VIDEO_FRAME_INTERVAL_SECONDS,
+    DEFAULT_MODEL,
   } = config
 
+  const frameSampling = {
+    mode: VIDEO_FRAME_SAMPLING_MODE,
+    count: VIDEO_FRAME_COUNT,
+    interval: VIDEO_FRAME_INTERVAL_SECONDS,
+  }
+
   const extraHeaders = {
     'User-Agent': USER_AGENT,
   }
 
   // Convert config values once for use in download functions
   const MAX_VIDEO_SIZE_BYTES = MAX_VIDEO_SIZE_MB * 1024 * 1024
+  const MAX_IMAGE_SIZE_BYTES = MAX_IMAGE_SIZE_MB * 1024 * 1024
   const REQUEST_TIMEOUT_MS = REQUEST_TIMEOUT_IN_SECONDS * 1000
 
   const filename = sha256(url)
+  // Results of different models never share a cache entry
+  const modelId = model ?? DEFAULT_MODEL
+  const cacheKey = `url-${modelId}-${filename}`
+  const modelNsfwSpy = bindModel(nsfwSpy, modelId)
+
+  /**
+   * Looks up a downloaded video by the SHA256 hash of its bytes before its frames are extracted:
+   * in the result cache, then in the hash lists, whose verdict is cached under the content key.
+   * @param {string} videoHash - The SHA256 hash of the video bytes.
+   * @returns {object|undefined} - The cached result or the fixed verdict of the video, undefined if unknown.
+   */
+  const findVideoResult = (videoHash) => {
+    const contentCacheKey = getContentCacheKey(modelId, videoHash)
+    const cached = getCachedContentResult(resultCache, contentCacheKey)
+    if (cached) {
+      return cached
+    }
+    const verdict = matchContentHash(videoHash, { hashLists })
+    if (!verdict) {
+      return undefined
+    }
+    const result = { verdict }
+    resultCache.set(contentCacheKey, result)
+    return result
+  }
 
   // Acquire mutex for this URL to prevent concurrent processing
   const mutex = await getOrCreateMutex(filename, mutexes, Mutex)
@@ -98,48 +177,65 @@ export const processUrlForPrediction = async (
   }
 
   // Check cache first
-  let cache = resultCache.get('url' + '-' + filename)
+  const cache = getCachedUrlResult(resultCache, cacheKey)
   if (cache) {
     safeReleaseMutex()
     return cache // Return cached result
   }
 
   let imageDataForPipeline // This will hold either a Buffer or a file path
+  let framesForPipeline = null // Sampled video frames in multi-frame mode
   let downloadStatus
+  let contentHash = null // SHA256 of the downloaded bytes, videos are only hashed with the hash lists enabled
+  let knownVideoResult // Result of a video found from its hash, before extracting its frames
   const tempFilesCreated = [] // Array to track temporary files for cleanup
 
+  let download // The single download of the URL, routed on its first bytes
   try {
-    // Optional content type check
-    if (ENABLE_CONTENT_TYPE_CHECK) {
-      let contentInfo
-      const [errContentInfo, contentInfoResult] = await to(
-        getContentInfo(url, REQUEST_TIMEOUT_IN_SECONDS * 1000, extraHeaders)
+    const [errOpen, openedDownload] = await to(
+      openDownload(
+        url,
+        SNIFF_BYTE_COUNT,
+        REQUEST_TIMEOUT_MS,
+        extraHeaders,
+        signal
       )
+    )
+    if (errOpen) {
+      throw new Error(`Download failed for ${url}: ${errOpen.message}`, {
+        cause: errOpen,
+      })
+    }
+    download = openedDownload
 
-      if (errContentInfo) {
-        throw new Error(
-          `Failed to get content info for ${url}: ${errContentInfo.message}`
-        )
-      }
-      contentInfo = contentInfoResult
-
-      if (
-        !isContentTypeImageType(contentInfo.contentType) &&
-        !isContentTypeVideoType(contentInfo.contentType)
-      ) {
-        console.debug(contentInfo)
-        throw new Error(`Only image/video URLs are acceptable for ${url}`)
-      }
+    // Optional content type check, on the response actually downloaded
+    if (
+      ENABLE_CONTENT_TYPE_CHECK &&
+      !isContentTypeImageType(download.contentType) &&
+      !isContentTypeVideoType(download.contentType)
+    ) {
+      console.debug(
+        `Content type of ${url}: ${download.contentType ?? 'not set'}`
+      )
+      throw new Error(`Only image/video URLs are acceptable for ${url}`)
+    }
 
-      console.debug(contentInfo)
+    // Route on what the URL actually serves, not on its extension
+    const mediaType = detectDownloadMediaType(url, download, declaredMediaType)
+    console.debug(`Detected media type of ${url}: ${mediaType}`)
+    const downloadSource = {
+      finalUrl: download.finalUrl,
+      redirectChain: download.redirectChain,
     }
 
+    // Measures successful downloads only, including video frame extraction
+    const endDownload = stageDurationSeconds.startTimer({ stage: 'download' })
     if (ENABLE_BUFFER_PROCESSING) {
       console.debug(
         `Processing URL (Buffer Processing Path): ${url}, Filename: ${filename}`
       )
 
-      if (getUrlType(url) === 'video') {
+      if (mediaType === 'video') {
         // --- Video Processing Path (in-memory download and processing) ---
         const params = {
           limit,
@@ -148,125 +244,239 @@ export const processUrlForPrediction = async (
           FFMPEG_PATH,
           MAX_VIDEO_SIZE_BYTES,
           IMG_DOWNLOAD_PATH,
+          frameSampling,
+          download,
         }
-        try {
-          const result = await getScreenshotBufferWithFallbacks(
-            url,
-            filename,
-            params,
-            signal
+        if (hashLists) {
+          // Listed videos are hashed as a whole, then processed from that buffer
+          const [errDownload, videoBuffer] = await to(
+            streamToBuffer(download.stream, MAX_VIDEO_SIZE_BYTES, {
+              truncate: true,
+            })
           )
-          if (result?.tempFilesCreated?.length) {
-            tempFilesCreated.push(...result.tempFilesCreated)
+          if (errDownload) {
+            throw new Error(`Video download failed: ${errDownload.message}`, {
+              cause: errDownload,
+            })
           }
-          imageDataForPipeline = result.screenshotBuffer
-          downloadStatus = result.downloadStatus
-        } catch (err) {
-          if (err.tempFilesCreated?.length) {
-            tempFilesCreated.push(...err.tempFilesCreated)
+          contentHash = sha256(videoBuffer)
+          knownVideoResult = findVideoResult(contentHash)
+          params.download = { buffer: videoBuffer, ...downloadSource }
+        }
+        if (knownVideoResult) {
+          downloadStatus = { status: 'downloaded to buffer', ...downloadSource }
+        } else {
+          try {
+            const result = await getScreenshotBufferWithFallbacks(
+              url,
+              filename,
+              params,
+              signal
+            )
+            if (result?.tempFilesCreated?.length) {
+              tempFilesCreated.push(...result.tempFilesCreated)
+            }
+            imageDataForPipeline = result.screenshotBuffer
+            framesForPipeline = result.frames ?? null
+            downloadStatus = result.downloadStatus
+          } catch (err) {
+            if (err.tempFilesCreated?.length) {
+              tempFilesCreated.push(...err.tempFilesCreated)
+            }
+            throw err
           }
-          throw err
         }
       } else {
         // --- Image Processing Path (in-memory download) ---
         const [errDownload, buffer] = await to(
-          downloadFileToBuffer(
-            url,
-            REQUEST_TIMEOUT_IN_SECONDS * 1000,
-            extraHeaders,
-            signal
-          )
-        ) // Download image directly to buffer
+          streamToBuffer(download.stream, MAX_IMAGE_SIZE_BYTES)
+        )
         if (errDownload) {
-          throw new Error(`Download failed for ${url}: ${errDownload.message}`)
+          throw new Error(
+            `Download failed for ${url}: ${errDownload.message}`,
+            {
+              cause: errDownload,
+            }
+          )
         }
         imageDataForPipeline = buffer
-        downloadStatus = { status: 'downloaded to buffer' }
+        contentHash = sha256(buffer)
+        downloadStatus = { status: 'downloaded to buffer', ...downloadSource }
       }
     } else {
       console.debug(`Processing URL (File Path): ${url}, Filename: ${filename}`)
       let downloadedFile // This will be the path to the downloaded image/screenshot file
 
-      if (getUrlType(url) === 'video') {
+      if (mediaType === 'video') {
         const videoFile = IMG_DOWNLOAD_PATH + filename + '_video'
-        const [errDownload, downloadResult] = await to(
-          downloadPartFile(
-            url,
-            videoFile,
-            MAX_VIDEO_SIZE_MB * 1024 * 1024,
-            REQUEST_TIMEOUT_IN_SECONDS * 1000,
-            extraHeaders,
-            signal
-          )
+        // Add videoFile to tempFilesCreated for cleanup, even if the download fails midway
+        tempFilesCreated.push(videoFile)
+        // Only the beginning of a video larger than MAX_VIDEO_SIZE_MB is kept
+        const [errDownload] = await to(
+          streamToFile(download.stream, videoFile, MAX_VIDEO_SIZE_BYTES, {
+            truncate: true,
+          })
         )
         if (errDownload) {
           throw new Error(`Video download failed: ${errDownload.message}`)
         }
-        downloadStatus = downloadResult
-        // Add videoFile to tempFilesCreated for cleanup immediately after download
-        tempFilesCreated.push(videoFile)
+        downloadStatus = { status: 'downloaded to file', ...downloadSource }
+        if (hashLists) {
+          const [errHash, fileHash] = await to(sha256File(videoFile))
+          if (errHash) {
+            throw new Error(
+              `Failed to hash downloaded video: ${errHash.message}`,
+              { cause: errHash }
+            )
+          }
+          contentHash = fileHash
+          knownVideoResult = findVideoResult(contentHash)
+        }
 
-        const screenshotFile = IMG_DOWNLOAD_PATH + filename + '.jpg'
-        const [errScreenshot] = await to(
-          generateScreenshot(videoFile, screenshotFile, FFMPEG_PATH)
-        )
+        // Known videos need no frames
+        if (!knownVideoResult) {
+          if (frameSampling.mode !== 'single') {
+            let duration = null
+            if (frameSampling.mode === 'count') {
+              ;[, duration] = await to(
+                getVideoDuration(videoFile, FFMPEG_PATH, { signal })
+              )
+            }
+            const [errFrames, frames] = await to(
+              generateFramesFromFile(videoFile, FFMPEG_PATH, {
+                ...resolveFrameSamplingOptions(frameSampling, duration),
+                signal,
+              })
+            )
+            if (errFrames) {
+              throw new Error(`Frame sampling failed: ${errFrames.message}`)
+            }
+            framesForPipeline = frames
+          } else {
+            const screenshotFile = IMG_DOWNLOAD_PATH + filename + '.jpg'
+            const [errScreenshot] = await to(
+              generateScreenshot(videoFile, screenshotFile, FFMPEG_PATH)
+            )
 
-        downloadedFile = IMG_DOWNLOAD_PATH + filename + '_' + 'image'
-        const [errMove] = await to(
-          moveFile(IMG_DOWNLOAD_PATH + filename + '.jpg', downloadedFile)
-        )
+            downloadedFile = IMG_DOWNLOAD_PATH + filename + '_' + 'image'
+            const [errMove] = await to(
+              moveFile(IMG_DOWNLOAD_PATH + filename + '.jpg', downloadedFile)
+            )
 
-        if (errScreenshot || errMove) {
-          throw new Error(
-            `Screenshot generation or move failed: ${errScreenshot?.message || errMove?.message}`
-          )
+            if (errScreenshot || errMove) {
+              throw new Error(
+                `Screenshot generation or move failed: ${errScreenshot?.message || errMove?.message}`
+              )
+            }
+          }
         }
       } else {
         downloadedFile = IMG_DOWNLOAD_PATH + filename + '_' + 'image'
-        const [errDownload, downloadResult] = await to(
-          downloadFile(
-            url,
-            downloadedFile,
-            REQUEST_TIMEOUT_IN_SECONDS * 1000,
-            extraHeaders,
-            signal
-          )
+        const [errDownload] = await to(
+          streamToFile(download.stream, downloadedFile, MAX_IMAGE_SIZE_BYTES)
         )
         if (errDownload) {
-          throw new Error(`Image download failed: ${errDownload.message}`)
+          throw new Error(`Image download failed: ${errDownload.message}`, {
+            cause: errDownload,
+          })
         }
-        downloadStatus = downloadResult
+        downloadStatus = { status: 'downloaded to file', ...downloadSource }
+      }
+      if (downloadedFile && !framesForPipeline) {
+        imageDataForPipeline = downloadedFile // Pass file path to pipeline
+        // Add the downloaded image file to tempFilesCreated for cleanup
+        tempFilesCreated.push(downloadedFile)
+      }
+      if (mediaType === 'image') {
+        const [errHash, fileHash] = await to(sha256File(downloadedFile))
+        if (errHash) {
+          throw new Error(
+            `Failed to hash downloaded image: ${errHash.message}`,
+            { cause: errHash }
+          )
+        }
+        contentHash = fileHash
       }
-      imageDataForPipeline = downloadedFile // Pass file path to pipeline
-      // Add the downloaded image file to tempFilesCreated for cleanup
-      tempFilesCreated.push(downloadedFile)
     }
 
+    endDownload()
     console.debug(`Download status for ${filename}:`, downloadStatus)
 
-    // Run the common image prediction pipeline
-    const [errPrediction, predictionResult] = await to(
-      runImagePredictionPipeline(imageDataForPipeline, filename, {
-        nsfwSpy,
-        imageProcessingInstance,
-        config,
-      })
-    )
+    // Report where the media actually came from, after redirects
+    const source = {
+      url,
+      finalUrl: downloadStatus.finalUrl,
+      redirectChain: downloadStatus.redirectChain,
+    }
 
-    if (errPrediction) {
-      throw errPrediction
+    // The same image may already have been classified from another URL or as data
+    const contentCacheKey = contentHash
+      ? getContentCacheKey(modelId, contentHash)
+      : null
+    let predictionResult =
+      knownVideoResult ??
+      (contentCacheKey
+        ? getCachedContentResult(resultCache, contentCacheKey)
+        : undefined)
+    // Listed images get the fixed verdict of their hash list without running the model
+    const listed =
+      !predictionResult && hashLists && contentHash && mediaType === 'image'
+        ? await lookupHashLists(imageDataForPipeline, contentHash, {
+            hashLists,
+            imageProcessingInstance,
+          })
+        : null
+    if (listed?.verdict) {
+      predictionResult = listed
+      resultCache.set(contentCacheKey, predictionResult)
     }
-    cache = predictionResult
+    if (!predictionResult) {
+      // Run the common image prediction pipeline (or the multi-frame one for sampled video frames)
+      const [errPrediction, result] = await to(
+        framesForPipeline
+          ? runFramesPredictionPipeline(framesForPipeline, filename, {
+              nsfwSpy: modelNsfwSpy,
+              imageProcessingInstance,
+              config,
+            })
+          : runImagePredictionPipeline(imageDataForPipeline, filename, {
+              nsfwSpy: modelNsfwSpy,
+              imageProcessingInstance,
+              config,
+              nearDuplicateIndex,
+              modelId,
+            })
+      )
 
-    // Store result in cache
-    resultCache.set('url' + '-' + filename, cache)
-    console.debug('Classification result:', cache)
-    return cache // Return the classification result
+      if (errPrediction) {
+        throw errPrediction
+      }
+      predictionResult = listed
+        ? { ...result, perceptualHash: listed.perceptualHash }
+        : result
+      recordPrediction(predictionResult)
+      if (contentCacheKey) {
+        resultCache.set(contentCacheKey, predictionResult)
+      }
+    }
+
+    // Store result in cache, hashed media only point at the entry of their content
+    resultCache.set(
+      cacheKey,
+      contentCacheKey
+        ? { contentCacheKey, source }
+        : { ...predictionResult, source }
+    )
+    const classification = { ...predictionResult, source }
+    console.debug('Classification result:', classification)
+    return classification // Return the classification result
   } catch (error) {
     console.error(error)
     throw error // Re-throw the error to be caught by the handler
   } finally {
     safeReleaseMutex()
+    // Close the download if it was not read to the end (e.g. failed checks or streaming)
+    download?.stream.destroy()
     // Always attempt to clean up any files that were explicitly tracked for deletion.
     // This is crucial for the Tier 3 video fallback path and initial downloaded files.
     for (const tempFile of tempFilesCreated) {
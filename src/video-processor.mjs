@@ -3,6 +3,7 @@ import {
   downloadPartFile,
   downloadPartFileToBuffer,
   getVideoStream,
+  streamToBuffer,
 } from './download.mjs'
 import * as fs from 'fs/promises'
 import path from 'path'
@@ -10,14 +11,112 @@ import {
   generateScreenshot,
   generateScreenshotFromBuffer,
   generateScreenshotFromStream,
+  generateFramesFromStream,
+  generateFramesFromBuffer,
+  generateFramesFromFile,
+  getVideoDuration,
 } from './ffmpeg-util.mjs'
+import { videoDownloadTiersTotal } from './metrics.mjs'
+
+/**
+ * @typedef {object} FrameSampling
+ * @property {'single'|'count'|'interval'} mode - `single` grabs one frame at 1 second,
+ * `count` spreads `count` frames over the video duration and `interval` grabs one frame every `interval` seconds.
+ * @property {number} count - Number of frames to sample (maximum number of frames for `interval`).
+ * @property {number} interval - Seconds between two sampled frames for `interval` (fallback for `count` when the duration is unknown).
+ */
+
+/**
+ * Resolves the FFmpeg frame sampling options for a video.
+ * In `count` mode, frames are centered in equal slices of the video duration.
+ * @param {FrameSampling} frameSampling - The requested frame sampling.
+ * @param {number|null} duration - The video duration in seconds, if known.
+ * @returns {import('./ffmpeg-util.mjs').FrameSamplingOptions} - The FFmpeg frame sampling options.
+ */
+export const resolveFrameSamplingOptions = (frameSampling, duration) => {
+  const { mode, count, interval } = frameSampling
+  if (mode === 'count' && duration) {
+    const sliceDuration = duration / count
+    return {
+      interval: sliceDuration,
+      offset: sliceDuration / 2,
+      maxFrames: count,
+    }
+  }
+  return { interval, offset: 0, maxFrames: count }
+}
+
+/**
+ * Builds the download status of a tier, with where the video was actually downloaded from.
+ * @param {string} status - How the screenshot or frames were obtained.
+ * @param {import('./download.mjs').DownloadSource} source - The result of the download.
+ * @returns {{status: string, finalUrl: string, redirectChain: string[]}} - The download status.
+ */
+const createDownloadStatus = (status, { finalUrl, redirectChain }) => ({
+  status,
+  finalUrl,
+  redirectChain,
+})
+
+/**
+ * Gets the video stream of the first tier, from the download already opened by the caller if any.
+ * @param {string} url - The URL of the video.
+ * @param {object} params - Contains necessary parameters and dependencies.
+ * @param {AbortSignal} [signal] - Signal to abort the download.
+ * @returns {Promise<import('./download.mjs').DownloadSource & {stream: import('stream').Readable}>} - The video stream and where it comes from.
+ */
+const openVideoStream = (url, params, signal) => {
+  const { limit, extraHeaders, REQUEST_TIMEOUT_MS, download } = params
+  if (download) {
+    return Promise.resolve(download)
+  }
+  return limit(() =>
+    getVideoStream(url, extraHeaders, REQUEST_TIMEOUT_MS, signal)
+  )
+}
+
+/**
+ * Gets the video buffer of the buffer tier: the buffer or the still unread download given by the caller if any,
+ * else a new size-limited download.
+ * @param {string} url - The URL of the video.
+ * @param {object} params - Contains necessary parameters and dependencies.
+ * @param {boolean} streamed - Whether the streaming tier already consumed the download given by the caller.
+ * @param {AbortSignal} [signal] - Signal to abort the download.
+ * @returns {Promise<import('./download.mjs').DownloadSource & {buffer: Buffer}>} - The video buffer and where it comes from.
+ */
+const openVideoBuffer = (url, params, streamed, signal) => {
+  const { limit, extraHeaders, REQUEST_TIMEOUT_MS, MAX_VIDEO_SIZE_BYTES } =
+    params
+  const { download } = params
+  if (download?.buffer) {
+    return Promise.resolve(download)
+  }
+  if (download && !streamed) {
+    return readPartOfDownload(download, MAX_VIDEO_SIZE_BYTES)
+  }
+  return limit(() =>
+    downloadPartFileToBuffer(
+      url,
+      MAX_VIDEO_SIZE_BYTES,
+      REQUEST_TIMEOUT_MS,
+      extraHeaders,
+      signal
+    )
+  )
+}
 
 /**
  * Private helper to get a screenshot buffer from a video URL using a tiered fallback system.
+ * When `params.frameSampling` asks for several frames, the sampled frames are returned in `frames`
+ * (and the first one in `screenshotBuffer`).
  * @param {string} url - The URL of the video.
  * @param {string} filename - The SHA256 hash of the URL.
  * @param {object} params - Contains necessary parameters and dependencies.
- * @returns {Promise<{screenshotBuffer: Buffer, downloadStatus: object, tempFilesCreated: string[]}>}
+ * @param {FrameSampling} [params.frameSampling] - Optional multi-frame sampling settings.
+ * @param {import('./download.mjs').DownloadSource & ({stream: import('stream').Readable}|{buffer: Buffer})} [params.download] - The download of the URL
+ * opened by the caller (see `openDownload`), used instead of requesting the video again. A download already read into a buffer
+ * skips the streaming tier.
+ * @returns {Promise<{screenshotBuffer: Buffer, frames?: import('./ffmpeg-util.mjs').VideoFrame[], downloadStatus: object, tempFilesCreated: string[]}>}
  */
 export const getScreenshotBufferWithFallbacks = async (
   url,
@@ -34,55 +133,63 @@ export const getScreenshotBufferWithFallbacks = async (
     IMG_DOWNLOAD_PATH,
   } = params
 
+  if (params.frameSampling && params.frameSampling.mode !== 'single') {
+    return getFramesWithFallbacks(url, filename, params, signal)
+  }
+
   const tempFilesCreated = []
   let err, screenshotBuffer, videoStream, videoBuffer, success, downloadStatus
+  let download
 
   // --- TIER 1: Attempt efficient streaming (fastest path) ---
-  console.debug(`[Tier 1] Processing video via streaming for ${url}`)
-  ;[err, videoStream] = await to(
-    limit(() => getVideoStream(url, extraHeaders, REQUEST_TIMEOUT_MS, signal))
-  )
-  if (!err) {
-    ;[err, screenshotBuffer] = await to(
-      limit(() =>
-        generateScreenshotFromStream(videoStream, FFMPEG_PATH, { signal })
-      )
-    )
+  const streamed = !params.download?.buffer
+  if (streamed) {
+    console.debug(`[Tier 1] Processing video via streaming for ${url}`)
+    ;[err, download] = await to(openVideoStream(url, params, signal))
     if (!err) {
-      downloadStatus = { status: 'screenshot from stream' }
-      return { screenshotBuffer, downloadStatus, tempFilesCreated }
+      videoStream = download.stream
+      ;[err, screenshotBuffer] = await to(
+        limit(() =>
+          generateScreenshotFromStream(videoStream, FFMPEG_PATH, { signal })
+        )
+      )
+      if (!err) {
+        downloadStatus = createDownloadStatus(
+          'screenshot from stream',
+          download
+        )
+        videoDownloadTiersTotal.inc({ tier: 'stream', outcome: 'success' })
+        return { screenshotBuffer, downloadStatus, tempFilesCreated }
+      }
     }
+    videoDownloadTiersTotal.inc({ tier: 'stream', outcome: 'failure' })
+    console.warn(
+      `[Tier 1 Failed] Streaming failed: ${err.message}. Falling back to size-limited buffer download.`
+    )
   }
-  console.warn(
-    `[Tier 1 Failed] Streaming failed: ${err.message}. Falling back to size-limited buffer download.`
-  )
 
   // --- TIER 2: Fallback to a size-limited in-memory buffer ---
   console.debug(
     `[Tier 2] Processing video via size-limited in-memory buffer for ${url}`
   )
-  ;[err, videoBuffer] = await to(
-    limit(() =>
-      downloadPartFileToBuffer(
-        url,
-        MAX_VIDEO_SIZE_BYTES,
-        REQUEST_TIMEOUT_MS,
-        extraHeaders,
-        signal
-      )
-    )
-  )
+  ;[err, download] = await to(openVideoBuffer(url, params, streamed, signal))
   if (!err) {
+    videoBuffer = download.buffer
     ;[err, screenshotBuffer] = await to(
       limit(() =>
         generateScreenshotFromBuffer(videoBuffer, FFMPEG_PATH, { signal })
       )
     )
     if (!err) {
-      downloadStatus = { status: 'screenshot from partial buffer (fallback)' }
+      downloadStatus = createDownloadStatus(
+        'screenshot from partial buffer (fallback)',
+        download
+      )
+      videoDownloadTiersTotal.inc({ tier: 'buffer', outcome: 'success' })
       return { screenshotBuffer, downloadStatus, tempFilesCreated }
     }
   }
+  videoDownloadTiersTotal.inc({ tier: 'buffer', outcome: 'failure' })
   console.warn(
     `[Tier 2 Failed] Buffer processing also failed: ${err.message}. Falling back to size-limited file download.`
   )
@@ -100,7 +207,7 @@ export const getScreenshotBufferWithFallbacks = async (
     `${filename}_screenshot_fallback.jpg`
   )
   tempFilesCreated.push(tempVideoFile, tempScreenshotFile)
-  ;[err] = await to(
+  ;[err, download] = await to(
     limit(() =>
       downloadPartFile(
         url,
@@ -117,6 +224,7 @@ export const getScreenshotBufferWithFallbacks = async (
       `[Tier 3] Final fallback download failed: ${err.message}`
     )
     error.tempFilesCreated = tempFilesCreated
+    videoDownloadTiersTotal.inc({ tier: 'file', outcome: 'failure' })
     throw error
   }
 
@@ -130,6 +238,7 @@ export const getScreenshotBufferWithFallbacks = async (
       `[Tier 3] Final fallback screenshot generation from file failed: ${err?.message || 'Unknown error'}`
     )
     error.tempFilesCreated = tempFilesCreated
+    videoDownloadTiersTotal.inc({ tier: 'file', outcome: 'failure' })
     throw error
   }
 
@@ -139,11 +248,183 @@ export const getScreenshotBufferWithFallbacks = async (
       `[Tier 3] Final fallback screenshot read failed: ${err.message}`
     )
     error.tempFilesCreated = tempFilesCreated
+    videoDownloadTiersTotal.inc({ tier: 'file', outcome: 'failure' })
     throw error
   }
 
-  downloadStatus = {
-    status: 'screenshot from temporary file (final fallback)',
-  }
+  downloadStatus = createDownloadStatus(
+    'screenshot from temporary file (final fallback)',
+    download
+  )
+  videoDownloadTiersTotal.inc({ tier: 'file', outcome: 'success' })
   return { screenshotBuffer, downloadStatus, tempFilesCreated }
 }
+
+/**
+ * Reads the beginning of an opened download into a buffer, like `downloadPartFileToBuffer` does for a URL.
+ * @param {import('./download.mjs').DownloadSource & {stream: import('stream').Readable}} download - The opened download.
+ * @param {number} maxSize - The maximum size to read in bytes.
+ * @returns {Promise<import('./download.mjs').DownloadSource & {buffer: Buffer}>} - The read part and where it was downloaded from.
+ */
+const readPartOfDownload = async (download, maxSize) => ({
+  buffer: await streamToBuffer(download.stream, maxSize, { truncate: true }),
+  finalUrl: download.finalUrl,
+  redirectChain: download.redirectChain,
+})
+
+/**
+ * Private helper to sample several frames from a video URL using the same tiered fallback system
+ * as `getScreenshotBufferWithFallbacks`.
+ * The streaming tier is only used in `interval` mode, because `count` mode needs the video duration
+ * which is unknown before the whole stream is read. Like for a single frame, a download already read into a buffer
+ * skips it.
+ * @param {string} url - The URL of the video.
+ * @param {string} filename - The SHA256 hash of the URL.
+ * @param {object} params - Contains necessary parameters and dependencies.
+ * @returns {Promise<{screenshotBuffer: Buffer, frames: import('./ffmpeg-util.mjs').VideoFrame[], downloadStatus: object, tempFilesCreated: string[]}>}
+ */
+const getFramesWithFallbacks = async (url, filename, params, signal) => {
+  const {
+    limit,
+    extraHeaders,
+    REQUEST_TIMEOUT_MS,
+    FFMPEG_PATH,
+    MAX_VIDEO_SIZE_BYTES,
+    IMG_DOWNLOAD_PATH,
+    frameSampling,
+  } = params
+
+  const tempFilesCreated = []
+  let err, frames, download, duration
+
+  // --- TIER 1: Attempt efficient streaming (fastest path, interval mode only) ---
+  const streamed = frameSampling.mode === 'interval' && !params.download?.buffer
+  if (streamed) {
+    console.debug(`[Tier 1] Sampling video frames via streaming for ${url}`)
+    ;[err, download] = await to(openVideoStream(url, params, signal))
+    if (!err) {
+      ;[err, frames] = await to(
+        limit(() =>
+          generateFramesFromStream(download.stream, FFMPEG_PATH, {
+            ...resolveFrameSamplingOptions(frameSampling, null),
+            signal,
+          })
+        )
+      )
+      if (!err) {
+        videoDownloadTiersTotal.inc({ tier: 'stream', outcome: 'success' })
+        return {
+          screenshotBuffer: frames[0].buffer,
+          frames,
+          downloadStatus: createDownloadStatus('frames from stream', download),
+          tempFilesCreated,
+        }
+      }
+    }
+    videoDownloadTiersTotal.inc({ tier: 'stream', outcome: 'failure' })
+    console.warn(
+      `[Tier 1 Failed] Streaming failed: ${err.message}. Falling back to size-limited buffer download.`
+    )
+  }
+
+  // --- TIER 2: Fallback to a size-limited in-memory buffer ---
+  console.debug(
+    `[Tier 2] Sampling video frames via size-limited in-memory buffer for ${url}`
+  )
+  ;[err, download] = await to(openVideoBuffer(url, params, streamed, signal))
+  if (!err) {
+    if (frameSampling.mode === 'count') {
+      ;[, duration] = await to(
+        limit(() => getVideoDuration(download.buffer, FFMPEG_PATH, { signal }))
+      )
+    }
+    ;[err, frames] = await to(
+      limit(() =>
+        generateFramesFromBuffer(download.buffer, FFMPEG_PATH, {
+          ...resolveFrameSamplingOptions(frameSampling, duration),
+          signal,
+        })
+      )
+    )
+    if (!err) {
+      videoDownloadTiersTotal.inc({ tier: 'buffer', outcome: 'success' })
+      return {
+        screenshotBuffer: frames[0].buffer,
+        frames,
+        downloadStatus: createDownloadStatus(
+          'frames from partial buffer',
+          download
+        ),
+        tempFilesCreated,
+      }
+    }
+  }
+  videoDownloadTiersTotal.inc({ tier: 'buffer', outcome: 'failure' })
+  console.warn(
+    `[Tier 2 Failed] Buffer processing also failed: ${err.message}. Falling back to size-limited file download.`
+  )
+
+  // --- TIER 3: Final fallback to a size-limited temporary file (most reliable) ---
+  console.debug(
+    `[Tier 3] Sampling video frames via size-limited temporary file for ${url}`
+  )
+  const tempVideoFile = path.join(
+    IMG_DOWNLOAD_PATH,
+    `${filename}_video_fallback`
+  )
+  tempFilesCreated.push(tempVideoFile)
+  ;[err, download] = await to(
+    limit(() =>
+      downloadPartFile(
+        url,
+        tempVideoFile,
+        MAX_VIDEO_SIZE_BYTES,
+        REQUEST_TIMEOUT_MS,
+        extraHeaders,
+        signal
+      )
+    )
+  )
+  if (err) {
+    const error = new Error(
+      `[Tier 3] Final fallback download failed: ${err.message}`
+    )
+    error.tempFilesCreated = tempFilesCreated
+    videoDownloadTiersTotal.inc({ tier: 'file', outcome: 'failure' })
+    throw error
+  }
+
+  duration = null
+  if (frameSampling.mode === 'count') {
+    ;[, duration] = await to(
+      limit(() => getVideoDuration(tempVideoFile, FFMPEG_PATH, { signal }))
+    )
+  }
+  ;[err, frames] = await to(
+    limit(() =>
+      generateFramesFromFile(tempVideoFile, FFMPEG_PATH, {
+        ...resolveFrameSamplingOptions(frameSampling, duration),
+        signal,
+      })
+    )
+  )
+  if (err) {
+    const error = new Error(
+      `[Tier 3] Final fallback frame sampling from file failed: ${err.message}`
+    )
+    error.tempFilesCreated = tempFilesCreated
+    videoDownloadTiersTotal.inc({ tier: 'file', outcome: 'failure' })
+    throw error
+  }
+
+  videoDownloadTiersTotal.inc({ tier: 'file', outcome: 'success' })
+  return {
+    screenshotBuffer: frames[0].buffer,
+    frames,
+    downloadStatus: createDownloadStatus(
+      'frames from temporary file (final fallback)',
+      download
+    ),
+    tempFilesCreated,
+  }
+}